@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { loadGameFacts, checkScript, correctScript } from '@/lib/fact-check';
+
+/**
+ * Check a script's claims against the game feed, optionally rewriting the wrong sentences
+ * POST /api/fact-check
+ * Body: { gamePk, script, style, fix }
+ * Returns: { script, factCheck, corrections } - script is the corrected text when fix is set
+ */
+export async function POST(request) {
+  try {
+    const { gamePk, script, style = 'excited', fix = false } = await request.json();
+
+    if (!gamePk || typeof script !== 'string') {
+      return NextResponse.json(
+        { error: 'Missing required data (gamePk and script)' },
+        { status: 400 }
+      );
+    }
+
+    const facts = await loadGameFacts(gamePk);
+    const factCheck = checkScript(script, facts);
+
+    if (!fix || factCheck.issueCount === 0) {
+      return NextResponse.json({ script, factCheck, corrections: [] });
+    }
+
+    return NextResponse.json(await correctScript(script, factCheck, facts, { style }));
+  } catch (error) {
+    console.error('Error fact-checking script:', error);
+    return NextResponse.json(
+      { error: 'Failed to fact-check script', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,111 @@
+import { NextResponse } from 'next/server';
+import { promises as fs } from 'fs';
+import { getGameFeed } from '@/lib/mlb-api';
+import { getGameProfile, getProfile } from '@/lib/scoring-profile-store';
+import { withPerspective } from '@/lib/scoring-profiles';
+import { getTeamSide } from '@/lib/teams';
+import {
+  createLiveFeedSource,
+  createReplayFeedSource,
+  createLiveAnalyzer,
+  getReplayPath,
+  runLiveSession,
+  LIVE_POLL_INTERVAL_MS,
+  REPLAY_INTERVAL_MS,
+  MIN_LIVE_POLL_INTERVAL_MS,
+  MIN_REPLAY_INTERVAL_MS,
+} from '@/lib/live-game';
+
+/**
+ * Stream live updates for a game as server-sent events
+ * GET /api/game/[gamePk]/live
+ * GET /api/game/[gamePk]/live?replay=<recording> - replay recordings/<recording>.json instead
+ * Optional: ?profile=<id>, ?team=<teamId>, ?interval=<ms> (at least 5s live, 250ms on replays)
+ *
+ * Events: status, plays, highlight, end (see runLiveSession), and failed if the session errors
+ */
+export async function GET(request, { params }) {
+  const { gamePk } = await params;
+  const { searchParams } = new URL(request.url);
+  const replay = searchParams.get('replay');
+
+  try {
+    let source;
+    if (replay) {
+      const replayPath = getReplayPath(replay);
+      if (!replayPath) {
+        return NextResponse.json({ error: 'Invalid replay name' }, { status: 400 });
+      }
+      try {
+        await fs.access(replayPath);
+      } catch {
+        return NextResponse.json({ error: `Recording not found: ${replay}` }, { status: 404 });
+      }
+      source = await createReplayFeedSource(replayPath);
+    } else {
+      source = createLiveFeedSource(gamePk);
+    }
+
+    // Game metadata for scoring - a replay carries its own
+    const gameData = replay ? source.gameData : (await getGameFeed(gamePk)).gameData;
+    const teamIds = { away: gameData?.teams?.away?.id, home: gameData?.teams?.home?.id };
+
+    const requestedProfileId = searchParams.get('profile');
+    const scoringProfile = (requestedProfileId && await getProfile(requestedProfileId))
+      || await getGameProfile(gamePk);
+    const perspectiveTeamId = getTeamSide(gameData?.teams, searchParams.get('team'))
+      ? Number(searchParams.get('team'))
+      : null;
+
+    const analyzer = createLiveAnalyzer({
+      profile: withPerspective(scoringProfile, perspectiveTeamId),
+      teamIds,
+      gameDate: gameData?.datetime?.officialDate,
+    });
+
+    // A requested interval can slow polling down, never speed it past the floor
+    const intervalMs = Math.max(
+      replay ? MIN_REPLAY_INTERVAL_MS : MIN_LIVE_POLL_INTERVAL_MS,
+      parseInt(searchParams.get('interval') || '', 10) || (replay ? REPLAY_INTERVAL_MS : LIVE_POLL_INTERVAL_MS)
+    );
+
+    const abort = new AbortController();
+    request.signal?.addEventListener('abort', () => abort.abort(), { once: true });
+
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+      async start(controller) {
+        const send = (event, data) => {
+          if (abort.signal.aborted) return;
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        };
+
+        try {
+          await runLiveSession({ source, analyzer, intervalMs, signal: abort.signal, send });
+        } catch (error) {
+          console.error(`Live session for game ${gamePk} failed:`, error);
+          send('failed', { error: 'Live updates stopped', details: error.message });
+        } finally {
+          if (!abort.signal.aborted) controller.close();
+        }
+      },
+      cancel() {
+        abort.abort();
+      },
+    });
+
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+      },
+    });
+  } catch (error) {
+    console.error('Error starting live updates:', error);
+    return NextResponse.json(
+      { error: 'Failed to start live updates', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { getVideoForPitch } from '@/lib/filmroom';
+
+/**
+ * Get Film Room video for a single pitch or action within an at-bat
+ * POST /api/game/[gamePk]/pitch-video
+ * Body: { playId, batterId, pitcherId, date, inning, balls, strikes, pitchType }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { gamePk } = await params;
+    const { playId, batterId, pitcherId, date, inning, balls, strikes, pitchType } = await request.json();
+
+    if (!batterId || !date) {
+      return NextResponse.json(
+        { error: 'batterId and date are required' },
+        { status: 400 }
+      );
+    }
+
+    const clip = await getVideoForPitch(playId, {
+      batterId,
+      pitcherId,
+      date,
+      inning,
+      balls,
+      strikes,
+      pitchType,
+      gamePk: parseInt(gamePk),
+    });
+
+    if (!clip) {
+      return NextResponse.json({
+        found: false,
+        clip: null,
+        message: 'No video found for this pitch',
+      });
+    }
+
+    return NextResponse.json({
+      found: true,
+      clip,
+      allClips: [clip],
+      count: 1,
+    });
+  } catch (error) {
+    console.error('Error fetching pitch video:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch video', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,63 +1,35 @@
 import { NextResponse } from 'next/server';
 import { getGameFeed, getHighlights } from '@/lib/mlb-api';
-import { analyzeGame, getGameSummary } from '@/lib/play-analyzer';
+import { analyzeGame, analyzePlayEvents, getGameSummary } from '@/lib/play-analyzer';
 import { analyzeWinProbability, getBiggestSwings } from '@/lib/win-probability';
 import { matchPlaysToHighlights } from '@/lib/highlight-matcher';
-import { searchClips } from '@/lib/filmroom';
+import { searchClips, extractPitchesFromGame } from '@/lib/filmroom';
+import { getGameProfile, getProfile } from '@/lib/scoring-profile-store';
+import { getTeamSide } from '@/lib/teams';
+import { extractAtBats } from '@/lib/at-bats';
 
 /**
- * Extract at-bats from game data with player IDs for Film Room lookup
+ * Find standout pitches and actions within at-bats, with Film Room search params
  */
-function extractAtBats(allPlays, gameDate) {
-  const atBats = [];
-
-  for (const play of allPlays) {
-    // Skip non-at-bat plays
-    if (!play.result?.event) continue;
-
-    const batter = play.matchup?.batter;
-    const pitcher = play.matchup?.pitcher;
-    const about = play.about || {};
-
-    // Get the pitches for count info
-    const pitches = (play.playEvents || []).filter(e => e.isPitch);
-    const firstPitch = pitches[0];
-    const finalPitch = pitches[pitches.length - 1];
-
-    // Get outs at the start of the at-bat from the first pitch
-    const outsAtStart = firstPitch?.count?.outs ?? 0;
-
-    atBats.push({
-      playIndex: play.atBatIndex,
-      inning: about.inning,
-      halfInning: about.halfInning,
-      outsAtStart, // Used to distinguish same batter multiple times in an inning
-      batter: {
-        id: batter?.id,
-        name: batter?.fullName,
-      },
-      pitcher: {
-        id: pitcher?.id,
-        name: pitcher?.fullName,
-      },
-      result: play.result?.event,
-      description: play.result?.description,
-      rbi: play.result?.rbi || 0,
-      isScoring: about.isScoringPlay,
-      pitchCount: pitches.length,
-      finalCount: finalPitch?.count ? `${finalPitch.count.balls}-${finalPitch.count.strikes}` : null,
-      // Search params for Film Room
-      filmRoomParams: {
-        batterId: batter?.id,
-        pitcherId: pitcher?.id,
+function extractPitchCandidates(gameFeed, allPlays, gameDate) {
+  const pitchesById = new Map(extractPitchesFromGame(gameFeed).map(p => [p.playId, p]));
+
+  return analyzePlayEvents(allPlays).map(candidate => {
+    const pitch = candidate.playId ? pitchesById.get(candidate.playId) : null;
+
+    return {
+      ...candidate,
+      // Non-pitch actions have no pitch of their own - search by the count they happened in
+      filmRoomParams: pitch?.searchParams || {
+        batterId: candidate.batter.id,
+        pitcherId: candidate.pitcher.id,
         date: gameDate,
-        inning: about.inning,
-        outs: outsAtStart, // Add outs to distinguish multiple at-bats by same batter in same inning
+        inning: candidate.inning,
+        balls: candidate.count.balls,
+        strikes: candidate.count.strikes,
       },
-    });
-  }
-
-  return atBats;
+    };
+  });
 }
 
 export async function GET(request, { params }) {
@@ -78,15 +50,38 @@ export async function GET(request, { params }) {
     ]);
 
     const allPlays = gameFeed.liveData?.plays?.allPlays || [];
+    const teamIds = {
+      away: gameFeed.gameData?.teams?.away?.id,
+      home: gameFeed.gameData?.teams?.home?.id,
+    };
+
+    // Scoring profile - ?profile= overrides the one saved for this game
+    const { searchParams } = new URL(request.url);
+    const requestedProfileId = searchParams.get('profile');
+    const scoringProfile = (requestedProfileId && await getProfile(requestedProfileId))
+      || await getGameProfile(gamePk);
+
+    // Perspective team - ?team= weights plays that help that club
+    const perspectiveTeamId = getTeamSide(gameFeed.gameData?.teams, searchParams.get('team'))
+      ? Number(searchParams.get('team'))
+      : null;
 
     // Analyze plays
-    const keyPlays = analyzeGame(allPlays, { maxPlays: 12, minScore: 25 });
+    const keyPlays = analyzeGame(allPlays, {
+      maxPlays: 12,
+      profile: scoringProfile,
+      teamIds,
+      perspectiveTeamId,
+    });
 
     // Add win probability data to key plays
     const wpAnalysis = analyzeWinProbability(allPlays);
     const wpByIndex = {};
     wpAnalysis.forEach(p => {
       wpByIndex[p.playIndex] = {
+        winProbBefore: p.winProbBefore,
+        winProbAfter: p.winProbAfter,
+        wpa: p.wpa,
         wpChange: p.wpChange,
         wpSwing: p.wpSwing,
         isMomentumShift: p.isMomentumShift,
@@ -107,7 +102,8 @@ export async function GET(request, { params }) {
 
     // Extract at-bats with Film Room search params
     const gameDate = gameFeed.gameData?.datetime?.officialDate;
-    const atBats = extractAtBats(allPlays, gameDate);
+    const atBats = extractAtBats(allPlays, gameDate, wpAnalysis, teamIds);
+    const pitchCandidates = extractPitchCandidates(gameFeed, allPlays, gameDate);
 
     return NextResponse.json({
       gamePk,
@@ -120,6 +116,9 @@ export async function GET(request, { params }) {
       gameSummary,
       highlights,
       atBats, // All at-bats with Film Room search params
+      pitchCandidates, // Standout pitches/actions within at-bats
+      scoringProfile,
+      perspectiveTeamId,
     });
   } catch (error) {
     console.error('Error fetching game data:', error);
@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import { getGameProfile, setGameProfile, getProfile } from '@/lib/scoring-profile-store';
+
+/**
+ * Get the scoring profile selected for a game
+ * GET /api/game/[gamePk]/scoring-profile
+ */
+export async function GET(request, { params }) {
+  try {
+    const { gamePk } = await params;
+    const profile = await getGameProfile(gamePk);
+
+    return NextResponse.json({ profileId: profile.id, profile });
+  } catch (error) {
+    console.error('Error fetching game scoring profile:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch scoring profile', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Select the scoring profile for a game
+ * PUT /api/game/[gamePk]/scoring-profile { profileId }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { gamePk } = await params;
+    const { profileId } = await request.json();
+
+    if (!profileId || !(await getProfile(profileId))) {
+      return NextResponse.json(
+        { error: 'Unknown scoring profile' },
+        { status: 400 }
+      );
+    }
+
+    const profile = await setGameProfile(gamePk, profileId);
+
+    return NextResponse.json({ profileId: profile.id, profile });
+  } catch (error) {
+    console.error('Error setting game scoring profile:', error);
+    return NextResponse.json(
+      { error: 'Failed to set scoring profile', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,29 +1,64 @@
 import { NextResponse } from 'next/server';
-import { promises as fs } from 'fs';
-import { createSyncedPackage, cleanupTempFiles } from '@/lib/video-processor';
 import { generateSpeech, DEFAULT_VOICE_ID } from '@/lib/elevenlabs';
-import Anthropic from '@anthropic-ai/sdk';
+import { generateJson } from '@/lib/llm';
 import { getTeam } from '@/lib/teams';
-
-const anthropic = new Anthropic();
+import { validateSegments, templateClipSegments } from '@/lib/script-config';
+import { collectPlayers, getPlayersContext, describePlayerContext } from '@/lib/player-context';
+import { getGameStandingsContext, describeStandingsContext } from '@/lib/standings';
+import { createJob } from '@/lib/jobs';
+import { getCaptionUrls } from '@/lib/renders';
+import { findExportPreset } from '@/lib/export-presets';
+import { getGameFeed } from '@/lib/mlb-api';
+import { findSlateTemplate, hasSlates, gameFromFeed, gameSlates, normalizeSponsorTag } from '@/lib/slates';
+import { syncedTimeline, validateTimeline } from '@/lib/timeline';
+import { saveTimelineAsset } from '@/lib/timelines';
+import { renderTimelineToStore, createTimelineJob } from '@/lib/timeline-renders';
 
 /**
- * Generate a custom highlight video from user-selected clips
- * Uses Film Room clips selected by the user
+ * Enqueue a custom highlight video job from user-selected clips
+ * Uses Film Room clips selected by the user, laid out as a timeline (see lib/timeline.js)
+ * Body { timeline } instead renders an edited custom-video timeline as it is.
+ * Returns: { jobId, statusUrl } - poll statusUrl for progress; the job result carries the saved timelineId
  */
 export async function POST(request) {
-  let gamePk = null;
-
   try {
     const {
       gameData,
       clips, // User-selected clips from Film Room
       style = 'excited',
       voiceId,
-      gamePk: gPk,
+      gamePk,
+      exportPreset, // EXPORT_PRESETS id
+      burnCaptions = false, // Burn the narration captions into the picture
+      slateTemplate: slateTemplateId, // SLATE_TEMPLATES id for a generated title card and end slate
+      sponsorTag, // Optional line on both slates
+      timeline, // Edited timeline to render instead
     } = await request.json();
 
-    gamePk = gPk;
+    if (timeline) {
+      const problem = validateTimeline(timeline, 'custom-video');
+      if (problem) {
+        return NextResponse.json({ error: problem }, { status: 400 });
+      }
+      const job = createTimelineJob(timeline);
+      return NextResponse.json({ jobId: job.id, ...job }, { status: 202 });
+    }
+
+    const preset = findExportPreset(exportPreset);
+    if (!preset) {
+      return NextResponse.json(
+        { error: `Unknown export preset: ${exportPreset}` },
+        { status: 400 }
+      );
+    }
+
+    const slateTemplate = findSlateTemplate(slateTemplateId);
+    if (!slateTemplate) {
+      return NextResponse.json(
+        { error: `Unknown slate template: ${slateTemplateId}` },
+        { status: 400 }
+      );
+    }
 
     if (!clips || clips.length === 0) {
       return NextResponse.json(
@@ -32,172 +67,215 @@ export async function POST(request) {
       );
     }
 
-    console.log(`Generating custom video with ${clips.length} user-selected clips...`);
-
-    // Build context for script generation
-    const awayTeam = getTeam(gameData?.teams?.away?.id);
-    const homeTeam = getTeam(gameData?.teams?.home?.id);
-    const awayScore = gameData?.teams?.away?.score || 0;
-    const homeScore = gameData?.teams?.home?.score || 0;
-
-    // Format clips for the script prompt
-    const clipsInfo = clips.map((clip, index) => {
-      const isTopInning = clip.halfInning === 'top';
-      const batterTeam = isTopInning ? awayTeam?.name : homeTeam?.name;
-
-      return `CLIP ${index + 1}:
-  - ID: ${clip.id}
-  - Event: ${clip.event || 'Play'}
-  - Batter: ${clip.batter || 'Unknown'}
-  - Batter's Team: ${batterTeam || 'Unknown'}
-  - Inning: ${clip.halfInning === 'top' ? 'Top' : 'Bottom'} ${clip.inning}
-  - Play Description: ${clip.playDescription || clip.headline || 'N/A'}`;
-    }).join('\n\n');
-
-    const styleInstructions = {
-      excited: `EXCITED sports broadcaster style. Dramatic pauses (...), exclamations, build tension.`,
-      analytical: `Analytical commentator style. Reference stats, situational baseball. Measured but insightful.`,
-      casual: `Casual fan recap style. Conversational, fun, no jargon.`,
-    };
-
-    // Generate narration for each clip
-    const clipCount = clips.length;
-    const clipIds = clips.map(c => c.id);
-
-    const prompt = `Generate EXACTLY ${clipCount} narration segments for an MLB highlight video.
-
-GAME: ${awayTeam?.name || 'Away'} @ ${homeTeam?.name || 'Home'}
-FINAL: ${awayScore} - ${homeScore}
-
-YOU MUST CREATE EXACTLY ${clipCount} SEGMENTS:
-${clipsInfo}
-
-STYLE: ${styleInstructions[style] || styleInstructions.excited}
-
-RULES:
-1. EXACTLY ${clipCount} segments - one per clip
-2. Use the EXACT clipId from each clip
-3. Each narration is 8-15 words, 2-3 seconds to speak
-4. Timing is ALWAYS "after_action" - describe what JUST happened
-5. Use the batter's name and their CORRECT team
-6. NO intro, NO title - just describe the plays
-
-Return ONLY a JSON array:
-[
-  {"clipId": "${clipIds[0]}", "narration": "short description", "timing": "after_action", "estimatedSeconds": 2.5},
-  ...
-]`;
-
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1024,
-      messages: [{ role: 'user', content: prompt }],
-    });
-
-    let segments;
-    try {
-      let jsonStr = message.content[0].text;
-      if (jsonStr.includes('```')) {
-        jsonStr = jsonStr.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
+    const job = createJob('custom-video', async ({ jobId, reportProgress }) => {
+      console.log(`Generating custom video with ${clips.length} user-selected clips...`);
+
+      // Build context for script generation
+      const awayTeam = getTeam(gameData?.teams?.away?.id);
+      const homeTeam = getTeam(gameData?.teams?.home?.id);
+      const awayScore = gameData?.teams?.away?.score || 0;
+      const homeScore = gameData?.teams?.home?.score || 0;
+
+      // Format clips for the script prompt
+      const clipsInfo = clips.map((clip, index) => {
+        const isTopInning = clip.halfInning === 'top';
+        const batterTeam = isTopInning ? awayTeam?.name : homeTeam?.name;
+
+        return `CLIP ${index + 1}:
+      - ID: ${clip.id}
+      - Event: ${clip.event || 'Play'}
+      - Batter: ${clip.batter || 'Unknown'}
+      - Batter's Team: ${batterTeam || 'Unknown'}
+      - Inning: ${clip.halfInning === 'top' ? 'Top' : 'Bottom'} ${clip.inning}
+      - Play Description: ${clip.playDescription || clip.headline || 'N/A'}`;
+      }).join('\n\n');
+
+      // Film Room clips carry their players in playInfo
+      const gameDate = gameData?.datetime?.officialDate;
+      const playerContext = describePlayerContext(await getPlayersContext(collectPlayers(clips.map(clip => ({
+        batterId: clip.batterId ?? clip.playInfo?.players?.batter?.id,
+        batter: clip.batter ?? clip.playInfo?.players?.batter?.name,
+        pitcherId: clip.pitcherId ?? clip.playInfo?.players?.pitcher?.id,
+        pitcher: clip.pitcher ?? clip.playInfo?.players?.pitcher?.name,
+      }))), { gamePk, gameDate }));
+
+      // Where the race stands - the script still gets written without it
+      let standingsContext = '';
+      if (gameDate && awayTeam && homeTeam) {
+        try {
+          standingsContext = describeStandingsContext(await getGameStandingsContext({
+            gameDate,
+            awayId: gameData.teams.away.id,
+            homeId: gameData.teams.home.id,
+          }));
+        } catch (error) {
+          console.error('Failed to load standings for custom video script:', error);
+        }
       }
-      segments = JSON.parse(jsonStr);
-    } catch (parseError) {
-      console.error('Failed to parse script:', parseError);
-      // Create simple fallback narration
-      segments = clips.map(clip => ({
-        clipId: clip.id,
-        narration: `${clip.batter} with a ${clip.event?.toLowerCase() || 'play'}!`,
-        timing: 'after_action',
-        estimatedSeconds: 2,
-      }));
-    }
 
-    // Filter to valid segments
-    const validClipIds = new Set(clips.map(c => c.id));
-    const seenClipIds = new Set();
-    const filteredSegments = segments.filter(seg => {
-      if (seg.clipId && validClipIds.has(seg.clipId) && !seenClipIds.has(seg.clipId)) {
-        seenClipIds.add(seg.clipId);
-        return true;
+      // Rules for whichever context made it in
+      const contextRules = [
+        playerContext && 'Where it fits, add a season note from PLAYER CONTEXT (e.g. "his 24th of the year") - use only the numbers given',
+        standingsContext && 'On the final clip, say what the result means for the standings if it matters',
+      ].filter(Boolean).map((line, index) => `${7 + index}. ${line}\n    `).join('');
+
+      const styleInstructions = {
+        excited: `EXCITED sports broadcaster style. Dramatic pauses (...), exclamations, build tension.`,
+        analytical: `Analytical commentator style. Reference stats, situational baseball. Measured but insightful.`,
+        casual: `Casual fan recap style. Conversational, fun, no jargon.`,
+      };
+
+      // Generate narration for each clip
+      const clipCount = clips.length;
+      const clipIds = clips.map(c => c.id);
+
+      const prompt = `Generate EXACTLY ${clipCount} narration segments for an MLB highlight video.
+
+    GAME: ${awayTeam?.name || 'Away'} @ ${homeTeam?.name || 'Home'}
+    FINAL: ${awayScore} - ${homeScore}
+    ${standingsContext ? `STANDINGS AND RACE (after this game):\n${standingsContext}\n` : ''}
+    YOU MUST CREATE EXACTLY ${clipCount} SEGMENTS:
+    ${clipsInfo}
+
+    ${playerContext ? `PLAYER CONTEXT (season stats through this game):\n${playerContext}\n\n    ` : ''}STYLE: ${styleInstructions[style] || styleInstructions.excited}
+
+    RULES:
+    1. EXACTLY ${clipCount} segments - one per clip
+    2. Use the EXACT clipId from each clip
+    3. Each narration is 8-15 words, 2-3 seconds to speak
+    4. Timing is ALWAYS "after_action" - describe what JUST happened
+    5. Use the batter's name and their CORRECT team
+    6. NO intro, NO title - just describe the plays
+    ${contextRules}
+    Return ONLY a JSON array:
+    [
+      {"clipId": "${clipIds[0]}", "narration": "short description", "timing": "after_action", "estimatedSeconds": 2.5},
+      ...
+    ]`;
+
+      reportProgress({ stage: 'scripting' });
+      let segments;
+      let usage = null;
+      try {
+        ({ data: segments, usage } = await generateJson('custom-video-script', prompt, {
+          validate: (data) => validateSegments(data, 'clipId', clipIds),
+          template: () => templateClipSegments(clips),
+        }));
+      } catch (generateError) {
+        if (generateError.code !== 'LLM_INVALID_OUTPUT') throw generateError;
+        console.error('Failed to parse script:', generateError);
+        // Create simple fallback narration
+        segments = templateClipSegments(clips);
+        usage = generateError.usage;
       }
-      return false;
-    });
-
-    console.log(`Generated ${filteredSegments.length} narration segments, creating audio...`);
 
-    // Generate audio for each segment
-    const selectedVoiceId = voiceId || DEFAULT_VOICE_ID;
-    const audioSegments = [];
-
-    for (const segment of filteredSegments) {
-      if (!segment.narration) continue;
-
-      try {
-        const audioBuffer = await generateSpeech(
-          segment.narration,
-          selectedVoiceId,
-          style
-        );
-
-        // Get duration (estimate based on text length)
-        const duration = segment.estimatedSeconds || (segment.narration.length / 15);
-
-        audioSegments.push({
-          clipId: segment.clipId,
-          audioBuffer,
-          timing: 'after_action',
-          duration,
-          narration: segment.narration,
-        });
-      } catch (error) {
-        console.error('Failed to generate audio for segment:', error);
+      // Filter to valid segments
+      const validClipIds = new Set(clips.map(c => c.id));
+      const seenClipIds = new Set();
+      const filteredSegments = segments.filter(seg => {
+        if (seg.clipId && validClipIds.has(seg.clipId) && !seenClipIds.has(seg.clipId)) {
+          seenClipIds.add(seg.clipId);
+          return true;
+        }
+        return false;
+      });
+
+      console.log(`Generated ${filteredSegments.length} narration segments, creating audio...`);
+
+      // Generate audio for each segment
+      const selectedVoiceId = voiceId || DEFAULT_VOICE_ID;
+      const audioSegments = [];
+
+      for (const [index, segment] of filteredSegments.entries()) {
+        if (!segment.narration) continue;
+
+        reportProgress({ stage: 'voicing', current: index + 1, total: filteredSegments.length });
+
+        try {
+          const audioBuffer = await generateSpeech(
+            segment.narration,
+            selectedVoiceId,
+            style
+          );
+
+          // Get duration (estimate based on text length)
+          const duration = segment.estimatedSeconds || (segment.narration.length / 15);
+
+          audioSegments.push({
+            clipId: segment.clipId,
+            audio: await saveTimelineAsset(gamePk, audioBuffer),
+            timing: 'after_action',
+            duration,
+            text: segment.narration,
+          });
+        } catch (error) {
+          console.error('Failed to generate audio for segment:', error);
+        }
       }
-    }
 
-    // Prepare clips with analysis format (for video processor)
-    const clipsWithAnalysis = clips.map(clip => ({
-      id: clip.id,
-      videoUrl: clip.videoUrl,
-      headline: clip.headline,
-      event: clip.event,
-      batter: clip.batter,
-      playDescription: clip.playDescription,
-      inning: clip.inning,
-      halfInning: clip.halfInning,
-      analysis: {
-        // Default timing - assumes action is in middle of clip
-        action_start_seconds: 1,
-        action_peak_seconds: 3,
-        action_end_seconds: 5,
-        total_duration_seconds: 10,
-      },
-    }));
-
-    console.log(`Assembling video with ${audioSegments.length} audio segments...`);
-
-    // Create the video package
-    const videoPath = await createSyncedPackage(clipsWithAnalysis, audioSegments, gamePk || 'custom');
-
-    // Read and return final video
-    const videoBuffer = await fs.readFile(videoPath);
-    const base64Video = videoBuffer.toString('base64');
-
-    // Cleanup
-    await cleanupTempFiles(gamePk || 'custom');
-
-    return NextResponse.json({
-      video: base64Video,
-      format: 'mp4',
-      clipsUsed: clips.length,
-      segmentsGenerated: audioSegments.length,
-    });
+      // Prepare clips with analysis format (for video processor)
+      const clipsWithAnalysis = clips.map(clip => ({
+        id: clip.id,
+        videoUrl: clip.videoUrl,
+        headline: clip.headline,
+        event: clip.event,
+        batter: clip.batter,
+        playDescription: clip.playDescription,
+        inning: clip.inning,
+        halfInning: clip.halfInning,
+        analysis: {
+          // Default timing - assumes action is in middle of clip
+          action_start_seconds: 1,
+          action_peak_seconds: 3,
+          action_end_seconds: 5,
+          total_duration_seconds: 10,
+        },
+      }));
+
+      console.log(`Assembling video with ${audioSegments.length} audio segments...`);
+
+      // Lay out the timeline and render it - slates need the game, so clips without one go without
+      const gameFeed = gamePk && hasSlates(slateTemplate) ? await getGameFeed(gamePk) : null;
+      const sponsor = normalizeSponsorTag(sponsorTag);
+      const timeline = syncedTimeline(clipsWithAnalysis, audioSegments, {
+        type: 'custom-video',
+        gamePk,
+        output: {
+          exportPreset: preset.id,
+          burnCaptions: Boolean(burnCaptions),
+          slates: gameFeed
+            ? { template: slateTemplate.id, sponsor, ...gameSlates(gameFromFeed(gameFeed), { sponsor }) }
+            : null,
+        },
+      });
+
+      // Keep the finished package in the renders store
+      const { render, timeline: saved } = await renderTimelineToStore(timeline, reportProgress, {
+        clips: clipsWithAnalysis.map(({ id, videoUrl, headline, event, batter, inning, halfInning }) => ({
+          id, videoUrl, headline, event, batter, inning, halfInning,
+        })),
+        script: audioSegments.map(({ clipId, text, timing, duration }) => ({ clipId, narration: text, timing, duration })),
+        voice: { voiceId: selectedVoiceId, style },
+        durations: {
+          narration: audioSegments.reduce((sum, seg) => sum + (seg.duration || 0), 0),
+        },
+      }, jobId);
+
+      return {
+        format: render.container,
+        captionUrls: getCaptionUrls(render),
+        clipsUsed: clips.length,
+        segmentsGenerated: audioSegments.length,
+        usage,
+        renderId: render.id,
+        outputPath: render.videoPath,
+        timelineId: saved.id,
+      };
+    }, { gamePk });
+
+    return NextResponse.json({ jobId: job.id, ...job }, { status: 202 });
   } catch (error) {
     console.error('Error generating custom video:', error);
-
-    if (gamePk) {
-      await cleanupTempFiles(gamePk);
-    }
-
     return NextResponse.json(
       { error: 'Failed to generate video', details: error.message },
       { status: 500 }
@@ -1,17 +1,56 @@
 import { NextResponse } from 'next/server';
 import { promises as fs } from 'fs';
 import path from 'path';
-import { createRundownVideo } from '@/lib/video-processor';
 import { getSelectionSegments } from '@/lib/transcription';
+import { createJob } from '@/lib/jobs';
+import { getCaptionUrls } from '@/lib/renders';
+import { findExportPreset } from '@/lib/export-presets';
+import { getGameFeed } from '@/lib/mlb-api';
+import { withPlayGraphics } from '@/lib/graphics';
+import { findSlateTemplate, hasSlates, gameFromFeed, gameSlates, normalizeSponsorTag } from '@/lib/slates';
+import { rundownTimeline, validateTimeline } from '@/lib/timeline';
+import { renderTimelineToStore, createTimelineJob } from '@/lib/timeline-renders';
 
 /**
- * Generate a video from rundown clips with selected word segments
+ * Enqueue a video job from rundown clips with selected word segments
  * POST /api/generate-rundown-video
- * Body: { gamePk, clips: [{ videoUrl, transcript, selectedWords } | { isTransition, transitionKey }] }
+ * Body: { gamePk, clips: [{ videoUrl, playIndex, transcript, selectedWords } | { isTransition, transitionKey }], perspectiveTeamId, exportPreset, burnCaptions, scoreGraphics, slateTemplate, sponsorTag }
+ *   scoreGraphics - Draw each play's score bug and lower third, found in the game feed by playIndex
+ *   slateTemplate - SLATE_TEMPLATES id for a generated title card and end slate; sponsorTag goes on both
+ *   or { timeline } - an edited rundown-video timeline (see lib/timeline.js), rendered as it is
+ * Returns: { jobId, statusUrl } - poll statusUrl for progress; the job result carries the saved timelineId
  */
 export async function POST(request) {
   try {
-    const { gamePk, clips, titleCardUrl } = await request.json();
+    const {
+      gamePk, clips, perspectiveTeamId,
+      exportPreset, burnCaptions, scoreGraphics, slateTemplate: slateTemplateId, sponsorTag, timeline,
+    } = await request.json();
+
+    if (timeline) {
+      const problem = validateTimeline(timeline, 'rundown-video');
+      if (problem) {
+        return NextResponse.json({ error: problem }, { status: 400 });
+      }
+      const job = createTimelineJob(timeline);
+      return NextResponse.json({ success: true, jobId: job.id, ...job }, { status: 202 });
+    }
+
+    const preset = findExportPreset(exportPreset);
+    if (!preset) {
+      return NextResponse.json(
+        { error: `Unknown export preset: ${exportPreset}` },
+        { status: 400 }
+      );
+    }
+
+    const slateTemplate = findSlateTemplate(slateTemplateId);
+    if (!slateTemplate) {
+      return NextResponse.json(
+        { error: `Unknown slate template: ${slateTemplateId}` },
+        { status: 400 }
+      );
+    }
 
     if (!gamePk) {
       return NextResponse.json(
@@ -30,7 +69,7 @@ export async function POST(request) {
     // Count transitions and plays
     const transitionCount = clips.filter(c => c.isTransition).length;
     const playCount = clips.filter(c => !c.isTransition).length;
-    console.log(`Generating rundown video for game ${gamePk} with ${playCount} plays + ${transitionCount} transitions${titleCardUrl ? ' + title card' : ''}`);
+    console.log(`Generating rundown video for game ${gamePk} with ${playCount} plays + ${transitionCount} transitions${hasSlates(slateTemplate) ? ' + slates' : ''}`);
 
     // Convert clips with word selections to clips with time segments
     // Also handle transition clips (which don't need segment processing)
@@ -46,7 +85,7 @@ export async function POST(request) {
           await fs.access(transitionPath);
           clipsWithSegments.push({
             isTransition: true,
-            transitionPath: transitionPath
+            transitionKey: clip.transitionKey
           });
         } catch {
           console.warn(`Transition file not found: ${clip.transitionKey}.mp4, skipping`);
@@ -63,9 +102,17 @@ export async function POST(request) {
         );
 
         if (segments.length > 0) {
+          const words = [...clip.selectedWords]
+            .sort((a, b) => a - b)
+            .map(i => clip.transcript[i])
+            .filter(Boolean);
           clipsWithSegments.push({
             videoUrl: clip.videoUrl,
-            segments
+            playIndex: clip.playIndex ?? null,
+            segments,
+            // Selected commentary - captioned in the video and kept for the render metadata
+            words,
+            text: words.map(w => w.word).join(' ')
           });
         }
       }
@@ -79,24 +126,51 @@ export async function POST(request) {
       );
     }
 
-    // Generate the video (with optional title card)
-    const videoPath = await createRundownVideo(clipsWithSegments, gamePk, titleCardUrl);
+    const job = createJob('rundown-video', async ({ jobId, reportProgress }) => {
+      // Lay out the rundown and render it - graphics show the game as each play began, slates the
+      // matchup and final score
+      const gameFeed = scoreGraphics || hasSlates(slateTemplate) ? await getGameFeed(gamePk) : null;
+      const clipsToCut = scoreGraphics ? withPlayGraphics(clipsWithSegments, gameFeed) : clipsWithSegments;
+      const sponsor = normalizeSponsorTag(sponsorTag);
+      const timeline = rundownTimeline(clipsToCut, {
+        gamePk,
+        output: {
+          exportPreset: preset.id,
+          burnCaptions: Boolean(burnCaptions),
+          slates: hasSlates(slateTemplate)
+            ? { template: slateTemplate.id, sponsor, ...gameSlates(gameFromFeed(gameFeed), { sponsor }) }
+            : null,
+        },
+      });
 
-    // Read the video file and return as base64
-    const videoBuffer = await fs.readFile(videoPath);
-    const videoBase64 = videoBuffer.toString('base64');
+      // Keep the finished package in the renders store
+      const playClips = clipsWithSegments.filter(c => !c.isTransition);
+      const { render, timeline: saved } = await renderTimelineToStore(timeline, reportProgress, {
+        scoreGraphics: Boolean(scoreGraphics),
+        clips: clipsWithSegments.map(c => c.isTransition
+          ? { isTransition: true, transitionKey: c.transitionKey }
+          : { videoUrl: c.videoUrl, playIndex: c.playIndex, segments: c.segments, text: c.text }
+        ),
+        script: playClips.map(c => c.text).join('\n\n'),
+        perspectiveTeamId: perspectiveTeamId ? Number(perspectiveTeamId) : null,
+        durations: {
+          clips: playClips.map(c => c.segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0)),
+        },
+      }, jobId);
 
-    // Cleanup the temp file
-    await fs.unlink(videoPath).catch(() => {});
+      console.log(`Video generated successfully: ${render.videoPath}`);
 
-    console.log(`Video generated successfully: ${videoPath}`);
+      return {
+        format: render.container,
+        captionUrls: getCaptionUrls(render),
+        clipCount: clipsWithSegments.length,
+        renderId: render.id,
+        outputPath: render.videoPath,
+        timelineId: saved.id,
+      };
+    }, { gamePk });
 
-    return NextResponse.json({
-      success: true,
-      gamePk,
-      clipCount: clipsWithSegments.length,
-      videoUrl: `data:video/mp4;base64,${videoBase64}`
-    });
+    return NextResponse.json({ success: true, jobId: job.id, ...job }, { status: 202 });
   } catch (error) {
     console.error('Rundown video generation error:', error);
     return NextResponse.json(
@@ -1,13 +1,17 @@
 import { NextResponse } from 'next/server';
-import Anthropic from '@anthropic-ai/sdk';
-import { getTeam, getRivalry } from '@/lib/teams';
-import { SCRIPT_STYLES, SCRIPT_LENGTHS } from '@/lib/script-config';
-
-const anthropic = new Anthropic();
+import { generateText } from '@/lib/llm';
+import { getTeam, getRivalry, getTeamSide } from '@/lib/teams';
+import { SCRIPT_STYLES, SCRIPT_LENGTHS, getStyleInstructions, getPerspectiveInstructions } from '@/lib/script-config';
+import { getSituationLabel } from '@/lib/game-state';
+import { writeTemplateScript } from '@/lib/script-writer';
+import { loadGameFacts, checkScript, correctScript } from '@/lib/fact-check';
+import { collectPlayers, getPlayersContext, describePlayerContext } from '@/lib/player-context';
+import { getGameStandingsContext, describeStandingsContext } from '@/lib/standings';
+import { saveScriptVersion, summarizePromptInputs } from '@/lib/script-history';
 
 export async function POST(request) {
   try {
-    const { gameData, keyPlays, biggestSwings, gameSummary, style, length, highlights } = await request.json();
+    const { gameData, keyPlays, biggestSwings, gameSummary, style, length, highlights, perspectiveTeamId, gamePk, fixClaims = false } = await request.json();
 
     if (!gameData || !keyPlays) {
       return NextResponse.json(
@@ -30,37 +34,73 @@ export async function POST(request) {
     const winnerName = winner === 'away' ? awayTeam?.name : homeTeam?.name;
     const loserName = winner === 'away' ? homeTeam?.name : awayTeam?.name;
 
+    // Homer-style narration for one club's audience
+    const perspectiveSide = getTeamSide(gameData.teams, perspectiveTeamId);
+    const perspectiveInstructions = perspectiveSide
+      ? getPerspectiveInstructions(
+        perspectiveSide === 'home' ? homeTeam : awayTeam,
+        perspectiveSide === 'home' ? awayTeam : homeTeam
+      )
+      : '';
+
     // Format key plays for the prompt
     const playsDescription = keyPlays.map(play => {
       const inningLabel = `${play.about?.halfInning === 'top' ? 'Top' : 'Bottom'} ${play.about?.inning}`;
-      const wpInfo = play.wpChange >= 0.15 ? ` (${Math.round(play.wpChange * 100)}% win probability swing)` : '';
-      return `- ${inningLabel}: ${play.result?.description}${wpInfo}`;
+      const wpInfo = play.wpChange >= 0.15
+        ? ` (${Math.round(play.wpChange * 100)}% win probability swing toward the ${play.wpSwing > 0 ? homeTeam?.name || 'home team' : awayTeam?.name || 'away team'})`
+        : '';
+      const situation = getSituationLabel(play);
+      const situationInfo = situation ? ` [${situation.toUpperCase()}]` : '';
+      return `- ${inningLabel}${situationInfo}: ${play.result?.description}${wpInfo}`;
     }).join('\n');
 
     // Format biggest swings
     const swingsDescription = biggestSwings?.slice(0, 3).map(swing => {
-      return `- ${swing.event} by ${swing.batter}: ${Math.round(swing.wpChange * 100)}% WP swing`;
+      const inningLabel = `${swing.halfInning === 'top' ? 'Top' : 'Bottom'} ${swing.inning}`;
+      const favored = swing.wpSwing > 0 ? homeTeam?.name || 'Home' : awayTeam?.name || 'Away';
+      const wpRange = swing.winProbBefore != null
+        ? ` (${homeTeam?.name || 'Home'} win probability ${Math.round(swing.winProbBefore * 100)}% → ${Math.round(swing.winProbAfter * 100)}%)`
+        : '';
+      return `- ${inningLabel}: ${swing.event} by ${swing.batter}, ${Math.round(swing.wpChange * 100)}% swing toward the ${favored}${wpRange}`;
     }).join('\n') || 'No major momentum swings';
 
-    // Build the prompt
-    const styleInstructions = {
-      excited: `You are an EXCITED sports broadcaster delivering highlights! Use dramatic pauses (indicated by "..."), exclamations, and build tension. Channel your inner Joe Buck or Matty V. Be enthusiastic and make every big play feel ELECTRIC. Use phrases like "CAN YOU BELIEVE IT?!", "GONE!", "What a moment!"`,
-      analytical: `You are an analytical sports commentator. Focus on the strategic elements, key statistics, and what the numbers tell us. Reference launch angles, exit velocities, and situational baseball. Be measured but insightful. Think Jon Miller meets Baseball Savant.`,
-      casual: `You're a fan recapping the game to a friend. Keep it conversational, accessible, and fun. No jargon needed - just tell the story of the game in a way anyone could enjoy. Throw in some personality and maybe a joke or two.`,
-    };
+    // Season numbers through this game, so narration can say "his 24th of the year"
+    const gameDate = gameData.datetime?.officialDate;
+    const playerContext = describePlayerContext(await getPlayersContext(collectPlayers(keyPlays), { gamePk, gameDate }));
+
+    // Where the race stands - the script still gets written without it
+    let standingsContext = '';
+    if (gameDate && awayTeam && homeTeam) {
+      try {
+        standingsContext = describeStandingsContext(await getGameStandingsContext({
+          gameDate,
+          awayId: gameData.teams.away.id,
+          homeId: gameData.teams.home.id,
+        }));
+      } catch (error) {
+        console.error('Failed to load standings for script:', error);
+      }
+    }
+
+    // Instructions for whichever context made it in
+    const contextInstructions = [
+      standingsContext && 'Mention what the result means for the standings when it matters',
+      playerContext && 'Work in player context where it adds to a moment (e.g. "his 24th of the year") - use only the numbers given',
+    ].filter(Boolean).map((line, index) => `${8 + index}. ${line}`).join('\n');
 
+    // Build the prompt
     const prompt = `Generate a ${lengthConfig.name} (approximately ${lengthConfig.words} words) highlight script for an MLB game.
 
 STYLE INSTRUCTIONS:
-${styleInstructions[style] || styleInstructions.excited}
-
+${getStyleInstructions(style)}
+${perspectiveInstructions ? `\n${perspectiveInstructions}\n` : ''}
 GAME INFORMATION:
 - ${awayTeam?.name || 'Away'} @ ${homeTeam?.name || 'Home'}
 - Final Score: ${awayScore} - ${homeScore}
 - Winner: ${winnerName}
 - Venue: ${gameData.venue?.name || 'Unknown'}
 ${rivalry ? `- RIVALRY GAME: ${rivalry.name} (${rivalry.intensity} intensity)` : ''}
-
+${standingsContext ? `\nSTANDINGS AND RACE (after this game):\n${standingsContext}\n` : ''}
 GAME STATS:
 - Home Runs: ${gameSummary?.homeRuns || 0}
 - Strikeouts: ${gameSummary?.strikeouts || 0}
@@ -71,7 +111,7 @@ ${playsDescription}
 
 BIGGEST MOMENTUM SWINGS:
 ${swingsDescription}
-
+${playerContext ? `\nPLAYER CONTEXT (season stats through this game):\n${playerContext}\n` : ''}
 INSTRUCTIONS:
 1. Write a cohesive narrative that covers the key moments of the game
 2. Build from early action to the climax and conclusion
@@ -79,21 +119,57 @@ INSTRUCTIONS:
 4. Keep it to approximately ${lengthConfig.words} words
 5. Make it feel like a real broadcast highlight package
 6. If this is a rivalry game, acknowledge the significance
-7. End with a memorable closing line about the winner
-
+7. End with a memorable closing line about the ${perspectiveSide ? 'result for our club' : 'winner'}
+${contextInstructions ? `${contextInstructions}\n` : ''}
 Write the script now:`;
 
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1024,
-      messages: [
-        { role: 'user', content: prompt }
-      ],
+    // Without a key (or if the model call fails) the rule-based writer covers it
+    const { text, usage } = await generateText('game-script', prompt, {
+      template: () => writeTemplateScript({
+        gameData,
+        keyPlays,
+        biggestSwings,
+        gameSummary,
+        style: styleConfig.id,
+        length: lengthConfig.id,
+        perspectiveTeamId: perspectiveSide ? perspectiveTeamId : null,
+      }),
+      fallback: true,
     });
+    let script = text;
+
+    // Check names, innings, scores and stats against the feed - a failed check still returns the script
+    let factCheck = null;
+    let corrections = [];
+    if (gamePk) {
+      try {
+        const facts = await loadGameFacts(gamePk);
+        factCheck = checkScript(script, facts);
+        if (fixClaims && factCheck.issueCount > 0) {
+          ({ script, factCheck, corrections } = await correctScript(script, factCheck, facts, { style: styleConfig.id }));
+        }
+      } catch (error) {
+        console.error(`Fact check failed for game ${gamePk}:`, error);
+      }
+    }
 
-    const script = message.content[0].text;
+    // Keep every take - the history drawer can compare and restore them
+    let version = null;
+    if (gamePk) {
+      try {
+        version = await saveScriptVersion(gamePk, {
+          script,
+          style: styleConfig.id,
+          length: lengthConfig.id,
+          inputs: summarizePromptInputs({ keyPlays, gameSummary, perspectiveTeamId: perspectiveSide ? perspectiveTeamId : null, fixClaims }),
+          usage,
+        });
+      } catch (error) {
+        console.error(`Failed to save script version for game ${gamePk}:`, error);
+      }
+    }
 
-    return NextResponse.json({ script });
+    return NextResponse.json({ script, usage, factCheck, corrections, versionId: version?.id || null });
   } catch (error) {
     console.error('Error generating script:', error);
     return NextResponse.json(
@@ -0,0 +1,104 @@
+import { NextResponse } from 'next/server';
+import { generateText } from '@/lib/llm';
+import { getTeam, getTeamSide } from '@/lib/teams';
+import { SCRIPT_STYLES, getStyleInstructions, getPerspectiveInstructions } from '@/lib/script-config';
+import { getSituationLabel } from '@/lib/game-state';
+import { writeTemplateSegment } from '@/lib/script-writer';
+
+/**
+ * What the segment has to cover, for the prompt
+ */
+function describeAssignment(segment, play) {
+  if (segment.kind === 'play' && play) {
+    const inningLabel = `${play.about?.halfInning === 'top' ? 'Top' : 'Bottom'} ${play.about?.inning}`;
+    const situation = getSituationLabel(play);
+    return `This key play - ${inningLabel}${situation ? ` [${situation.toUpperCase()}]` : ''}: ${play.result?.description}`;
+  }
+  if (segment.kind === 'outro') return 'The closing line - the final score and what it means';
+  return 'The opening - set the scene before the first key play';
+}
+
+/**
+ * Rewrite one segment of an edited script, leaving the rest as it is
+ * POST /api/generate-script/segment
+ * Body: { gameData, keyPlays, segments, index, style, perspectiveTeamId }
+ *   segments - From segmentScript, with the user's edits
+ * Returns: { text, usage }
+ */
+export async function POST(request) {
+  try {
+    const { gameData, keyPlays = [], segments, index, style, perspectiveTeamId } = await request.json();
+
+    const segment = Array.isArray(segments) ? segments[index] : null;
+    if (!gameData || !segment) {
+      return NextResponse.json(
+        { error: 'Missing required data (gameData, segments and a valid index)' },
+        { status: 400 }
+      );
+    }
+    if (segment.locked) {
+      return NextResponse.json({ error: 'Segment is locked' }, { status: 400 });
+    }
+
+    const styleConfig = SCRIPT_STYLES.find(s => s.id === style) || SCRIPT_STYLES[0];
+    const play = segment.kind === 'play' ? keyPlays[segment.keyPlayIndex] : null;
+
+    const awayTeam = getTeam(gameData.teams?.away?.id);
+    const homeTeam = getTeam(gameData.teams?.home?.id);
+    const perspectiveSide = getTeamSide(gameData.teams, perspectiveTeamId);
+    const perspectiveInstructions = perspectiveSide
+      ? getPerspectiveInstructions(
+        perspectiveSide === 'home' ? homeTeam : awayTeam,
+        perspectiveSide === 'home' ? awayTeam : homeTeam
+      )
+      : '';
+
+    const before = segments.slice(0, index).map(s => s.text).join(' ').trim();
+    const after = segments.slice(index + 1).map(s => s.text).join(' ').trim();
+    const words = Math.max(15, segment.text.split(/\s+/).filter(Boolean).length);
+
+    const prompt = `Rewrite one paragraph of an MLB highlight script. The rest of the script stays as it is.
+
+STYLE INSTRUCTIONS:
+${getStyleInstructions(styleConfig.id)}
+${perspectiveInstructions ? `\n${perspectiveInstructions}\n` : ''}
+GAME INFORMATION:
+- ${awayTeam?.name || 'Away'} @ ${homeTeam?.name || 'Home'}
+- Final Score: ${gameData.teams?.away?.score || 0} - ${gameData.teams?.home?.score || 0}
+- Venue: ${gameData.venue?.name || 'Unknown'}
+
+THIS PARAGRAPH COVERS:
+${describeAssignment(segment, play)}
+
+SCRIPT BEFORE IT:
+${before || '(this is the start of the script)'}
+
+SCRIPT AFTER IT:
+${after || '(this is the end of the script)'}
+
+CURRENT PARAGRAPH:
+${segment.text}
+
+Write a new version of about ${words} words that picks up from the script before it and leads into the script after it. Don't repeat anything the rest of the script already says. Return ONLY the paragraph.`;
+
+    const { text, usage } = await generateText('script-segment', prompt, {
+      template: () => writeTemplateSegment({
+        gameData,
+        kind: segment.kind,
+        play,
+        position: segment.keyPlayIndex ?? 0,
+        style: styleConfig.id,
+        perspectiveTeamId: perspectiveSide ? perspectiveTeamId : null,
+      }),
+      fallback: true,
+    });
+
+    return NextResponse.json({ text: text.trim(), usage });
+  } catch (error) {
+    console.error('Error regenerating script segment:', error);
+    return NextResponse.json(
+      { error: 'Failed to regenerate segment', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,8 +1,11 @@
 import { NextResponse } from 'next/server';
-import Anthropic from '@anthropic-ai/sdk';
-import { getTeam, getRivalry } from '@/lib/teams';
-
-const anthropic = new Anthropic();
+import { generateJson } from '@/lib/llm';
+import { getTeam, getRivalry, getTeamSide } from '@/lib/teams';
+import { getPerspectiveInstructions, validateSegments, templateClipSegments } from '@/lib/script-config';
+import { loadGameFacts, checkScript, correctScript } from '@/lib/fact-check';
+import { collectPlayers, getPlayersContext, describePlayerContext } from '@/lib/player-context';
+import { getGameStandingsContext, describeStandingsContext } from '@/lib/standings';
+import { saveScriptVersion, summarizePromptInputs } from '@/lib/script-history';
 
 /**
  * Generate a segment-based script that syncs with video clips
@@ -15,6 +18,9 @@ export async function POST(request) {
       clipsWithAnalysis, // Video clips with Gemini timing analysis
       playsWithoutClips, // Plays to use as bridge narration
       style = 'excited',
+      perspectiveTeamId = null, // Homer-style narration for this team's audience
+      gamePk = null, // Fact-check narration against this game's feed
+      fixClaims = false, // Rewrite narration that fails the fact check
     } = await request.json();
 
     if (!gameData || !clipsWithAnalysis || clipsWithAnalysis.length === 0) {
@@ -34,6 +40,14 @@ export async function POST(request) {
     const winner = awayScore > homeScore ? 'away' : 'home';
     const winnerName = winner === 'away' ? awayTeam?.name : homeTeam?.name;
 
+    const perspectiveSide = getTeamSide(gameData.teams, perspectiveTeamId);
+    const perspectiveInstructions = perspectiveSide
+      ? getPerspectiveInstructions(
+        perspectiveSide === 'home' ? homeTeam : awayTeam,
+        perspectiveSide === 'home' ? awayTeam : homeTeam
+      )
+      : '';
+
     // Format clips with timing for the prompt
     const clipsInfo = clipsWithAnalysis.map((clip, index) => {
       const analysis = clip.analysis || {};
@@ -61,6 +75,29 @@ export async function POST(request) {
       casual: `Casual fan recap style. Conversational, fun, no jargon. Tell the story naturally.`,
     };
 
+    const gameDate = gameData.datetime?.officialDate;
+    const playerContext = describePlayerContext(await getPlayersContext(collectPlayers(clipsWithAnalysis), { gamePk, gameDate }));
+
+    // Where the race stands - the script still gets written without it
+    let standingsContext = '';
+    if (gameDate && awayTeam && homeTeam) {
+      try {
+        standingsContext = describeStandingsContext(await getGameStandingsContext({
+          gameDate,
+          awayId: gameData.teams.away.id,
+          homeId: gameData.teams.home.id,
+        }));
+      } catch (error) {
+        console.error('Failed to load standings for synced script:', error);
+      }
+    }
+
+    // Rules for whichever context made it in
+    const contextRules = [
+      playerContext && 'Where it fits, add a season note from PLAYER CONTEXT (e.g. "his 24th of the year") - use only the numbers given',
+      standingsContext && 'On the final clip, say what the result means for the standings if it matters',
+    ].filter(Boolean).map((line, index) => `${7 + index}. ${line}\n`).join('');
+
     const clipCount = clipsWithAnalysis.length;
     const clipIds = clipsWithAnalysis.map(c => c.id);
 
@@ -69,12 +106,12 @@ export async function POST(request) {
 GAME: ${awayTeam?.name || 'Away'} @ ${homeTeam?.name || 'Home'}
 FINAL: ${awayScore} - ${homeScore} (${winnerName} wins)
 ${rivalry ? `RIVALRY: ${rivalry.name}` : ''}
-
+${standingsContext ? `STANDINGS AND RACE (after this game):\n${standingsContext}\n` : ''}
 YOU MUST CREATE EXACTLY ${clipCount} SEGMENTS, ONE FOR EACH CLIP:
 ${clipsInfo}
 
-STYLE: ${styleInstructions[style] || styleInstructions.excited}
-
+${playerContext ? `PLAYER CONTEXT (season stats through this game):\n${playerContext}\n\n` : ''}STYLE: ${styleInstructions[style] || styleInstructions.excited}
+${perspectiveInstructions ? `\n${perspectiveInstructions}\n` : ''}
 RULES:
 1. EXACTLY ${clipCount} segments in the output array - one per clip
 2. Use the EXACT clipId from each clip (listed above)
@@ -82,41 +119,18 @@ RULES:
 4. Timing is ALWAYS "after_action" - describe what JUST happened
 5. Use the batter's name and their CORRECT team from the clip info
 6. NO intro, NO title, NO "welcome to" - just describe the plays
-
+${contextRules}
 Return ONLY a JSON array with EXACTLY ${clipCount} objects:
 [
   {"clipId": "${clipIds[0] || 'first-clip-id'}", "narration": "short description of what happened", "timing": "after_action", "estimatedSeconds": 2.5},
   ...${clipCount > 1 ? ` (${clipCount - 1} more objects, one for each remaining clip)` : ''}
 ]`;
 
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2048,
-      messages: [
-        { role: 'user', content: prompt }
-      ],
+    const { data: segments, usage } = await generateJson('synced-script', prompt, {
+      validate: (data) => validateSegments(data, 'clipId', clipIds),
+      template: () => templateClipSegments(clipsWithAnalysis),
     });
 
-    const responseText = message.content[0].text;
-
-    // Parse JSON from response
-    let segments;
-    try {
-      // Handle potential markdown wrapping
-      let jsonStr = responseText;
-      if (responseText.includes('```')) {
-        jsonStr = responseText.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
-      }
-      segments = JSON.parse(jsonStr);
-    } catch (parseError) {
-      console.error('Failed to parse script segments:', parseError);
-      console.error('Raw response:', responseText);
-      return NextResponse.json(
-        { error: 'Failed to parse generated script', details: parseError.message },
-        { status: 500 }
-      );
-    }
-
     // ENFORCE: Only keep segments that match our clip IDs, limit to one per clip
     const validClipIds = new Set(clipsWithAnalysis.map(c => c.id));
     const seenClipIds = new Set();
@@ -134,6 +148,28 @@ Return ONLY a JSON array with EXACTLY ${clipCount} objects:
     // If we have more (shouldn't happen after filtering), something is wrong
     console.log(`Script generation: ${segments.length} raw segments -> ${filteredSegments.length} filtered (expected ${clipsWithAnalysis.length})`);
 
+    // Check each narration against the feed - a failed check still returns the script
+    let issueCount = null;
+    if (gamePk) {
+      try {
+        const facts = await loadGameFacts(gamePk);
+        issueCount = 0;
+        for (const segment of filteredSegments) {
+          let factCheck = checkScript(segment.narration || '', facts);
+          if (fixClaims && factCheck.issueCount > 0) {
+            const corrected = await correctScript(segment.narration, factCheck, facts, { style });
+            segment.originalNarration = segment.narration;
+            segment.narration = corrected.script;
+            factCheck = corrected.factCheck;
+          }
+          segment.factIssues = factCheck.sentences.flatMap(s => s.issues);
+          issueCount += factCheck.issueCount;
+        }
+      } catch (error) {
+        console.error(`Fact check failed for game ${gamePk}:`, error);
+      }
+    }
+
     // Validate and enhance segments
     const enhancedSegments = filteredSegments.map((segment, index) => ({
       ...segment,
@@ -141,10 +177,35 @@ Return ONLY a JSON array with EXACTLY ${clipCount} objects:
       clipInfo: clipsWithAnalysis.find(c => c.id === segment.clipId) || null,
     }));
 
+    // Keep the narration with the game's other takes - joined as one script
+    let version = null;
+    const narration = enhancedSegments.map(segment => segment.narration).filter(Boolean).join('\n\n');
+    if (gamePk && narration) {
+      try {
+        version = await saveScriptVersion(gamePk, {
+          script: narration,
+          source: 'synced',
+          style,
+          inputs: summarizePromptInputs({
+            keyPlays: clipsWithAnalysis.map(clip => ({ inning: clip.inning, halfInning: clip.halfInning, description: clip.playDescription })),
+            perspectiveTeamId: perspectiveSide ? perspectiveTeamId : null,
+            fixClaims,
+          }),
+          usage,
+        });
+      } catch (error) {
+        console.error(`Failed to save script version for game ${gamePk}:`, error);
+      }
+    }
+
     return NextResponse.json({
       segments: enhancedSegments,
       totalClips: clipsWithAnalysis.length,
       style,
+      perspectiveTeamId: perspectiveSide ? Number(perspectiveTeamId) : null,
+      usage,
+      factIssueCount: issueCount,
+      versionId: version?.id || null,
     });
   } catch (error) {
     console.error('Error generating synced script:', error);
@@ -1,33 +1,73 @@
 import { NextResponse } from 'next/server';
-import { promises as fs } from 'fs';
 import { analyzeClips, cleanupAnalysisFiles } from '@/lib/gemini-video';
-import { createSyncedPackage, cleanupTempFiles, getAudioDuration } from '@/lib/video-processor';
+import { getAudioDuration } from '@/lib/video-processor';
 import { generateSpeech, DEFAULT_VOICE_ID } from '@/lib/elevenlabs';
+import { createJob } from '@/lib/jobs';
+import { getCaptionUrls } from '@/lib/renders';
+import { findExportPreset } from '@/lib/export-presets';
+import { getGameFeed } from '@/lib/mlb-api';
+import { withPlayGraphics } from '@/lib/graphics';
+import { findSlateTemplate, hasSlates, gameFromFeed, gameSlates, normalizeSponsorTag } from '@/lib/slates';
+import { syncedTimeline, validateTimeline } from '@/lib/timeline';
+import { saveTimelineAsset, getTimelineAssetPath } from '@/lib/timelines';
+import { renderTimelineToStore, createTimelineJob } from '@/lib/timeline-renders';
 
 /**
- * Generate a synchronized video package with:
+ * Enqueue a synchronized video package job:
  * 1. Gemini video analysis for action timestamps
  * 2. Segment-based script generation
  * 3. Per-segment voice generation
- * 4. Audio ducking and sync
+ * 4. Audio ducking and sync, laid out as a timeline (see lib/timeline.js) and rendered
+ *
+ * Body { timeline } instead renders an edited synced-video timeline as it is.
+ * Returns: { jobId, statusUrl } - poll statusUrl for progress; the job result carries the saved timelineId
  */
 export async function POST(request) {
-  let gamePk = null;
-
   try {
     const {
       gameData,
       keyPlays, // Plays with matched highlights
       style = 'excited',
       voiceId,
-      gamePk: gPk,
+      gamePk,
+      perspectiveTeamId = null, // Homer-style narration for this team's audience
+      fixClaims = true, // Narration is voiced unreviewed, so rewrite anything the fact check flags
+      exportPreset, // EXPORT_PRESETS id - vertical and square crops follow the Gemini focus points
+      burnCaptions = false, // Burn the narration captions into the picture (sidecars are always written)
+      scoreGraphics = false, // Draw each play's score bug and batter/pitcher lower third
+      slateTemplate: slateTemplateId, // SLATE_TEMPLATES id for a generated title card and end slate
+      sponsorTag, // Optional line on both slates
+      timeline, // Edited timeline to render instead
     } = await request.json();
 
-    gamePk = gPk;
+    if (timeline) {
+      const problem = validateTimeline(timeline, 'synced-video');
+      if (problem) {
+        return NextResponse.json({ error: problem }, { status: 400 });
+      }
+      const job = createTimelineJob(timeline);
+      return NextResponse.json({ jobId: job.id, ...job }, { status: 202 });
+    }
+
+    const preset = findExportPreset(exportPreset);
+    if (!preset) {
+      return NextResponse.json(
+        { error: `Unknown export preset: ${exportPreset}` },
+        { status: 400 }
+      );
+    }
+
+    const slateTemplate = findSlateTemplate(slateTemplateId);
+    if (!slateTemplate) {
+      return NextResponse.json(
+        { error: `Unknown slate template: ${slateTemplateId}` },
+        { status: 400 }
+      );
+    }
 
     // Step 1: Filter to plays with matched video clips
-    const playsWithVideos = keyPlays.filter(p => p.matchedHighlight?.videoUrl);
-    const playsWithoutVideos = keyPlays.filter(p => !p.matchedHighlight?.videoUrl);
+    const playsWithVideos = (keyPlays || []).filter(p => p.matchedHighlight?.videoUrl);
+    const playsWithoutVideos = (keyPlays || []).filter(p => !p.matchedHighlight?.videoUrl);
 
     if (playsWithVideos.length === 0) {
       return NextResponse.json(
@@ -41,15 +81,18 @@ export async function POST(request) {
       // Determine batter's team from the half inning
       // Top of inning = away team batting, Bottom = home team batting
       const isTopInning = play.about?.halfInning === 'top';
-      const batterTeamId = isTopInning ? gameData.teams?.away?.id : gameData.teams?.home?.id;
       const batterTeamName = isTopInning ? gameData.teams?.away?.name : gameData.teams?.home?.name;
 
       return {
         id: play.matchedHighlight.id,
+        playIndex: play.atBatIndex,
         videoUrl: play.matchedHighlight.videoUrl,
         headline: play.matchedHighlight.headline,
         event: play.result?.event,
         batter: play.matchup?.batter?.fullName,
+        batterId: play.matchup?.batter?.id,
+        pitcher: play.matchup?.pitcher?.fullName,
+        pitcherId: play.matchup?.pitcher?.id,
         batterTeam: batterTeamName,
         playDescription: play.result?.description,
         inning: play.about?.inning,
@@ -57,95 +100,122 @@ export async function POST(request) {
       };
     });
 
-    console.log(`Analyzing ${clipsToUse.length} video clips with Gemini...`);
-
-    // Step 2: Analyze clips with Gemini
-    const clipsWithAnalysis = await analyzeClips(clipsToUse);
-
-    console.log('Gemini analysis complete, generating synced script...');
-
-    // Step 3: Generate segment-based script
-    const scriptResponse = await fetch(`${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/api/generate-synced-script`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        gameData,
-        clipsWithAnalysis,
-        playsWithoutClips: playsWithoutVideos.slice(0, 3), // Use up to 3 as bridges
-        style,
-      }),
-    });
-
-    if (!scriptResponse.ok) {
-      const err = await scriptResponse.json();
-      throw new Error(`Script generation failed: ${err.error}`);
-    }
-
-    const { segments } = await scriptResponse.json();
-
-    console.log(`Generated ${segments.length} narration segments, creating audio...`);
-
-    // Step 4: Generate audio for each segment
-    const selectedVoiceId = voiceId || DEFAULT_VOICE_ID;
-    const audioSegments = [];
-
-    for (const segment of segments) {
-      if (!segment.narration) continue;
-
+    const job = createJob('synced-video', async ({ jobId, reportProgress }) => {
       try {
-        const audioBuffer = await generateSpeech(
-          segment.narration,
-          selectedVoiceId,
-          style
-        );
-
-        // Get actual audio duration
-        const tempPath = `/tmp/temp-audio-${Date.now()}.mp3`;
-        await fs.writeFile(tempPath, audioBuffer);
-        const duration = await getAudioDuration(tempPath);
-        await fs.unlink(tempPath);
-
-        audioSegments.push({
-          clipId: segment.clipId,
-          audioBuffer,
-          timing: segment.timing || 'before_action',
-          duration,
-          narration: segment.narration,
+        console.log(`Analyzing ${clipsToUse.length} video clips with Gemini...`);
+
+        // Step 2: Analyze clips with Gemini
+        const clipsWithAnalysis = await analyzeClips(clipsToUse, reportProgress);
+
+        console.log('Gemini analysis complete, generating synced script...');
+
+        // Step 3: Generate segment-based script
+        reportProgress({ stage: 'scripting' });
+        const scriptResponse = await fetch(`${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/api/generate-synced-script`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            gameData,
+            clipsWithAnalysis,
+            playsWithoutClips: playsWithoutVideos.slice(0, 3), // Use up to 3 as bridges
+            style,
+            perspectiveTeamId,
+            gamePk,
+            fixClaims,
+          }),
         });
-      } catch (error) {
-        console.error(`Failed to generate audio for segment:`, error);
-      }
-    }
 
-    console.log(`Created ${audioSegments.length} audio segments, assembling video...`);
-
-    // Step 5: Create synced video package
-    const videoPath = await createSyncedPackage(clipsWithAnalysis, audioSegments, gamePk);
-
-    // Step 6: Read and return final video
-    const videoBuffer = await fs.readFile(videoPath);
-    const base64Video = videoBuffer.toString('base64');
+        if (!scriptResponse.ok) {
+          const err = await scriptResponse.json();
+          throw new Error(`Script generation failed: ${err.error}`);
+        }
+
+        const { segments } = await scriptResponse.json();
+
+        console.log(`Generated ${segments.length} narration segments, creating audio...`);
+
+        // Step 4: Generate audio for each segment
+        const selectedVoiceId = voiceId || DEFAULT_VOICE_ID;
+        const audioSegments = [];
+
+        for (const [index, segment] of segments.entries()) {
+          if (!segment.narration) continue;
+
+          reportProgress({ stage: 'voicing', current: index + 1, total: segments.length });
+
+          try {
+            const audioBuffer = await generateSpeech(
+              segment.narration,
+              selectedVoiceId,
+              style
+            );
+
+            // Keep the line with the timeline and measure it
+            const audio = await saveTimelineAsset(gamePk, audioBuffer);
+            const duration = await getAudioDuration(getTimelineAssetPath(gamePk, audio));
+
+            audioSegments.push({
+              clipId: segment.clipId,
+              audio,
+              timing: segment.timing || 'before_action',
+              duration,
+              text: segment.narration,
+            });
+          } catch (error) {
+            console.error(`Failed to generate audio for segment:`, error);
+          }
+        }
+
+        console.log(`Created ${audioSegments.length} audio segments, assembling video...`);
+
+        // Step 5: Lay out the synced timeline and render it - graphics show the game as each play began,
+        // slates the matchup and final score
+        const gameFeed = gamePk && (scoreGraphics || hasSlates(slateTemplate)) ? await getGameFeed(gamePk) : null;
+        const clips = scoreGraphics && gameFeed ? withPlayGraphics(clipsWithAnalysis, gameFeed) : clipsWithAnalysis;
+        const sponsor = normalizeSponsorTag(sponsorTag);
+        const timeline = syncedTimeline(clips, audioSegments, {
+          gamePk,
+          output: {
+            exportPreset: preset.id,
+            burnCaptions: Boolean(burnCaptions),
+            slates: hasSlates(slateTemplate) && gameFeed
+              ? { template: slateTemplate.id, sponsor, ...gameSlates(gameFromFeed(gameFeed), { sponsor }) }
+              : null,
+          },
+        });
 
-    // Cleanup
-    await cleanupTempFiles(gamePk);
-    await cleanupAnalysisFiles();
+        // Keep the finished package in the renders store
+        const { render, timeline: saved } = await renderTimelineToStore(timeline, reportProgress, {
+          scoreGraphics: Boolean(scoreGraphics),
+          clips: clipsWithAnalysis.map(({ id, videoUrl, headline, event, batter, inning, halfInning, analysis }) => ({
+            id, videoUrl, headline, event, batter, inning, halfInning, analysis,
+          })),
+          script: audioSegments.map(({ clipId, text, timing, duration }) => ({ clipId, narration: text, timing, duration })),
+          voice: { voiceId: selectedVoiceId, style },
+          perspectiveTeamId: perspectiveTeamId ? Number(perspectiveTeamId) : null,
+          durations: {
+            narration: audioSegments.reduce((sum, seg) => sum + (seg.duration || 0), 0),
+          },
+        }, jobId);
+
+        return {
+          format: render.container,
+          captionUrls: getCaptionUrls(render),
+          clipsUsed: clipsWithAnalysis.length,
+          segmentsGenerated: audioSegments.length,
+          synced: true,
+          renderId: render.id,
+          outputPath: render.videoPath,
+          timelineId: saved.id,
+        };
+      } finally {
+        await cleanupAnalysisFiles();
+      }
+    }, { gamePk });
 
-    return NextResponse.json({
-      video: base64Video,
-      format: 'mp4',
-      clipsUsed: clipsWithAnalysis.length,
-      segmentsGenerated: audioSegments.length,
-      synced: true,
-    });
+    return NextResponse.json({ jobId: job.id, ...job }, { status: 202 });
   } catch (error) {
     console.error('Error generating synced video:', error);
-
-    // Cleanup on error
-    if (gamePk) {
-      await cleanupTempFiles(gamePk);
-    }
-    await cleanupAnalysisFiles();
-
     return NextResponse.json(
       { error: 'Failed to generate video', details: error.message },
       { status: 500 }
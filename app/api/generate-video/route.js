@@ -1,14 +1,57 @@
 import { NextResponse } from 'next/server';
-import { promises as fs } from 'fs';
-import { createHighlightPackage, cleanupTempFiles } from '@/lib/video-processor';
+import { getAudioDuration } from '@/lib/video-processor';
 import { generateSpeech, DEFAULT_VOICE_ID } from '@/lib/elevenlabs';
+import { createJob } from '@/lib/jobs';
+import { getCaptionUrls } from '@/lib/renders';
+import { findExportPreset } from '@/lib/export-presets';
+import { getGameFeed } from '@/lib/mlb-api';
+import { withPlayGraphics } from '@/lib/graphics';
+import { findSlateTemplate, hasSlates, gameFromFeed, gameSlates, normalizeSponsorTag } from '@/lib/slates';
+import { highlightTimeline, validateTimeline } from '@/lib/timeline';
+import { saveTimelineAsset, getTimelineAssetPath } from '@/lib/timelines';
+import { renderTimelineToStore, createTimelineJob } from '@/lib/timeline-renders';
 
+/**
+ * Enqueue a quick highlight video job
+ * POST /api/generate-video
+ * Body: { script, keyPlays, highlights, voiceId, style, gamePk, segments, exportPreset, burnCaptions, scoreGraphics, slateTemplate, sponsorTag }
+ *   or { timeline } - an edited highlight-video timeline (see lib/timeline.js), rendered as it is
+ *   segments - From the script editor; clips follow the plays it kept, in its order
+ *   scoreGraphics - Draw each key play's score bug and lower third (fallback highlights get none)
+ *   slateTemplate - SLATE_TEMPLATES id for a generated title card and end slate; sponsorTag goes on both
+ * Returns: { jobId, statusUrl } - poll statusUrl for progress; the job result carries the saved timelineId
+ */
 export async function POST(request) {
-  let gamePk = null;
-
   try {
-    const { script, keyPlays, highlights, voiceId, style, gamePk: gPk } = await request.json();
-    gamePk = gPk;
+    const {
+      script, keyPlays, highlights, voiceId, style, gamePk, segments,
+      exportPreset, burnCaptions, scoreGraphics, slateTemplate: slateTemplateId, sponsorTag, timeline,
+    } = await request.json();
+
+    if (timeline) {
+      const problem = validateTimeline(timeline, 'highlight-video');
+      if (problem) {
+        return NextResponse.json({ error: problem }, { status: 400 });
+      }
+      const job = createTimelineJob(timeline);
+      return NextResponse.json({ jobId: job.id, ...job }, { status: 202 });
+    }
+
+    const preset = findExportPreset(exportPreset);
+    if (!preset) {
+      return NextResponse.json(
+        { error: `Unknown export preset: ${exportPreset}` },
+        { status: 400 }
+      );
+    }
+
+    const slateTemplate = findSlateTemplate(slateTemplateId);
+    if (!slateTemplate) {
+      return NextResponse.json(
+        { error: `Unknown slate template: ${slateTemplateId}` },
+        { status: 400 }
+      );
+    }
 
     if (!script) {
       return NextResponse.json(
@@ -20,11 +63,18 @@ export async function POST(request) {
     // Build video clips from matched key plays (preferred) or fall back to highlights
     let videoClips = [];
 
+    // An edited script decides which plays it covers
+    const scriptedPlays = Array.isArray(segments)
+      ? segments.filter(s => s.kind === 'play' && s.text?.trim()).map(s => keyPlays?.[s.keyPlayIndex]).filter(Boolean)
+      : [];
+    const plays = scriptedPlays.length > 0 ? scriptedPlays : keyPlays;
+
     // First try: Use matched highlights from key plays
-    if (keyPlays && keyPlays.length > 0) {
-      videoClips = keyPlays
+    if (plays && plays.length > 0) {
+      videoClips = plays
         .filter(play => play.matchedHighlight?.videoUrl)
         .map(play => ({
+          playIndex: play.atBatIndex,
           videoUrl: play.matchedHighlight.videoUrl,
           headline: play.matchedHighlight.headline || play.result?.description,
           event: play.result?.event,
@@ -49,33 +99,51 @@ export async function POST(request) {
       );
     }
 
-    // Generate voice narration
-    const selectedVoiceId = voiceId || DEFAULT_VOICE_ID;
-    const audioBuffer = await generateSpeech(script, selectedVoiceId, style || 'excited');
+    const job = createJob('highlight-video', async ({ jobId, reportProgress }) => {
+      // Generate voice narration, kept with the timeline so an edit can render again without re-voicing
+      reportProgress({ stage: 'voicing', current: 1, total: 1 });
+      const selectedVoiceId = voiceId || DEFAULT_VOICE_ID;
+      const audioBuffer = await generateSpeech(script, selectedVoiceId, style || 'excited');
+      const audio = await saveTimelineAsset(gamePk, audioBuffer);
+      const duration = await getAudioDuration(getTimelineAssetPath(gamePk, audio));
 
-    // Create video package using the matched clips
-    const videoPath = await createHighlightPackage(videoClips, audioBuffer, gamePk);
+      // Lay out the matched clips under the narration - graphics show the game as each play began,
+      // slates the matchup and final score
+      const gameFeed = gamePk && (scoreGraphics || hasSlates(slateTemplate)) ? await getGameFeed(gamePk) : null;
+      const clips = scoreGraphics && gameFeed ? withPlayGraphics(videoClips, gameFeed) : videoClips;
+      const sponsor = normalizeSponsorTag(sponsorTag);
+      const timeline = highlightTimeline(clips, { text: script, audio, duration }, {
+        gamePk,
+        output: {
+          exportPreset: preset.id,
+          burnCaptions: Boolean(burnCaptions),
+          slates: hasSlates(slateTemplate) && gameFeed
+            ? { template: slateTemplate.id, sponsor, ...gameSlates(gameFromFeed(gameFeed), { sponsor }) }
+            : null,
+        },
+      });
 
-    // Read final video
-    const videoBuffer = await fs.readFile(videoPath);
-    const base64Video = videoBuffer.toString('base64');
+      // Render it and keep the finished package in the renders store
+      const { render, timeline: saved } = await renderTimelineToStore(timeline, reportProgress, {
+        scoreGraphics: Boolean(scoreGraphics),
+        clips: videoClips,
+        script,
+        voice: { voiceId: selectedVoiceId, style: style || 'excited' },
+      }, jobId);
 
-    // Clean up
-    await cleanupTempFiles(gamePk);
+      return {
+        format: render.container,
+        captionUrls: getCaptionUrls(render),
+        clipsUsed: videoClips.length,
+        renderId: render.id,
+        outputPath: render.videoPath,
+        timelineId: saved.id,
+      };
+    }, { gamePk });
 
-    return NextResponse.json({
-      video: base64Video,
-      format: 'mp4',
-      clipsUsed: videoClips.length,
-    });
+    return NextResponse.json({ jobId: job.id, ...job }, { status: 202 });
   } catch (error) {
     console.error('Error generating video:', error);
-
-    // Clean up on error
-    if (gamePk) {
-      await cleanupTempFiles(gamePk);
-    }
-
     return NextResponse.json(
       { error: 'Failed to generate video', details: error.message },
       { status: 500 }
@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import path from 'path';
+import { getJob, getJobOutputPath } from '@/lib/jobs';
+import { streamVideoFile } from '@/lib/file-response';
+
+/**
+ * Stream the finished video for a completed job
+ * GET /api/jobs/[id]/download
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+
+  const job = getJob(id);
+  if (!job) {
+    return NextResponse.json(
+      { error: `Job not found: ${id}` },
+      { status: 404 }
+    );
+  }
+
+  const outputPath = getJobOutputPath(id);
+  if (!outputPath) {
+    return NextResponse.json(
+      { error: `Job is not complete (status: ${job.status})` },
+      { status: 409 }
+    );
+  }
+
+  try {
+    return await streamVideoFile(request, outputPath, `${job.type}-${job.gamePk || id}${path.extname(outputPath) || '.mp4'}`);
+  } catch (error) {
+    console.error('Error streaming job output:', error);
+    return NextResponse.json(
+      { error: 'Failed to read job output' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { getJob } from '@/lib/jobs';
+
+/**
+ * Get status and stage-level progress for a background job
+ * GET /api/jobs/[id]
+ * Returns: { id, status, stage, current, total, message, result, error, downloadUrl }
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+
+  const job = getJob(id);
+  if (!job) {
+    return NextResponse.json(
+      { error: `Job not found: ${id}` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json(job, {
+    headers: { 'Cache-Control': 'no-store' },
+  });
+}
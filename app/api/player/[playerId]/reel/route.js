@@ -0,0 +1,219 @@
+import { NextResponse } from 'next/server';
+import { generateJson } from '@/lib/llm';
+import { getSeasonContext } from '@/lib/player-reel';
+import { getSelectionSegments } from '@/lib/transcription';
+import { getAudioDuration } from '@/lib/video-processor';
+import { generateSpeech, DEFAULT_VOICE_ID } from '@/lib/elevenlabs';
+import { createJob } from '@/lib/jobs';
+import { getCaptionUrls } from '@/lib/renders';
+import { findExportPreset } from '@/lib/export-presets';
+import { findSlateTemplate, hasSlates, playerSlates, normalizeSponsorTag } from '@/lib/slates';
+import { playerReelTimeline, validateTimeline } from '@/lib/timeline';
+import { saveTimelineAsset, getTimelineAssetPath } from '@/lib/timelines';
+import { renderTimelineToStore, createTimelineJob } from '@/lib/timeline-renders';
+
+const STYLE_INSTRUCTIONS = {
+  excited: 'EXCITED broadcaster style. Big energy, exclamations.',
+  analytical: 'Analytical style. Lean on the numbers and what they say about the season.',
+  casual: 'Casual fan style. Conversational and fun.',
+};
+
+/**
+ * Write the reel's intro and outro voiceover
+ * @returns {Promise<{data: {intro: string, outro: string}, usage: object}>}
+ */
+async function writeReelVoiceover({ player, statLine, role, clips, style, startDate, endDate }) {
+  const clipsInfo = clips
+    .map((clip, index) => `${index + 1}. ${clip.date?.slice(0, 10) || ''} - ${clip.description || clip.title || 'Play'}`)
+    .join('\n');
+
+  const prompt = `Write the voiceover for a ${player.fullName} highlight reel (${role === 'pitcher' ? 'pitching' : 'hitting'}, ${startDate} to ${endDate}).
+
+SEASON CONTEXT: ${statLine || 'Not available'}
+
+CLIPS IN THE REEL (the broadcast call plays under each one):
+${clipsInfo}
+
+STYLE: ${STYLE_INSTRUCTIONS[style] || STYLE_INSTRUCTIONS.excited}
+
+RULES:
+1. "intro" is 25-40 words, plays over the first clip - set up who the player is and work in the season numbers
+2. "outro" is 10-20 words, plays over the last clip - a closing line about the stretch
+3. Only use stats from SEASON CONTEXT - do not invent numbers
+
+Return ONLY a JSON object:
+{"intro": "...", "outro": "..."}`;
+
+  return generateJson('player-reel-voiceover', prompt, {
+    validate: (data) => (typeof data?.intro === 'string' && typeof data?.outro === 'string'
+      ? null
+      : 'expected an object with "intro" and "outro" strings'),
+    template: () => ({
+      intro: `${player.fullName}, ${startDate} to ${endDate}.${statLine ? ` ${statLine}.` : ''}`,
+      outro: `That's ${player.fullName}.`,
+    }),
+  });
+}
+
+/**
+ * Voice one voiceover line, keep it with the reel's timelines and measure it
+ */
+async function voiceLine(reelId, text, voiceId, style) {
+  if (!text) return null;
+
+  const audio = await saveTimelineAsset(reelId, await generateSpeech(text, voiceId, style));
+  return { text, audio, duration: await getAudioDuration(getTimelineAssetPath(reelId, audio)) };
+}
+
+/**
+ * Enqueue a player reel job from clips with selected transcript words
+ * POST /api/player/[playerId]/reel
+ * Body: { clips: [{ videoUrl, transcript, selectedWords, description, date }], role, style, voiceId, startDate, endDate, exportPreset, burnCaptions, slateTemplate, sponsorTag }
+ *   slateTemplate - SLATE_TEMPLATES id for a generated title card (player and club) and end slate (season line)
+ *   or { timeline } - an edited player-reel timeline (see lib/timeline.js), rendered as it is
+ * Returns: { jobId, statusUrl } - poll statusUrl for progress; the job result carries the saved timelineId
+ */
+export async function POST(request, { params }) {
+  try {
+    const { playerId } = await params;
+    const {
+      timeline,
+      clips,
+      role = 'batter',
+      style = 'excited',
+      voiceId,
+      startDate,
+      endDate,
+      exportPreset,
+      burnCaptions,
+      slateTemplate: slateTemplateId,
+      sponsorTag,
+    } = await request.json();
+
+    if (timeline) {
+      const problem = validateTimeline(timeline, 'player-reel');
+      if (problem) {
+        return NextResponse.json({ error: problem }, { status: 400 });
+      }
+      const job = createTimelineJob(timeline);
+      return NextResponse.json({ jobId: job.id, ...job }, { status: 202 });
+    }
+
+    const preset = findExportPreset(exportPreset);
+    if (!preset) {
+      return NextResponse.json(
+        { error: `Unknown export preset: ${exportPreset}` },
+        { status: 400 }
+      );
+    }
+
+    const slateTemplate = findSlateTemplate(slateTemplateId);
+    if (!slateTemplate) {
+      return NextResponse.json(
+        { error: `Unknown slate template: ${slateTemplateId}` },
+        { status: 400 }
+      );
+    }
+
+    if (!clips || clips.length === 0) {
+      return NextResponse.json(
+        { error: 'At least one clip is required' },
+        { status: 400 }
+      );
+    }
+
+    // Convert word selections to time segments
+    const clipsWithSegments = clips
+      .map(clip => ({
+        videoUrl: clip.videoUrl,
+        description: clip.description,
+        date: clip.date,
+        segments: getSelectionSegments(clip.transcript || [], clip.selectedWords || [], 0.15),
+        words: [...(clip.selectedWords || [])].sort((a, b) => a - b).map(i => clip.transcript?.[i]).filter(Boolean),
+      }))
+      .filter(clip => clip.videoUrl && clip.segments.length > 0);
+
+    if (clipsWithSegments.length === 0) {
+      return NextResponse.json(
+        { error: 'No clips with valid segments' },
+        { status: 400 }
+      );
+    }
+
+    const id = parseInt(playerId);
+    const reelId = `player-${id}`;
+
+    const job = createJob('player-reel', async ({ jobId, reportProgress }) => {
+      const season = (endDate || new Date().toISOString()).slice(0, 4);
+      const { player, statLine } = await getSeasonContext(id, season, role);
+
+      // Voiceover is a nice-to-have - the reel still renders with the broadcast audio
+      const selectedVoiceId = voiceId || DEFAULT_VOICE_ID;
+      let voiceover = null;
+      let narration = null;
+      let usage = null;
+      if (player) {
+        try {
+          reportProgress({ stage: 'scripting' });
+          ({ data: voiceover, usage } = await writeReelVoiceover({
+            player, statLine, role, clips: clipsWithSegments, style, startDate, endDate,
+          }));
+
+          reportProgress({ stage: 'voicing', current: 1, total: 2 });
+          const intro = await voiceLine(reelId, voiceover.intro, selectedVoiceId, style);
+          reportProgress({ stage: 'voicing', current: 2, total: 2 });
+          const outro = await voiceLine(reelId, voiceover.outro, selectedVoiceId, style);
+          narration = { intro, outro };
+        } catch (error) {
+          console.error('Failed to create reel voiceover:', error);
+        }
+      }
+
+      // Film Room clips carry no at-bat index to find play graphics by, so reels go without
+      const sponsor = normalizeSponsorTag(sponsorTag);
+      const timeline = playerReelTimeline(clipsWithSegments, narration, {
+        gamePk: reelId,
+        output: {
+          exportPreset: preset.id,
+          burnCaptions: Boolean(burnCaptions),
+          slates: hasSlates(slateTemplate) && player
+            ? { template: slateTemplate.id, sponsor, ...playerSlates(player, { startDate, endDate, statLine }, { sponsor }) }
+            : null,
+        },
+      });
+
+      // Keep the finished reel in the renders store, filed under the player
+      const { render, timeline: saved } = await renderTimelineToStore(timeline, reportProgress, {
+        playerId: id,
+        playerName: player?.fullName || null,
+        role,
+        dateRange: { startDate, endDate },
+        clips: clipsWithSegments.map(({ words, ...clip }) => clip),
+        script: voiceover ? `${voiceover.intro}\n\n${voiceover.outro}` : null,
+        voice: narration ? { voiceId: selectedVoiceId, style } : null,
+        durations: {
+          clips: clipsWithSegments.map(c => c.segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0)),
+          narration: (narration?.intro?.duration || 0) + (narration?.outro?.duration || 0),
+        },
+      }, jobId);
+
+      return {
+        format: render.container,
+        captionUrls: getCaptionUrls(render),
+        clipCount: clipsWithSegments.length,
+        usage,
+        renderId: render.id,
+        outputPath: render.videoPath,
+        timelineId: saved.id,
+      };
+    }, { gamePk: reelId, playerId: id });
+
+    return NextResponse.json({ jobId: job.id, ...job }, { status: 202 });
+  } catch (error) {
+    console.error('Error starting player reel:', error);
+    return NextResponse.json(
+      { error: 'Failed to start player reel', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { getPlayerClips, getSeasonContext } from '@/lib/player-reel';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get a player's ranked clips over a date range
+ * GET /api/player/[playerId]?start=2024-06-01&end=2024-06-30&role=batter|pitcher
+ */
+export async function GET(request, { params }) {
+  try {
+    const { playerId } = await params;
+    const { searchParams } = new URL(request.url);
+    const startDate = searchParams.get('start');
+    const endDate = searchParams.get('end');
+    const role = searchParams.get('role') === 'pitcher' ? 'pitcher' : 'batter';
+
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '') || startDate > endDate) {
+      return NextResponse.json(
+        { error: 'start and end dates are required (YYYY-MM-DD, start before end)' },
+        { status: 400 }
+      );
+    }
+
+    const id = parseInt(playerId);
+    const [{ player, statLine }, clips] = await Promise.all([
+      getSeasonContext(id, endDate.slice(0, 4), role),
+      getPlayerClips(id, { role, startDate, endDate }),
+    ]);
+
+    if (!player) {
+      return NextResponse.json(
+        { error: 'Player not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      player: {
+        id: player.id,
+        fullName: player.fullName,
+        position: player.position,
+        teamId: player.teamId,
+      },
+      statLine,
+      role,
+      startDate,
+      endDate,
+      clips,
+    });
+  } catch (error) {
+    console.error('Error fetching player clips:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch player clips', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { promises as fs } from 'fs';
+import { getRenderCaptions } from '@/lib/renders';
+import { CAPTION_FORMATS } from '@/lib/captions';
+
+const CONTENT_TYPES = {
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+};
+
+/**
+ * Get the caption sidecar for a saved render
+ * GET /api/renders/[gamePk]/[renderId]/captions?format=srt|vtt
+ */
+export async function GET(request, { params }) {
+  const { gamePk, renderId } = await params;
+  const format = new URL(request.url).searchParams.get('format') || 'vtt';
+
+  if (!CAPTION_FORMATS.includes(format)) {
+    return NextResponse.json(
+      { error: `Unknown caption format: ${format}` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const captionsPath = await getRenderCaptions(gamePk, renderId, format);
+    if (!captionsPath) {
+      return NextResponse.json(
+        { error: `No ${format} captions for render: ${renderId}` },
+        { status: 404 }
+      );
+    }
+
+    return new NextResponse(await fs.readFile(captionsPath, 'utf8'), {
+      headers: {
+        'Content-Type': CONTENT_TYPES[format],
+        'Content-Disposition': `inline; filename="${renderId}.${format}"`,
+      },
+    });
+  } catch (error) {
+    console.error('Error reading render captions:', error);
+    return NextResponse.json(
+      { error: 'Failed to read captions', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { getRender, deleteRender, toPublicRender } from '@/lib/renders';
+
+/**
+ * Get metadata for a saved render
+ * GET /api/renders/[gamePk]/[renderId]
+ */
+export async function GET(request, { params }) {
+  const { gamePk, renderId } = await params;
+
+  try {
+    const render = await getRender(gamePk, renderId);
+    if (!render) {
+      return NextResponse.json(
+        { error: `Render not found: ${renderId}` },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(toPublicRender(render));
+  } catch (error) {
+    console.error('Error fetching render:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch render', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Delete a saved render
+ * DELETE /api/renders/[gamePk]/[renderId]
+ */
+export async function DELETE(request, { params }) {
+  const { gamePk, renderId } = await params;
+
+  try {
+    const deleted = await deleteRender(gamePk, renderId);
+    if (!deleted) {
+      return NextResponse.json(
+        { error: `Render not found: ${renderId}` },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ success: true, renderId });
+  } catch (error) {
+    console.error('Error deleting render:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete render', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import path from 'path';
+import { getRender } from '@/lib/renders';
+import { streamVideoFile } from '@/lib/file-response';
+
+/**
+ * Stream the video file for a saved render
+ * GET /api/renders/[gamePk]/[renderId]/video
+ */
+export async function GET(request, { params }) {
+  const { gamePk, renderId } = await params;
+
+  try {
+    const render = await getRender(gamePk, renderId);
+    if (!render) {
+      return NextResponse.json(
+        { error: `Render not found: ${renderId}` },
+        { status: 404 }
+      );
+    }
+
+    return await streamVideoFile(request, render.videoPath, `${render.type}-${gamePk}-${renderId}${path.extname(render.videoPath)}`);
+  } catch (error) {
+    console.error('Error streaming render:', error);
+    return NextResponse.json(
+      { error: 'Failed to stream render', details: error.message },
+      { status: 500 }
+    );
+  }
+}
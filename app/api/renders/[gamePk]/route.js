@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { listRenders, toPublicRender } from '@/lib/renders';
+
+/**
+ * List saved renders for a game, newest first
+ * GET /api/renders/[gamePk]
+ */
+export async function GET(request, { params }) {
+  const { gamePk } = await params;
+
+  try {
+    const renders = await listRenders(gamePk);
+    return NextResponse.json({
+      gamePk,
+      renders: renders.map(toPublicRender),
+    });
+  } catch (error) {
+    console.error('Error listing renders:', error);
+    return NextResponse.json(
+      { error: 'Failed to list renders', details: error.message },
+      { status: 500 }
+    );
+  }
+}
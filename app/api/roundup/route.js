@@ -0,0 +1,240 @@
+import { NextResponse } from 'next/server';
+import { generateJson } from '@/lib/llm';
+import { validateSegments } from '@/lib/script-config';
+import { buildRoundup } from '@/lib/roundup';
+import { getAudioDuration } from '@/lib/video-processor';
+import { generateSpeech, DEFAULT_VOICE_ID } from '@/lib/elevenlabs';
+import { createJob } from '@/lib/jobs';
+import { getCaptionUrls } from '@/lib/renders';
+import { findExportPreset } from '@/lib/export-presets';
+import { findSlateTemplate, hasSlates, roundupSlates, normalizeSponsorTag } from '@/lib/slates';
+import { roundupTimeline, validateTimeline } from '@/lib/timeline';
+import { saveTimelineAsset, getTimelineAssetPath } from '@/lib/timelines';
+import { renderTimelineToStore, createTimelineJob } from '@/lib/timeline-renders';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Every moment is a clip to download and cut
+const DEFAULT_MAX_MOMENTS = 12;
+const MAX_MOMENTS = 30;
+
+const STYLE_INSTRUCTIONS = {
+  excited: 'EXCITED studio host style. High energy, exclamations, quick hits.',
+  analytical: 'Analytical studio host style. Key numbers, what each result means for the standings race.',
+  casual: 'Casual recap style. Conversational, fun, no jargon.',
+};
+
+/**
+ * Write one narration segment per game, handing off from game to game
+ * @returns {Promise<{script: Array<{gamePk: number, narration: string}>, usage: object}>}
+ */
+async function writeRoundupScript(roundup, style) {
+  const gamesInfo = roundup.games.map((game, index) => {
+    const moments = game.moments
+      .map(m => `    - ${m.halfInning === 'top' ? 'Top' : 'Bottom'} ${m.inning}: ${m.description}`)
+      .join('\n');
+
+    return `GAME ${index + 1} (gamePk ${game.gamePk}):
+  - ${game.away.name} ${game.away.score ?? 0} @ ${game.home.name} ${game.home.score ?? 0} (final: "${game.scoreBug}")
+  - Clips shown, in order:
+${moments}`;
+  }).join('\n\n');
+
+  const gameCount = roundup.games.length;
+
+  const prompt = `Write the narration for a daily MLB roundup video covering ${gameCount} games from ${roundup.date}. The video shows each game's clips in order with the score as each play began on screen.
+
+${gamesInfo}
+
+STYLE: ${STYLE_INSTRUCTIONS[style] || STYLE_INSTRUCTIONS.excited}
+
+RULES:
+1. EXACTLY ${gameCount} segments, one per game, in the order listed
+2. Use the EXACT gamePk from each game
+3. Each narration is 25-45 words and covers that game's clips in order plus the final score
+4. Open the first segment with a one-line welcome to the day's roundup
+5. Start every later segment with a short handoff to the next game ("Over in Boston...", "Meanwhile...")
+6. End the last segment with a sign-off
+
+Return ONLY a JSON array:
+[
+  {"gamePk": ${roundup.games[0]?.gamePk || 0}, "narration": "..."},
+  ...
+]`;
+
+  const { data: segments, usage } = await generateJson('roundup-script', prompt, {
+    validate: (data) => validateSegments(data, 'gamePk', roundup.games.map(game => game.gamePk)),
+    // Offline: just the final of each game
+    template: () => roundup.games.map(game => ({
+      gamePk: game.gamePk,
+      narration: `${game.away.name} ${game.away.score ?? 0}, ${game.home.name} ${game.home.score ?? 0}.`,
+    })),
+  });
+
+  const script = roundup.games.map(game => ({
+    gamePk: game.gamePk,
+    narration: segments.find(s => Number(s.gamePk) === game.gamePk)?.narration || null,
+  }));
+  return { script, usage };
+}
+
+/**
+ * Preview the roundup plan for a date (games and moments, no rendering)
+ * GET /api/roundup?date=YYYY-MM-DD
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const date = searchParams.get('date');
+
+    if (!date || !DATE_PATTERN.test(date)) {
+      return NextResponse.json(
+        { error: 'date is required (YYYY-MM-DD)' },
+        { status: 400 }
+      );
+    }
+
+    const roundup = await buildRoundup(date);
+    return NextResponse.json(roundup);
+  } catch (error) {
+    console.error('Error building roundup:', error);
+    return NextResponse.json(
+      { error: 'Failed to build roundup', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Enqueue a daily roundup video job
+ * POST /api/roundup
+ * Body: { date, style, voiceId, maxMoments, exportPreset, burnCaptions, slateTemplate, sponsorTag }
+ *   maxMoments - Clips across all games (1-30, default 12)
+ *   slateTemplate - SLATE_TEMPLATES id for a generated title card and end slate (every final); sponsorTag goes on both
+ *   or { timeline } - an edited roundup-video timeline (see lib/timeline.js), rendered as it is
+ * Returns: { jobId, statusUrl } - poll statusUrl for progress; the job result carries the saved timelineId
+ */
+export async function POST(request) {
+  try {
+    const {
+      date, style = 'excited', voiceId, maxMoments,
+      exportPreset, burnCaptions, slateTemplate: slateTemplateId, sponsorTag, timeline,
+    } = await request.json();
+
+    if (timeline) {
+      const problem = validateTimeline(timeline, 'roundup-video');
+      if (problem) {
+        return NextResponse.json({ error: problem }, { status: 400 });
+      }
+      const job = createTimelineJob(timeline);
+      return NextResponse.json({ jobId: job.id, ...job }, { status: 202 });
+    }
+
+    const preset = findExportPreset(exportPreset);
+    if (!preset) {
+      return NextResponse.json(
+        { error: `Unknown export preset: ${exportPreset}` },
+        { status: 400 }
+      );
+    }
+
+    const slateTemplate = findSlateTemplate(slateTemplateId);
+    if (!slateTemplate) {
+      return NextResponse.json(
+        { error: `Unknown slate template: ${slateTemplateId}` },
+        { status: 400 }
+      );
+    }
+
+    if (!date || !DATE_PATTERN.test(date)) {
+      return NextResponse.json(
+        { error: 'date is required (YYYY-MM-DD)' },
+        { status: 400 }
+      );
+    }
+
+    const roundupId = `roundup-${date}`;
+    const momentLimit = Math.min(MAX_MOMENTS, Math.max(1, parseInt(maxMoments, 10) || DEFAULT_MAX_MOMENTS));
+
+    const job = createJob('roundup-video', async ({ jobId, reportProgress }) => {
+      const roundup = await buildRoundup(date, { maxMoments: momentLimit, onProgress: reportProgress });
+      if (roundup.games.length === 0) {
+        throw new Error(`No final games with highlight clips on ${date}`);
+      }
+
+      reportProgress({ stage: 'scripting' });
+      const { script, usage } = await writeRoundupScript(roundup, style);
+
+      // Voice each game's segment separately so it lines up with that game's clips
+      const selectedVoiceId = voiceId || DEFAULT_VOICE_ID;
+      const games = [];
+      for (const [index, game] of roundup.games.entries()) {
+        reportProgress({ stage: 'voicing', current: index + 1, total: roundup.games.length });
+        const { narration } = script[index];
+
+        let voiced = null;
+        if (narration) {
+          try {
+            const audio = await saveTimelineAsset(roundupId, await generateSpeech(narration, selectedVoiceId, style));
+            voiced = { text: narration, audio, duration: await getAudioDuration(getTimelineAssetPath(roundupId, audio)) };
+          } catch (error) {
+            console.error(`Failed to voice roundup segment for game ${game.gamePk}:`, error);
+          }
+        }
+
+        games.push({ clips: game.moments, narration: voiced });
+      }
+
+      // Each game's clips under its narration and play graphics, then on to the next game
+      const sponsor = normalizeSponsorTag(sponsorTag);
+      const timeline = roundupTimeline(games, {
+        gamePk: roundupId,
+        output: {
+          exportPreset: preset.id,
+          burnCaptions: Boolean(burnCaptions),
+          slates: hasSlates(slateTemplate)
+            ? { template: slateTemplate.id, sponsor, ...roundupSlates(date, roundup.games, { sponsor }) }
+            : null,
+        },
+      });
+
+      // Keep the finished package in the renders store, filed under the date
+      const { render, timeline: saved } = await renderTimelineToStore(timeline, reportProgress, {
+        date,
+        clips: roundup.games.flatMap(game => game.moments.map(m => ({
+          gamePk: game.gamePk,
+          videoUrl: m.videoUrl,
+          headline: m.headline,
+          event: m.event,
+          batter: m.batter,
+          inning: m.inning,
+          halfInning: m.halfInning,
+        }))),
+        script: script.map((seg, index) => ({ ...seg, scoreBug: roundup.games[index].scoreBug })),
+        voice: { voiceId: selectedVoiceId, style },
+        durations: {
+          narration: games.reduce((sum, game) => sum + (game.narration?.duration || 0), 0),
+        },
+      }, jobId);
+
+      return {
+        format: render.container,
+        captionUrls: getCaptionUrls(render),
+        gamesCovered: roundup.games.length,
+        clipsUsed: render.clips.length,
+        usage,
+        renderId: render.id,
+        outputPath: render.videoPath,
+        timelineId: saved.id,
+      };
+    }, { gamePk: roundupId, date });
+
+    return NextResponse.json({ jobId: job.id, ...job }, { status: 202 });
+  } catch (error) {
+    console.error('Error starting roundup:', error);
+    return NextResponse.json(
+      { error: 'Failed to start roundup', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,102 @@
+import { NextResponse } from 'next/server';
+import {
+  getProfile,
+  saveProfile,
+  deleteProfile,
+  isBuiltInProfile,
+} from '@/lib/scoring-profile-store';
+
+/**
+ * Get a scoring profile
+ * GET /api/scoring-profiles/[profileId]
+ */
+export async function GET(request, { params }) {
+  try {
+    const { profileId } = await params;
+    const profile = await getProfile(profileId);
+
+    if (!profile) {
+      return NextResponse.json(
+        { error: 'Scoring profile not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ profile });
+  } catch (error) {
+    console.error('Error fetching scoring profile:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch scoring profile', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Update a custom scoring profile
+ * PUT /api/scoring-profiles/[profileId] { name, description, eventScores, bonuses, ... }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { profileId } = await params;
+
+    if (isBuiltInProfile(profileId)) {
+      return NextResponse.json(
+        { error: 'Built-in profiles cannot be modified - save a copy instead' },
+        { status: 400 }
+      );
+    }
+
+    if (!(await getProfile(profileId))) {
+      return NextResponse.json(
+        { error: 'Scoring profile not found' },
+        { status: 404 }
+      );
+    }
+
+    const { builtIn, ...fields } = await request.json();
+    const profile = await saveProfile({ ...fields, id: profileId });
+
+    return NextResponse.json({ profile });
+  } catch (error) {
+    console.error('Error updating scoring profile:', error);
+    return NextResponse.json(
+      { error: 'Failed to update scoring profile', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Delete a custom scoring profile
+ * DELETE /api/scoring-profiles/[profileId]
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { profileId } = await params;
+
+    if (isBuiltInProfile(profileId)) {
+      return NextResponse.json(
+        { error: 'Built-in profiles cannot be deleted' },
+        { status: 400 }
+      );
+    }
+
+    const deleted = await deleteProfile(profileId);
+
+    if (!deleted) {
+      return NextResponse.json(
+        { error: 'Scoring profile not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting scoring profile:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete scoring profile', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { listProfiles, saveProfile } from '@/lib/scoring-profile-store';
+
+/**
+ * List highlight scoring profiles
+ * GET /api/scoring-profiles
+ */
+export async function GET() {
+  try {
+    const profiles = await listProfiles();
+    return NextResponse.json({ profiles });
+  } catch (error) {
+    console.error('Error listing scoring profiles:', error);
+    return NextResponse.json(
+      { error: 'Failed to list scoring profiles', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Create a custom scoring profile
+ * POST /api/scoring-profiles { name, description, eventScores, bonuses, focusTeam, ... }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+
+    if (!body.name?.trim()) {
+      return NextResponse.json(
+        { error: 'Profile name is required' },
+        { status: 400 }
+      );
+    }
+
+    const { id, builtIn, ...fields } = body;
+    const profile = await saveProfile(fields);
+
+    return NextResponse.json({ profile }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating scoring profile:', error);
+    return NextResponse.json(
+      { error: 'Failed to create scoring profile', details: error.message },
+      { status: 500 }
+    );
+  }
+}
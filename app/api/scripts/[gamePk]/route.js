@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { listScriptVersions, saveScriptVersion } from '@/lib/script-history';
+
+/**
+ * List a game's script versions, newest first
+ * GET /api/scripts/[gamePk]
+ */
+export async function GET(request, { params }) {
+  const { gamePk } = await params;
+
+  try {
+    const versions = await listScriptVersions(gamePk);
+    return NextResponse.json({ gamePk, versions });
+  } catch (error) {
+    console.error('Error listing script versions:', error);
+    return NextResponse.json(
+      { error: 'Failed to list script versions', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Save an edited script as a new version
+ * POST /api/scripts/[gamePk]
+ * Body: { script, style, length, parentId }
+ * Returns: { version }
+ */
+export async function POST(request, { params }) {
+  const { gamePk } = await params;
+
+  try {
+    const { script, style, length, parentId } = await request.json();
+
+    if (typeof script !== 'string' || !script.trim()) {
+      return NextResponse.json({ error: 'Script is required' }, { status: 400 });
+    }
+
+    const version = await saveScriptVersion(gamePk, { script, source: 'edited', style, length, parentId });
+    return NextResponse.json({ version }, { status: 201 });
+  } catch (error) {
+    console.error('Error saving script version:', error);
+    return NextResponse.json(
+      { error: 'Failed to save script version', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,321 @@
+import { NextResponse } from 'next/server';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { generateJson } from '@/lib/llm';
+import { validateSegments } from '@/lib/script-config';
+import { buildSeriesRecap } from '@/lib/series';
+import { getAudioDuration } from '@/lib/video-processor';
+import { generateSpeech, DEFAULT_VOICE_ID } from '@/lib/elevenlabs';
+import { createJob } from '@/lib/jobs';
+import { getCaptionUrls } from '@/lib/renders';
+import { findExportPreset } from '@/lib/export-presets';
+import { findSlateTemplate, hasSlates, seriesSlates, seriesGameCard, normalizeSponsorTag } from '@/lib/slates';
+import { seriesTimeline, validateTimeline } from '@/lib/timeline';
+import { saveTimelineAsset, getTimelineAssetPath } from '@/lib/timelines';
+import { renderTimelineToStore, createTimelineJob } from '@/lib/timeline-renders';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const STYLE_INSTRUCTIONS = {
+  excited: 'EXCITED studio host style. High energy, exclamations, big-moment emphasis.',
+  analytical: 'Analytical studio host style. Key numbers, what the series result means for both clubs.',
+  casual: 'Casual recap style. Conversational, fun, no jargon.',
+};
+
+/**
+ * Validate the series query - returns an error message or null
+ */
+function validateSeriesParams({ teamId, opponentId, startDate, endDate }) {
+  if (!teamId || !opponentId || teamId === opponentId) {
+    return 'teamId and opponentId are required and must differ';
+  }
+  if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+    return 'startDate and endDate are required (YYYY-MM-DD)';
+  }
+  if (startDate > endDate) {
+    return 'startDate must be on or before endDate';
+  }
+  return null;
+}
+
+/**
+ * Describe the series storylines for the script prompt
+ */
+function describeStorylines(recap) {
+  const { storylines, teams } = recap;
+  const teamName = (id) => teams.find(t => t.id === id)?.name || `Team ${id}`;
+  const [first, second] = teams;
+  const lines = [];
+
+  if (storylines.seriesWinnerId) {
+    const loserId = storylines.seriesWinnerId === first.id ? second.id : first.id;
+    lines.push(`${teamName(storylines.seriesWinnerId)} won the series ${storylines.wins[storylines.seriesWinnerId]}-${storylines.wins[loserId]}`);
+  } else {
+    lines.push(`Series split ${storylines.wins[first.id]}-${storylines.wins[second.id]}`);
+  }
+  if (storylines.mvp) {
+    lines.push(`Series MVP by win probability added: ${storylines.mvp.name} (${teamName(storylines.mvp.teamId)}, ${storylines.mvp.wpa >= 0 ? '+' : ''}${storylines.mvp.wpa.toFixed(2)} WPA)`);
+  }
+  for (const game of recap.games) {
+    if (game.gamePk === storylines.clinchingGamePk) lines.push(`Game ${game.gameNumber} clinched the series`);
+    else if (storylines.turningPointGames.includes(game.gamePk)) lines.push(`Game ${game.gameNumber} turned on one swing: ${game.turningPoint.description}`);
+  }
+  if (recap.rivalry) {
+    lines.push(`This is the ${recap.rivalry.name} rivalry (${recap.rivalry.intensity})`);
+  }
+
+  return lines.map(line => `- ${line}`).join('\n');
+}
+
+/**
+ * Write one narration segment per game, framed by the series storylines
+ * @returns {Promise<{script: Array<{gamePk: number, narration: string}>, usage: object}>}
+ */
+async function writeSeriesScript(recap, style) {
+  const gamesInfo = recap.games.map(game => {
+    const moments = game.moments
+      .map(m => `    - ${m.halfInning === 'top' ? 'Top' : 'Bottom'} ${m.inning}: ${m.description}`)
+      .join('\n');
+
+    return `GAME ${game.gameNumber} (gamePk ${game.gamePk}, ${game.date}):
+  - ${game.away.name} ${game.away.score ?? 0} @ ${game.home.name} ${game.home.score ?? 0}
+  - Clips shown, in order:
+${moments}`;
+  }).join('\n\n');
+
+  const gameCount = recap.games.length;
+
+  const prompt = `Write the narration for an MLB series recap video: ${recap.teams[0].name} vs ${recap.teams[1].name}, ${gameCount} games from ${recap.startDate} to ${recap.endDate}. The video shows each game's title card, then its clips in order.
+
+SERIES STORYLINES:
+${describeStorylines(recap)}
+
+${gamesInfo}
+
+STYLE: ${STYLE_INSTRUCTIONS[style] || STYLE_INSTRUCTIONS.excited}
+
+RULES:
+1. EXACTLY ${gameCount} segments, one per game, in the order listed
+2. Use the EXACT gamePk from each game
+3. Each narration is 30-50 words and covers that game's clips in order plus the final score
+4. Open the first segment by setting up the series
+5. Tie each game back to the series storylines - the turning points, the MVP's big moments
+6. End the last segment with the series result and the MVP
+
+Return ONLY a JSON array:
+[
+  {"gamePk": ${recap.games[0]?.gamePk || 0}, "narration": "..."},
+  ...
+]`;
+
+  const { data: segments, usage } = await generateJson('series-script', prompt, {
+    validate: (data) => validateSegments(data, 'gamePk', recap.games.map(game => game.gamePk)),
+    // Offline: game number and final of each game
+    template: () => recap.games.map(game => ({
+      gamePk: game.gamePk,
+      narration: `Game ${game.gameNumber}: ${game.away.name} ${game.away.score ?? 0}, ${game.home.name} ${game.home.score ?? 0}.`,
+    })),
+  });
+
+  const script = recap.games.map(game => ({
+    gamePk: game.gamePk,
+    narration: segments.find(s => Number(s.gamePk) === game.gamePk)?.narration || null,
+  }));
+  return { script, usage };
+}
+
+/**
+ * Put each moment behind its inning transition (once per half-inning)
+ */
+async function withInningTransitions(moments) {
+  const clips = [];
+  let lastKey = null;
+
+  for (const moment of moments) {
+    const key = `${moment.halfInning === 'top' ? 'top' : 'bot'}-${moment.inning}`;
+    if (key !== lastKey && /^(top|bot)-[1-9]$/.test(key)) {
+      const transitionPath = path.join(process.cwd(), 'innings', `${key}.mp4`);
+      try {
+        await fs.access(transitionPath);
+        clips.push({ isTransition: true, transitionKey: key });
+      } catch {
+        console.warn(`Transition file not found: ${key}.mp4, skipping`);
+      }
+    }
+    lastKey = key;
+    clips.push(moment);
+  }
+
+  return clips;
+}
+
+/**
+ * Preview the series recap plan (games, moments and storylines, no rendering)
+ * GET /api/series?team=147&opponent=111&start=YYYY-MM-DD&end=YYYY-MM-DD
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const query = {
+      teamId: Number(searchParams.get('team')),
+      opponentId: Number(searchParams.get('opponent')),
+      startDate: searchParams.get('start'),
+      endDate: searchParams.get('end'),
+    };
+
+    const invalid = validateSeriesParams(query);
+    if (invalid) {
+      return NextResponse.json({ error: invalid }, { status: 400 });
+    }
+
+    const recap = await buildSeriesRecap(query.teamId, query.opponentId, query.startDate, query.endDate);
+    return NextResponse.json(recap);
+  } catch (error) {
+    console.error('Error building series recap:', error);
+    return NextResponse.json(
+      { error: 'Failed to build series recap', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Enqueue a series recap video job
+ * POST /api/series
+ * Body: { teamId, opponentId, startDate, endDate, style, voiceId, exportPreset, burnCaptions, slateTemplate, sponsorTag }
+ *   slateTemplate - SLATE_TEMPLATES id for generated slates - the series opens and closes with one, and each game
+ *     starts with its own title card; sponsorTag goes on the opening and closing slates
+ *   or { timeline } - an edited series-recap timeline (see lib/timeline.js), rendered as it is
+ * Returns: { jobId, statusUrl } - poll statusUrl for progress; the job result carries the saved timelineId
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { startDate, endDate, style = 'excited', voiceId, exportPreset, burnCaptions, slateTemplate: slateTemplateId, sponsorTag, timeline } = body;
+
+    if (timeline) {
+      const problem = validateTimeline(timeline, 'series-recap');
+      if (problem) {
+        return NextResponse.json({ error: problem }, { status: 400 });
+      }
+      const job = createTimelineJob(timeline);
+      return NextResponse.json({ jobId: job.id, ...job }, { status: 202 });
+    }
+
+    const teamId = Number(body.teamId);
+    const opponentId = Number(body.opponentId);
+
+    const invalid = validateSeriesParams({ teamId, opponentId, startDate, endDate });
+    if (invalid) {
+      return NextResponse.json({ error: invalid }, { status: 400 });
+    }
+
+    const preset = findExportPreset(exportPreset);
+    if (!preset) {
+      return NextResponse.json(
+        { error: `Unknown export preset: ${exportPreset}` },
+        { status: 400 }
+      );
+    }
+
+    const slateTemplate = findSlateTemplate(slateTemplateId);
+    if (!slateTemplate) {
+      return NextResponse.json(
+        { error: `Unknown slate template: ${slateTemplateId}` },
+        { status: 400 }
+      );
+    }
+
+    const seriesId = `series-${teamId}-${opponentId}-${startDate}`;
+
+    const job = createJob('series-recap', async ({ jobId, reportProgress }) => {
+      const recap = await buildSeriesRecap(teamId, opponentId, startDate, endDate, { onProgress: reportProgress });
+      recap.games = recap.games.filter(game => game.moments.length > 0);
+      if (recap.games.length === 0) {
+        throw new Error(`No final games with highlight clips between ${startDate} and ${endDate}`);
+      }
+
+      reportProgress({ stage: 'scripting' });
+      const { script, usage } = await writeSeriesScript(recap, style);
+
+      // Voice each game's segment separately so it lines up with that game's clips
+      const selectedVoiceId = voiceId || DEFAULT_VOICE_ID;
+      const games = [];
+      for (const [index, game] of recap.games.entries()) {
+        reportProgress({ stage: 'voicing', current: index + 1, total: recap.games.length });
+        const { narration } = script[index];
+
+        let voiced = null;
+        if (narration) {
+          try {
+            const audio = await saveTimelineAsset(seriesId, await generateSpeech(narration, selectedVoiceId, style));
+            voiced = { text: narration, audio, duration: await getAudioDuration(getTimelineAssetPath(seriesId, audio)) };
+          } catch (error) {
+            console.error(`Failed to voice series segment for game ${game.gamePk}:`, error);
+          }
+        }
+
+        games.push({
+          card: hasSlates(slateTemplate) ? seriesGameCard(game) : null,
+          clips: await withInningTransitions(game.moments),
+          narration: voiced,
+        });
+      }
+
+      // Each game behind its title card, with its narration and play graphics
+      const sponsor = normalizeSponsorTag(sponsorTag);
+      const timeline = seriesTimeline(games, {
+        gamePk: seriesId,
+        output: {
+          exportPreset: preset.id,
+          burnCaptions: Boolean(burnCaptions),
+          slates: hasSlates(slateTemplate)
+            ? { template: slateTemplate.id, sponsor, ...seriesSlates(recap, { sponsor }) }
+            : null,
+        },
+      });
+
+      // Keep the finished package in the renders store, filed under the series
+      const { render, timeline: saved } = await renderTimelineToStore(timeline, reportProgress, {
+        teams: recap.teams,
+        startDate,
+        endDate,
+        storylines: recap.storylines,
+        clips: recap.games.flatMap(game => game.moments.map(m => ({
+          gamePk: game.gamePk,
+          videoUrl: m.videoUrl,
+          headline: m.headline,
+          event: m.event,
+          batter: m.batter,
+          inning: m.inning,
+          halfInning: m.halfInning,
+        }))),
+        script: script.map((seg, index) => ({ ...seg, gameNumber: recap.games[index].gameNumber })),
+        voice: { voiceId: selectedVoiceId, style },
+        durations: {
+          narration: games.reduce((sum, game) => sum + (game.narration?.duration || 0), 0),
+        },
+      }, jobId);
+
+      return {
+        format: render.container,
+        captionUrls: getCaptionUrls(render),
+        gamesCovered: recap.games.length,
+        clipsUsed: render.clips.length,
+        storylines: recap.storylines,
+        usage,
+        renderId: render.id,
+        outputPath: render.videoPath,
+        timelineId: saved.id,
+      };
+    }, { gamePk: seriesId, teamId, opponentId, startDate, endDate });
+
+    return NextResponse.json({ jobId: job.id, ...job }, { status: 202 });
+  } catch (error) {
+    console.error('Error starting series recap:', error);
+    return NextResponse.json(
+      { error: 'Failed to start series recap', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { getGameStandingsContext } from '@/lib/standings';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Division and wild-card standing plus season series for a game's two teams
+ * GET /api/standings?date=YYYY-MM-DD&away=147&home=111
+ * Returns: { standings } - null outside the regular season
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const date = searchParams.get('date');
+  const awayId = Number(searchParams.get('away'));
+  const homeId = Number(searchParams.get('home'));
+
+  if (!DATE_PATTERN.test(date || '') || !awayId || !homeId) {
+    return NextResponse.json(
+      { error: 'date (YYYY-MM-DD), away and home are required' },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const standings = await getGameStandingsContext({ gameDate: date, awayId, homeId });
+    return NextResponse.json({ standings });
+  } catch (error) {
+    console.error('Error fetching standings:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch standings', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { listTimelines, saveTimeline } from '@/lib/timelines';
+import { validateTimeline } from '@/lib/timeline';
+
+/**
+ * List a game's saved timelines, newest first
+ * GET /api/timelines/[gamePk] - "custom" for custom videos
+ */
+export async function GET(request, { params }) {
+  const { gamePk } = await params;
+
+  try {
+    const timelines = await listTimelines(gamePk === 'custom' ? null : gamePk);
+    return NextResponse.json({ gamePk, timelines });
+  } catch (error) {
+    console.error('Error listing timelines:', error);
+    return NextResponse.json(
+      { error: 'Failed to list timelines', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Save an edited timeline as the newest for a game
+ * POST /api/timelines/[gamePk]
+ * Body: { timeline } - its id becomes the saved timeline's parentId
+ * Returns: { timeline }
+ */
+export async function POST(request, { params }) {
+  const { gamePk } = await params;
+
+  try {
+    const { timeline } = await request.json();
+
+    const problem = validateTimeline(timeline);
+    if (problem) {
+      return NextResponse.json({ error: problem }, { status: 400 });
+    }
+    if (String(timeline.gamePk ?? 'custom') !== gamePk) {
+      return NextResponse.json({ error: 'Timeline belongs to another game' }, { status: 400 });
+    }
+
+    const saved = await saveTimeline(timeline);
+    return NextResponse.json({ timeline: saved }, { status: 201 });
+  } catch (error) {
+    console.error('Error saving timeline:', error);
+    return NextResponse.json(
+      { error: 'Failed to save timeline', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,4 +1,5 @@
 import { NextResponse } from 'next/server';
+import { transportFetch } from '@/lib/transport';
 
 /**
  * Proxy MLB video URLs to add required headers
@@ -41,7 +42,7 @@ export async function GET(request) {
 
   try {
     // Fetch with proper headers that MLB expects
-    const response = await fetch(videoUrl, {
+    const response = await transportFetch(videoUrl, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:92.0) Gecko/20100101 Firefox/92.0',
         'Accept': '*/*',
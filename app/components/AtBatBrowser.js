@@ -1,57 +1,17 @@
 'use client';
 
 import { useState, useEffect, useCallback } from 'react';
-
-/**
- * Determine if an at-bat is highlight-worthy
- * Returns a score (higher = more important) or 0 if not suggested
- */
-function getHighlightScore(ab) {
-  let score = 0;
-
-  // Home runs are always highlights
-  if (ab.result === 'Home Run') {
-    score += 100;
-    if (ab.rbi >= 3) score += 50; // Grand slam or 3-run HR
-  }
-
-  // Scoring plays
-  if (ab.isScoring) {
-    score += 30;
-    score += (ab.rbi || 0) * 10; // More RBIs = more important
-  }
-
-  // Extra base hits
-  if (ab.result === 'Triple') score += 40;
-  if (ab.result === 'Double') score += 20;
-
-  // Late game situations (7th inning or later)
-  if (ab.inning >= 7) {
-    score *= 1.5;
-  }
-
-  // Game-ending at-bats
-  if (ab.isGameEnding) {
-    score += 80;
-  }
-
-  // Big win probability swings (if available)
-  if (ab.winProbabilityAdded && Math.abs(ab.winProbabilityAdded) > 0.15) {
-    score += Math.abs(ab.winProbabilityAdded) * 100;
-  }
-
-  return score;
-}
+import { getAtBatHighlightScore } from '@/lib/scoring-profiles';
 
 /**
  * Get suggested at-bats for highlights
  */
-function getSuggestedAtBats(atBats, maxCount = 8) {
+function getSuggestedAtBats(atBats, profile, maxCount = 8) {
   if (!atBats || atBats.length === 0) return [];
 
   // Score all at-bats
   const scored = atBats
-    .map(ab => ({ ab, score: getHighlightScore(ab) }))
+    .map(ab => ({ ab, score: getAtBatHighlightScore(ab, profile) }))
     .filter(({ score }) => score > 0)
     .sort((a, b) => b.score - a.score);
 
@@ -70,7 +30,7 @@ function getSuggestedAtBats(atBats, maxCount = 8) {
  * Component for browsing and selecting at-bats from a game
  * Allows users to find video for any at-bat via Film Room
  */
-export default function AtBatBrowser({ atBats, gamePk, onSelectClips, onCreateRundown }) {
+export default function AtBatBrowser({ atBats, gamePk, scoringProfile, onSelectClips, onCreateRundown }) {
   const [selectedAtBats, setSelectedAtBats] = useState([]);
   const [loadingVideo, setLoadingVideo] = useState({});
   const [videoCache, setVideoCache] = useState({});
@@ -95,7 +55,7 @@ export default function AtBatBrowser({ atBats, gamePk, onSelectClips, onCreateRu
     if (filter === 'hits') return ['Single', 'Double', 'Triple', 'Home Run'].includes(ab.result);
     if (filter === 'strikeouts') return ab.result === 'Strikeout';
     if (filter === 'homers') return ab.result === 'Home Run';
-    if (filter === 'suggested') return getHighlightScore(ab) > 0;
+    if (filter === 'suggested') return getAtBatHighlightScore(ab, scoringProfile) > 0;
     return true;
   };
 
@@ -153,7 +113,7 @@ export default function AtBatBrowser({ atBats, gamePk, onSelectClips, onCreateRu
   const selectSuggested = async () => {
     setIsLoadingSuggested(true);
 
-    const suggested = getSuggestedAtBats(atBats);
+    const suggested = getSuggestedAtBats(atBats, scoringProfile);
     const newSelections = [];
 
     for (const ab of suggested) {
@@ -220,7 +180,7 @@ export default function AtBatBrowser({ atBats, gamePk, onSelectClips, onCreateRu
   };
 
   // Count suggested plays
-  const suggestedCount = getSuggestedAtBats(atBats).length;
+  const suggestedCount = getSuggestedAtBats(atBats, scoringProfile).length;
 
   return (
     <div className="bg-mlb-charcoal rounded-2xl p-6 border border-white/10">
@@ -343,7 +303,7 @@ export default function AtBatBrowser({ atBats, gamePk, onSelectClips, onCreateRu
                     const isSelected = selectedAtBats.some(s => s.cacheKey === cacheKey);
                     const isLoading = loadingVideo[cacheKey];
                     const video = videoCache[cacheKey];
-                    const highlightScore = getHighlightScore(ab);
+                    const highlightScore = getAtBatHighlightScore(ab, scoringProfile);
 
                     return (
                       <div
@@ -0,0 +1,23 @@
+'use client';
+
+/**
+ * Download links for a package's caption sidecars (SRT for editors, VTT for the web)
+ */
+export default function CaptionLinks({ captionUrls, className = '' }) {
+  const formats = Object.entries(captionUrls || {});
+  if (formats.length === 0) return null;
+
+  return (
+    <span className={`text-sm text-gray-400 ${className}`}>
+      Captions:{' '}
+      {formats.map(([format, url], index) => (
+        <span key={format}>
+          {index > 0 && ' • '}
+          <a href={url} download className="text-mlb-green hover:underline">
+            {format.toUpperCase()}
+          </a>
+        </span>
+      ))}
+    </span>
+  );
+}
@@ -0,0 +1,102 @@
+'use client';
+
+import { EXPORT_PRESETS } from '@/lib/export-presets';
+import { SLATE_TEMPLATES, DEFAULT_SLATE_TEMPLATE_ID, SPONSOR_TAG_MAX_LENGTH } from '@/lib/slates';
+
+/**
+ * Picks the output format for a video package
+ * Vertical and square exports reframe on the action; broadcast exports are
+ * interlaced and loudness-normalized for playout. Captions always come as
+ * SRT/VTT sidecars; the checkbox also burns them into the picture, styled
+ * for the format. Packages built from game plays can also draw the score bug
+ * and a batter/pitcher lower third over each play. Slates open the package
+ * with a generated title card and close it with an end slate, with an
+ * optional sponsor tag on both.
+ */
+export default function ExportPresetSelect({
+  id = 'export-preset',
+  value,
+  onChange,
+  burnCaptions = false,
+  onBurnCaptionsChange,
+  scoreGraphics = false,
+  onScoreGraphicsChange,
+  slateTemplate = DEFAULT_SLATE_TEMPLATE_ID,
+  onSlateTemplateChange,
+  sponsorTag = '',
+  onSponsorTagChange,
+  disabled = false,
+}) {
+  const selected = EXPORT_PRESETS.find(preset => preset.id === value) || EXPORT_PRESETS[0];
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm">
+      <label htmlFor={id} className="text-gray-400">Export format</label>
+      <select
+        id={id}
+        value={selected.id}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="bg-mlb-navy border border-white/10 rounded-lg px-3 py-1.5 text-white disabled:opacity-50"
+      >
+        {EXPORT_PRESETS.map(preset => (
+          <option key={preset.id} value={preset.id}>{preset.icon} {preset.name}</option>
+        ))}
+      </select>
+      <span className="text-gray-500">{selected.description}</span>
+      {onBurnCaptionsChange && (
+        <label className="flex items-center gap-2 text-gray-300">
+          <input
+            type="checkbox"
+            checked={burnCaptions}
+            onChange={(e) => onBurnCaptionsChange(e.target.checked)}
+            disabled={disabled}
+            className="accent-mlb-red"
+          />
+          Burn in captions
+        </label>
+      )}
+      {onScoreGraphicsChange && (
+        <label className="flex items-center gap-2 text-gray-300">
+          <input
+            type="checkbox"
+            checked={scoreGraphics}
+            onChange={(e) => onScoreGraphicsChange(e.target.checked)}
+            disabled={disabled}
+            className="accent-mlb-red"
+          />
+          Score bug &amp; lower thirds
+        </label>
+      )}
+      {onSlateTemplateChange && (
+        <>
+          <label htmlFor={`${id}-slates`} className="text-gray-400">Slates</label>
+          <select
+            id={`${id}-slates`}
+            value={slateTemplate}
+            onChange={(e) => onSlateTemplateChange(e.target.value)}
+            disabled={disabled}
+            title={SLATE_TEMPLATES.find(template => template.id === slateTemplate)?.description}
+            className="bg-mlb-navy border border-white/10 rounded-lg px-3 py-1.5 text-white disabled:opacity-50"
+          >
+            {SLATE_TEMPLATES.map(template => (
+              <option key={template.id} value={template.id}>{template.name}</option>
+            ))}
+          </select>
+          {onSponsorTagChange && slateTemplate !== 'none' && (
+            <input
+              type="text"
+              value={sponsorTag}
+              onChange={(e) => onSponsorTagChange(e.target.value)}
+              disabled={disabled}
+              maxLength={SPONSOR_TAG_MAX_LENGTH}
+              placeholder="Sponsor tag (optional)"
+              aria-label="Sponsor tag"
+              className="bg-mlb-navy border border-white/10 rounded-lg px-3 py-1.5 text-white placeholder-gray-500 disabled:opacity-50"
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,9 @@
 'use client';
 
 import Link from 'next/link';
-import { getTeam, getTeamLogo, getRivalry } from '@/lib/teams';
+import { getTeam, getTeamLogo, getRivalry, getTeamSide } from '@/lib/teams';
 
-export default function GameCard({ game }) {
+export default function GameCard({ game, perspectiveTeamId = null }) {
   const awayTeam = getTeam(game.away.id);
   const homeTeam = getTeam(game.home.id);
   const rivalry = getRivalry(game.away.id, game.home.id);
@@ -11,8 +11,13 @@ export default function GameCard({ game }) {
   const isFinal = game.status === 'Final';
   const isLive = game.status?.includes('In Progress') || game.status?.includes('Top') || game.status?.includes('Bottom');
 
+  // Carry the team filter through as the game's perspective team
+  const href = getTeamSide(game, perspectiveTeamId)
+    ? `/game/${game.gamePk}?team=${perspectiveTeamId}`
+    : `/game/${game.gamePk}`;
+
   return (
-    <Link href={`/game/${game.gamePk}`}>
+    <Link href={href}>
       <div className="bg-mlb-charcoal rounded-xl p-4 hover:scale-[1.02] hover:shadow-xl hover:shadow-black/20 transition-all cursor-pointer border border-white/5 hover:border-white/10">
         {/* Rivalry badge */}
         {rivalry && (
@@ -1,8 +1,9 @@
 'use client';
 
 import GameCard from './GameCard';
+import RoundupButton from './RoundupButton';
 
-export default function GamesList({ games, selectedTeam, isLoading }) {
+export default function GamesList({ games, selectedTeam, isLoading, roundupDate = null }) {
   // Filter games by team if selected
   const filteredGames = selectedTeam
     ? games.filter(g => g.away.id === selectedTeam || g.home.id === selectedTeam)
@@ -58,10 +59,17 @@ export default function GamesList({ games, selectedTeam, isLoading }) {
   }
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-      {filteredGames.map(game => (
-        <GameCard key={game.gamePk} game={game} />
-      ))}
+    <div className="space-y-4">
+      {/* Daily roundup across all final games (ignores the team filter) */}
+      {roundupDate && games.some(g => g.status === 'Final') && (
+        <RoundupButton date={roundupDate} />
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        {filteredGames.map(game => (
+          <GameCard key={game.gamePk} game={game} perspectiveTeamId={selectedTeam} />
+        ))}
+      </div>
     </div>
   );
 }
@@ -0,0 +1,34 @@
+'use client';
+
+/**
+ * Stage-level progress for a background video job
+ * Shows the current stage message and a bar for stages with a known total
+ */
+export default function JobProgress({ job, title = 'Generating video...' }) {
+  const hasTotal = job?.total > 0;
+  const percent = hasTotal ? Math.round((job.current / job.total) * 100) : null;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex items-center gap-3 mb-3">
+        <div className="animate-spin rounded-full h-5 w-5 border-2 border-green-500 border-t-transparent" />
+        <h3 className="text-lg font-medium text-white">{title}</h3>
+      </div>
+
+      <p className="text-sm text-gray-400 mb-3">
+        {job?.message || 'Starting...'}
+      </p>
+
+      <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+        {hasTotal ? (
+          <div
+            className="h-full bg-green-500 transition-all"
+            style={{ width: `${percent}%` }}
+          />
+        ) : (
+          <div className="h-full w-1/3 bg-green-500/60 animate-pulse" />
+        )}
+      </div>
+    </div>
+  );
+}
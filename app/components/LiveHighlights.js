@@ -0,0 +1,45 @@
+'use client';
+
+/**
+ * Highlight-worthy plays flagged by the live stream, newest first, so
+ * producers can cut clips while the game is still going
+ */
+export default function LiveHighlights({ highlights, status, isConnected, isReplay }) {
+  return (
+    <section className="bg-mlb-charcoal rounded-2xl p-4 border border-white/10 space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <span className={`w-2.5 h-2.5 rounded-full ${isConnected ? 'bg-mlb-red animate-pulse' : 'bg-gray-600'}`} />
+          <h2 className="font-bold text-white">
+            {isReplay ? 'Replay' : 'Live'}
+            {status?.detailedState && <span className="ml-2 text-sm font-normal text-gray-400">{status.detailedState}</span>}
+          </h2>
+        </div>
+        <span className="text-xs text-gray-500">
+          {isConnected ? 'Watching for new plays' : 'Stream ended'}
+        </span>
+      </div>
+
+      {highlights.length === 0 ? (
+        <p className="text-sm text-gray-500">No new highlight-worthy plays yet.</p>
+      ) : (
+        <ul className="space-y-2">
+          {highlights.map((h) => (
+            <li key={h.playIndex} className="flex items-start gap-3 text-sm">
+              <span className="w-10 text-center font-mono text-yellow-400">{h.highlightScore}</span>
+              <div className="min-w-0 flex-1">
+                <div className="text-white">
+                  {h.halfInning === 'top' ? 'Top' : 'Bot'} {h.inning} • {h.batter} • {h.event}
+                  {h.situation && (
+                    <span className="ml-2 px-1.5 py-0.5 bg-mlb-red/20 text-mlb-red text-xs rounded">{h.situation}</span>
+                  )}
+                </div>
+                <div className="text-gray-400 truncate">{h.description}</div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,225 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { findExportPreset, isPassthroughPreset } from '@/lib/export-presets';
+import { findSlateTemplate, hasSlates } from '@/lib/slates';
+import CaptionLinks from './CaptionLinks';
+
+const RENDER_TYPE_LABELS = {
+  'highlight-video': 'Quick Video',
+  'synced-video': 'Synced Video',
+  'custom-video': 'Custom Video',
+  'rundown-video': 'Rundown',
+  'roundup-video': 'Daily Roundup',
+  'player-reel': 'Player Reel',
+  'series-recap': 'Series Recap',
+};
+
+/**
+ * Format seconds as m:ss
+ */
+function formatDuration(seconds) {
+  if (!seconds && seconds !== 0) return '--:--';
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.round(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Short summary of what went into a render
+ */
+function describeRender(render) {
+  const playClips = (render.clips || []).filter(c => !c.isTransition);
+  const parts = [`${playClips.length} clip${playClips.length !== 1 ? 's' : ''}`];
+  if (render.voice?.style) parts.push(`${render.voice.style} voice`);
+  const preset = findExportPreset(render.exportPreset);
+  if (preset && !isPassthroughPreset(preset)) parts.push(preset.name);
+  if (render.burnCaptions && render.captions?.length) parts.push('captioned');
+  if (render.scoreGraphics) parts.push('score graphics');
+  const slates = render.slateTemplate && findSlateTemplate(render.slateTemplate);
+  if (hasSlates(slates)) parts.push(`${slates.name} slates`);
+  if (render.fileSize) parts.push(`${(render.fileSize / (1024 * 1024)).toFixed(1)} MB`);
+  return parts.join(' • ');
+}
+
+/**
+ * Narration text for a render (scripts are either a string or per-clip segments)
+ */
+function getScriptText(render) {
+  if (!render.script) return '';
+  if (typeof render.script === 'string') return render.script;
+  return render.script.map(seg => seg.narration).filter(Boolean).join(' ');
+}
+
+/**
+ * Previous renders for a game - re-download, delete, and compare side by side
+ */
+export default function RendersPanel({ gamePk, refreshKey = 0 }) {
+  const [renders, setRenders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+
+  const fetchRenders = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/renders/${gamePk}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load renders');
+      setRenders(data.renders || []);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading renders:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [gamePk]);
+
+  useEffect(() => {
+    fetchRenders();
+  }, [fetchRenders, refreshKey]);
+
+  const handleDelete = async (render) => {
+    if (!window.confirm('Delete this render? This cannot be undone.')) return;
+
+    try {
+      const response = await fetch(`/api/renders/${gamePk}/${render.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to delete render');
+      }
+      setCompareIds(prev => prev.filter(id => id !== render.id));
+      setRenders(prev => prev.filter(r => r.id !== render.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Keep at most two renders open for side-by-side comparison
+  const toggleCompare = (renderId) => {
+    setCompareIds(prev => {
+      if (prev.includes(renderId)) return prev.filter(id => id !== renderId);
+      return [...prev, renderId].slice(-2);
+    });
+  };
+
+  if (!isLoading && renders.length === 0 && !error) {
+    return null;
+  }
+
+  const comparedRenders = compareIds
+    .map(id => renders.find(r => r.id === id))
+    .filter(Boolean);
+
+  return (
+    <div className="bg-mlb-charcoal rounded-2xl p-6 border border-white/10">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-bold text-white">Previous Renders</h2>
+          <p className="text-sm text-gray-400">
+            {renders.length} saved • select up to two to compare
+          </p>
+        </div>
+        <button
+          onClick={fetchRenders}
+          className="px-3 py-1.5 bg-white/10 hover:bg-white/20 rounded-lg text-sm text-gray-300 transition-colors"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-500/10 border border-red-500/30 rounded-lg p-3 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      {/* Side-by-side comparison */}
+      {comparedRenders.length > 0 && (
+        <div className={`grid gap-4 mb-4 ${comparedRenders.length === 2 ? 'md:grid-cols-2' : 'grid-cols-1'}`}>
+          {comparedRenders.map(render => (
+            <div key={render.id} className="bg-black/20 rounded-lg overflow-hidden">
+              <div className="aspect-video bg-black">
+                <video src={render.videoUrl} controls className="w-full h-full" />
+              </div>
+              <div className="p-3 space-y-1">
+                <div className="text-sm text-white font-medium">
+                  {RENDER_TYPE_LABELS[render.type] || render.type} • {formatDuration(render.durations?.total)}
+                </div>
+                <div className="text-xs text-gray-400">{describeRender(render)}</div>
+                {getScriptText(render) && (
+                  <p className="text-xs text-gray-500 line-clamp-3">{getScriptText(render)}</p>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Render list */}
+      <div className="divide-y divide-white/5 border border-white/10 rounded-lg overflow-hidden">
+        {isLoading && renders.length === 0 && (
+          <div className="p-4 text-gray-500 text-sm">Loading renders...</div>
+        )}
+
+        {renders.map(render => {
+          const isCompared = compareIds.includes(render.id);
+
+          return (
+            <div
+              key={render.id}
+              className={`flex items-center gap-3 p-3 ${isCompared ? 'bg-slate-700/50' : 'bg-gray-800/50'}`}
+            >
+              <button
+                onClick={() => toggleCompare(render.id)}
+                className={`flex-shrink-0 w-5 h-5 rounded border-2 flex items-center justify-center transition-colors ${
+                  isCompared ? 'bg-blue-500 border-blue-500 text-white' : 'border-gray-600'
+                }`}
+                title="Compare"
+              >
+                {isCompared && (
+                  <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
+                    <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
+                  </svg>
+                )}
+              </button>
+
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-white">
+                    {RENDER_TYPE_LABELS[render.type] || render.type}
+                  </span>
+                  <span className="text-green-400 font-mono text-sm">
+                    {formatDuration(render.durations?.total)}
+                  </span>
+                </div>
+                <div className="text-sm text-gray-500">
+                  {new Date(render.createdAt).toLocaleString()} • {describeRender(render)}
+                </div>
+                <CaptionLinks captionUrls={render.captionUrls} />
+              </div>
+
+              <a
+                href={render.videoUrl}
+                download={`${render.type}-${gamePk}-${render.id}.${render.container || 'mp4'}`}
+                className="px-3 py-1.5 bg-blue-600 hover:bg-blue-500 rounded-lg text-white text-sm"
+              >
+                Download
+              </a>
+              <button
+                onClick={() => handleDelete(render)}
+                className="p-1 hover:bg-red-500/20 rounded text-gray-500 hover:text-red-400"
+                title="Delete render"
+              >
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                </svg>
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+'use client';
+
+import { useState } from 'react';
+import JobProgress from './JobProgress';
+import ExportPresetSelect from './ExportPresetSelect';
+import CaptionLinks from './CaptionLinks';
+import { runJob } from '@/lib/job-client';
+import { DEFAULT_EXPORT_PRESET_ID, exportContainer } from '@/lib/export-presets';
+import { DEFAULT_SLATE_TEMPLATE_ID } from '@/lib/slates';
+
+/**
+ * Builds one stitched roundup video from the top moments of every final game on a date
+ */
+export default function RoundupButton({ date }) {
+  const [isBuilding, setIsBuilding] = useState(false);
+  const [job, setJob] = useState(null);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [captionUrls, setCaptionUrls] = useState(null);
+  const [error, setError] = useState(null);
+  const [exportPreset, setExportPreset] = useState(DEFAULT_EXPORT_PRESET_ID);
+  const [burnCaptions, setBurnCaptions] = useState(false);
+  const [slateTemplate, setSlateTemplate] = useState(DEFAULT_SLATE_TEMPLATE_ID);
+  const [sponsorTag, setSponsorTag] = useState('');
+
+  const handleBuild = async () => {
+    setIsBuilding(true);
+    setError(null);
+    setVideoUrl(null);
+    setJob(null);
+
+    try {
+      const finished = await runJob('/api/roundup', { date, exportPreset, burnCaptions, slateTemplate, sponsorTag }, setJob);
+      setVideoUrl(finished.downloadUrl);
+      setCaptionUrls(finished.result?.captionUrls);
+    } catch (err) {
+      console.error('Roundup generation error:', err);
+      setError(err.message);
+    } finally {
+      setIsBuilding(false);
+      setJob(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <ExportPresetSelect
+        id="roundup-export-preset"
+        value={exportPreset}
+        onChange={setExportPreset}
+        burnCaptions={burnCaptions}
+        onBurnCaptionsChange={setBurnCaptions}
+        slateTemplate={slateTemplate}
+        onSlateTemplateChange={setSlateTemplate}
+        sponsorTag={sponsorTag}
+        onSponsorTagChange={setSponsorTag}
+        disabled={isBuilding}
+      />
+      <div className="flex items-center gap-3">
+        <button
+          onClick={handleBuild}
+          disabled={isBuilding}
+          className="px-4 py-2 bg-mlb-red hover:bg-mlb-red/80 text-white text-sm font-semibold rounded-lg transition-colors disabled:opacity-50"
+        >
+          {isBuilding ? 'Building roundup...' : 'Build roundup'}
+        </button>
+        {videoUrl && (
+          <a
+            href={videoUrl}
+            download={`roundup-${date}.${exportContainer(exportPreset)}`}
+            className="text-sm text-mlb-green hover:underline"
+          >
+            Download roundup video
+          </a>
+        )}
+        {videoUrl && <CaptionLinks captionUrls={captionUrls} />}
+        {error && <span className="text-sm text-red-400">{error}</span>}
+      </div>
+
+      {isBuilding && <JobProgress job={job} title="Building daily roundup..." />}
+    </div>
+  );
+}
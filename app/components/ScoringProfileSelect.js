@@ -0,0 +1,68 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+
+/**
+ * Picks the highlight scoring profile used for a game
+ * The selection is saved server-side so it sticks for the next visit
+ */
+export default function ScoringProfileSelect({ gamePk, profile, onChange }) {
+  const [profiles, setProfiles] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/scoring-profiles')
+      .then(res => res.json())
+      .then(data => setProfiles(data.profiles || []))
+      .catch(err => console.error('Error loading scoring profiles:', err));
+  }, []);
+
+  const handleChange = async (profileId) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/game/${gamePk}/scoring-profile`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ profileId }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save scoring profile');
+      onChange?.(data.profile);
+    } catch (err) {
+      console.error('Error saving scoring profile:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm">
+      <label htmlFor="scoring-profile" className="text-gray-400">Highlight scoring</label>
+      <select
+        id="scoring-profile"
+        value={profile?.id || ''}
+        onChange={(e) => handleChange(e.target.value)}
+        disabled={isSaving || profiles.length === 0}
+        className="bg-mlb-navy border border-white/10 rounded-lg px-3 py-1.5 text-white disabled:opacity-50"
+      >
+        {profiles.length === 0 && profile && (
+          <option value={profile.id}>{profile.name}</option>
+        )}
+        {profiles.map(p => (
+          <option key={p.id} value={p.id}>{p.name}</option>
+        ))}
+      </select>
+      {profile?.description && (
+        <span className="text-gray-500">{profile.description}</span>
+      )}
+      <Link href="/settings" className="text-mlb-red hover:underline">
+        Edit profiles
+      </Link>
+      {error && <span className="text-red-400">{error}</span>}
+    </div>
+  );
+}
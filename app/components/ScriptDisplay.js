@@ -1,17 +1,66 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import VoiceOptions from './VoiceOptions';
 import AudioPlayer from './AudioPlayer';
 import VideoPlayer from './VideoPlayer';
+import JobProgress from './JobProgress';
+import ScriptEditor from './ScriptEditor';
+import ScriptHistory from './ScriptHistory';
+import ExportPresetSelect from './ExportPresetSelect';
+import { runJob } from '@/lib/job-client';
+import { segmentScript, joinSegments, keepLockedSegments } from '@/lib/script-segments';
+import { DEFAULT_EXPORT_PRESET_ID } from '@/lib/export-presets';
+import { DEFAULT_SLATE_TEMPLATE_ID } from '@/lib/slates';
 
 // Default voice ID
 const DEFAULT_VOICE_ID = 'yl2ZDV1MzN4HbQJbMihG';
 
-export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle, highlights, keyPlays, gameData }) {
+// Wait for typing to settle before re-checking an edited script
+const FACT_CHECK_DELAY = 1000;
+
+/**
+ * Split a paragraph into plain and flagged runs using the fact check's sentence offsets
+ */
+function getParagraphRuns(paragraph, offset, sentences) {
+  const runs = [];
+  let cursor = 0;
+
+  for (const sentence of sentences) {
+    const start = Math.max(sentence.start - offset, cursor);
+    const end = Math.min(sentence.end - offset, paragraph.length);
+    if (sentence.issues.length === 0 || end <= start) continue;
+
+    if (start > cursor) runs.push({ text: paragraph.slice(cursor, start) });
+    runs.push({ text: paragraph.slice(start, end), issues: sentence.issues });
+    cursor = end;
+  }
+  if (cursor < paragraph.length) runs.push({ text: paragraph.slice(cursor) });
+
+  return runs;
+}
+
+export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle, highlights, keyPlays, gameData, perspectiveTeamId = null, onVideoGenerated = () => {} }) {
   const [copied, setCopied] = useState(false);
   const [selectedVoice, setSelectedVoice] = useState(DEFAULT_VOICE_ID);
   const [showVoiceOptions, setShowVoiceOptions] = useState(false);
+  const [exportPreset, setExportPreset] = useState(DEFAULT_EXPORT_PRESET_ID);
+  const [burnCaptions, setBurnCaptions] = useState(false);
+  const [scoreGraphics, setScoreGraphics] = useState(false);
+  const [slateTemplate, setSlateTemplate] = useState(DEFAULT_SLATE_TEMPLATE_ID);
+  const [sponsorTag, setSponsorTag] = useState('');
+
+  // Editor state - the segments, as edited, are the script that gets voiced
+  const [segments, setSegments] = useState([]);
+  const [isEditing, setIsEditing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const activeScript = segments.length > 0 ? joinSegments(segments) : (script || '');
+
+  // Fact check state
+  const [factCheck, setFactCheck] = useState(null);
+  const [isFixingClaims, setIsFixingClaims] = useState(false);
+  const [wasFixed, setWasFixed] = useState(false);
+  const [factCheckError, setFactCheckError] = useState(null);
 
   // Voice generation state
   const [isGeneratingVoice, setIsGeneratingVoice] = useState(false);
@@ -20,17 +69,92 @@ export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle,
 
   // Video generation state
   const [isGeneratingVideo, setIsGeneratingVideo] = useState(false);
-  const [videoData, setVideoData] = useState(null);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [videoCaptionUrls, setVideoCaptionUrls] = useState(null);
   const [videoError, setVideoError] = useState(null);
+  const [videoJob, setVideoJob] = useState(null);
 
   // Synced video generation state
   const [isGeneratingSyncedVideo, setIsGeneratingSyncedVideo] = useState(false);
-  const [syncedVideoData, setSyncedVideoData] = useState(null);
+  const [syncedVideoUrl, setSyncedVideoUrl] = useState(null);
+  const [syncedCaptionUrls, setSyncedCaptionUrls] = useState(null);
   const [syncedVideoError, setSyncedVideoError] = useState(null);
+  const [syncedVideoJob, setSyncedVideoJob] = useState(null);
+
+  // A new script starts a fresh edit - locked segments carry over a regeneration, but not a
+  // re-score (the script is cleared then, and play segments point at new key plays)
+  useEffect(() => {
+    setSegments(prev => (script ? keepLockedSegments(segmentScript(script, keyPlays), prev) : []));
+    setFactCheck(null);
+    setWasFixed(false);
+    setFactCheckError(null);
+  }, [script]);
+
+  // Check the script against the game feed - again after every edit
+  useEffect(() => {
+    if (!activeScript || !gamePk || factCheck?.script === activeScript) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch('/api/fact-check', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ gamePk, script: activeScript }),
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.details || data.error || 'Failed to fact-check script');
+        if (!cancelled) {
+          setFactCheck({ ...data.factCheck, script: activeScript });
+          setFactCheckError(null);
+        }
+      } catch (err) {
+        console.error('Fact check error:', err);
+        if (!cancelled) setFactCheckError(err.message);
+      }
+    }, FACT_CHECK_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [activeScript, gamePk]);
+
+  const handleFixClaims = async () => {
+    setIsFixingClaims(true);
+    setFactCheckError(null);
+
+    try {
+      const response = await fetch('/api/fact-check', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ gamePk, script: activeScript, style: scriptStyle, fix: true }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details || data.error || 'Failed to fix script');
+
+      // Locked segments keep their text - if one differs, the check reruns on the merged script
+      setSegments(prev => keepLockedSegments(segmentScript(data.script, keyPlays), prev));
+      setFactCheck({ ...data.factCheck, script: data.script });
+      setWasFixed(true);
+    } catch (err) {
+      console.error('Fact fix error:', err);
+      setFactCheckError(err.message);
+    } finally {
+      setIsFixingClaims(false);
+    }
+  };
+
+  // A restored version replaces what's on screen and goes to voice/video from here
+  const handleRestoreVersion = (version) => {
+    setSegments(segmentScript(version.script, keyPlays));
+    setWasFixed(false);
+    setShowHistory(false);
+  };
 
   const handleCopy = async () => {
     try {
-      await navigator.clipboard.writeText(script);
+      await navigator.clipboard.writeText(activeScript);
       setCopied(true);
       setTimeout(() => setCopied(false), 2000);
     } catch (err) {
@@ -44,7 +168,7 @@ export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle,
       if (navigator.share) {
         await navigator.share({
           title: 'MLB Highlight Script',
-          text: script,
+          text: activeScript,
           url: url,
         });
       } else {
@@ -67,7 +191,7 @@ export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle,
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          script,
+          script: activeScript,
           voiceId: selectedVoice,
           style: scriptStyle,
         }),
@@ -91,67 +215,67 @@ export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle,
   const handleGenerateVideo = async () => {
     setIsGeneratingVideo(true);
     setVideoError(null);
-    setVideoData(null);
+    setVideoUrl(null);
+    setVideoJob(null);
 
     try {
-      const response = await fetch('/api/generate-video', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          script,
-          voiceId: selectedVoice,
-          style: scriptStyle,
-          keyPlays, // Use matched key plays with their video clips
-          highlights: highlights?.slice(0, 5), // Fallback to top 5 highlights
-          gamePk,
-        }),
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.details || 'Failed to generate video');
-      }
-
-      const data = await response.json();
-      setVideoData(data.video);
+      const job = await runJob('/api/generate-video', {
+        script: activeScript,
+        voiceId: selectedVoice,
+        style: scriptStyle,
+        keyPlays, // Use matched key plays with their video clips
+        segments, // Clips follow the plays the edited script still covers
+        highlights: highlights?.slice(0, 5), // Fallback to top 5 highlights
+        gamePk,
+        exportPreset,
+        burnCaptions,
+        scoreGraphics,
+        slateTemplate,
+        sponsorTag,
+      }, setVideoJob);
+
+      setVideoUrl(job.downloadUrl);
+      setVideoCaptionUrls(job.result?.captionUrls);
+      onVideoGenerated();
     } catch (err) {
       console.error('Video generation error:', err);
       setVideoError(err.message);
     } finally {
       setIsGeneratingVideo(false);
+      setVideoJob(null);
     }
   };
 
   const handleGenerateSyncedVideo = async () => {
     setIsGeneratingSyncedVideo(true);
     setSyncedVideoError(null);
-    setSyncedVideoData(null);
+    setSyncedVideoUrl(null);
+    setSyncedVideoJob(null);
 
     try {
-      const response = await fetch('/api/generate-synced-video', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          gameData,
-          keyPlays,
-          style: scriptStyle,
-          voiceId: selectedVoice,
-          gamePk,
-        }),
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.details || 'Failed to generate synced video');
-      }
-
-      const data = await response.json();
-      setSyncedVideoData(data.video);
+      const job = await runJob('/api/generate-synced-video', {
+        gameData,
+        keyPlays,
+        style: scriptStyle,
+        voiceId: selectedVoice,
+        gamePk,
+        perspectiveTeamId,
+        exportPreset,
+        burnCaptions,
+        scoreGraphics,
+        slateTemplate,
+        sponsorTag,
+      }, setSyncedVideoJob);
+
+      setSyncedVideoUrl(job.downloadUrl);
+      setSyncedCaptionUrls(job.result?.captionUrls);
+      onVideoGenerated();
     } catch (err) {
       console.error('Synced video generation error:', err);
       setSyncedVideoError(err.message);
     } finally {
       setIsGeneratingSyncedVideo(false);
+      setSyncedVideoJob(null);
     }
   };
 
@@ -177,7 +301,12 @@ export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle,
   }
 
   // Calculate estimated read time (average 150 words per minute)
-  const wordCount = script.split(/\s+/).length;
+  const wordCount = activeScript.split(/\s+/).length;
+
+  // Only trust offsets computed for the text on screen
+  const checkedSentences = factCheck?.script === activeScript ? factCheck.sentences : [];
+  const flaggedCount = checkedSentences.filter(s => s.issues.length > 0).length;
+  let paragraphOffset = 0;
   const readTime = Math.ceil(wordCount / 150 * 60);
 
   return (
@@ -192,6 +321,28 @@ export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle,
             </p>
           </div>
           <div className="flex gap-2">
+            {gamePk && (
+              <button
+                onClick={() => setShowHistory(true)}
+                className="flex items-center gap-2 px-4 py-2 bg-white/10 hover:bg-white/20 rounded-lg transition-colors"
+              >
+                <svg className="w-4 h-4 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                <span className="text-gray-300 text-sm">History</span>
+              </button>
+            )}
+            <button
+              onClick={() => setIsEditing(!isEditing)}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+                isEditing ? 'bg-white/20 hover:bg-white/30' : 'bg-white/10 hover:bg-white/20'
+              }`}
+            >
+              <svg className="w-4 h-4 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+              </svg>
+              <span className="text-gray-300 text-sm">{isEditing ? 'Done' : 'Edit'}</span>
+            </button>
             <button
               onClick={handleCopy}
               className="flex items-center gap-2 px-4 py-2 bg-white/10 hover:bg-white/20 rounded-lg transition-colors"
@@ -226,14 +377,76 @@ export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle,
 
         {/* Script content */}
         <div className="p-6">
-          <div className="prose prose-invert max-w-none">
-            {script.split('\n\n').map((paragraph, index) => (
-              <p key={index} className="text-gray-200 leading-relaxed mb-4 last:mb-0">
-                {paragraph}
-              </p>
-            ))}
-          </div>
+          {isEditing ? (
+            <ScriptEditor
+              segments={segments}
+              onChange={setSegments}
+              keyPlays={keyPlays}
+              gameData={gameData}
+              scriptStyle={scriptStyle}
+              perspectiveTeamId={perspectiveTeamId}
+            />
+          ) : (
+            <div className="prose prose-invert max-w-none">
+              {activeScript.split('\n\n').map((paragraph, index) => {
+                const runs = getParagraphRuns(paragraph, paragraphOffset, checkedSentences);
+                paragraphOffset += paragraph.length + 2;
+                return (
+                  <p key={index} className="text-gray-200 leading-relaxed mb-4 last:mb-0">
+                    {runs.map((run, runIndex) => run.issues ? (
+                      <mark
+                        key={runIndex}
+                        title={run.issues.map(issue => issue.message).join('\n')}
+                        className="bg-yellow-500/20 text-yellow-100 underline decoration-yellow-400 decoration-wavy rounded-sm cursor-help"
+                      >
+                        {run.text}
+                      </mark>
+                    ) : (
+                      <span key={runIndex}>{run.text}</span>
+                    ))}
+                  </p>
+                );
+              })}
+            </div>
+          )}
         </div>
+
+        {/* Fact check */}
+        {(flaggedCount > 0 || factCheckError || wasFixed) && (
+          <div className="px-6 py-4 border-t border-white/10 bg-black/20">
+            {flaggedCount > 0 && (
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                <div>
+                  <p className="text-sm text-yellow-300 font-medium">
+                    {flaggedCount} sentence{flaggedCount !== 1 ? 's' : ''} {flaggedCount !== 1 ? "don't" : "doesn't"} match the game feed
+                  </p>
+                  <ul className="mt-1 text-xs text-gray-400 space-y-0.5">
+                    {checkedSentences.flatMap(s => s.issues).map((issue, index) => (
+                      <li key={index}>• {issue.message}</li>
+                    ))}
+                  </ul>
+                </div>
+                <button
+                  onClick={handleFixClaims}
+                  disabled={isFixingClaims}
+                  className={`shrink-0 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    isFixingClaims
+                      ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
+                      : 'bg-yellow-600 hover:bg-yellow-500 text-white'
+                  }`}
+                >
+                  {isFixingClaims ? 'Rewriting...' : 'Fix flagged sentences'}
+                </button>
+              </div>
+            )}
+            {flaggedCount === 0 && wasFixed && (
+              <p className="text-sm text-green-400">Flagged sentences rewritten from the game feed</p>
+            )}
+            {factCheckError && (
+              <p className="text-sm text-red-400">Fact check: {factCheckError}</p>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Voice & Video Generation Section */}
@@ -266,6 +479,23 @@ export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle,
           </div>
         )}
 
+        {/* Output format for both video packages */}
+        <div className="mb-4">
+          <ExportPresetSelect
+            value={exportPreset}
+            onChange={setExportPreset}
+            burnCaptions={burnCaptions}
+            onBurnCaptionsChange={setBurnCaptions}
+            scoreGraphics={scoreGraphics}
+            onScoreGraphicsChange={setScoreGraphics}
+            slateTemplate={slateTemplate}
+            onSlateTemplateChange={setSlateTemplate}
+            sponsorTag={sponsorTag}
+            onSponsorTagChange={setSponsorTag}
+            disabled={isGeneratingVideo || isGeneratingSyncedVideo}
+          />
+        </div>
+
         {/* Generation Buttons */}
         <div className="flex flex-col sm:flex-row gap-3">
           {/* Generate Voice Button */}
@@ -332,7 +562,7 @@ export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle,
           {isGeneratingSyncedVideo ? (
             <>
               <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
-              Analyzing & Syncing (this takes a minute)...
+              Analyzing & Syncing...
             </>
           ) : (
             <>
@@ -347,6 +577,19 @@ export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle,
           Uses Gemini to analyze clips and sync narration with action
         </p>
 
+        {/* Job Progress */}
+        {isGeneratingVideo && (
+          <div className="mt-4">
+            <JobProgress job={videoJob} title="Creating video..." />
+          </div>
+        )}
+
+        {isGeneratingSyncedVideo && (
+          <div className="mt-4">
+            <JobProgress job={syncedVideoJob} title="Creating synced video..." />
+          </div>
+        )}
+
         {/* Error Messages */}
         {voiceError && (
           <div className="mt-4 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
@@ -374,6 +617,15 @@ export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle,
         )}
       </div>
 
+      <ScriptHistory
+        gamePk={gamePk}
+        currentScript={activeScript}
+        scriptStyle={scriptStyle}
+        isOpen={showHistory}
+        onClose={() => setShowHistory(false)}
+        onRestore={handleRestoreVersion}
+      />
+
       {/* Audio Player */}
       {audioData && (
         <AudioPlayer
@@ -383,18 +635,20 @@ export default function ScriptDisplay({ script, isLoading, gamePk, scriptStyle,
       )}
 
       {/* Video Player */}
-      {videoData && (
+      {videoUrl && (
         <VideoPlayer
-          videoBase64={videoData}
-          onClose={() => setVideoData(null)}
+          videoUrl={videoUrl}
+          captionUrls={videoCaptionUrls}
+          onClose={() => setVideoUrl(null)}
         />
       )}
 
       {/* Synced Video Player */}
-      {syncedVideoData && (
+      {syncedVideoUrl && (
         <VideoPlayer
-          videoBase64={syncedVideoData}
-          onClose={() => setSyncedVideoData(null)}
+          videoUrl={syncedVideoUrl}
+          captionUrls={syncedCaptionUrls}
+          onClose={() => setSyncedVideoUrl(null)}
         />
       )}
     </div>
@@ -0,0 +1,138 @@
+'use client';
+
+import { useState } from 'react';
+import { SCRIPT_STYLES } from '@/lib/script-config';
+import { getSituationLabel } from '@/lib/game-state';
+
+/**
+ * Heading for a segment - the play it covers, or its place in the script
+ */
+function describeSegment(segment, keyPlays) {
+  if (segment.kind === 'intro') return 'Intro';
+  if (segment.kind === 'outro') return 'Sign-off';
+
+  const play = keyPlays?.[segment.keyPlayIndex];
+  if (!play) return 'Play';
+  const inning = `${play.about?.halfInning === 'top' ? 'Top' : 'Bot'} ${play.about?.inning}`;
+  const situation = getSituationLabel(play);
+  return `${inning} • ${play.matchup?.batter?.fullName || 'Unknown'} - ${play.result?.event || 'Play'}${situation ? ` (${situation})` : ''}`;
+}
+
+/**
+ * Segment-by-segment script editor
+ * Each segment (intro, one per key play, sign-off) can be:
+ * - Edited by hand
+ * - Locked, so neither regeneration nor fact fixes touch it
+ * - Regenerated on its own, in any script style
+ */
+export default function ScriptEditor({
+  segments,
+  onChange,
+  keyPlays,
+  gameData,
+  scriptStyle,
+  perspectiveTeamId = null,
+}) {
+  const [segmentStyles, setSegmentStyles] = useState({});
+  const [regeneratingId, setRegeneratingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const updateSegment = (index, changes) => {
+    onChange(segments.map((segment, i) => (i === index ? { ...segment, ...changes } : segment)));
+  };
+
+  const handleRegenerate = async (index) => {
+    const segment = segments[index];
+    setRegeneratingId(segment.id);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/generate-script/segment', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          gameData,
+          keyPlays,
+          segments,
+          index,
+          style: segmentStyles[segment.id] || scriptStyle,
+          perspectiveTeamId,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details || data.error || 'Failed to regenerate segment');
+
+      updateSegment(index, { text: data.text });
+    } catch (err) {
+      console.error('Segment regeneration error:', err);
+      setError(err.message);
+    } finally {
+      setRegeneratingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {segments.map((segment, index) => {
+        const isRegenerating = regeneratingId === segment.id;
+        const wordCount = segment.text.split(/\s+/).filter(Boolean).length;
+
+        return (
+          <div
+            key={segment.id}
+            className={`rounded-lg border p-3 ${segment.locked ? 'border-mlb-red/40 bg-mlb-red/5' : 'border-white/10 bg-black/20'}`}
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-white truncate">{describeSegment(segment, keyPlays)}</p>
+                <p className="text-xs text-gray-500">{wordCount} words</p>
+              </div>
+              <div className="flex items-center gap-2">
+                <select
+                  value={segmentStyles[segment.id] || scriptStyle || SCRIPT_STYLES[0].id}
+                  onChange={(e) => setSegmentStyles(prev => ({ ...prev, [segment.id]: e.target.value }))}
+                  disabled={segment.locked || isRegenerating}
+                  className="bg-white/10 text-gray-200 text-xs rounded-md px-2 py-1.5 border border-white/10 disabled:opacity-50"
+                >
+                  {SCRIPT_STYLES.map(style => (
+                    <option key={style.id} value={style.id} className="bg-mlb-charcoal">
+                      {style.icon} {style.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleRegenerate(index)}
+                  disabled={segment.locked || regeneratingId !== null}
+                  className="px-3 py-1.5 text-xs rounded-md bg-white/10 hover:bg-white/20 text-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isRegenerating ? 'Rewriting...' : 'Regenerate'}
+                </button>
+                <button
+                  onClick={() => updateSegment(index, { locked: !segment.locked })}
+                  title={segment.locked ? 'Unlock to edit or regenerate' : 'Lock - keep this text through regenerations and fact fixes'}
+                  className={`px-3 py-1.5 text-xs rounded-md transition-colors ${
+                    segment.locked ? 'bg-mlb-red text-white hover:bg-red-600' : 'bg-white/10 text-gray-200 hover:bg-white/20'
+                  }`}
+                >
+                  {segment.locked ? 'Locked' : 'Lock'}
+                </button>
+              </div>
+            </div>
+            <textarea
+              value={segment.text}
+              onChange={(e) => updateSegment(index, { text: e.target.value })}
+              readOnly={segment.locked}
+              disabled={isRegenerating}
+              rows={Math.max(2, Math.ceil(segment.text.length / 90))}
+              className="w-full bg-transparent text-gray-200 text-sm leading-relaxed resize-y rounded-md border border-white/5 focus:border-white/20 focus:outline-none p-2 disabled:opacity-50"
+            />
+          </div>
+        );
+      })}
+
+      {error && (
+        <p className="text-sm text-red-400">{error}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,202 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { SCRIPT_STYLES, SCRIPT_LENGTHS } from '@/lib/script-config';
+import { diffWords, countChanges } from '@/lib/text-diff';
+
+// Segment joins and trailing spaces don't make a new version
+const sameText = (a, b) => (a || '').replace(/\s+/g, ' ').trim() === (b || '').replace(/\s+/g, ' ').trim();
+
+function formatTimestamp(iso) {
+  return new Date(iso).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Script history drawer - every saved version of a game's script
+ * Users can:
+ * - Compare any version against the script on screen (word diff)
+ * - Restore a version into the editor, ready for voice and video
+ * - Save the script on screen (with their edits) as a new version
+ */
+export default function ScriptHistory({ gamePk, currentScript, scriptStyle, isOpen, onClose, onRestore }) {
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [comparingId, setComparingId] = useState(null);
+  const [restoredId, setRestoredId] = useState(null);
+
+  // Reload whenever the drawer opens - a new generation may have added a version
+  useEffect(() => {
+    if (!isOpen || !gamePk) return;
+
+    let cancelled = false;
+    (async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const response = await fetch(`/api/scripts/${gamePk}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.details || data.error || 'Failed to load script history');
+        if (!cancelled) setVersions(data.versions);
+      } catch (err) {
+        console.error('Script history error:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [isOpen, gamePk]);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/scripts/${gamePk}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ script: currentScript, style: scriptStyle, parentId: restoredId }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details || data.error || 'Failed to save version');
+
+      setVersions(prev => [data.version, ...prev]);
+    } catch (err) {
+      console.error('Save version error:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRestore = (version) => {
+    setRestoredId(version.id);
+    setComparingId(null);
+    onRestore(version);
+  };
+
+  if (!isOpen) return null;
+
+  const isSaved = versions.some(version => sameText(version.script, currentScript));
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black/60 z-40" onClick={onClose} />
+      <div className="fixed inset-y-0 right-0 w-full max-w-md bg-mlb-charcoal border-l border-white/10 z-50 flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between px-5 py-4 border-b border-white/10">
+          <div>
+            <h3 className="font-semibold text-white">Script History</h3>
+            <p className="text-xs text-gray-400">{versions.length} version{versions.length !== 1 ? 's' : ''} saved for this game</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg hover:bg-white/10 transition-colors"
+            aria-label="Close history"
+          >
+            <svg className="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Save current */}
+        <div className="px-5 py-3 border-b border-white/10">
+          <button
+            onClick={handleSave}
+            disabled={isSaving || isSaved || !currentScript}
+            className="w-full px-4 py-2 rounded-lg text-sm font-medium bg-white/10 hover:bg-white/20 text-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? 'Saving...' : isSaved ? 'Current script is saved' : 'Save current script as a version'}
+          </button>
+          {error && <p className="mt-2 text-sm text-red-400">{error}</p>}
+        </div>
+
+        {/* Versions */}
+        <div className="flex-1 overflow-y-auto px-5 py-3 space-y-3">
+          {isLoading && <p className="text-sm text-gray-400">Loading versions...</p>}
+          {!isLoading && versions.length === 0 && (
+            <p className="text-sm text-gray-500">No saved versions yet - generated scripts show up here.</p>
+          )}
+
+          {versions.map(version => {
+            const isCurrent = sameText(version.script, currentScript);
+            const isComparing = comparingId === version.id;
+            const runs = isComparing ? diffWords(version.script, currentScript) : null;
+            const changes = runs ? countChanges(runs) : null;
+            const styleName = SCRIPT_STYLES.find(s => s.id === version.style)?.name || version.style;
+            const lengthName = SCRIPT_LENGTHS.find(l => l.id === version.length)?.name;
+
+            return (
+              <div
+                key={version.id}
+                className={`rounded-lg border p-3 ${isCurrent ? 'border-mlb-red/50 bg-mlb-red/5' : 'border-white/10 bg-black/20'}`}
+              >
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <p className="text-sm text-white">
+                      {formatTimestamp(version.createdAt)}
+                      {isCurrent && <span className="ml-2 text-xs text-mlb-red font-medium">On screen</span>}
+                    </p>
+                    <p className="text-xs text-gray-400 truncate">
+                      {[
+                        { edited: 'Edited', synced: 'Synced' }[version.source] || 'Generated',
+                        styleName,
+                        lengthName,
+                        version.model,
+                        `${version.wordCount} words`,
+                      ].filter(Boolean).join(' • ')}
+                    </p>
+                  </div>
+                  <div className="flex gap-2 shrink-0">
+                    <button
+                      onClick={() => setComparingId(isComparing ? null : version.id)}
+                      disabled={isCurrent}
+                      className="px-2.5 py-1 text-xs rounded-md bg-white/10 hover:bg-white/20 text-gray-200 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      {isComparing ? 'Hide diff' : 'Compare'}
+                    </button>
+                    <button
+                      onClick={() => handleRestore(version)}
+                      disabled={isCurrent}
+                      className="px-2.5 py-1 text-xs rounded-md bg-mlb-red hover:bg-red-600 text-white transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      Restore
+                    </button>
+                  </div>
+                </div>
+
+                {isComparing ? (
+                  <div className="mt-3">
+                    <p className="text-xs text-gray-400 mb-1">
+                      Changes on screen since this version: <span className="text-green-400">+{changes.added}</span> / <span className="text-red-400">-{changes.removed}</span> words
+                    </p>
+                    <p className="text-sm text-gray-300 leading-relaxed whitespace-pre-wrap">
+                      {runs.map((run, index) => run.type === 'same' ? (
+                        <span key={index}>{run.text}</span>
+                      ) : run.type === 'added' ? (
+                        <ins key={index} className="bg-green-500/20 text-green-200 no-underline">{run.text}</ins>
+                      ) : (
+                        <del key={index} className="bg-red-500/20 text-red-300">{run.text}</del>
+                      ))}
+                    </p>
+                  </div>
+                ) : (
+                  <p className="mt-2 text-xs text-gray-500 line-clamp-2">{version.script}</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </>
+  );
+}
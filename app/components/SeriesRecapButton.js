@@ -0,0 +1,106 @@
+'use client';
+
+import { useState } from 'react';
+import JobProgress from './JobProgress';
+import ExportPresetSelect from './ExportPresetSelect';
+import CaptionLinks from './CaptionLinks';
+import { runJob } from '@/lib/job-client';
+import { DEFAULT_EXPORT_PRESET_ID, exportContainer } from '@/lib/export-presets';
+import { DEFAULT_SLATE_TEMPLATE_ID } from '@/lib/slates';
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ */
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T12:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+}
+
+/**
+ * Builds a recap video for the series around a game - every final game the two
+ * teams played in the date range, with series storylines in the narration
+ */
+export default function SeriesRecapButton({ teamId, opponentId, date }) {
+  const [startDate, setStartDate] = useState(shiftDate(date, -3));
+  const [endDate, setEndDate] = useState(shiftDate(date, 3));
+  const [isBuilding, setIsBuilding] = useState(false);
+  const [job, setJob] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [exportPreset, setExportPreset] = useState(DEFAULT_EXPORT_PRESET_ID);
+  const [burnCaptions, setBurnCaptions] = useState(false);
+  const [slateTemplate, setSlateTemplate] = useState(DEFAULT_SLATE_TEMPLATE_ID);
+  const [sponsorTag, setSponsorTag] = useState('');
+
+  const handleBuild = async () => {
+    setIsBuilding(true);
+    setError(null);
+    setResult(null);
+    setJob(null);
+
+    try {
+      const finished = await runJob('/api/series', { teamId, opponentId, startDate, endDate, exportPreset, burnCaptions, slateTemplate, sponsorTag }, setJob);
+      setResult(finished);
+    } catch (err) {
+      console.error('Series recap generation error:', err);
+      setError(err.message);
+    } finally {
+      setIsBuilding(false);
+      setJob(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <ExportPresetSelect
+        id="series-export-preset"
+        value={exportPreset}
+        onChange={setExportPreset}
+        burnCaptions={burnCaptions}
+        onBurnCaptionsChange={setBurnCaptions}
+        slateTemplate={slateTemplate}
+        onSlateTemplateChange={setSlateTemplate}
+        sponsorTag={sponsorTag}
+        onSponsorTagChange={setSponsorTag}
+        disabled={isBuilding}
+      />
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span className="text-gray-400">Series from</span>
+        <input
+          type="date"
+          value={startDate}
+          onChange={(e) => setStartDate(e.target.value)}
+          className="bg-mlb-navy border border-white/10 rounded-lg px-2 py-1 text-white"
+        />
+        <span className="text-gray-400">to</span>
+        <input
+          type="date"
+          value={endDate}
+          onChange={(e) => setEndDate(e.target.value)}
+          className="bg-mlb-navy border border-white/10 rounded-lg px-2 py-1 text-white"
+        />
+        <button
+          onClick={handleBuild}
+          disabled={isBuilding}
+          className="px-4 py-2 bg-mlb-red hover:bg-mlb-red/80 text-white font-semibold rounded-lg transition-colors disabled:opacity-50"
+        >
+          {isBuilding ? 'Building recap...' : 'Build series recap'}
+        </button>
+        {result?.downloadUrl && (
+          <a
+            href={result.downloadUrl}
+            download={`series-${teamId}-${opponentId}-${startDate}.${exportContainer(exportPreset)}`}
+            className="text-mlb-green hover:underline"
+          >
+            Download recap ({result.result?.gamesCovered} games)
+          </a>
+        )}
+        <CaptionLinks captionUrls={result?.result?.captionUrls} />
+        {error && <span className="text-red-400">{error}</span>}
+      </div>
+
+      {isBuilding && <JobProgress job={job} title="Building series recap..." />}
+    </div>
+  );
+}
@@ -0,0 +1,302 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import JobProgress from './JobProgress';
+import ExportPresetSelect from './ExportPresetSelect';
+import { runJob } from '@/lib/job-client';
+import {
+  getTimelineRoute,
+  TRANSITIONS,
+  layoutTimeline,
+  validateTimeline,
+  updateItem,
+  moveEvent,
+  removeItem,
+} from '@/lib/timeline';
+
+const TIMELINE_TYPE_LABELS = {
+  'highlight-video': 'Quick Video',
+  'synced-video': 'Synced Video',
+  'custom-video': 'Custom Video',
+  'rundown-video': 'Rundown',
+  'roundup-video': 'Daily Roundup',
+  'series-recap': 'Series Recap',
+  'player-reel': 'Player Reel',
+};
+
+function eventLabel(event) {
+  if (event.kind === 'transition') return `Inning card: ${event.src}`;
+  if (event.kind === 'card') return `Title card: ${event.label || ''}`;
+  return event.label || `Play ${event.playIndex ?? ''}`;
+}
+
+function formatTimestamp(iso) {
+  return new Date(iso).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Seconds input - empty means "to the end of the clip" where allowed
+ */
+function SecondsInput({ value, onChange, placeholder = '', label }) {
+  return (
+    <input
+      type="number"
+      min="0"
+      step="0.1"
+      value={value ?? ''}
+      placeholder={placeholder}
+      aria-label={label}
+      onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+      className="w-20 bg-mlb-navy border border-white/10 rounded px-2 py-1 text-white text-sm"
+    />
+  );
+}
+
+/**
+ * Timeline editor - the saved edit decision lists behind a game's videos
+ * Every quick, synced, custom and rundown video saves the timeline it was
+ * rendered from. Users can:
+ * - Trim clips, change how they come in, reorder and drop them
+ * - Slide narration lines against their clip, or drop them
+ * - Drop score graphics and change the export settings
+ * - Save the edit as a new timeline and render it again, without re-voicing
+ */
+export default function TimelineEditor({ gamePk, refreshKey = 0, onRendered = () => {} }) {
+  const [timelines, setTimelines] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [isDirty, setIsDirty] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isRendering, setIsRendering] = useState(false);
+  const [job, setJob] = useState(null);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Reload after every render - each one saves a timeline
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const response = await fetch(`/api/timelines/${gamePk}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.details || data.error || 'Failed to load timelines');
+        if (cancelled) return;
+        setTimelines(data.timelines);
+        setDraft(current => (current && data.timelines.some(t => t.id === current.id) ? current : data.timelines[0] || null));
+      } catch (err) {
+        console.error('Timeline load error:', err);
+        if (!cancelled) setError(err.message);
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [gamePk, refreshKey]);
+
+  if (!draft) return null;
+
+  const edit = (next) => {
+    setDraft(next);
+    setIsDirty(true);
+  };
+  const editEvent = (id, changes) => edit(updateItem(draft, 'video', id, changes));
+  const setOutput = (changes) => edit({ ...draft, output: { ...draft.output, ...changes } });
+
+  const handleSelect = (id) => {
+    setDraft(timelines.find(t => t.id === id));
+    setIsDirty(false);
+    setVideoUrl(null);
+  };
+
+  const save = async () => {
+    const response = await fetch(`/api/timelines/${gamePk}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ timeline: draft }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.details || data.error || 'Failed to save timeline');
+
+    setTimelines(prev => [data.timeline, ...prev.filter(t => t.id !== data.timeline.id)]);
+    setDraft(data.timeline);
+    setIsDirty(false);
+    return data.timeline;
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await save();
+    } catch (err) {
+      console.error('Timeline save error:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRender = async () => {
+    setIsRendering(true);
+    setError(null);
+    setVideoUrl(null);
+    setJob(null);
+
+    try {
+      const timeline = isDirty ? await save() : draft;
+      const finished = await runJob(getTimelineRoute(timeline), { timeline }, setJob);
+      setVideoUrl(finished.downloadUrl);
+      onRendered();
+    } catch (err) {
+      console.error('Timeline render error:', err);
+      setError(err.message);
+    } finally {
+      setIsRendering(false);
+      setJob(null);
+    }
+  };
+
+  const problem = validateTimeline(draft);
+  const { video, narration, graphics } = draft.tracks;
+  const labelFor = (eventId) => {
+    const index = video.findIndex(event => event.id === eventId);
+    return index < 0 ? 'start' : `clip ${index + 1}`;
+  };
+  const busy = isSaving || isRendering;
+
+  return (
+    <div className="bg-mlb-charcoal rounded-2xl p-6 border border-white/10 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-white">Timeline</h2>
+          <p className="text-sm text-gray-400">
+            {TIMELINE_TYPE_LABELS[draft.type] || draft.type} • {video.length} event{video.length !== 1 ? 's' : ''} •
+            {' '}about {layoutTimeline(draft).duration.toFixed(1)}s of trimmed clips
+            {isDirty && ' • unsaved changes'}
+          </p>
+        </div>
+        <select
+          value={draft.id || ''}
+          onChange={(e) => handleSelect(e.target.value)}
+          disabled={busy}
+          aria-label="Saved timelines"
+          className="bg-mlb-navy border border-white/10 rounded-lg px-3 py-1.5 text-white text-sm disabled:opacity-50"
+        >
+          {timelines.map(timeline => (
+            <option key={timeline.id} value={timeline.id}>
+              {TIMELINE_TYPE_LABELS[timeline.type] || timeline.type} • {formatTimestamp(timeline.createdAt)}
+              {timeline.parentId ? ' (edited)' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Video track */}
+      <div className="divide-y divide-white/5 border border-white/10 rounded-lg overflow-hidden">
+        {video.map((event, i) => (
+          <div key={event.id} className="flex flex-wrap items-center gap-3 p-3 bg-gray-800/50 text-sm">
+            <span className="w-6 text-gray-500 font-mono">{i + 1}</span>
+            <span className="flex-1 min-w-[10rem] text-white truncate" title={event.label || event.src}>
+              {eventLabel(event)}
+            </span>
+            {event.kind === 'play' && (
+              <>
+                <label className="flex items-center gap-1 text-gray-400">
+                  In
+                  <SecondsInput value={event.in} label={`Clip ${i + 1} in point`} onChange={(value) => editEvent(event.id, { in: value ?? 0 })} />
+                </label>
+                <label className="flex items-center gap-1 text-gray-400">
+                  Out
+                  <SecondsInput value={event.out} placeholder="end" label={`Clip ${i + 1} out point`} onChange={(value) => editEvent(event.id, { out: value })} />
+                </label>
+                <select
+                  value={event.transition}
+                  onChange={(e) => editEvent(event.id, { transition: e.target.value })}
+                  aria-label={`Clip ${i + 1} transition`}
+                  className="bg-mlb-navy border border-white/10 rounded px-2 py-1 text-white"
+                >
+                  {TRANSITIONS.map(transition => (
+                    <option key={transition} value={transition}>{transition}</option>
+                  ))}
+                </select>
+              </>
+            )}
+            <div className="flex items-center gap-1">
+              <button onClick={() => edit(moveEvent(draft, event.id, -1))} disabled={i === 0} className="px-2 py-1 rounded hover:bg-white/10 text-gray-300 disabled:opacity-30" title="Move earlier">↑</button>
+              <button onClick={() => edit(moveEvent(draft, event.id, 1))} disabled={i === video.length - 1} className="px-2 py-1 rounded hover:bg-white/10 text-gray-300 disabled:opacity-30" title="Move later">↓</button>
+              <button onClick={() => edit(removeItem(draft, 'video', event.id))} className="px-2 py-1 rounded hover:bg-red-500/20 text-gray-500 hover:text-red-400" title="Remove clip and what hangs off it">✕</button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Narration track */}
+      {narration.length > 0 && (
+        <div className="space-y-2">
+          <h3 className="text-sm font-semibold text-gray-300">Narration</h3>
+          {narration.map(line => (
+            <div key={line.id} className="flex flex-wrap items-center gap-3 text-sm">
+              <span className="flex-1 min-w-[12rem] text-gray-300 line-clamp-1" title={line.text}>{line.text}</span>
+              <label className="flex items-center gap-1 text-gray-400">
+                {line.duration.toFixed(1)}s at {labelFor(line.anchor)} +
+                <SecondsInput value={line.offset} label={`${line.id} offset`} onChange={(value) => edit(updateItem(draft, 'narration', line.id, { offset: value ?? 0 }))} />
+              </label>
+              <button onClick={() => edit(removeItem(draft, 'narration', line.id))} className="px-2 py-1 rounded hover:bg-red-500/20 text-gray-500 hover:text-red-400" title="Remove line">✕</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Graphics track */}
+      {graphics.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <h3 className="font-semibold text-gray-300 mr-1">Score graphics</h3>
+          {graphics.map(bug => (
+            <span key={bug.id} className="flex items-center gap-1 px-2 py-1 bg-white/5 rounded text-gray-300">
+              {labelFor(bug.anchor)}{bug.until && bug.until !== bug.anchor ? `–${labelFor(bug.until).replace('clip ', '')}` : ''}
+              <button onClick={() => edit(removeItem(draft, 'graphics', bug.id))} className="text-gray-500 hover:text-red-400" title="Remove graphics">✕</button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <ExportPresetSelect
+        id="timeline-export-preset"
+        value={draft.output.exportPreset}
+        onChange={(exportPreset) => setOutput({ exportPreset })}
+        burnCaptions={draft.output.burnCaptions}
+        onBurnCaptionsChange={(burnCaptions) => setOutput({ burnCaptions })}
+        disabled={busy}
+      />
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={handleSave}
+          disabled={busy || !isDirty || Boolean(problem)}
+          className="px-4 py-2 bg-white/10 hover:bg-white/20 text-gray-200 text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save timeline'}
+        </button>
+        <button
+          onClick={handleRender}
+          disabled={busy || Boolean(problem)}
+          className="px-4 py-2 bg-mlb-red hover:bg-mlb-red/80 text-white text-sm font-semibold rounded-lg transition-colors disabled:opacity-50"
+        >
+          {isRendering ? 'Rendering...' : 'Render timeline'}
+        </button>
+        {videoUrl && (
+          <a href={videoUrl} download className="text-sm text-mlb-green hover:underline">
+            Download render
+          </a>
+        )}
+        {problem && <span className="text-sm text-yellow-400">{problem}</span>}
+        {error && <span className="text-sm text-red-400">{error}</span>}
+      </div>
+
+      {isRendering && <JobProgress job={job} title="Rendering timeline..." />}
+    </div>
+  );
+}
@@ -1,57 +1,25 @@
 'use client';
 
 import { useState, useEffect, useCallback, useRef } from 'react';
+import Link from 'next/link';
 import TranscriptEditor from './TranscriptEditor';
-
-/**
- * Determine if an at-bat is a key play (highlight-worthy)
- * Returns a score (higher = more important) or 0 if not suggested
- */
-function getHighlightScore(ab) {
-  let score = 0;
-
-  // Home runs are always highlights
-  if (ab.result === 'Home Run') {
-    score += 100;
-    if (ab.rbi >= 3) score += 50; // Grand slam or 3-run HR
-  }
-
-  // Scoring plays
-  if (ab.isScoring) {
-    score += 30;
-    score += (ab.rbi || 0) * 10;
-  }
-
-  // Extra base hits
-  if (ab.result === 'Triple') score += 40;
-  if (ab.result === 'Double') score += 20;
-
-  // Late game situations (7th inning or later)
-  if (ab.inning >= 7) {
-    score *= 1.5;
-  }
-
-  // Game-ending at-bats
-  if (ab.isGameEnding) {
-    score += 80;
-  }
-
-  // Big win probability swings
-  if (ab.winProbabilityAdded && Math.abs(ab.winProbabilityAdded) > 0.15) {
-    score += Math.abs(ab.winProbabilityAdded) * 100;
-  }
-
-  return score;
-}
+import JobProgress from './JobProgress';
+import ExportPresetSelect from './ExportPresetSelect';
+import CaptionLinks from './CaptionLinks';
+import { runJob } from '@/lib/job-client';
+import { DEFAULT_EXPORT_PRESET_ID, exportContainer } from '@/lib/export-presets';
+import { DEFAULT_SLATE_TEMPLATE_ID } from '@/lib/slates';
+import { getCachedTranscript, cacheTranscript, clearTranscriptCache } from '@/lib/transcript-cache';
+import { getAtBatHighlightScore, withPerspective } from '@/lib/scoring-profiles';
 
 /**
  * Get suggested/key at-bats for highlights
  */
-function getKeyAtBats(atBats, maxCount = 8) {
+function getKeyAtBats(atBats, profile, maxCount = 8) {
   if (!atBats || atBats.length === 0) return [];
 
   const scored = atBats
-    .map(ab => ({ ab, score: getHighlightScore(ab) }))
+    .map(ab => ({ ab, score: getAtBatHighlightScore(ab, profile) }))
     .filter(({ score }) => score > 0)
     .sort((a, b) => b.score - a.score);
 
@@ -59,78 +27,22 @@ function getKeyAtBats(atBats, maxCount = 8) {
 }
 
 /**
- * Create a unique key for an at-bat
+ * Create a unique key for an at-bat (or a pitch/action candidate within one)
  */
 function getAtBatKey(ab) {
-  return `${ab.batter.id}-${ab.inning}-${ab.halfInning}-${ab.playIndex}`;
-}
-
-/**
- * Cache key for transcriptions based on video URL
- */
-function getTranscriptCacheKey(videoUrl) {
-  return `transcript_${videoUrl}`;
-}
-
-/**
- * Get cached transcription from localStorage
- */
-function getCachedTranscript(videoUrl) {
-  if (typeof window === 'undefined') return null;
-  try {
-    const cached = localStorage.getItem(getTranscriptCacheKey(videoUrl));
-    if (cached) {
-      const data = JSON.parse(cached);
-      // Cache entries expire after 7 days
-      if (data.timestamp && Date.now() - data.timestamp < 7 * 24 * 60 * 60 * 1000) {
-        return data;
-      }
-      // Remove expired cache
-      localStorage.removeItem(getTranscriptCacheKey(videoUrl));
-    }
-  } catch (e) {
-    console.error('Error reading transcript cache:', e);
-  }
-  return null;
+  const key = `${ab.batter.id}-${ab.inning}-${ab.halfInning}-${ab.playIndex}`;
+  return ab.kind ? `${key}-e${ab.eventIndex}` : key;
 }
 
-/**
- * Save transcription to localStorage cache
- */
-function cacheTranscript(videoUrl, words, duration) {
-  if (typeof window === 'undefined') return;
-  try {
-    localStorage.setItem(getTranscriptCacheKey(videoUrl), JSON.stringify({
-      words,
-      duration,
-      timestamp: Date.now()
-    }));
-  } catch (e) {
-    console.error('Error saving transcript cache:', e);
-    // If localStorage is full, try to clear old transcripts
-    try {
-      const keys = Object.keys(localStorage).filter(k => k.startsWith('transcript_'));
-      if (keys.length > 50) {
-        // Remove oldest half
-        keys.slice(0, 25).forEach(k => localStorage.removeItem(k));
-      }
-    } catch (e2) {
-      // Ignore cleanup errors
-    }
-  }
-}
+// Stable default so effects keyed on candidates don't re-run every render
+const NO_CANDIDATES = [];
 
 /**
- * Clear cached transcription for a video URL
+ * Game order within an inning - pitches and actions come before the at-bat result
  */
-function clearTranscriptCache(videoUrl) {
-  if (typeof window === 'undefined') return;
-  try {
-    localStorage.removeItem(getTranscriptCacheKey(videoUrl));
-    console.log('Cleared transcript cache for:', videoUrl.substring(0, 60));
-  } catch (e) {
-    console.error('Error clearing transcript cache:', e);
-  }
+function compareGameOrder(a, b) {
+  if (a.playIndex !== b.playIndex) return a.playIndex - b.playIndex;
+  return (a.eventIndex ?? Infinity) - (b.eventIndex ?? Infinity);
 }
 
 /**
@@ -272,13 +184,20 @@ function getPlayBeneficiary(result) {
  * Get the preferred feed for a play based on which team benefits
  * @param {object} ab - The at-bat data
  * @param {object} videoData - The video data with available feeds
+ * @param {string|null} perspectiveSide - 'home'/'away' to always use that team's broadcast
  * @returns {string} - The preferred feed type
  */
-function getPreferredFeed(ab, videoData) {
+function getPreferredFeed(ab, videoData, perspectiveSide = null) {
   const availableFeeds = getAvailableFeeds(videoData);
 
+  // Packages cut for one club use that club's broadcast whenever it has the play
+  const perspectiveFeed = perspectiveSide?.toUpperCase();
+  if (perspectiveFeed && availableFeeds.includes(perspectiveFeed)) {
+    return perspectiveFeed;
+  }
+
   // Determine which team benefits from this play
-  const beneficiary = getPlayBeneficiary(ab.result);
+  const beneficiary = ab.beneficiary || getPlayBeneficiary(ab.result);
 
   // In top of inning, away team bats (offense), home team pitches (defense)
   // In bottom of inning, home team bats (offense), away team pitches (defense)
@@ -358,7 +277,7 @@ function calculateSelectedDuration(words, selectedIndices) {
  * Non-key plays hidden behind expandable sections per inning
  * Includes inline transcription and video preview - this IS the rundown editor
  */
-export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
+export default function UnifiedPlayList({ atBats, pitchCandidates = NO_CANDIDATES, gamePk, scoringProfile, perspectiveTeamId = null, perspectiveSide = null, onVideoGenerated }) {
   const [selectedKeys, setSelectedKeys] = useState(new Set());
   const [expandedSections, setExpandedSections] = useState(new Set());
   const [loadingVideo, setLoadingVideo] = useState({});
@@ -372,6 +291,13 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
   const [isGenerating, setIsGenerating] = useState(false);
   const [generationError, setGenerationError] = useState(null);
   const [finalVideoUrl, setFinalVideoUrl] = useState(null);
+  const [generationJob, setGenerationJob] = useState(null);
+  const [exportPreset, setExportPreset] = useState(DEFAULT_EXPORT_PRESET_ID);
+  const [burnCaptions, setBurnCaptions] = useState(false);
+  const [scoreGraphics, setScoreGraphics] = useState(false);
+  const [slateTemplate, setSlateTemplate] = useState(DEFAULT_SLATE_TEMPLATE_ID);
+  const [sponsorTag, setSponsorTag] = useState('');
+  const [captionUrls, setCaptionUrls] = useState(null);
 
   // Inning transition state - tracks which transitions are active
   // Key: "top-1", "bot-4", etc. Value: true/false
@@ -384,12 +310,15 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
   const playbackIntervalRef = useRef(null);
 
   // Get key at-bats on mount
-  const keyAtBats = getKeyAtBats(atBats);
+  const keyAtBats = getKeyAtBats(atBats, withPerspective(scoringProfile, perspectiveTeamId));
   const keyAtBatKeys = new Set(keyAtBats.map(getAtBatKey));
 
+  // At-bats plus standout pitches/actions within them
+  const playItems = [...(atBats || []), ...pitchCandidates];
+
   // Group at-bats by half-inning
   const groupedByInning = {};
-  (atBats || []).forEach(ab => {
+  playItems.forEach(ab => {
     const key = `${ab.halfInning === 'top' ? 'Top' : 'Bot'} ${ab.inning}`;
     if (!groupedByInning[key]) {
       groupedByInning[key] = { label: key, inning: ab.inning, halfInning: ab.halfInning, plays: [] };
@@ -397,6 +326,8 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
     groupedByInning[key].plays.push(ab);
   });
 
+  Object.values(groupedByInning).forEach(group => group.plays.sort(compareGameOrder));
+
   // Sort innings chronologically
   const sortedInnings = Object.values(groupedByInning).sort((a, b) => {
     if (a.inning !== b.inning) return a.inning - b.inning;
@@ -451,10 +382,11 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
     setLoadingVideo(prev => ({ ...prev, [cacheKey]: true }));
 
     try {
-      const response = await fetch(`/api/game/${gamePk}/atbat-video`, {
+      // Pitch/action candidates look up the single pitch rather than the whole at-bat
+      const response = await fetch(`/api/game/${gamePk}/${ab.kind ? 'pitch-video' : 'atbat-video'}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(ab.filmRoomParams),
+        body: JSON.stringify(ab.kind ? { playId: ab.playId, ...ab.filmRoomParams } : ab.filmRoomParams),
       });
 
       const data = await response.json();
@@ -774,13 +706,13 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
         const toTranscribe = [];
         for (const selectedKey of (cachedState.selectedKeys || [])) {
           // Find the at-bat matching this key
-          const ab = atBats.find(a => getAtBatKey(a) === selectedKey);
+          const ab = playItems.find(a => getAtBatKey(a) === selectedKey);
           if (!ab) continue;
 
           const videoData = await fetchVideo(ab);
           if (videoData?.found) {
             const cachedTranscriptInfo = cachedState.transcriptData?.[selectedKey];
-            const preferredFeed = cachedTranscriptInfo?.feedType || getPreferredFeed(ab, videoData);
+            const preferredFeed = cachedTranscriptInfo?.feedType || getPreferredFeed(ab, videoData, perspectiveSide);
             const videoUrl = getVideoUrlForFeed(videoData, preferredFeed);
 
             if (videoUrl) {
@@ -819,7 +751,7 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
           if (videoData?.found) {
             newSelected.add(key);
             // Use preferred feed based on which team benefits from the play
-            const preferredFeed = getPreferredFeed(ab, videoData);
+            const preferredFeed = getPreferredFeed(ab, videoData, perspectiveSide);
             const videoUrl = getVideoUrlForFeed(videoData, preferredFeed);
             if (videoUrl) {
               toTranscribe.push({ key, videoUrl });
@@ -889,7 +821,7 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
         setSelectedKeys(prev => new Set(prev).add(key));
 
         // Use preferred feed based on which team benefits from the play
-        const preferredFeed = getPreferredFeed(ab, videoData);
+        const preferredFeed = getPreferredFeed(ab, videoData, perspectiveSide);
         const videoUrl = getVideoUrlForFeed(videoData, preferredFeed);
         if (videoUrl && !transcriptData[key]?.transcript?.length) {
           setTranscriptData(prev => ({
@@ -945,6 +877,7 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
   const handleGenerateVideo = useCallback(async () => {
     setIsGenerating(true);
     setGenerationError(null);
+    setGenerationJob(null);
 
     try {
       // Build clips in order: for each inning with selected plays,
@@ -953,8 +886,9 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
 
       // Group selected plays by inning for proper ordering
       const selectedByInning = {};
-      atBats
+      playItems
         .filter(ab => selectedKeys.has(getAtBatKey(ab)))
+        .sort(compareGameOrder)
         .forEach(ab => {
           const inningKey = `${ab.halfInning}-${ab.inning}`;
           if (!selectedByInning[inningKey]) {
@@ -990,13 +924,14 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
           const key = getAtBatKey(ab);
           const video = videoCache[key];
           const tData = transcriptData[key] || {};
-          const feedType = tData.feedType || getPreferredFeed(ab, video);
+          const feedType = tData.feedType || getPreferredFeed(ab, video, perspectiveSide);
           const videoUrl = getVideoUrlForFeed(video, feedType);
 
           if (tData.selectedWords?.length > 0) {
             clipsForGeneration.push({
               id: key,
               videoUrl,
+              playIndex: ab.playIndex,
               transcript: tData.transcript || [],
               selectedWords: tData.selectedWords || []
             });
@@ -1008,29 +943,27 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
         throw new Error('No clips with selected words to generate');
       }
 
-      const response = await fetch('/api/generate-rundown-video', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          gamePk,
-          clips: clipsForGeneration,
-          titleCardUrl: titleCardUrl || null
-        })
-      });
-
-      const result = await response.json();
-
-      if (result.success) {
-        setFinalVideoUrl(result.videoUrl);
-      } else {
-        throw new Error(result.error || 'Video generation failed');
-      }
+      const job = await runJob('/api/generate-rundown-video', {
+        gamePk,
+        clips: clipsForGeneration,
+        perspectiveTeamId,
+        exportPreset,
+        burnCaptions,
+        scoreGraphics,
+        slateTemplate,
+        sponsorTag
+      }, setGenerationJob);
+
+      setFinalVideoUrl(job.downloadUrl);
+      setCaptionUrls(job.result?.captionUrls);
+      onVideoGenerated?.(job);
     } catch (err) {
       setGenerationError(err.message);
     } finally {
       setIsGenerating(false);
+      setGenerationJob(null);
     }
-  }, [atBats, selectedKeys, videoCache, transcriptData, gamePk, titleCardUrl, activeTransitions]);
+  }, [atBats, pitchCandidates, selectedKeys, videoCache, transcriptData, gamePk, perspectiveTeamId, perspectiveSide, activeTransitions, exportPreset, burnCaptions, scoreGraphics, slateTemplate, sponsorTag, onVideoGenerated]);
 
   // Remove a clip from selection
   const handleRemoveClip = useCallback((key) => {
@@ -1048,7 +981,7 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
     const isLoading = loadingVideo[key];
     const video = videoCache[key];
     const tData = transcriptData[key] || {};
-    const feedType = tData.feedType || getPreferredFeed(ab, video);
+    const feedType = tData.feedType || getPreferredFeed(ab, video, perspectiveSide);
     const availableFeeds = getAvailableFeeds(video);
     const videoUrl = getVideoUrlForFeed(video, feedType);
     const selectedDuration = calculateSelectedDuration(tData.transcript, tData.selectedWords);
@@ -1091,9 +1024,13 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
             {/* Play info */}
             <div className="flex-1 min-w-0">
               <div className="flex items-center gap-2">
-                <span className="font-medium text-white truncate">
+                <Link
+                  href={`/player/${ab.batter.id}`}
+                  onClick={(e) => e.stopPropagation()}
+                  className="font-medium text-white truncate hover:underline"
+                >
                   {ab.batter.name}
-                </span>
+                </Link>
                 {ab.isScoring && (
                   <span className="px-1.5 py-0.5 bg-green-500/20 text-green-400 text-xs rounded">
                     RBI: {ab.rbi}
@@ -1104,6 +1041,11 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
                     Key Play
                   </span>
                 )}
+                {ab.kind && (
+                  <span className="px-1.5 py-0.5 bg-cyan-500/20 text-cyan-400 text-xs rounded">
+                    {ab.kind === 'pitch' ? 'Pitch' : 'Action'}
+                  </span>
+                )}
                 {/* Feed selector for selected clips */}
                 {isSelected && availableFeeds.length > 0 && (
                   <select
@@ -1130,7 +1072,9 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
                 )}
               </div>
               <div className="text-sm text-gray-500">
-                vs {ab.pitcher.name} • {ab.result}
+                {ab.kind
+                  ? `${ab.label} • ${ab.reasons.join(' • ')}`
+                  : `vs ${ab.pitcher.name} • ${ab.result}`}
               </div>
             </div>
 
@@ -1270,12 +1214,14 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
             controls
             autoPlay
             className="w-full h-full"
-          />
+          >
+            {captionUrls?.vtt && <track kind="captions" src={captionUrls.vtt} srcLang="en" label="English" />}
+          </video>
         </div>
         <div className="flex gap-3">
           <a
             href={finalVideoUrl}
-            download={`highlight-${gamePk}.mp4`}
+            download={`highlight-${gamePk}.${exportContainer(exportPreset)}`}
             className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-white"
           >
             Download Video
@@ -1286,6 +1232,7 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
           >
             Edit Again
           </button>
+          <CaptionLinks captionUrls={captionUrls} className="self-center" />
         </div>
       </div>
     );
@@ -1299,11 +1246,29 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
           <h2 className="text-xl font-bold text-white">Game Plays</h2>
           <p className="text-sm text-gray-400">
             {selectedCount} selected • {keyAtBatKeys.size} key plays auto-detected
+            {pitchCandidates.length > 0 && ` • ${pitchCandidates.length} pitch moments`}
             {totalSelectedDuration > 0 && ` • ${totalSelectedDuration.toFixed(1)}s total`}
           </p>
         </div>
 
         <div className="flex items-center gap-3">
+          {selectedCount > 0 && (
+            <ExportPresetSelect
+              id="rundown-export-preset"
+              value={exportPreset}
+              onChange={setExportPreset}
+              burnCaptions={burnCaptions}
+              onBurnCaptionsChange={setBurnCaptions}
+              scoreGraphics={scoreGraphics}
+              onScoreGraphicsChange={setScoreGraphics}
+            slateTemplate={slateTemplate}
+            onSlateTemplateChange={setSlateTemplate}
+            sponsorTag={sponsorTag}
+            onSponsorTagChange={setSponsorTag}
+              disabled={isGenerating}
+            />
+          )}
+
           {/* Generate video button */}
           {selectedCount > 0 && (
             <button
@@ -1339,10 +1304,8 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
 
       {/* Generating progress */}
       {isGenerating && (
-        <div className="mb-4 bg-gray-800 rounded-lg p-6 text-center">
-          <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-500 border-t-transparent mx-auto mb-4" />
-          <h3 className="text-lg font-medium mb-2 text-white">Generating your highlight video...</h3>
-          <p className="text-gray-400">This may take a few minutes</p>
+        <div className="mb-4">
+          <JobProgress job={generationJob} title="Generating your highlight video..." />
         </div>
       )}
 
@@ -1352,6 +1315,7 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
           const { label, plays, halfInning, inning } = inningGroup;
           const keyPlaysInInning = plays.filter(ab => keyAtBatKeys.has(getAtBatKey(ab)));
           const nonKeyPlaysInInning = plays.filter(ab => !keyAtBatKeys.has(getAtBatKey(ab)));
+          const atBatCount = plays.filter(ab => !ab.kind).length;
           const sectionKey = `${label}-nonkey`;
           const isExpanded = expandedSections.has(sectionKey);
           const selectedInInning = plays.filter(ab => selectedKeys.has(getAtBatKey(ab))).length;
@@ -1413,7 +1377,7 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
                     </span>
                   )}
                   <span className="text-xs text-gray-500">
-                    {plays.length} play{plays.length !== 1 ? 's' : ''}
+                    {atBatCount} play{atBatCount !== 1 ? 's' : ''}
                   </span>
                 </div>
               </div>
@@ -1467,9 +1431,10 @@ export default function UnifiedPlayList({ atBats, gamePk, titleCardUrl }) {
                   plays.forEach((ab, idx) => {
                     const isKey = keyAtBatKeys.has(getAtBatKey(ab));
 
-                    if (isKey) {
+                    // Pitch/action candidates are already filtered to standouts, so always show them
+                    if (isKey || ab.kind) {
                       flushNonKeyBuffer();
-                      elements.push(renderPlay(ab, true));
+                      elements.push(renderPlay(ab, isKey));
                     } else {
                       nonKeyBuffer.push(ab);
                     }
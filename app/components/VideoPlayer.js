@@ -1,15 +1,16 @@
 'use client';
 
 import { useState, useRef } from 'react';
+import CaptionLinks from './CaptionLinks';
 
-export default function VideoPlayer({ videoBase64, onClose }) {
+export default function VideoPlayer({ videoUrl, captionUrls = null, onClose }) {
   const videoRef = useRef(null);
   const [isFullscreen, setIsFullscreen] = useState(false);
 
   const downloadVideo = () => {
     const link = document.createElement('a');
-    link.href = `data:video/mp4;base64,${videoBase64}`;
-    link.download = 'highlight-package.mp4';
+    link.href = videoUrl;
+    link.download = ''; // Keep the server's file name - exports can be .mov
     link.click();
   };
 
@@ -29,16 +30,19 @@ export default function VideoPlayer({ videoBase64, onClose }) {
       <div className="relative aspect-video bg-black">
         <video
           ref={videoRef}
-          src={`data:video/mp4;base64,${videoBase64}`}
+          src={videoUrl}
           controls
           className="w-full h-full"
-        />
+        >
+          {captionUrls?.vtt && <track kind="captions" src={captionUrls.vtt} srcLang="en" label="English" />}
+        </video>
       </div>
 
       {/* Controls */}
       <div className="p-4 flex items-center justify-between">
         <div className="text-sm text-gray-400">
           Your highlight package is ready!
+          <CaptionLinks captionUrls={captionUrls} className="block mt-1" />
         </div>
 
         <div className="flex items-center gap-2">
@@ -2,24 +2,59 @@
 
 import { useState, useEffect, use } from 'react';
 import Link from 'next/link';
-import { getTeam, getTeamLogo, getRivalry } from '@/lib/teams';
+import { getTeam, getTeamLogo, getRivalry, getTeamSide } from '@/lib/teams';
 import UnifiedPlayList from '@/app/components/UnifiedPlayList';
+import RendersPanel from '@/app/components/RendersPanel';
+import TimelineEditor from '@/app/components/TimelineEditor';
+import ScoringProfileSelect from '@/app/components/ScoringProfileSelect';
+import SeriesRecapButton from '@/app/components/SeriesRecapButton';
+import LiveHighlights from '@/app/components/LiveHighlights';
+import ScriptOptions from '@/app/components/ScriptOptions';
+import ScriptDisplay from '@/app/components/ScriptDisplay';
+import { subscribeToLiveGame, mergeAtBats } from '@/lib/live-client';
 
-export default function GamePage({ params }) {
+export default function GamePage({ params, searchParams }) {
   const { gamePk } = use(params);
+  const { team, replay } = use(searchParams);
   const [gameData, setGameData] = useState(null);
   const [linescore, setLinescore] = useState(null);
   const [gameSummary, setGameSummary] = useState(null);
   const [highlights, setHighlights] = useState([]);
+  const [keyPlays, setKeyPlays] = useState([]);
+  const [biggestSwings, setBiggestSwings] = useState([]);
   const [atBats, setAtBats] = useState([]);
+  const [pitchCandidates, setPitchCandidates] = useState([]);
+  const [scoringProfile, setScoringProfile] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [rendersVersion, setRendersVersion] = useState(0);
+  // Perspective team - defaults from the team filter on the games list
+  const [perspectiveTeamId, setPerspectiveTeamId] = useState(team ? Number(team) : null);
+  // Live mode - in-progress games (or ?replay=<recording>) stream new plays in
+  const [liveStatus, setLiveStatus] = useState(null);
+  const [liveHighlights, setLiveHighlights] = useState([]);
+  const [isLiveConnected, setIsLiveConnected] = useState(false);
+  // Division / wild-card race as of the game date
+  const [standings, setStandings] = useState(null);
+  // Narration script - edited, checked and voiced in ScriptDisplay
+  const [scriptStyle, setScriptStyle] = useState('excited');
+  const [scriptLength, setScriptLength] = useState('60');
+  const [script, setScript] = useState(null);
+  const [isGeneratingScript, setIsGeneratingScript] = useState(false);
+  const [scriptError, setScriptError] = useState(null);
+  // Profile and perspective the key plays were scored with - "profileId|teamId"
+  const [keyPlaysScoredWith, setKeyPlaysScoredWith] = useState(null);
+  const [isRescoring, setIsRescoring] = useState(false);
+
+  const perspectiveSide = getTeamSide(gameData?.teams, perspectiveTeamId);
+  const scoringKey = `${scoringProfile?.id || ''}|${perspectiveSide ? perspectiveTeamId : ''}`;
 
   useEffect(() => {
     const fetchGameData = async () => {
       setIsLoading(true);
       try {
-        const response = await fetch(`/api/game/${gamePk}`);
+        const query = perspectiveTeamId ? `?team=${perspectiveTeamId}` : '';
+        const response = await fetch(`/api/game/${gamePk}${query}`);
         if (!response.ok) throw new Error('Failed to fetch game data');
 
         const data = await response.json();
@@ -27,7 +62,13 @@ export default function GamePage({ params }) {
         setLinescore(data.linescore);
         setGameSummary(data.gameSummary);
         setHighlights(data.highlights || []);
+        setKeyPlays(data.keyPlays || []);
+        setBiggestSwings(data.biggestSwings || []);
         setAtBats(data.atBats || []);
+        setPitchCandidates(data.pitchCandidates || []);
+        setScoringProfile(data.scoringProfile || null);
+        setPerspectiveTeamId(data.perspectiveTeamId ?? null);
+        setKeyPlaysScoredWith(`${data.scoringProfile?.id || ''}|${data.perspectiveTeamId ?? ''}`);
       } catch (err) {
         console.error('Error:', err);
         setError(err.message);
@@ -39,7 +80,131 @@ export default function GamePage({ params }) {
     if (gamePk) {
       fetchGameData();
     }
-  }, [gamePk]);
+  }, [gamePk]); // Perspective changes are applied client-side - only the initial value is fetched
+
+  useEffect(() => {
+    const date = gameData?.datetime?.officialDate;
+    const awayId = gameData?.teams?.away?.id;
+    const homeId = gameData?.teams?.home?.id;
+    if (!date || !awayId || !homeId) return;
+
+    const fetchStandings = async () => {
+      try {
+        const response = await fetch(`/api/standings?date=${date}&away=${awayId}&home=${homeId}`);
+        if (!response.ok) throw new Error('Failed to fetch standings');
+        const data = await response.json();
+        setStandings(data.standings);
+      } catch (err) {
+        // The header works without it
+        console.error('Error loading standings:', err);
+      }
+    };
+
+    fetchStandings();
+  }, [gameData?.datetime?.officialDate, gameData?.teams?.away?.id, gameData?.teams?.home?.id]);
+
+  // Scripts and videos use the key plays - re-score them when the profile or perspective changes
+  useEffect(() => {
+    if (!keyPlaysScoredWith || keyPlaysScoredWith === scoringKey) return;
+
+    let cancelled = false;
+    const rescoreKeyPlays = async () => {
+      setIsRescoring(true);
+      try {
+        const [profileId, teamId] = scoringKey.split('|');
+        const query = new URLSearchParams();
+        if (profileId) query.set('profile', profileId);
+        if (teamId) query.set('team', teamId);
+        const response = await fetch(`/api/game/${gamePk}?${query}`);
+        if (!response.ok) throw new Error('Failed to re-score key plays');
+
+        const data = await response.json();
+        if (cancelled) return;
+        setKeyPlays(data.keyPlays || []);
+        setBiggestSwings(data.biggestSwings || []);
+        setKeyPlaysScoredWith(scoringKey);
+        // A script on screen was segmented against the old plays - it stays in the history
+        setScript(null);
+      } catch (err) {
+        console.error('Error re-scoring key plays:', err);
+      } finally {
+        if (!cancelled) setIsRescoring(false);
+      }
+    };
+
+    rescoreKeyPlays();
+    return () => {
+      cancelled = true;
+      setIsRescoring(false);
+    };
+  }, [gamePk, scoringKey, keyPlaysScoredWith]);
+
+  const isLiveGame = gameData?.status?.abstractGameState === 'Live';
+
+  const handleGenerateScript = async () => {
+    setIsGeneratingScript(true);
+    setScriptError(null);
+
+    try {
+      const response = await fetch('/api/generate-script', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          gameData,
+          keyPlays,
+          biggestSwings,
+          gameSummary,
+          style: scriptStyle,
+          length: scriptLength,
+          highlights,
+          perspectiveTeamId: perspectiveSide ? perspectiveTeamId : null,
+          gamePk,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details || data.error || 'Failed to generate script');
+
+      setScript(data.script);
+    } catch (err) {
+      console.error('Script generation error:', err);
+      setScriptError(err.message);
+    } finally {
+      setIsGeneratingScript(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!gameData || (!isLiveGame && !replay)) return;
+
+    // A replay rebuilds the play list from its recording
+    if (replay) {
+      setAtBats([]);
+      setPitchCandidates([]);
+    }
+
+    const query = new URLSearchParams();
+    if (replay) query.set('replay', replay);
+    if (perspectiveTeamId) query.set('team', perspectiveTeamId);
+
+    setIsLiveConnected(true);
+    return subscribeToLiveGame(`/api/game/${gamePk}/live?${query}`, {
+      onStatus: ({ status, linescore: latest }) => {
+        setLiveStatus(status);
+        if (latest) setLinescore(latest);
+      },
+      onPlays: ({ atBats: incoming }) => setAtBats(prev => mergeAtBats(prev, incoming)),
+      onHighlight: (highlight) => {
+        // Plays from before we connected are already in the list as key plays
+        if (highlight.isCatchUp && !replay) return;
+        setLiveHighlights(prev => [highlight, ...prev.filter(h => h.playIndex !== highlight.playIndex)]);
+      },
+      onEnd: () => setIsLiveConnected(false),
+      onError: (message) => {
+        console.error('Live updates error:', message);
+        setIsLiveConnected(false);
+      },
+    });
+  }, [gamePk, gameData, isLiveGame, replay]); // Perspective is read at connect time - changing it doesn't reconnect
 
   if (isLoading) {
     return (
@@ -73,6 +238,16 @@ export default function GamePage({ params }) {
   const awayScore = linescore?.teams?.away?.runs ?? 0;
   const homeScore = linescore?.teams?.home?.runs ?? 0;
 
+  // "NYY lead 5-3" - the season series through this game
+  const seriesWins = standings?.headToHead?.wins || {};
+  const awaySeriesWins = seriesWins[gameData?.teams?.away?.id] || 0;
+  const homeSeriesWins = seriesWins[gameData?.teams?.home?.id] || 0;
+  const seasonSeries = standings?.headToHead?.games > 0
+    ? (awaySeriesWins === homeSeriesWins
+      ? `Season series tied ${awaySeriesWins}-${homeSeriesWins}`
+      : `${(awaySeriesWins > homeSeriesWins ? awayTeam : homeTeam)?.abbr} lead season series ${Math.max(awaySeriesWins, homeSeriesWins)}-${Math.min(awaySeriesWins, homeSeriesWins)}`)
+    : null;
+
   return (
     <div className="space-y-8">
       {/* Back link */}
@@ -110,6 +285,9 @@ export default function GamePage({ params }) {
             <p className="text-gray-400 text-sm">
               {gameData?.teams?.away?.record?.wins}-{gameData?.teams?.away?.record?.losses}
             </p>
+            {standings?.away?.summary && (
+              <p className="text-gray-500 text-xs mt-1">{standings.away.summary}</p>
+            )}
           </div>
 
           {/* Score */}
@@ -147,14 +325,29 @@ export default function GamePage({ params }) {
             <p className="text-gray-400 text-sm">
               {gameData?.teams?.home?.record?.wins}-{gameData?.teams?.home?.record?.losses}
             </p>
+            {standings?.home?.summary && (
+              <p className="text-gray-500 text-xs mt-1">{standings.home.summary}</p>
+            )}
           </div>
         </div>
 
         {/* Venue and Date */}
         <div className="text-center mt-4 text-sm text-gray-500">
           {gameData?.venue?.name} • {gameData?.datetime?.officialDate}
+          {seasonSeries && <> • {seasonSeries}</>}
         </div>
 
+        {/* Recap the whole series these teams are playing */}
+        {gameData?.datetime?.officialDate && (
+          <div className="flex justify-center mt-4">
+            <SeriesRecapButton
+              teamId={gameData.teams.away.id}
+              opponentId={gameData.teams.home.id}
+              date={gameData.datetime.officialDate}
+            />
+          </div>
+        )}
+
         {/* Game Stats */}
         {gameSummary && (
           <div className="flex justify-center gap-6 mt-4 pt-4 border-t border-white/10">
@@ -174,18 +367,95 @@ export default function GamePage({ params }) {
         )}
       </section>
 
+      {(isLiveGame || replay) && (
+        <LiveHighlights
+          highlights={liveHighlights}
+          status={liveStatus || gameData?.status}
+          isConnected={isLiveConnected}
+          isReplay={Boolean(replay)}
+        />
+      )}
+
       {/* Unified Play List - shows key plays pre-selected, others collapsible */}
       {/* Includes inline video preview and transcript editor for selected plays */}
       {atBats.length > 0 && (
-        <section>
+        <section className="space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <ScoringProfileSelect
+              gamePk={gamePk}
+              profile={scoringProfile}
+              onChange={setScoringProfile}
+            />
+            <div className="flex items-center gap-3 text-sm">
+              <label htmlFor="perspective-team" className="text-gray-400">Perspective</label>
+              <select
+                id="perspective-team"
+                value={perspectiveSide ? perspectiveTeamId : ''}
+                onChange={(e) => setPerspectiveTeamId(e.target.value ? Number(e.target.value) : null)}
+                className="bg-mlb-navy border border-white/10 rounded-lg px-3 py-1.5 text-white"
+              >
+                <option value="">Neutral</option>
+                <option value={gameData?.teams?.away?.id}>{awayTeam?.name || 'Away'}</option>
+                <option value={gameData?.teams?.home?.id}>{homeTeam?.name || 'Home'}</option>
+              </select>
+            </div>
+          </div>
           <UnifiedPlayList
             atBats={atBats}
+            pitchCandidates={pitchCandidates}
+            gamePk={gamePk}
+            scoringProfile={scoringProfile}
+            perspectiveTeamId={perspectiveSide ? perspectiveTeamId : null}
+            perspectiveSide={perspectiveSide}
+            onVideoGenerated={() => setRendersVersion(v => v + 1)}
+          />
+        </section>
+      )}
+
+      {/* Narration script - write, edit and fact-check it, then voice it over the key plays */}
+      {keyPlays.length > 0 && (
+        <section className="space-y-4">
+          <h2 className="text-xl font-bold text-white">Narration Script</h2>
+          <ScriptOptions
+            style={scriptStyle}
+            length={scriptLength}
+            onStyleChange={setScriptStyle}
+            onLengthChange={setScriptLength}
+          />
+          <div className="flex items-center gap-3">
+            <button
+              onClick={handleGenerateScript}
+              disabled={isGeneratingScript || isRescoring}
+              className="px-4 py-2 bg-mlb-red hover:bg-mlb-red/80 text-white text-sm font-semibold rounded-lg transition-colors disabled:opacity-50"
+            >
+              {isGeneratingScript ? 'Writing...' : isRescoring ? 'Re-scoring plays...' : script ? 'Rewrite script' : 'Write script'}
+            </button>
+            {scriptError && <span className="text-sm text-red-400">{scriptError}</span>}
+          </div>
+          <ScriptDisplay
+            script={script}
+            isLoading={isGeneratingScript}
             gamePk={gamePk}
-            titleCardUrl={highlights[0]?.videoUrl}
+            scriptStyle={scriptStyle}
+            highlights={highlights}
+            keyPlays={keyPlays}
+            gameData={gameData}
+            perspectiveTeamId={perspectiveSide ? perspectiveTeamId : null}
+            onVideoGenerated={() => setRendersVersion(v => v + 1)}
           />
         </section>
       )}
 
+      {/* Saved timelines - trim, reorder and re-render a package without regenerating it */}
+      <section>
+        <TimelineEditor gamePk={gamePk} refreshKey={rendersVersion} onRendered={() => setRendersVersion(v => v + 1)} />
+      </section>
+
+      {/* Previous renders - re-download or compare finished packages */}
+      <section>
+        <RendersPanel gamePk={gamePk} refreshKey={rendersVersion} />
+      </section>
+
       {/* Video Highlights */}
       {highlights.length > 0 && (
         <section>
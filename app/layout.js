@@ -24,6 +24,11 @@ export default function RootLayout({ children }) {
               />
               <h1 className="text-xl font-bold text-white">MLB Highlights</h1>
             </a>
+            <nav className="flex items-center gap-6 text-sm">
+              <a href="/settings" className="text-gray-400 hover:text-white transition-colors">
+                Scoring profiles
+              </a>
+            </nav>
           </div>
         </header>
         <main className="max-w-7xl mx-auto px-4 py-6">
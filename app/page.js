@@ -83,6 +83,7 @@ export default function Home() {
             games={finalGames}
             selectedTeam={selectedTeam}
             isLoading={isLoading}
+            roundupDate={selectedDate}
           />
         </section>
       )}
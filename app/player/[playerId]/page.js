@@ -0,0 +1,397 @@
+'use client';
+
+import { useState, useEffect, useCallback, use } from 'react';
+import Link from 'next/link';
+import TranscriptEditor from '@/app/components/TranscriptEditor';
+import JobProgress from '@/app/components/JobProgress';
+import VoiceOptions from '@/app/components/VoiceOptions';
+import RendersPanel from '@/app/components/RendersPanel';
+import ExportPresetSelect from '@/app/components/ExportPresetSelect';
+import CaptionLinks from '@/app/components/CaptionLinks';
+import { runJob } from '@/lib/job-client';
+import { transcribeWithCache } from '@/lib/transcript-cache';
+import { getTeamLogo } from '@/lib/teams';
+import { SCRIPT_STYLES } from '@/lib/script-config';
+import { DEFAULT_EXPORT_PRESET_ID } from '@/lib/export-presets';
+import { DEFAULT_SLATE_TEMPLATE_ID } from '@/lib/slates';
+
+/**
+ * Format a date as YYYY-MM-DD, offset by a number of days from today
+ */
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Broadcast feeds carry the call the transcript editor trims on
+ */
+function getClipVideoUrl(clip) {
+  return clip.networkVideoUrl || clip.homeVideoUrl || clip.awayVideoUrl || clip.videoUrl;
+}
+
+/**
+ * Player page - ranks a player's clips over a date range and renders a reel
+ */
+export default function PlayerPage({ params }) {
+  const { playerId } = use(params);
+  const [role, setRole] = useState('batter');
+  const [startDate, setStartDate] = useState(daysAgo(30));
+  const [endDate, setEndDate] = useState(daysAgo(1));
+  const [player, setPlayer] = useState(null);
+  const [statLine, setStatLine] = useState(null);
+  const [clips, setClips] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Selected clip IDs in reel order, and transcript state per clip
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [transcriptData, setTranscriptData] = useState({});
+
+  const [style, setStyle] = useState('excited');
+  const [voiceId, setVoiceId] = useState(null);
+  const [exportPreset, setExportPreset] = useState(DEFAULT_EXPORT_PRESET_ID);
+  const [burnCaptions, setBurnCaptions] = useState(false);
+  const [slateTemplate, setSlateTemplate] = useState(DEFAULT_SLATE_TEMPLATE_ID);
+  const [sponsorTag, setSponsorTag] = useState('');
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [generationJob, setGenerationJob] = useState(null);
+  const [generationError, setGenerationError] = useState(null);
+  const [reelUrl, setReelUrl] = useState(null);
+  const [reelCaptionUrls, setReelCaptionUrls] = useState(null);
+  const [rendersVersion, setRendersVersion] = useState(0);
+
+  const fetchClips = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const query = new URLSearchParams({ start: startDate, end: endDate, role });
+      const response = await fetch(`/api/player/${playerId}?${query}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load clips');
+
+      setPlayer(data.player);
+      setStatLine(data.statLine);
+      setClips(data.clips || []);
+      setSelectedIds([]);
+    } catch (err) {
+      console.error('Error loading player clips:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [playerId, startDate, endDate, role]);
+
+  // Load once on arrival - later searches run from the Find clips button,
+  // so date edits don't refetch on every keystroke
+  const [hasLoaded, setHasLoaded] = useState(false);
+  useEffect(() => {
+    if (hasLoaded) return;
+    setHasLoaded(true);
+    fetchClips();
+  }, [hasLoaded, fetchClips]);
+
+  const transcribeClip = useCallback(async (clip) => {
+    setTranscriptData(prev => ({ ...prev, [clip.id]: { ...prev[clip.id], isTranscribing: true, error: null } }));
+    try {
+      const { words, duration } = await transcribeWithCache(getClipVideoUrl(clip), clip.id);
+      setTranscriptData(prev => ({
+        ...prev,
+        [clip.id]: {
+          transcript: words,
+          // Keep an earlier selection, otherwise select all
+          selectedWords: prev[clip.id]?.selectedWords?.length ? prev[clip.id].selectedWords : words.map((_, i) => i),
+          duration,
+          isTranscribing: false,
+          error: null,
+        },
+      }));
+    } catch (err) {
+      setTranscriptData(prev => ({ ...prev, [clip.id]: { ...prev[clip.id], isTranscribing: false, error: err.message } }));
+    }
+  }, []);
+
+  const toggleClip = (clip) => {
+    if (selectedIds.includes(clip.id)) {
+      setSelectedIds(prev => prev.filter(id => id !== clip.id));
+      return;
+    }
+    setSelectedIds(prev => [...prev, clip.id]);
+    if (!transcriptData[clip.id]?.transcript?.length) {
+      transcribeClip(clip);
+    }
+  };
+
+  const handleSelectionChange = (clipId, wordIndices, segmentIndices) => {
+    setTranscriptData(prev => ({
+      ...prev,
+      [clipId]: { ...prev[clipId], selectedWords: wordIndices, selectedSegmentIndices: segmentIndices },
+    }));
+  };
+
+  const handleGenerateReel = async () => {
+    setIsGenerating(true);
+    setGenerationError(null);
+    setReelUrl(null);
+    setGenerationJob(null);
+
+    try {
+      const reelClips = selectedIds
+        .map(id => clips.find(c => c.id === id))
+        .filter(clip => clip && transcriptData[clip.id]?.selectedWords?.length > 0)
+        .map(clip => ({
+          videoUrl: getClipVideoUrl(clip),
+          transcript: transcriptData[clip.id].transcript,
+          selectedWords: transcriptData[clip.id].selectedWords,
+          description: clip.description,
+          date: clip.date,
+        }));
+
+      if (reelClips.length === 0) {
+        throw new Error('No clips with selected words to render');
+      }
+
+      const job = await runJob(`/api/player/${playerId}/reel`, {
+        clips: reelClips,
+        role,
+        style,
+        voiceId,
+        startDate,
+        endDate,
+        exportPreset,
+        burnCaptions,
+        slateTemplate,
+        sponsorTag,
+      }, setGenerationJob);
+
+      setReelUrl(job.downloadUrl);
+      setReelCaptionUrls(job.result?.captionUrls);
+      setRendersVersion(v => v + 1);
+    } catch (err) {
+      setGenerationError(err.message);
+    } finally {
+      setIsGenerating(false);
+      setGenerationJob(null);
+    }
+  };
+
+  const selectedClips = selectedIds.map(id => clips.find(c => c.id === id)).filter(Boolean);
+
+  return (
+    <div className="space-y-8">
+      <Link
+        href="/"
+        className="inline-flex items-center gap-2 text-gray-400 hover:text-white transition-colors"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+        Back to Games
+      </Link>
+
+      {/* Player header and search */}
+      <section className="bg-mlb-charcoal rounded-2xl p-6 border border-white/10 space-y-4">
+        <div className="flex items-center gap-4">
+          {player?.teamId && (
+            <img src={getTeamLogo(player.teamId)} alt="" className="w-14 h-14" />
+          )}
+          <div>
+            <h2 className="text-2xl font-bold text-white">{player?.fullName || `Player ${playerId}`}</h2>
+            <p className="text-gray-400 text-sm">
+              {[player?.position, statLine].filter(Boolean).join(' • ')}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-4 text-sm">
+          <div className="flex rounded-lg overflow-hidden border border-white/10">
+            {[['batter', 'At-bats'], ['pitcher', 'Pitches']].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setRole(value)}
+                className={`px-4 py-2 ${role === value ? 'bg-mlb-red text-white' : 'bg-mlb-navy text-gray-300 hover:bg-white/5'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <label className="space-y-1">
+            <span className="block text-gray-400">From</span>
+            <input
+              type="date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              className="bg-mlb-navy border border-white/10 rounded-lg px-3 py-2 text-white"
+            />
+          </label>
+          <label className="space-y-1">
+            <span className="block text-gray-400">To</span>
+            <input
+              type="date"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              className="bg-mlb-navy border border-white/10 rounded-lg px-3 py-2 text-white"
+            />
+          </label>
+          <button
+            onClick={fetchClips}
+            disabled={isLoading}
+            className="px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg disabled:opacity-50"
+          >
+            {isLoading ? 'Searching...' : 'Find clips'}
+          </button>
+        </div>
+      </section>
+
+      {error && <p className="text-red-400">{error}</p>}
+
+      {/* Ranked clips */}
+      <section>
+        <h3 className="text-xl font-bold text-white mb-4">
+          Top {role === 'pitcher' ? 'Pitches' : 'At-Bats'} ({clips.length})
+        </h3>
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <div className="w-10 h-10 border-4 border-mlb-red border-t-transparent rounded-full animate-spin" />
+          </div>
+        ) : clips.length === 0 ? (
+          <p className="text-gray-500">No clips found for this date range.</p>
+        ) : (
+          <div className="space-y-2">
+            {clips.map(clip => {
+              const isSelected = selectedIds.includes(clip.id);
+              const tData = transcriptData[clip.id] || {};
+
+              return (
+                <div
+                  key={clip.id}
+                  className={`rounded-lg border-l-4 ${isSelected ? 'bg-slate-700/50 border-blue-500' : 'bg-gray-800/50 border-transparent'}`}
+                >
+                  <button
+                    onClick={() => toggleClip(clip)}
+                    className="w-full flex items-center gap-4 p-3 text-left hover:bg-white/5"
+                  >
+                    <span className="w-10 text-center font-mono text-yellow-400">{clip.highlightScore}</span>
+                    <div className="flex-1 min-w-0">
+                      <div className="text-white truncate">{clip.description || clip.title}</div>
+                      <div className="text-xs text-gray-500">
+                        {[clip.date?.slice(0, 10), clip.event, clip.playInfo?.pitchSpeed && `${clip.playInfo.pitchSpeed} mph`, clip.playInfo?.exitVelocity && `${clip.playInfo.exitVelocity} mph EV`]
+                          .filter(Boolean)
+                          .join(' • ')}
+                      </div>
+                    </div>
+                    {isSelected && (
+                      <span className="text-xs text-blue-400">#{selectedIds.indexOf(clip.id) + 1} in reel</span>
+                    )}
+                  </button>
+
+                  {isSelected && (
+                    <div className="p-3 pt-0 space-y-3">
+                      <div className="aspect-video bg-black rounded overflow-hidden max-w-xl">
+                        <video
+                          src={`/api/video-proxy?url=${encodeURIComponent(getClipVideoUrl(clip))}`}
+                          className="w-full h-full object-contain"
+                          controls
+                          preload="metadata"
+                        />
+                      </div>
+                      {tData.isTranscribing && (
+                        <p className="text-sm text-yellow-400 animate-pulse">Transcribing...</p>
+                      )}
+                      {tData.error && (
+                        <p className="text-sm text-red-400">
+                          {tData.error}{' '}
+                          <button onClick={() => transcribeClip(clip)} className="underline">Retry</button>
+                        </p>
+                      )}
+                      {tData.transcript?.length > 0 && (
+                        <TranscriptEditor
+                          words={tData.transcript}
+                          selectedIndices={tData.selectedWords || []}
+                          selectedSegmentIndicesProp={tData.selectedSegmentIndices || null}
+                          onSelectionChange={(wordIndices, segmentIndices) => handleSelectionChange(clip.id, wordIndices, segmentIndices)}
+                          duration={tData.duration || 0}
+                          disabled={tData.isTranscribing}
+                        />
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </section>
+
+      {/* Reel rendering */}
+      {selectedClips.length > 0 && (
+        <section className="bg-mlb-charcoal rounded-2xl p-6 border border-white/10 space-y-4">
+          <h3 className="text-xl font-bold text-white">
+            Player Reel ({selectedClips.length} clip{selectedClips.length !== 1 ? 's' : ''})
+          </h3>
+
+          <label className="block text-sm space-y-1 max-w-xs">
+            <span className="text-gray-400">Voiceover style</span>
+            <select
+              value={style}
+              onChange={(e) => setStyle(e.target.value)}
+              className="w-full bg-mlb-navy border border-white/10 rounded-lg px-3 py-2 text-white"
+            >
+              {SCRIPT_STYLES.map(s => (
+                <option key={s.id} value={s.id}>{s.name}</option>
+              ))}
+            </select>
+          </label>
+
+          <VoiceOptions selectedVoice={voiceId} onVoiceChange={setVoiceId} scriptStyle={style} />
+
+          <ExportPresetSelect
+            id="reel-export-preset"
+            value={exportPreset}
+            onChange={setExportPreset}
+            burnCaptions={burnCaptions}
+            onBurnCaptionsChange={setBurnCaptions}
+            slateTemplate={slateTemplate}
+            onSlateTemplateChange={setSlateTemplate}
+            sponsorTag={sponsorTag}
+            onSponsorTagChange={setSponsorTag}
+            disabled={isGenerating}
+          />
+
+          {isGenerating ? (
+            <JobProgress job={generationJob} title="Rendering player reel..." />
+          ) : (
+            <button
+              onClick={handleGenerateReel}
+              className="px-6 py-3 bg-mlb-red hover:bg-mlb-red/80 text-white font-semibold rounded-lg"
+            >
+              Render reel
+            </button>
+          )}
+
+          {generationError && <p className="text-sm text-red-400">{generationError}</p>}
+
+          {reelUrl && (
+            <div className="space-y-3">
+              <div className="aspect-video bg-black rounded-lg overflow-hidden max-w-2xl">
+                <video src={reelUrl} controls className="w-full h-full">
+                  {reelCaptionUrls?.vtt && <track kind="captions" src={reelCaptionUrls.vtt} srcLang="en" label="English" />}
+                </video>
+              </div>
+              <a href={reelUrl} download className="text-mlb-green hover:underline text-sm">
+                Download reel
+              </a>
+              <CaptionLinks captionUrls={reelCaptionUrls} className="ml-3" />
+            </div>
+          )}
+        </section>
+      )}
+
+      <section>
+        <RendersPanel gamePk={`player-${playerId}`} refreshKey={rendersVersion} />
+      </section>
+    </div>
+  );
+}
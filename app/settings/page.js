@@ -0,0 +1,344 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { getAllTeams } from '@/lib/teams';
+import {
+  DEFAULT_EVENT_SCORES,
+  BONUS_LABELS,
+  normalizeProfile,
+} from '@/lib/scoring-profiles';
+
+const TEAMS = getAllTeams();
+
+/**
+ * Number input bound to one weight of the draft profile
+ */
+function WeightInput({ label, value, onChange, disabled, step = 1 }) {
+  return (
+    <label className="flex items-center justify-between gap-3 text-sm">
+      <span className="text-gray-300">{label}</span>
+      <input
+        type="number"
+        step={step}
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="w-20 bg-mlb-navy border border-white/10 rounded px-2 py-1 text-white text-right disabled:opacity-50"
+      />
+    </label>
+  );
+}
+
+/**
+ * Highlight scoring profile settings - create, edit, duplicate and delete
+ * the weight profiles used to pick key plays
+ */
+export default function SettingsPage() {
+  const [profiles, setProfiles] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchProfiles = useCallback(async (selectId) => {
+    try {
+      const response = await fetch('/api/scoring-profiles');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load profiles');
+
+      const list = data.profiles || [];
+      setProfiles(list);
+      const selected = list.find(p => p.id === selectId) || list[0];
+      setSelectedId(selected?.id || null);
+      setDraft(selected ? { ...selected } : null);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading scoring profiles:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProfiles();
+  }, [fetchProfiles]);
+
+  const selectProfile = (profile) => {
+    setSelectedId(profile.id);
+    setDraft({ ...profile });
+    setMessage(null);
+    setError(null);
+  };
+
+  const updateDraft = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateEventScore = (event, value) => {
+    setDraft(prev => ({ ...prev, eventScores: { ...prev.eventScores, [event]: value } }));
+  };
+
+  const updateBonus = (key, value) => {
+    setDraft(prev => ({ ...prev, bonuses: { ...prev.bonuses, [key]: value } }));
+  };
+
+  const handleDuplicate = () => {
+    const { id, builtIn, updatedAt, ...fields } = draft;
+    setSelectedId(null);
+    setDraft({ ...fields, name: `${draft.name} (copy)`, builtIn: false });
+    setMessage('Unsaved copy - adjust the weights and save');
+  };
+
+  const handleNew = () => {
+    setSelectedId(null);
+    setDraft({ ...normalizeProfile({ name: 'New profile' }), builtIn: false });
+    setMessage(null);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const isNew = !draft.id;
+      const response = await fetch(
+        isNew ? '/api/scoring-profiles' : `/api/scoring-profiles/${draft.id}`,
+        {
+          method: isNew ? 'POST' : 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(draft),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save profile');
+
+      await fetchProfiles(data.profile.id);
+      setMessage('Profile saved');
+    } catch (err) {
+      console.error('Error saving scoring profile:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!draft?.id || !confirm(`Delete "${draft.name}"? Games using it go back to the default profile.`)) return;
+
+    try {
+      const response = await fetch(`/api/scoring-profiles/${draft.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to delete profile');
+
+      await fetchProfiles();
+      setMessage('Profile deleted');
+    } catch (err) {
+      console.error('Error deleting scoring profile:', err);
+      setError(err.message);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="w-12 h-12 border-4 border-mlb-red border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  const isReadOnly = draft?.builtIn;
+  const eventNames = Object.keys({ ...DEFAULT_EVENT_SCORES, ...draft?.eventScores });
+
+  return (
+    <div className="space-y-6">
+      <Link
+        href="/"
+        className="inline-flex items-center gap-2 text-gray-400 hover:text-white transition-colors"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+        Back to Games
+      </Link>
+
+      <div>
+        <h2 className="text-2xl font-bold text-white">Highlight Scoring Profiles</h2>
+        <p className="text-gray-400 text-sm">
+          Weights used to pick key plays. Select a profile per game from the game page.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-[240px_1fr] gap-6">
+        {/* Profile list */}
+        <aside className="bg-mlb-charcoal rounded-xl border border-white/10 p-3 space-y-1 h-fit">
+          {profiles.map(p => (
+            <button
+              key={p.id}
+              onClick={() => selectProfile(p)}
+              className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                p.id === selectedId
+                  ? 'bg-mlb-red/20 text-white'
+                  : 'text-gray-300 hover:bg-white/5'
+              }`}
+            >
+              <div className="font-medium">{p.name}</div>
+              <div className="text-xs text-gray-500">{p.builtIn ? 'Built-in' : 'Custom'}</div>
+            </button>
+          ))}
+          <button
+            onClick={handleNew}
+            className="w-full text-left px-3 py-2 rounded-lg text-sm text-mlb-red hover:bg-white/5"
+          >
+            + New profile
+          </button>
+        </aside>
+
+        {/* Editor */}
+        {draft && (
+          <section className="bg-mlb-charcoal rounded-xl border border-white/10 p-6 space-y-6">
+            {isReadOnly && (
+              <p className="text-sm text-yellow-400">
+                Built-in profiles are read-only. Duplicate this one to customize it.
+              </p>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <label className="text-sm space-y-1">
+                <span className="text-gray-400">Name</span>
+                <input
+                  value={draft.name}
+                  onChange={(e) => updateDraft('name', e.target.value)}
+                  disabled={isReadOnly}
+                  className="w-full bg-mlb-navy border border-white/10 rounded-lg px-3 py-2 text-white disabled:opacity-50"
+                />
+              </label>
+              <label className="text-sm space-y-1">
+                <span className="text-gray-400">Description</span>
+                <input
+                  value={draft.description}
+                  onChange={(e) => updateDraft('description', e.target.value)}
+                  disabled={isReadOnly}
+                  className="w-full bg-mlb-navy border border-white/10 rounded-lg px-3 py-2 text-white disabled:opacity-50"
+                />
+              </label>
+            </div>
+
+            {/* Team focus */}
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+              <label className="text-sm space-y-1 md:col-span-2">
+                <span className="text-gray-400">Favor team</span>
+                <select
+                  value={draft.focusTeam ?? ''}
+                  onChange={(e) => updateDraft('focusTeam', e.target.value || null)}
+                  disabled={isReadOnly}
+                  className="w-full bg-mlb-navy border border-white/10 rounded-lg px-3 py-2 text-white disabled:opacity-50"
+                >
+                  <option value="">Neither - score both teams equally</option>
+                  <option value="home">Home team</option>
+                  <option value="away">Away team</option>
+                  {TEAMS.map(t => (
+                    <option key={t.id} value={t.id}>{t.name}</option>
+                  ))}
+                </select>
+              </label>
+              <WeightInput
+                label="Favored ×"
+                value={draft.focusMultiplier}
+                onChange={(v) => updateDraft('focusMultiplier', v)}
+                disabled={isReadOnly || !draft.focusTeam}
+                step={0.1}
+              />
+              <WeightInput
+                label="Opponent ×"
+                value={draft.opponentMultiplier}
+                onChange={(v) => updateDraft('opponentMultiplier', v)}
+                disabled={isReadOnly || !draft.focusTeam}
+                step={0.1}
+              />
+            </div>
+
+            <div className="max-w-xs">
+              <WeightInput
+                label="Minimum score for a key play"
+                value={draft.minScore}
+                onChange={(v) => updateDraft('minScore', v)}
+                disabled={isReadOnly}
+              />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+              <div>
+                <h3 className="font-semibold text-white mb-3">Event points</h3>
+                <div className="space-y-2">
+                  {eventNames.map(event => (
+                    <WeightInput
+                      key={event}
+                      label={event}
+                      value={draft.eventScores[event]}
+                      onChange={(v) => updateEventScore(event, v)}
+                      disabled={isReadOnly}
+                    />
+                  ))}
+                  <WeightInput
+                    label="Any other event"
+                    value={draft.defaultEventScore}
+                    onChange={(v) => updateDraft('defaultEventScore', v)}
+                    disabled={isReadOnly}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <h3 className="font-semibold text-white mb-3">Situation bonuses</h3>
+                <div className="space-y-2">
+                  {Object.entries(BONUS_LABELS).map(([key, label]) => (
+                    <WeightInput
+                      key={key}
+                      label={label}
+                      value={draft.bonuses[key]}
+                      onChange={(v) => updateBonus(key, v)}
+                      disabled={isReadOnly}
+                    />
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3 pt-4 border-t border-white/10">
+              {!isReadOnly && (
+                <button
+                  onClick={handleSave}
+                  disabled={isSaving}
+                  className="px-4 py-2 bg-mlb-red hover:bg-mlb-red/80 text-white font-semibold rounded-lg disabled:opacity-50"
+                >
+                  {isSaving ? 'Saving...' : 'Save profile'}
+                </button>
+              )}
+              {draft.id && (
+                <button
+                  onClick={handleDuplicate}
+                  className="px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg"
+                >
+                  Duplicate
+                </button>
+              )}
+              {draft.id && !isReadOnly && (
+                <button
+                  onClick={handleDelete}
+                  className="px-4 py-2 text-red-400 hover:bg-red-500/10 rounded-lg"
+                >
+                  Delete
+                </button>
+              )}
+              {message && <span className="text-sm text-mlb-green">{message}</span>}
+              {error && <span className="text-sm text-red-400">{error}</span>}
+            </div>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
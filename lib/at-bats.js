@@ -0,0 +1,68 @@
+/**
+ * At-Bats - The per-plate-appearance rows the game page edits into a rundown
+ */
+
+import { getPlayFeatures } from './scoring-profiles';
+
+/**
+ * Extract at-bats from game data with player IDs for Film Room lookup
+ * @param {Array} allPlays - Plays from the game feed (or a run of them)
+ * @param {string} gameDate - Official game date, YYYY-MM-DD
+ * @param {Array} wpAnalysis - analyzeWinProbability output for the same plays
+ * @param {object} teamIds - { away, home } team IDs
+ * @returns {Array}
+ */
+export function extractAtBats(allPlays, gameDate, wpAnalysis = [], teamIds = {}) {
+  const atBats = [];
+
+  for (const [index, play] of allPlays.entries()) {
+    // Skip non-at-bat plays
+    if (!play.result?.event) continue;
+
+    const batter = play.matchup?.batter;
+    const pitcher = play.matchup?.pitcher;
+    const about = play.about || {};
+
+    // Get the pitches for count info
+    const pitches = (play.playEvents || []).filter(e => e.isPitch);
+    const firstPitch = pitches[0];
+    const finalPitch = pitches[pitches.length - 1];
+
+    // Get outs at the start of the at-bat from the first pitch
+    const outsAtStart = firstPitch?.count?.outs ?? 0;
+
+    atBats.push({
+      playIndex: play.atBatIndex,
+      inning: about.inning,
+      halfInning: about.halfInning,
+      outsAtStart, // Used to distinguish same batter multiple times in an inning
+      batter: {
+        id: batter?.id,
+        name: batter?.fullName,
+      },
+      pitcher: {
+        id: pitcher?.id,
+        name: pitcher?.fullName,
+      },
+      result: play.result?.event,
+      description: play.result?.description,
+      rbi: play.result?.rbi || 0,
+      isScoring: about.isScoringPlay,
+      winProbabilityAdded: wpAnalysis[index]?.wpa ?? null,
+      // Scored client-side with the selected profile (lib/scoring-profiles.js)
+      highlightFeatures: wpAnalysis[index] ? getPlayFeatures(wpAnalysis[index], teamIds) : null,
+      pitchCount: pitches.length,
+      finalCount: finalPitch?.count ? `${finalPitch.count.balls}-${finalPitch.count.strikes}` : null,
+      // Search params for Film Room
+      filmRoomParams: {
+        batterId: batter?.id,
+        pitcherId: pitcher?.id,
+        date: gameDate,
+        inning: about.inning,
+        outs: outsAtStart, // Add outs to distinguish multiple at-bats by same batter in same inning
+      },
+    });
+  }
+
+  return atBats;
+}
@@ -0,0 +1,315 @@
+/**
+ * Captions - Subtitle cues for finished packages
+ *
+ * A cue is { start, end, text } in seconds on the package timeline. Cuts made
+ * from transcribed clips caption the commentary that survived the trim, timed
+ * from the transcript's word timestamps; voiced packages caption the narration,
+ * spread across each line's audio by length (TTS gives no word timings). Cues
+ * become SRT and WebVTT sidecars, or an ASS file styled for the export preset
+ * when captions are burned in.
+ *
+ * Client-safe - cue building and formatting are pure.
+ */
+
+import { splitSentences } from './script-segments';
+
+// Captions that read as one thought - longer runs or pauses start a new cue
+const MAX_CUE_SECONDS = 5;
+const MAX_WORD_GAP = 1;
+
+// Fallback look when a preset has none (see EXPORT_PRESETS captions)
+const DEFAULT_CAPTION_STYLE = { lineChars: 42, fontSize: 0.05, marginV: 0.07, marginH: 0.05, box: false };
+
+const CAPTION_LINES = 2;
+
+// Sidecars sit next to the video they caption, same name
+export const CAPTION_FORMATS = ['srt', 'vtt'];
+
+/**
+ * Caption look for an export preset
+ * @param {object} preset - From EXPORT_PRESETS
+ * @returns {object} - { lineChars, fontSize, marginV, marginH, box }
+ */
+export function getCaptionStyle(preset) {
+  return { ...DEFAULT_CAPTION_STYLE, ...preset?.captions };
+}
+
+/**
+ * Transcript words kept by a trim, moved onto the cut's timeline
+ * A word is kept when its midpoint falls inside a kept segment.
+ * @param {Array<{word: string, start: number, end: number}>} words - Transcript of the source clip
+ * @param {Array<{start: number, end: number}>} segments - Segments kept, in order (see trimToSegments)
+ * @param {number} offset - Where the trimmed clip starts in the package (seconds)
+ * @returns {Array<{word: string, start: number, end: number}>}
+ */
+export function mapWordsToCut(words, segments, offset = 0) {
+  const mapped = [];
+  let cutTime = offset;
+
+  for (const segment of segments || []) {
+    for (const word of words || []) {
+      const middle = (word.start + word.end) / 2;
+      if (middle < segment.start || middle > segment.end) continue;
+      mapped.push({
+        word: word.word,
+        start: cutTime + Math.max(0, word.start - segment.start),
+        end: cutTime + Math.min(segment.end, word.end) - segment.start,
+      });
+    }
+    cutTime += segment.end - segment.start;
+  }
+
+  return mapped;
+}
+
+/**
+ * Group timed words into cues
+ * A cue ends at a sentence end, a pause, or when it would overflow the caption lines.
+ * @param {Array<{word: string, start: number, end: number}>} words - On the package timeline
+ * @param {object} style - From getCaptionStyle (lineChars)
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+export function wordsToCues(words, style = DEFAULT_CAPTION_STYLE) {
+  const maxChars = style.lineChars * CAPTION_LINES;
+  const cues = [];
+  let current = null;
+
+  for (const word of [...(words || [])].sort((a, b) => a.start - b.start)) {
+    const text = String(word.word || '').trim();
+    if (!text) continue;
+
+    if (current && (
+      word.start - current.end > MAX_WORD_GAP
+      || word.end - current.start > MAX_CUE_SECONDS
+      || current.text.length + 1 + text.length > maxChars
+    )) {
+      cues.push(current);
+      current = null;
+    }
+
+    if (current) {
+      current.text += ` ${text}`;
+      current.end = word.end;
+    } else {
+      current = { start: word.start, end: word.end, text };
+    }
+
+    if (/[.!?]["']?$/.test(text)) {
+      cues.push(current);
+      current = null;
+    }
+  }
+  if (current) cues.push(current);
+
+  return cues;
+}
+
+/**
+ * Break text into caption-sized chunks - sentence by sentence, then by words
+ */
+function chunkText(text, maxChars) {
+  const chunks = [];
+
+  for (const { text: sentence } of splitSentences(text || '')) {
+    let chunk = '';
+    for (const word of sentence.trim().split(/\s+/)) {
+      if (chunk && chunk.length + 1 + word.length > maxChars) {
+        chunks.push(chunk);
+        chunk = word;
+      } else {
+        chunk = chunk ? `${chunk} ${word}` : word;
+      }
+    }
+    if (chunk) chunks.push(chunk);
+  }
+
+  return chunks;
+}
+
+/**
+ * Cues for one narration line, spread over its audio by length
+ * @param {string} text - What the voice says
+ * @param {object} timing
+ * @param {number} timing.start - When the audio starts in the package (seconds)
+ * @param {number} timing.duration - Audio length (seconds)
+ * @param {object} style - From getCaptionStyle (lineChars)
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+export function narrationToCues(text, { start = 0, duration = 0 } = {}, style = DEFAULT_CAPTION_STYLE) {
+  const chunks = chunkText(text, style.lineChars * CAPTION_LINES);
+  const totalChars = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  if (totalChars === 0 || !(duration > 0)) return [];
+
+  const cues = [];
+  let time = start;
+  for (const chunk of chunks) {
+    const length = duration * (chunk.length / totalChars);
+    cues.push({ start: time, end: time + length, text: chunk });
+    time += length;
+  }
+
+  return cues;
+}
+
+/**
+ * Lay narration over clip commentary - commentary cues under the voice are dropped
+ * @param {Array} narration - Narration cues
+ * @param {Array} commentary - Cues from clip transcripts
+ * @returns {Array} - Both, in time order
+ */
+export function layerCues(narration, commentary) {
+  const clear = commentary.filter(cue => !narration.some(line => cue.start < line.end && cue.end > line.start));
+  return [...narration, ...clear].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * All of a package's cues, laid out for a caption style
+ * @param {object} sources
+ * @param {Array} sources.words - Kept clip commentary on the package timeline (see mapWordsToCut)
+ * @param {Array<{text: string, start: number, duration: number}>} sources.narration - Voiced lines
+ * @param {object} style - From getCaptionStyle
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+export function buildCues({ words = [], narration = [] } = {}, style = DEFAULT_CAPTION_STYLE) {
+  const narrationCues = narration.flatMap(line => narrationToCues(line.text, line, style));
+  return layerCues(narrationCues, wordsToCues(words, style));
+}
+
+/**
+ * Where a video's caption sidecar lives
+ * @param {string} videoPath - Video file
+ * @param {string} format - One of CAPTION_FORMATS
+ * @returns {string}
+ */
+export function captionSidecarPath(videoPath, format) {
+  return videoPath.replace(/\.[^./\\]+$/, '') + `.${format}`;
+}
+
+/**
+ * Wrap cue text into balanced lines of at most lineChars (a long word overflows)
+ * @param {string} text - Cue text
+ * @param {number} lineChars - Characters per line
+ * @returns {string[]}
+ */
+export function wrapCueText(text, lineChars) {
+  if (text.length <= lineChars) return [text];
+
+  // Break at the space nearest the middle
+  const middle = text.length / 2;
+  let best = -1;
+  for (let i = text.indexOf(' '); i !== -1; i = text.indexOf(' ', i + 1)) {
+    if (best === -1 || Math.abs(i - middle) < Math.abs(best - middle)) best = i;
+  }
+  if (best === -1) return [text];
+
+  return [text.slice(0, best), text.slice(best + 1)];
+}
+
+function splitTime(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  return {
+    hours: Math.floor(totalMs / 3600000),
+    minutes: Math.floor(totalMs / 60000) % 60,
+    seconds: Math.floor(totalMs / 1000) % 60,
+    ms: totalMs % 1000,
+  };
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+function formatTimestamp(seconds, separator) {
+  const t = splitTime(seconds);
+  return `${pad(t.hours)}:${pad(t.minutes)}:${pad(t.seconds)}${separator}${pad(t.ms, 3)}`;
+}
+
+/**
+ * SubRip sidecar
+ * @param {Array} cues - { start, end, text }
+ * @param {object} style - From getCaptionStyle (lineChars)
+ * @returns {string}
+ */
+export function formatSrt(cues, style = DEFAULT_CAPTION_STYLE) {
+  return cues.map((cue, index) => [
+    index + 1,
+    `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+    ...wrapCueText(cue.text, style.lineChars),
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * WebVTT sidecar
+ * @param {Array} cues - { start, end, text }
+ * @param {object} style - From getCaptionStyle (lineChars)
+ * @returns {string}
+ */
+export function formatVtt(cues, style = DEFAULT_CAPTION_STYLE) {
+  // "-->" would end the timing line early; & and < are markup
+  const clean = (line) => line.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/-->/g, '->');
+
+  return ['WEBVTT', ...cues.map(cue => [
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+    ...wrapCueText(cue.text, style.lineChars).map(clean),
+  ].join('\n'))].join('\n\n') + '\n';
+}
+
+function formatAssTime(seconds) {
+  const t = splitTime(seconds);
+  return `${t.hours}:${pad(t.minutes)}:${pad(t.seconds)}.${pad(Math.floor(t.ms / 10))}`;
+}
+
+/**
+ * ASS subtitles for burning in, laid out for the output frame
+ * @param {Array} cues - { start, end, text }
+ * @param {object} frame
+ * @param {number} frame.width - Output width
+ * @param {number} frame.height - Output height
+ * @param {object} style - From getCaptionStyle
+ * @returns {string}
+ */
+export function buildAss(cues, { width, height }, style = DEFAULT_CAPTION_STYLE) {
+  const fontSize = Math.round(height * style.fontSize);
+  const marginH = Math.round(width * style.marginH);
+  const marginV = Math.round(height * style.marginV);
+
+  // Colours are &HAABBGGRR. A boxed style draws an opaque box (BorderStyle 3);
+  // otherwise a thick outline and soft shadow keep the text readable on grass and sky.
+  const [borderStyle, outline, shadow, outlineColour, backColour] = style.box
+    ? [3, Math.round(fontSize * 0.2), 0, '&H40000000', '&H40000000']
+    : [1, Math.max(2, Math.round(fontSize * 0.06)), 1, '&H00000000', '&H80000000'];
+
+  // Braces and backslashes are ASS override syntax
+  const clean = (line) => line.replace(/[{}\\]/g, '');
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 2',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: Caption,Arial,${fontSize},&H00FFFFFF,&H00FFFFFF,${outlineColour},${backColour},-1,0,0,0,100,100,0,0,${borderStyle},${outline},${shadow},2,${marginH},${marginH},${marginV},1`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...cues.map(cue =>
+      `Dialogue: 0,${formatAssTime(cue.start)},${formatAssTime(cue.end)},Caption,,0,0,0,,${wrapCueText(cue.text, style.lineChars).map(clean).join('\\N')}`
+    ),
+    '',
+  ].join('\n');
+}
+
+/**
+ * ffmpeg filter that burns an ASS file into the picture
+ * Set CAPTION_FONTS_DIR to a folder of .ttf files if ffmpeg has no fontconfig fonts.
+ * @param {string} assPath - From buildAss, written to disk
+ * @returns {string}
+ */
+export function buildCaptionFilter(assPath) {
+  // Filter option values treat \ ' : and the graph separators as syntax
+  const escape = (value) => value.replace(/[\\':,;[\]]/g, '\\$&');
+  const fontsDir = process.env.CAPTION_FONTS_DIR;
+  return `ass=filename=${escape(assPath)}${fontsDir ? `:fontsdir=${escape(fontsDir)}` : ''}`;
+}
@@ -0,0 +1,186 @@
+/**
+ * Run and win expectancy tables
+ *
+ * Generated by scripts/build-win-expectancy.js - do not edit by hand.
+ * Based on a Markov model of league-average plate appearances with evenly
+ * matched teams and the extra-inning runner on second.
+ */
+
+// Runs tracked per state (the last bucket means "this many or more")
+export const MAX_RUNS = 10;
+
+// Score differentials beyond this are treated as this
+export const MAX_SCORE_DIFF = 10;
+
+// Row index used for all extra innings
+export const EXTRA_INNING = 10;
+
+/**
+ * Probability of scoring exactly k runs in the rest of the half-inning
+ * Indexed [outs * 8 + bases][k], bases bitmask: 1 = first, 2 = second, 4 = third
+ */
+export const RUN_DISTRIBUTION = [
+  // 0 out, empty
+  [0.74089, 0.13595, 0.06777, 0.03164, 0.01393, 0.00587, 0.0024, 0.00095, 0.00037, 0.00014, 0.00009],
+  // 0 out, 1B
+  [0.62476, 0.13244, 0.12489, 0.06452, 0.03039, 0.01346, 0.0057, 0.00233, 0.00093, 0.00036, 0.00022],
+  // 0 out, 2B
+  [0.44135, 0.30064, 0.13486, 0.06775, 0.03164, 0.01393, 0.00588, 0.0024, 0.00095, 0.00037, 0.00023],
+  // 0 out, 1B-2B
+  [0.42878, 0.2044, 0.12423, 0.12469, 0.06451, 0.03038, 0.01346, 0.0057, 0.00233, 0.00093, 0.00059],
+  // 0 out, 3B
+  [0.21809, 0.52301, 0.13574, 0.06777, 0.03164, 0.01393, 0.00587, 0.0024, 0.00095, 0.00037, 0.00023],
+  // 0 out, 1B-3B
+  [0.21162, 0.41521, 0.13042, 0.12485, 0.06452, 0.03038, 0.01346, 0.0057, 0.00233, 0.00093, 0.00058],
+  // 0 out, 2B-3B
+  [0.2099, 0.26513, 0.26706, 0.13477, 0.06775, 0.03164, 0.01393, 0.00587, 0.0024, 0.00095, 0.0006],
+  // 0 out, loaded
+  [0.16819, 0.281, 0.18438, 0.12384, 0.12469, 0.06451, 0.03038, 0.01346, 0.0057, 0.00233, 0.00152],
+  // 1 out, empty
+  [0.84065, 0.0944, 0.03962, 0.01577, 0.00603, 0.00225, 0.00082, 0.0003, 0.0001, 0.00004, 0.00002],
+  // 1 out, 1B
+  [0.75549, 0.09132, 0.08991, 0.03848, 0.01541, 0.00592, 0.00221, 0.00081, 0.00029, 0.0001, 0.00006],
+  // 1 out, 2B
+  [0.61487, 0.22618, 0.09402, 0.03961, 0.01577, 0.00603, 0.00225, 0.00082, 0.00029, 0.0001, 0.00006],
+  // 1 out, 1B-2B
+  [0.59959, 0.1595, 0.08779, 0.08984, 0.03848, 0.01541, 0.00592, 0.00221, 0.00081, 0.00029, 0.00016],
+  // 1 out, 3B
+  [0.40625, 0.43444, 0.09436, 0.03962, 0.01577, 0.00603, 0.00225, 0.00082, 0.0003, 0.0001, 0.00006],
+  // 1 out, 1B-3B
+  [0.43913, 0.31678, 0.09091, 0.0899, 0.03848, 0.01541, 0.00592, 0.00221, 0.00081, 0.00029, 0.00016],
+  // 1 out, 2B-3B
+  [0.39768, 0.22398, 0.2194, 0.094, 0.03962, 0.01577, 0.00603, 0.00225, 0.00082, 0.00029, 0.00016],
+  // 1 out, loaded
+  [0.37654, 0.22757, 0.15505, 0.08772, 0.08984, 0.03848, 0.01541, 0.00592, 0.00221, 0.00081, 0.00045],
+  // 2 out, empty
+  [0.92896, 0.04834, 0.01544, 0.00494, 0.00158, 0.00051, 0.00016, 0.00005, 0.00002, 0, 0],
+  // 2 out, 1B
+  [0.88354, 0.04555, 0.04821, 0.01543, 0.00494, 0.00158, 0.00051, 0.00016, 0.00005, 0.00002, 0.00001],
+  // 2 out, 2B
+  [0.79501, 0.13401, 0.04828, 0.01543, 0.00494, 0.00158, 0.00051, 0.00016, 0.00005, 0.00002, 0.00001],
+  // 2 out, 1B-2B
+  [0.782, 0.10219, 0.04492, 0.0482, 0.01543, 0.00494, 0.00158, 0.00051, 0.00016, 0.00005, 0.00002],
+  // 2 out, 3B
+  [0.74831, 0.18065, 0.04834, 0.01544, 0.00494, 0.00158, 0.0005, 0.00016, 0.00005, 0.00002, 0.00001],
+  // 2 out, 1B-3B
+  [0.74256, 0.14098, 0.04555, 0.04821, 0.01543, 0.00494, 0.00158, 0.00051, 0.00016, 0.00005, 0.00003],
+  // 2 out, 2B-3B
+  [0.74256, 0.05245, 0.13401, 0.04828, 0.01544, 0.00494, 0.00158, 0.00051, 0.00016, 0.00005, 0.00002],
+  // 2 out, loaded
+  [0.68, 0.102, 0.10218, 0.04492, 0.0482, 0.01543, 0.00494, 0.00158, 0.00051, 0.00016, 0.00008],
+];
+
+/**
+ * Home team win expectancy at the start of a half-inning
+ * Indexed [inning - 1][0 = top, 1 = bottom][homeScore - awayScore + MAX_SCORE_DIFF]
+ */
+export const HALF_INNING_START = [
+  // inning 1
+  [
+    [0.0182, 0.024, 0.0347, 0.052, 0.0779, 0.1145, 0.1643, 0.2287, 0.308, 0.4001, 0.5, 0.6, 0.6921, 0.7714, 0.8358, 0.8857, 0.9225, 0.9486, 0.9663, 0.9777, 0.9844],
+    [0.0182, 0.026, 0.0391, 0.0593, 0.089, 0.1304, 0.1861, 0.2572, 0.3436, 0.442, 0.5464, 0.6475, 0.7371, 0.8111, 0.8689, 0.9117, 0.9421, 0.9627, 0.9761, 0.9842, 0.9884],
+  ],
+  // inning 2
+  [
+    [0.0137, 0.0186, 0.0279, 0.0433, 0.0669, 0.1015, 0.1498, 0.2143, 0.2959, 0.3928, 0.5, 0.6072, 0.7042, 0.7858, 0.8503, 0.8987, 0.9333, 0.9571, 0.9728, 0.9827, 0.9884],
+    [0.0137, 0.0203, 0.0317, 0.0498, 0.077, 0.1164, 0.1708, 0.2426, 0.3322, 0.4368, 0.5495, 0.6581, 0.7518, 0.827, 0.8837, 0.9243, 0.952, 0.9702, 0.9816, 0.9883, 0.9917],
+  ],
+  // inning 3
+  [
+    [0.0098, 0.0138, 0.0216, 0.0348, 0.0558, 0.0876, 0.1338, 0.1977, 0.2813, 0.3838, 0.5, 0.6162, 0.7187, 0.8024, 0.8662, 0.9124, 0.9443, 0.9655, 0.9789, 0.9871, 0.9917],
+    [0.0098, 0.0152, 0.0247, 0.0403, 0.0647, 0.1013, 0.1537, 0.2255, 0.3183, 0.4299, 0.5533, 0.6713, 0.7695, 0.8451, 0.8998, 0.9373, 0.9619, 0.9773, 0.9866, 0.9919, 0.9945],
+  ],
+  // inning 4
+  [
+    [0.0066, 0.0097, 0.0158, 0.0267, 0.0447, 0.0731, 0.1162, 0.1785, 0.2636, 0.3721, 0.5, 0.6279, 0.7364, 0.8215, 0.8838, 0.9269, 0.9554, 0.9735, 0.9845, 0.991, 0.9945],
+    [0.0066, 0.0107, 0.0183, 0.0312, 0.0523, 0.0852, 0.1346, 0.2054, 0.3008, 0.4204, 0.558, 0.6885, 0.7908, 0.8658, 0.9171, 0.9506, 0.9713, 0.9838, 0.9909, 0.9948, 0.9966],
+  ],
+  // inning 5
+  [
+    [0.004, 0.0063, 0.0109, 0.0193, 0.0339, 0.0582, 0.097, 0.1562, 0.2415, 0.3562, 0.5, 0.6438, 0.7585, 0.8438, 0.903, 0.9418, 0.9662, 0.9808, 0.9894, 0.9941, 0.9966],
+    [0.004, 0.007, 0.0127, 0.0227, 0.04, 0.0684, 0.1134, 0.1815, 0.2784, 0.4066, 0.5642, 0.7117, 0.817, 0.8892, 0.9355, 0.9637, 0.9801, 0.9894, 0.9944, 0.997, 0.9982],
+  ],
+  // inning 6
+  [
+    [0.0022, 0.0036, 0.0067, 0.0127, 0.0237, 0.0431, 0.0763, 0.1303, 0.2137, 0.3337, 0.5, 0.6663, 0.7863, 0.8697, 0.9237, 0.9569, 0.9763, 0.9873, 0.9934, 0.9966, 0.9982],
+    [0.0022, 0.0041, 0.008, 0.0151, 0.0282, 0.0512, 0.0901, 0.1531, 0.2492, 0.3856, 0.5726, 0.7445, 0.8496, 0.9155, 0.9544, 0.9762, 0.9879, 0.994, 0.9971, 0.9985, 0.9992],
+  ],
+  // inning 7
+  [
+    [0.001, 0.0018, 0.0036, 0.0073, 0.0146, 0.0286, 0.0546, 0.1006, 0.178, 0.2999, 0.5, 0.7001, 0.822, 0.8994, 0.9454, 0.9714, 0.9854, 0.9927, 0.9965, 0.9983, 0.9992],
+    [0.001, 0.0021, 0.0043, 0.0088, 0.0176, 0.0344, 0.0653, 0.1196, 0.2104, 0.3517, 0.5844, 0.7936, 0.8903, 0.9443, 0.9728, 0.9871, 0.9941, 0.9973, 0.9988, 0.9995, 0.9997],
+  ],
+  // inning 8
+  [
+    [0.0003, 0.0007, 0.0015, 0.0033, 0.0072, 0.0157, 0.033, 0.0673, 0.1319, 0.2465, 0.5, 0.7535, 0.8681, 0.9327, 0.967, 0.9843, 0.9928, 0.9967, 0.9986, 0.9994, 0.9997],
+    [0.0003, 0.0008, 0.0018, 0.004, 0.0088, 0.0191, 0.04, 0.0813, 0.1584, 0.294, 0.602, 0.871, 0.9405, 0.9739, 0.989, 0.9955, 0.9982, 0.9993, 0.9997, 0.9999, 1],
+  ],
+  // inning 9
+  [
+    [0, 0.0001, 0.0003, 0.0009, 0.0022, 0.0056, 0.0136, 0.0322, 0.0729, 0.1571, 0.5, 0.8429, 0.9271, 0.9678, 0.9864, 0.9944, 0.9978, 0.9991, 0.9997, 0.9999, 1],
+    [0, 0.0002, 0.0004, 0.0011, 0.0027, 0.0069, 0.0168, 0.0396, 0.0893, 0.1911, 0.6296, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
+  ],
+  // extras
+  [
+    [0.0001, 0.0002, 0.0006, 0.0016, 0.004, 0.0099, 0.0237, 0.0541, 0.1177, 0.2529, 0.5, 0.7471, 0.8823, 0.9459, 0.9763, 0.9901, 0.996, 0.9984, 0.9994, 0.9998, 0.9999],
+    [0.0001, 0.0004, 0.0011, 0.0027, 0.0069, 0.0168, 0.0396, 0.0893, 0.1906, 0.4083, 0.7793, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
+  ],
+];
+
+/**
+ * Possible results of the next plate appearance from each base/out state
+ * Indexed [outs * 8 + bases], each entry [probability, outsAfter, basesAfter, runsScored]
+ */
+export const PA_TRANSITIONS = [
+  // 0 out, empty
+  [[0.225, 1, 0, 0], [0.455, 1, 0, 0], [0.092, 0, 1, 0], [0.145, 0, 1, 0], [0.046, 0, 2, 0], [0.004, 0, 4, 0], [0.033, 0, 0, 1]],
+  // 0 out, 1B
+  [[0.225, 1, 1, 0], [0.0728, 2, 0, 0], [0.3822, 1, 1, 0], [0.092, 0, 3, 0], [0.0406, 0, 5, 0], [0.1044, 0, 3, 0], [0.01932, 0, 2, 1], [0.02668, 0, 6, 0], [0.004, 0, 4, 1], [0.033, 0, 0, 2]],
+  // 0 out, 2B
+  [[0.225, 1, 2, 0], [0.1365, 1, 4, 0], [0.3185, 1, 2, 0], [0.092, 0, 3, 0], [0.087, 0, 1, 1], [0.058, 0, 5, 0], [0.046, 0, 2, 1], [0.004, 0, 4, 1], [0.033, 0, 0, 2]],
+  // 0 out, 1B-2B
+  [[0.225, 1, 3, 0], [0.0728, 2, 2, 0], [0.11466, 1, 5, 0], [0.26754, 1, 3, 0], [0.092, 0, 7, 0], [0.02436, 0, 5, 1], [0.06264, 0, 3, 1], [0.058, 0, 7, 0], [0.01932, 0, 2, 2], [0.02668, 0, 6, 1], [0.004, 0, 4, 2], [0.033, 0, 0, 3]],
+  // 0 out, 3B
+  [[0.225, 1, 4, 0], [0.1911, 1, 0, 1], [0.2639, 1, 4, 0], [0.092, 0, 5, 0], [0.145, 0, 1, 1], [0.046, 0, 2, 1], [0.004, 0, 4, 1], [0.033, 0, 0, 2]],
+  // 0 out, 1B-3B
+  [[0.225, 1, 5, 0], [0.0728, 2, 0, 1], [0.16052, 1, 1, 1], [0.22168, 1, 5, 0], [0.092, 0, 7, 0], [0.0406, 0, 5, 1], [0.1044, 0, 3, 1], [0.01932, 0, 2, 2], [0.02668, 0, 6, 1], [0.004, 0, 4, 2], [0.033, 0, 0, 3]],
+  // 0 out, 2B-3B
+  [[0.225, 1, 6, 0], [0.1911, 1, 2, 1], [0.2639, 1, 6, 0], [0.092, 0, 7, 0], [0.087, 0, 1, 2], [0.058, 0, 5, 1], [0.046, 0, 2, 2], [0.004, 0, 4, 2], [0.033, 0, 0, 3]],
+  // 0 out, loaded
+  [[0.225, 1, 7, 0], [0.0728, 2, 2, 1], [0.16052, 1, 3, 1], [0.22168, 1, 7, 0], [0.092, 0, 7, 1], [0.02436, 0, 5, 2], [0.06264, 0, 3, 2], [0.058, 0, 7, 1], [0.01932, 0, 2, 3], [0.02668, 0, 6, 2], [0.004, 0, 4, 3], [0.033, 0, 0, 4]],
+  // 1 out, empty
+  [[0.225, 2, 0, 0], [0.455, 2, 0, 0], [0.092, 1, 1, 0], [0.145, 1, 1, 0], [0.046, 1, 2, 0], [0.004, 1, 4, 0], [0.033, 1, 0, 1]],
+  // 1 out, 1B
+  [[0.225, 2, 1, 0], [0.0728, 3, 0, 0], [0.3822, 2, 1, 0], [0.092, 1, 3, 0], [0.0406, 1, 5, 0], [0.1044, 1, 3, 0], [0.01932, 1, 2, 1], [0.02668, 1, 6, 0], [0.004, 1, 4, 1], [0.033, 1, 0, 2]],
+  // 1 out, 2B
+  [[0.225, 2, 2, 0], [0.1365, 2, 4, 0], [0.3185, 2, 2, 0], [0.092, 1, 3, 0], [0.087, 1, 1, 1], [0.058, 1, 5, 0], [0.046, 1, 2, 1], [0.004, 1, 4, 1], [0.033, 1, 0, 2]],
+  // 1 out, 1B-2B
+  [[0.225, 2, 3, 0], [0.0728, 3, 2, 0], [0.11466, 2, 5, 0], [0.26754, 2, 3, 0], [0.092, 1, 7, 0], [0.02436, 1, 5, 1], [0.06264, 1, 3, 1], [0.058, 1, 7, 0], [0.01932, 1, 2, 2], [0.02668, 1, 6, 1], [0.004, 1, 4, 2], [0.033, 1, 0, 3]],
+  // 1 out, 3B
+  [[0.225, 2, 4, 0], [0.1911, 2, 0, 1], [0.2639, 2, 4, 0], [0.092, 1, 5, 0], [0.145, 1, 1, 1], [0.046, 1, 2, 1], [0.004, 1, 4, 1], [0.033, 1, 0, 2]],
+  // 1 out, 1B-3B
+  [[0.225, 2, 5, 0], [0.0728, 3, 4, 0], [0.16052, 2, 1, 1], [0.22168, 2, 5, 0], [0.092, 1, 7, 0], [0.0406, 1, 5, 1], [0.1044, 1, 3, 1], [0.01932, 1, 2, 2], [0.02668, 1, 6, 1], [0.004, 1, 4, 2], [0.033, 1, 0, 3]],
+  // 1 out, 2B-3B
+  [[0.225, 2, 6, 0], [0.1911, 2, 2, 1], [0.2639, 2, 6, 0], [0.092, 1, 7, 0], [0.087, 1, 1, 2], [0.058, 1, 5, 1], [0.046, 1, 2, 2], [0.004, 1, 4, 2], [0.033, 1, 0, 3]],
+  // 1 out, loaded
+  [[0.225, 2, 7, 0], [0.0728, 3, 6, 0], [0.16052, 2, 3, 1], [0.22168, 2, 7, 0], [0.092, 1, 7, 1], [0.02436, 1, 5, 2], [0.06264, 1, 3, 2], [0.058, 1, 7, 1], [0.01932, 1, 2, 3], [0.02668, 1, 6, 2], [0.004, 1, 4, 3], [0.033, 1, 0, 4]],
+  // 2 out, empty
+  [[0.225, 3, 0, 0], [0.455, 3, 0, 0], [0.092, 2, 1, 0], [0.145, 2, 1, 0], [0.046, 2, 2, 0], [0.004, 2, 4, 0], [0.033, 2, 0, 1]],
+  // 2 out, 1B
+  [[0.225, 3, 1, 0], [0.455, 3, 1, 0], [0.092, 2, 3, 0], [0.0406, 2, 5, 0], [0.1044, 2, 3, 0], [0.01932, 2, 2, 1], [0.02668, 2, 6, 0], [0.004, 2, 4, 1], [0.033, 2, 0, 2]],
+  // 2 out, 2B
+  [[0.225, 3, 2, 0], [0.455, 3, 2, 0], [0.092, 2, 3, 0], [0.087, 2, 1, 1], [0.058, 2, 5, 0], [0.046, 2, 2, 1], [0.004, 2, 4, 1], [0.033, 2, 0, 2]],
+  // 2 out, 1B-2B
+  [[0.225, 3, 3, 0], [0.455, 3, 3, 0], [0.092, 2, 7, 0], [0.02436, 2, 5, 1], [0.06264, 2, 3, 1], [0.058, 2, 7, 0], [0.01932, 2, 2, 2], [0.02668, 2, 6, 1], [0.004, 2, 4, 2], [0.033, 2, 0, 3]],
+  // 2 out, 3B
+  [[0.225, 3, 4, 0], [0.455, 3, 4, 0], [0.092, 2, 5, 0], [0.145, 2, 1, 1], [0.046, 2, 2, 1], [0.004, 2, 4, 1], [0.033, 2, 0, 2]],
+  // 2 out, 1B-3B
+  [[0.225, 3, 5, 0], [0.455, 3, 5, 0], [0.092, 2, 7, 0], [0.0406, 2, 5, 1], [0.1044, 2, 3, 1], [0.01932, 2, 2, 2], [0.02668, 2, 6, 1], [0.004, 2, 4, 2], [0.033, 2, 0, 3]],
+  // 2 out, 2B-3B
+  [[0.225, 3, 6, 0], [0.455, 3, 6, 0], [0.092, 2, 7, 0], [0.087, 2, 1, 2], [0.058, 2, 5, 1], [0.046, 2, 2, 2], [0.004, 2, 4, 2], [0.033, 2, 0, 3]],
+  // 2 out, loaded
+  [[0.225, 3, 7, 0], [0.455, 3, 7, 0], [0.092, 2, 7, 1], [0.02436, 2, 5, 2], [0.06264, 2, 3, 2], [0.058, 2, 7, 1], [0.01932, 2, 2, 3], [0.02668, 2, 6, 2], [0.004, 2, 4, 3], [0.033, 2, 0, 4]],
+];
+
+// Average absolute win probability swing per plate appearance (leverage index 1.0)
+export const AVERAGE_PA_SWING = 0.03448;
@@ -1,13 +1,16 @@
 // ElevenLabs API helper for voice generation
 import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js';
+import { transportFetch, apiKeyFor } from './transport';
 
 // Initialize client - will use ELEVENLABS_API_KEY from env
 const getClient = () => {
-  if (!process.env.ELEVENLABS_API_KEY) {
+  const apiKey = apiKeyFor('ELEVENLABS_API_KEY');
+  if (!apiKey) {
     throw new Error('ELEVENLABS_API_KEY environment variable is required');
   }
   return new ElevenLabsClient({
-    apiKey: process.env.ELEVENLABS_API_KEY,
+    apiKey,
+    fetch: transportFetch,
   });
 };
 
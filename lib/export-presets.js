@@ -0,0 +1,346 @@
+/**
+ * Export Presets - Output formats for finished packages
+ *
+ * Packages are cut at whatever size the source clips are. An export preset
+ * is the last pass over the finished cut: scale into the target frame (pad,
+ * center crop, or a crop that follows the action), conform the frame rate,
+ * interlace for broadcast, encode, and normalize loudness. The smart crop
+ * follows the ball and batter from the Gemini action analysis when a clip
+ * has it, and holds the center when it doesn't.
+ *
+ * Client-safe - presets and the ffmpeg argument builders are pure.
+ */
+
+import { buildCaptionFilter, getCaptionStyle } from './captions';
+import { buildGraphicsFilter } from './graphics';
+
+export const DEFAULT_EXPORT_PRESET_ID = 'source';
+
+// Web and social platforms normalize to about -14 LUFS; ATSC A/85 broadcast is -24 LKFS
+const WEB_LOUDNESS = { integrated: -14, truePeak: -1, range: 11 };
+const BROADCAST_LOUDNESS = { integrated: -24, truePeak: -2, range: 7 };
+
+// Burned-in caption looks - sizes and margins are shares of the frame (see lib/captions)
+const WEB_CAPTIONS = { lineChars: 42, fontSize: 0.05, marginV: 0.07, marginH: 0.05, box: false };
+// Vertical players cover the bottom fifth with their own buttons and text
+const VERTICAL_CAPTIONS = { lineChars: 22, fontSize: 0.036, marginV: 0.24, marginH: 0.06, box: false };
+const SQUARE_CAPTIONS = { lineChars: 28, fontSize: 0.05, marginV: 0.1, marginH: 0.06, box: false };
+// 32 characters a row and boxed, as 608-style captions are; inside title safe
+const BROADCAST_CAPTIONS = { lineChars: 32, fontSize: 0.045, marginV: 0.1, marginH: 0.1, box: true };
+
+export const EXPORT_PRESETS = [
+  {
+    id: 'source',
+    name: 'Source',
+    description: 'As cut - source resolution, no extra encode',
+    icon: '🎞️',
+    captions: WEB_CAPTIONS,
+  },
+  {
+    id: 'landscape-1080',
+    name: 'Landscape 1080p',
+    description: '16:9 for web and YouTube',
+    icon: '🖥️',
+    width: 1920,
+    height: 1080,
+    crop: 'fit',
+    fps: '30',
+    interlaced: false,
+    video: { codec: 'h264', crf: 20, maxrate: '12M' },
+    audio: { codec: 'aac', bitrate: '192k', sampleRate: 48000 },
+    loudness: WEB_LOUDNESS,
+    captions: WEB_CAPTIONS,
+    container: 'mp4',
+  },
+  {
+    id: 'vertical-1080',
+    name: 'Vertical 9:16',
+    description: 'Reels, Shorts and TikTok - reframed on the action',
+    icon: '📱',
+    width: 1080,
+    height: 1920,
+    crop: 'smart',
+    fps: '30',
+    interlaced: false,
+    video: { codec: 'h264', crf: 21, maxrate: '10M' },
+    audio: { codec: 'aac', bitrate: '192k', sampleRate: 48000 },
+    loudness: WEB_LOUDNESS,
+    captions: VERTICAL_CAPTIONS,
+    container: 'mp4',
+  },
+  {
+    id: 'square-1080',
+    name: 'Square 1:1',
+    description: 'Feed posts - reframed on the action',
+    icon: '⬛',
+    width: 1080,
+    height: 1080,
+    crop: 'smart',
+    fps: '30',
+    interlaced: false,
+    video: { codec: 'h264', crf: 21, maxrate: '8M' },
+    audio: { codec: 'aac', bitrate: '192k', sampleRate: 48000 },
+    loudness: WEB_LOUDNESS,
+    captions: SQUARE_CAPTIONS,
+    container: 'mp4',
+  },
+  {
+    id: 'broadcast-prores',
+    name: 'Broadcast ProRes',
+    description: '1080i/59.94 ProRes 422 HQ, 24-bit PCM, -24 LKFS',
+    icon: '📡',
+    width: 1920,
+    height: 1080,
+    crop: 'fit',
+    fps: '30000/1001',
+    interlaced: true,
+    video: { codec: 'prores', profile: 3 },
+    audio: { codec: 'pcm_s24le', sampleRate: 48000 },
+    loudness: BROADCAST_LOUDNESS,
+    captions: BROADCAST_CAPTIONS,
+    container: 'mov',
+  },
+  {
+    id: 'broadcast-h264',
+    name: 'Broadcast H.264',
+    description: '1080i/59.94 H.264 at 50 Mbps, -24 LKFS',
+    icon: '📺',
+    width: 1920,
+    height: 1080,
+    crop: 'fit',
+    fps: '30000/1001',
+    interlaced: true,
+    video: { codec: 'h264', bitrate: '50M' },
+    audio: { codec: 'aac', bitrate: '320k', sampleRate: 48000 },
+    loudness: BROADCAST_LOUDNESS,
+    captions: BROADCAST_CAPTIONS,
+    container: 'mp4',
+  },
+];
+
+// Crop pans are linear between keyframes - more than this makes an unwieldy expression
+const MAX_REFRAME_KEYFRAMES = 40;
+
+// Ignore subject moves smaller than this share of the frame width (keeps the crop steady)
+const REFRAME_DEADBAND = 0.05;
+
+/**
+ * Find a preset by id
+ * @param {string} presetId - EXPORT_PRESETS id (empty for the default)
+ * @returns {object|null} - null for an unknown id
+ */
+export function findExportPreset(presetId) {
+  return EXPORT_PRESETS.find(preset => preset.id === (presetId || DEFAULT_EXPORT_PRESET_ID)) || null;
+}
+
+/**
+ * File extension of a preset's exports
+ * @param {string} presetId - EXPORT_PRESETS id
+ * @returns {string} - 'mp4' or 'mov'
+ */
+export function exportContainer(presetId) {
+  return findExportPreset(presetId)?.container || 'mp4';
+}
+
+/**
+ * Whether a preset re-encodes at all ('source' leaves the cut alone)
+ */
+export function isPassthroughPreset(preset) {
+  return !preset?.width;
+}
+
+const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+/**
+ * A clip's focus points on the package timeline
+ * @param {object} analysis - Gemini analysis with focus_points [{seconds, x}]
+ * @param {object} placement
+ * @param {number} placement.offset - Where the clip starts in the package (seconds)
+ * @param {number} placement.trimStart - Seconds cut from the front of the clip
+ * @param {number} placement.duration - Length of the clip as used
+ * @returns {Array<{time: number, x: number}>} - x from 0 (left edge) to 1 (right edge)
+ */
+export function clipFocusPoints(analysis, { offset = 0, trimStart = 0, duration = Infinity } = {}) {
+  const points = Array.isArray(analysis?.focus_points) ? analysis.focus_points : [];
+  return points
+    .filter(point => Number.isFinite(point?.seconds) && Number.isFinite(point?.x))
+    .map(point => ({ time: point.seconds - trimStart, x: clamp(point.x, 0, 1) }))
+    .filter(point => point.time >= 0 && point.time <= duration)
+    .map(point => ({ time: offset + point.time, x: point.x }));
+}
+
+/**
+ * Keyframes for the crop - sorted, with jitter and crowding removed
+ */
+function reframeKeyframes(focus) {
+  const sorted = [...(focus || [])].sort((a, b) => a.time - b.time);
+  const keyframes = [];
+
+  for (const point of sorted) {
+    const last = keyframes.at(-1);
+    if (last && Math.abs(point.x - last.x) < REFRAME_DEADBAND) continue;
+    keyframes.push(point);
+  }
+
+  if (keyframes.length <= MAX_REFRAME_KEYFRAMES) return keyframes;
+  const step = (keyframes.length - 1) / (MAX_REFRAME_KEYFRAMES - 1);
+  return Array.from({ length: MAX_REFRAME_KEYFRAMES }, (_, i) => keyframes[Math.round(i * step)]);
+}
+
+/**
+ * Crop window's left edge over time, as an ffmpeg expression of t
+ * Pans linearly between keyframes and holds before the first and after the last.
+ * @param {Array<{time: number, x: number}>} focus - Subject position on the package timeline
+ * @param {object} frame
+ * @param {number} frame.sourceWidth - Width being cropped (after scaling)
+ * @param {number} frame.cropWidth - Width of the crop window
+ * @returns {string}
+ */
+export function buildReframeExpression(focus, { sourceWidth, cropWidth }) {
+  const maxX = Math.max(0, sourceWidth - cropWidth);
+  const toX = (x) => Math.round(clamp(x * sourceWidth - cropWidth / 2, 0, maxX));
+
+  const keyframes = reframeKeyframes(focus);
+  if (keyframes.length === 0) return String(Math.round(maxX / 2));
+
+  // if(lt(t,t1),<x0 -> x1>,if(lt(t,t2),<x1 -> x2>,...,xn))
+  let expr = String(toX(keyframes.at(-1).x));
+  for (let i = keyframes.length - 2; i >= 0; i--) {
+    const from = keyframes[i];
+    const to = keyframes[i + 1];
+    const x0 = toX(from.x);
+    const x1 = toX(to.x);
+    const span = Math.max(0.01, to.time - from.time);
+    const segment = x0 === x1
+      ? String(x0)
+      : `${x0}+${x1 - x0}*(t-${from.time.toFixed(2)})/${span.toFixed(2)}`;
+    expr = `if(lt(t,${to.time.toFixed(2)}),${segment},${expr})`;
+  }
+
+  return `if(lt(t,${keyframes[0].time.toFixed(2)}),${toX(keyframes[0].x)},${expr})`;
+}
+
+/**
+ * Doubled frame rate for interlacing - two progressive frames make one interlaced frame
+ */
+function fieldRate(fps) {
+  const [num, den = '1'] = String(fps).split('/');
+  return `${Number(num) * 2}/${den}`;
+}
+
+/**
+ * Video filter chain that takes a cut into the preset's frame
+ * @param {object} preset - From EXPORT_PRESETS
+ * @param {object} source
+ * @param {number} source.width - Source width
+ * @param {number} source.height - Source height
+ * @param {Array} source.focus - Focus points for a smart crop (see clipFocusPoints)
+ * @param {string} source.captions - ASS file to burn in, laid out for the preset's frame
+ * @param {Array} source.graphics - Score bugs and lower thirds to draw (see placeGraphics)
+ * @returns {string}
+ */
+export function buildVideoFilter(preset, { width, height, focus = [], captions = null, graphics = [] }) {
+  const { width: targetWidth, height: targetHeight } = preset;
+  const filters = [];
+
+  if (preset.crop === 'fit' || !width || !height) {
+    filters.push(
+      `scale=${targetWidth}:${targetHeight}:force_original_aspect_ratio=decrease`,
+      `pad=${targetWidth}:${targetHeight}:(ow-iw)/2:(oh-ih)/2:black`
+    );
+  } else {
+    // Scale to cover the frame, then crop the overflow
+    const scale = Math.max(targetWidth / width, targetHeight / height);
+    const scaledWidth = Math.max(targetWidth, even(width * scale));
+    const scaledHeight = Math.max(targetHeight, even(height * scale));
+    const x = preset.crop === 'smart'
+      ? buildReframeExpression(focus, { sourceWidth: scaledWidth, cropWidth: targetWidth })
+      : String(Math.round((scaledWidth - targetWidth) / 2));
+    const y = Math.round((scaledHeight - targetHeight) / 2);
+
+    filters.push(
+      `scale=${scaledWidth}:${scaledHeight}`,
+      `crop=${targetWidth}:${targetHeight}:'${x}':${y}`
+    );
+  }
+
+  filters.push('setsar=1');
+  // Burned in at the output size, before interlacing splits the frame into fields -
+  // captions over graphics
+  if (graphics.length > 0) {
+    filters.push(buildGraphicsFilter(graphics, { width: targetWidth, height: targetHeight }, getCaptionStyle(preset)));
+  }
+  if (captions) filters.push(buildCaptionFilter(captions));
+  if (preset.interlaced) {
+    filters.push(`fps=${fieldRate(preset.fps)}`, 'interlace=scan=tff:lowpass=complex');
+  } else {
+    filters.push(`fps=${preset.fps}`);
+  }
+
+  return filters.join(',');
+}
+
+/**
+ * Audio filter chain - loudness normalization to the preset's target
+ */
+export function buildAudioFilter(preset) {
+  const { integrated, truePeak, range } = preset.loudness;
+  return `loudnorm=I=${integrated}:TP=${truePeak}:LRA=${range},aresample=${preset.audio.sampleRate}`;
+}
+
+/**
+ * Encoder arguments for the preset's codecs and container
+ */
+function buildCodecArgs(preset) {
+  const { video, audio } = preset;
+  const args = [];
+
+  if (video.codec === 'prores') {
+    args.push('-c:v', 'prores_ks', '-profile:v', String(video.profile), '-vendor', 'apl0', '-pix_fmt', 'yuv422p10le');
+  } else if (video.bitrate) {
+    // Constant bitrate, as broadcast ingest expects
+    args.push(
+      '-c:v', 'libx264', '-preset', 'medium',
+      '-b:v', video.bitrate, '-minrate', video.bitrate, '-maxrate', video.bitrate, '-bufsize', video.bitrate,
+      '-pix_fmt', 'yuv420p'
+    );
+  } else {
+    const bufsize = `${parseInt(video.maxrate, 10) * 2}M`;
+    args.push(
+      '-c:v', 'libx264', '-preset', 'medium',
+      '-crf', String(video.crf), '-maxrate', video.maxrate, '-bufsize', bufsize,
+      '-pix_fmt', 'yuv420p'
+    );
+  }
+
+  if (preset.interlaced) {
+    args.push('-flags', '+ildct+ilme', '-top', '1', '-field_order', 'tt');
+  }
+
+  args.push('-c:a', audio.codec === 'pcm_s24le' ? 'pcm_s24le' : 'aac');
+  if (audio.bitrate) args.push('-b:a', audio.bitrate);
+  args.push('-ar', String(audio.sampleRate));
+
+  if (preset.container === 'mp4') args.push('-movflags', '+faststart');
+  return args;
+}
+
+/**
+ * Full ffmpeg arguments to export a cut with a preset
+ * @param {object} preset - From EXPORT_PRESETS (not the passthrough preset)
+ * @param {string} inputPath - Finished cut
+ * @param {string} outputPath - Export path (extension should match preset.container)
+ * @param {object} source - { width, height, focus, captions, graphics } as for buildVideoFilter
+ * @returns {string[]}
+ */
+export function buildExportArgs(preset, inputPath, outputPath, source) {
+  return [
+    '-i', inputPath,
+    '-vf', buildVideoFilter(preset, source),
+    '-af', buildAudioFilter(preset),
+    ...buildCodecArgs(preset),
+    '-y',
+    outputPath,
+  ];
+}
@@ -0,0 +1,367 @@
+/**
+ * Fact Check - Verify the claims a generated script makes against the game feed
+ *
+ * Scripts are split into sentences and each sentence is mined for checkable
+ * claims: players, teams, home runs, innings, scores, RBIs, exit velocities,
+ * distances and season home run counts. The players (or home run) a sentence
+ * talks about narrow it down to the plays it describes, and every claim must
+ * hold for at least one of those plays. Sentences with a claim that doesn't
+ * can be rewritten with the feed's facts in the prompt.
+ */
+
+import { formatPlay } from './play-analyzer';
+import { getTeam } from './teams';
+import { getGameFeed } from './mlb-api';
+import { generateText } from './llm';
+import { splitSentences } from './script-segments';
+
+const INNING_WORDS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6,
+  seventh: 7, eighth: 8, ninth: 9, tenth: 10, eleventh: 11, twelfth: 12,
+};
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4 };
+
+const HOME_RUN_PATTERN = /\b(home runs?|homers?|homered|goes deep|went deep|grand slam|solo shot)\b/i;
+
+const INNING_PATTERN = new RegExp(
+  `\\b(?:(?:top|bottom) of the |in the )(\\d{1,2}(?:st|nd|rd|th)|${Object.keys(INNING_WORDS).join('|')})\\b`
+  + `|\\b(\\d{1,2}(?:st|nd|rd|th)|${Object.keys(INNING_WORDS).join('|')})[- ]inning\\b`,
+  'gi'
+);
+
+// Scores and counts look alike - "3-2 count", "0-2 pitch" and "1-2-3 inning" aren't scores
+const SCORE_PATTERN = /(?<![\d-])(\d{1,2})-(\d{1,2})(?![\d-])(?! (?:count|pitch|fastball|slider|curveball|changeup))/g;
+
+const VELOCITY_PATTERN = /\b(\d{2,3}(?:\.\d)?)\s*(?:mph|miles per hour)\b/gi;
+
+const DISTANCE_PATTERN = /\b(\d{3})[- ]?(?:feet|foot|ft)\b/gi;
+
+const SEASON_HOMERS_PATTERN = /\b(\d{1,2})(?:st|nd|rd|th) (?:home run|homer|HR)\b/gi;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseInning(token) {
+  const lower = token.toLowerCase();
+  return INNING_WORDS[lower] ?? parseInt(lower, 10);
+}
+
+function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  return `${n}${teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th')}`;
+}
+
+/**
+ * Names a script may use for a team: full name, nickname and abbreviation
+ */
+function getTeamAliases(team) {
+  const meta = getTeam(team?.id);
+  const name = meta?.name || team?.name;
+  if (!name) return [];
+  const aliases = [name];
+  if (meta?.city && name.startsWith(`${meta.city} `)) aliases.push(name.slice(meta.city.length + 1));
+  if (meta?.abbr) aliases.push(meta.abbr);
+  return aliases;
+}
+
+/**
+ * Everything a script can be checked against, from the game feed
+ * @param {Array} allPlays - All plays from the game feed
+ * @param {object} gameData - Game metadata (teams)
+ * @returns {object} Facts for checkScript
+ */
+export function buildGameFacts(allPlays, gameData) {
+  const plays = allPlays
+    .filter(play => play.result?.event)
+    .map((play, index) => {
+      const formatted = formatPlay(play);
+      const side = formatted.halfInning === 'top' ? 'away' : 'home';
+      return {
+        ...formatted,
+        playIndex: play.playIndex ?? index,
+        battingSide: side,
+        pitchingSide: side === 'away' ? 'home' : 'away',
+        score: { away: play.result.awayScore ?? 0, home: play.result.homeScore ?? 0 },
+        pitchSpeeds: (play.playEvents || []).map(e => e.pitchData?.startSpeed).filter(Boolean),
+        seasonHomers: Number(formatted.description?.match(/homers \((\d+)\)/)?.[1]) || null,
+      };
+    });
+
+  // One entry per player; last names only when no one else in the game shares them
+  const players = new Map();
+  for (const play of plays) {
+    if (play.batter) players.set(play.batter, { name: play.batter, side: play.battingSide });
+    if (play.pitcher) players.set(play.pitcher, { name: play.pitcher, side: play.pitchingSide });
+  }
+  const lastNameCounts = {};
+  for (const name of players.keys()) {
+    const lastName = name.split(' ').pop();
+    lastNameCounts[lastName] = (lastNameCounts[lastName] || 0) + 1;
+  }
+  for (const player of players.values()) {
+    const lastName = player.name.split(' ').pop();
+    player.aliases = lastNameCounts[lastName] === 1 && lastName !== player.name
+      ? [player.name, lastName]
+      : [player.name];
+  }
+
+  const teams = {
+    away: { name: getTeam(gameData?.teams?.away?.id)?.name || gameData?.teams?.away?.name, aliases: getTeamAliases(gameData?.teams?.away) },
+    home: { name: getTeam(gameData?.teams?.home?.id)?.name || gameData?.teams?.home?.name, aliases: getTeamAliases(gameData?.teams?.home) },
+  };
+
+  // Every score the game passed through, leader first
+  const scores = new Set(['0-0']);
+  for (const play of plays) {
+    scores.add(`${Math.max(play.score.away, play.score.home)}-${Math.min(play.score.away, play.score.home)}`);
+  }
+
+  return { plays, players: [...players.values()], teams, scores };
+}
+
+/**
+ * Fetch a game's feed and build its facts
+ * @param {string|number} gamePk - Game ID
+ * @returns {Promise<object>} Facts for checkScript
+ */
+export async function loadGameFacts(gamePk) {
+  const gameFeed = await getGameFeed(gamePk);
+  return buildGameFacts(gameFeed.liveData?.plays?.allPlays || [], gameFeed.gameData);
+}
+
+/**
+ * Pull the checkable claims out of one sentence
+ * @param {string} sentence - One sentence of script
+ * @param {object} facts - From buildGameFacts (for player and team names)
+ * @returns {object} Claims found - empty arrays/false when the sentence makes none
+ */
+export function extractClaims(sentence, facts) {
+  const mentions = (alias) => new RegExp(`\\b${escapeRegExp(alias)}\\b`).test(sentence);
+
+  const players = facts.players.filter(player => player.aliases.some(mentions));
+  const teams = Object.entries(facts.teams)
+    .filter(([, team]) => team.aliases.some(mentions))
+    .map(([side]) => side);
+
+  // "Red Sox's Judge", "Judge of the Red Sox"
+  const teamAttributions = [];
+  for (const player of players) {
+    for (const [side, team] of Object.entries(facts.teams)) {
+      const attributed = team.aliases.some(teamAlias => player.aliases.some(playerAlias =>
+        new RegExp(`\\b${escapeRegExp(teamAlias)}'s? (?:\\w+ )?${escapeRegExp(playerAlias)}\\b`).test(sentence)
+        || new RegExp(`\\b${escapeRegExp(playerAlias)},? (?:of|for) the ${escapeRegExp(teamAlias)}\\b`).test(sentence)
+      ));
+      if (attributed) teamAttributions.push({ player: player.name, side });
+    }
+  }
+
+  const innings = [...sentence.matchAll(INNING_PATTERN)].map(m => parseInning(m[1] || m[2]));
+
+  let rbi = null;
+  if (/\bgrand slam\b/i.test(sentence)) rbi = 4;
+  else if (/\bsolo (?:shot|homer|home run|blast)\b/i.test(sentence)) rbi = 1;
+  else {
+    const match = sentence.match(/\b(two|three|2|3)-run\b/i) || sentence.match(/\b(one|two|three|four|\d) RBIs?\b/i);
+    if (match) rbi = NUMBER_WORDS[match[1].toLowerCase()] ?? parseInt(match[1], 10);
+  }
+
+  return {
+    players: players.map(p => p.name),
+    teams,
+    teamAttributions,
+    homeRun: HOME_RUN_PATTERN.test(sentence),
+    innings,
+    rbi,
+    scores: [...sentence.matchAll(SCORE_PATTERN)].map(m => {
+      const [a, b] = [Number(m[1]), Number(m[2])];
+      return `${Math.max(a, b)}-${Math.min(a, b)}`;
+    }),
+    velocities: [...sentence.matchAll(VELOCITY_PATTERN)].map(m => Number(m[1])),
+    distances: [...sentence.matchAll(DISTANCE_PATTERN)].map(m => Number(m[1])),
+    seasonHomers: [...sentence.matchAll(SEASON_HOMERS_PATTERN)].map(m => Number(m[1])),
+  };
+}
+
+/**
+ * Check one sentence's claims against the plays it can be about
+ * @returns {{issues: Array, playIndices: number[]}}
+ */
+function checkClaims(claims, facts) {
+  const issues = [];
+  const issue = (type, message) => issues.push({ type, message });
+  const teamName = (side) => facts.teams[side]?.name || side;
+  const who = claims.players.join(' or ');
+
+  // The plays this sentence can be describing
+  let subject = claims.players.length > 0
+    ? facts.plays.filter(p => claims.players.includes(p.batter) || claims.players.includes(p.pitcher))
+    : null;
+
+  if (claims.homeRun) {
+    const homeRuns = (subject || facts.plays).filter(p => p.event === 'Home Run'
+      && (claims.players.length > 0 || claims.teams.length === 0 || claims.teams.includes(p.battingSide)));
+    if (homeRuns.length > 0) {
+      subject = homeRuns;
+    } else if (claims.players.length > 0) {
+      issue('homeRun', `${who} didn't homer in this game`);
+    } else if (claims.teams.length > 0) {
+      issue('homeRun', `The ${claims.teams.map(teamName).join(' and ')} didn't hit a home run`);
+    } else {
+      issue('homeRun', 'There were no home runs in this game');
+    }
+  }
+
+  for (const { player, side } of claims.teamAttributions) {
+    const actual = facts.players.find(p => p.name === player)?.side;
+    if (actual && actual !== side) {
+      issue('team', `${player} plays for the ${teamName(actual)}, not the ${teamName(side)}`);
+    }
+  }
+
+  for (const score of claims.scores) {
+    if (!facts.scores.has(score)) issue('score', `The score was never ${score}`);
+  }
+
+  // The rest only means something once the sentence is pinned to specific plays
+  if (!subject || subject.length === 0) {
+    return { issues, playIndices: [] };
+  }
+
+  const what = subject.every(p => p.event === 'Home Run') ? `${who ? `${who}'s ` : ''}home run` : `${who}'s plays`;
+
+  for (const inning of claims.innings) {
+    if (!subject.some(p => p.inning === inning)) {
+      const actual = [...new Set(subject.map(p => ordinal(p.inning)))].join(', ');
+      issue('inning', `${what} came in the ${actual}, not the ${ordinal(inning)}`);
+    }
+  }
+
+  if (claims.rbi !== null && !subject.some(p => p.rbi === claims.rbi)) {
+    const actual = [...new Set(subject.map(p => p.rbi))].join(' or ');
+    issue('rbi', `${what} drove in ${actual}, not ${claims.rbi}`);
+  }
+
+  for (const velocity of claims.velocities) {
+    const speeds = subject.flatMap(p => [p.hitData?.launchSpeed, ...p.pitchSpeeds]).filter(Boolean);
+    if (!speeds.some(speed => Math.abs(speed - velocity) <= 0.6)) {
+      issue('velocity', speeds.length > 0
+        ? `No ${velocity} mph in ${what} (recorded: ${speeds.map(s => s.toFixed(1)).join(', ')} mph)`
+        : `No velocity was recorded for ${what}`);
+    }
+  }
+
+  for (const distance of claims.distances) {
+    const distances = subject.map(p => p.hitData?.totalDistance).filter(Boolean);
+    if (!distances.some(d => Math.abs(d - distance) <= 3)) {
+      issue('distance', distances.length > 0
+        ? `${what} traveled ${distances.map(Math.round).join(' or ')} feet, not ${distance}`
+        : `No distance was recorded for ${what}`);
+    }
+  }
+
+  for (const count of claims.seasonHomers) {
+    const counts = subject.map(p => p.seasonHomers).filter(Boolean);
+    if (counts.length > 0 && !counts.includes(count)) {
+      issue('seasonHomers', `That was ${who ? `${who}'s ` : 'the '}${counts.map(ordinal).join(' or ')} home run of the season, not the ${ordinal(count)}`);
+    }
+  }
+
+  return { issues, playIndices: subject.map(p => p.playIndex) };
+}
+
+/**
+ * Check every sentence of a script against the game feed
+ * @param {string} text - Script text
+ * @param {object} facts - From buildGameFacts
+ * @returns {{sentences: Array, issueCount: number}} Sentences with offsets, claims and issues
+ */
+export function checkScript(text, facts) {
+  const sentences = splitSentences(text || '').map((sentence, index) => {
+    const claims = extractClaims(sentence.text, facts);
+    const { issues, playIndices } = checkClaims(claims, facts);
+    return { index, ...sentence, claims, issues, playIndices };
+  });
+
+  return {
+    sentences,
+    issueCount: sentences.reduce((sum, s) => sum + s.issues.length, 0),
+  };
+}
+
+/**
+ * Feed facts for a correction prompt - the plays the sentence was about
+ */
+function describeFacts(sentence, facts) {
+  const plays = facts.plays.filter(p => sentence.playIndices.includes(p.playIndex));
+  if (plays.length === 0) {
+    return `- Final: ${facts.teams.away.name} ${facts.plays.at(-1)?.score.away ?? 0}, ${facts.teams.home.name} ${facts.plays.at(-1)?.score.home ?? 0}`;
+  }
+
+  return plays.map(p => {
+    const details = [
+      `${p.halfInning === 'top' ? 'Top' : 'Bottom'} ${p.inning}`,
+      `${p.batter} (${facts.teams[p.battingSide].name}) vs ${p.pitcher}`,
+      p.description,
+      p.rbi ? `${p.rbi} RBI` : null,
+      p.hitData?.launchSpeed ? `${p.hitData.launchSpeed} mph exit velocity` : null,
+      p.hitData?.totalDistance ? `${p.hitData.totalDistance} ft` : null,
+      `score after: ${facts.teams.away.name} ${p.score.away}, ${facts.teams.home.name} ${p.score.home}`,
+    ];
+    return `- ${details.filter(Boolean).join(' | ')}`;
+  }).join('\n');
+}
+
+/**
+ * Rewrite the sentences that failed the check, then check the result again
+ *
+ * Without a model the offending sentence is replaced by the feed's own
+ * description of the play (or dropped when it isn't about one play).
+ *
+ * @param {string} text - Script text
+ * @param {object} report - From checkScript(text, facts)
+ * @param {object} facts - From buildGameFacts
+ * @param {object} options
+ * @param {string} options.style - Script style, to keep the rewrite in voice
+ * @returns {Promise<{script: string, factCheck: object, corrections: Array}>}
+ */
+export async function correctScript(text, report, facts, { style = 'excited' } = {}) {
+  const flagged = report.sentences.filter(s => s.issues.length > 0);
+  const corrections = [];
+
+  for (const sentence of flagged) {
+    const prompt = `This sentence from an MLB highlight script (${style} style) gets facts wrong:
+"${sentence.text}"
+
+PROBLEMS:
+${sentence.issues.map(i => `- ${i.message}`).join('\n')}
+
+FACTS FROM THE GAME FEED:
+${describeFacts(sentence, facts)}
+
+Rewrite it as one sentence in the same style, fixing only what's wrong. Return ONLY the sentence.`;
+
+    const { text: corrected, usage } = await generateText('fact-correction', prompt, {
+      template: () => {
+        const plays = facts.plays.filter(p => sentence.playIndices.includes(p.playIndex));
+        return plays.length === 1 ? plays[0].description : '';
+      },
+      fallback: true,
+    });
+
+    corrections.push({ index: sentence.index, original: sentence.text, corrected, issues: sentence.issues, usage });
+  }
+
+  // Splice back to front so earlier offsets stay valid
+  let script = text;
+  for (const correction of [...corrections].reverse()) {
+    const { start, end } = report.sentences[correction.index];
+    // A dropped sentence takes its trailing space with it
+    const rest = correction.corrected ? script.slice(end) : script.slice(end).replace(/^[ \t]+/, '');
+    script = script.slice(0, start) + correction.corrected + rest;
+  }
+  script = script.trim();
+
+  return { script, factCheck: checkScript(script, facts), corrections };
+}
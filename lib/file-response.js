@@ -0,0 +1,63 @@
+// Streams files from disk as route responses
+import { NextResponse } from 'next/server';
+import { createReadStream, promises as fs } from 'fs';
+import { Readable } from 'stream';
+import path from 'path';
+
+// Broadcast exports are QuickTime; everything else is MP4
+const VIDEO_TYPES = {
+  '.mov': 'video/quicktime',
+};
+
+/**
+ * Stream a video file, honoring Range requests so the browser can seek
+ * without loading the whole file
+ * @param {Request} request - Incoming request (for the Range header)
+ * @param {string} filePath - Path to the video file
+ * @param {string} filename - Filename for Content-Disposition
+ * @returns {Promise<NextResponse>}
+ */
+export async function streamVideoFile(request, filePath, filename) {
+  const { size } = await fs.stat(filePath);
+
+  const headers = {
+    'Content-Type': VIDEO_TYPES[path.extname(filePath).toLowerCase()] || 'video/mp4',
+    'Accept-Ranges': 'bytes',
+    'Content-Disposition': `inline; filename="${filename}"`,
+  };
+
+  // Serve a byte range if requested - "bytes=0-1023", "bytes=1024-" or the last N bytes, "bytes=-500"
+  const range = request.headers.get('range');
+  const match = range?.trim().match(/^bytes=(\d*)-(\d*)$/);
+
+  if (match && (match[1] || match[2])) {
+    const suffix = !match[1];
+    const start = suffix ? Math.max(0, size - parseInt(match[2], 10)) : parseInt(match[1], 10);
+    const end = !suffix && match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+
+    if (start >= size || start > end) {
+      return new NextResponse(null, {
+        status: 416,
+        headers: { 'Content-Range': `bytes */${size}` },
+      });
+    }
+
+    const stream = createReadStream(filePath, { start, end });
+    return new NextResponse(Readable.toWeb(stream), {
+      status: 206,
+      headers: {
+        ...headers,
+        'Content-Range': `bytes ${start}-${end}/${size}`,
+        'Content-Length': (end - start + 1).toString(),
+      },
+    });
+  }
+
+  const stream = createReadStream(filePath);
+  return new NextResponse(Readable.toWeb(stream), {
+    headers: {
+      ...headers,
+      'Content-Length': size.toString(),
+    },
+  });
+}
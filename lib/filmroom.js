@@ -3,6 +3,8 @@
  * Uses the MLB fastball-gateway GraphQL API to search and retrieve video clips
  */
 
+import { transportFetch } from './transport';
+
 // GraphQL queries for MLB Film Room
 const FILMROOM_CLIP_QUERY = `query clipQuery($ids: [String], $languagePreference: LanguagePreference, $idType: MediaPlaybackIdType, $userId: String!, $withUser: Boolean!) {
   mediaPlayback(ids: $ids, languagePreference: $languagePreference, idType: $idType) {
@@ -134,6 +136,7 @@ const FEED_PRIORITY = [
  * @param {number} params.strikes - Strike count
  * @param {string} params.pitchType - Pitch type code (FF, SL, etc.)
  * @param {number} params.gamePk - Game ID
+ * @param {number} params.limit - Maximum clips to return (default 25)
  * @returns {Promise<Array>} - Array of matching clips
  */
 export async function searchClips(params) {
@@ -171,7 +174,7 @@ export async function searchClips(params) {
   url.searchParams.set('operationName', 'Search');
   url.searchParams.set('variables', JSON.stringify({
     query,
-    limit: 25,
+    limit: params.limit || 25,
     page: 0,
     languagePreference: 'EN',
     contentPreference: 'CMS_FIRST',
@@ -179,7 +182,7 @@ export async function searchClips(params) {
   }));
 
   try {
-    const response = await fetch(url.toString(), {
+    const response = await transportFetch(url.toString(), {
       method: 'GET',
       headers: FILMROOM_HEADERS,
     });
@@ -234,7 +237,7 @@ export async function getClipBySlug(slug) {
   }));
 
   try {
-    const response = await fetch(url.toString(), {
+    const response = await transportFetch(url.toString(), {
       method: 'GET',
       headers: FILMROOM_HEADERS,
     });
@@ -292,19 +295,27 @@ export async function getGameClips(gamePk, date) {
  * @param {number} context.inning - Inning number
  * @param {number} context.balls - Ball count
  * @param {number} context.strikes - Strike count
+ * @param {string} context.pitchType - Pitch type code (optional)
+ * @param {number} context.gamePk - Only return clips from this game (optional)
  * @returns {Promise<Object|null>} - Video URLs if found
  */
 export async function getVideoForPitch(playId, context) {
+  const fromGame = clips => clips.filter(clip => {
+    const clipGamePk = clip.playInfo?.gamePk;
+    return !context.gamePk || !clipGamePk || clipGamePk === context.gamePk;
+  });
+
   // The playId from Stats API doesn't directly map to Film Room
   // We need to search using the pitch context
-  const clips = await searchClips({
+  const clips = fromGame(await searchClips({
     batterId: context.batterId,
     pitcherId: context.pitcherId,
     date: context.date,
     inning: context.inning,
     balls: context.balls,
     strikes: context.strikes,
-  });
+    pitchType: context.pitchType,
+  }));
 
   if (clips.length > 0) {
     // Return the first (most recent) match
@@ -312,12 +323,12 @@ export async function getVideoForPitch(playId, context) {
   }
 
   // Try without ball/strike count if no results
-  const fallbackClips = await searchClips({
+  const fallbackClips = fromGame(await searchClips({
     batterId: context.batterId,
     pitcherId: context.pitcherId,
     date: context.date,
     inning: context.inning,
-  });
+  }));
 
   return fallbackClips[0] || null;
 }
@@ -388,17 +399,27 @@ export function extractPitchesFromGame(gameFeed) {
   const gameDate = gameFeed.gameData?.datetime?.officialDate;
   const allPlays = gameFeed.liveData?.plays?.allPlays || [];
 
-  for (const play of allPlays) {
+  for (const [playIndex, play] of allPlays.entries()) {
     const playEvents = play.playEvents || [];
     const batter = play.matchup?.batter;
     const pitcher = play.matchup?.pitcher;
     const inning = play.about?.inning;
     const halfInning = play.about?.halfInning;
 
-    for (const event of playEvents) {
-      if (event.isPitch && event.playId) {
+    // The feed's count is after each pitch, Film Room indexes by the count it was thrown in
+    let count = { balls: 0, strikes: 0 };
+
+    for (const [eventIndex, event] of playEvents.entries()) {
+      if (!event.isPitch) continue;
+
+      const countBefore = count;
+      count = { balls: event.count?.balls ?? 0, strikes: event.count?.strikes ?? 0 };
+
+      if (event.playId) {
         pitches.push({
           playId: event.playId,
+          playIndex,
+          eventIndex,
           pitchNumber: event.pitchNumber,
           batterId: batter?.id,
           batterName: batter?.fullName,
@@ -410,7 +431,10 @@ export function extractPitchesFromGame(gameFeed) {
           strikes: event.count?.strikes,
           outs: event.count?.outs,
           pitchType: event.details?.type?.code,
+          pitchTypeName: event.details?.type?.description,
           pitchDescription: event.details?.description,
+          startSpeed: event.pitchData?.startSpeed,
+          spinRate: event.pitchData?.breaks?.spinRate,
           result: play.result?.event,
           resultDescription: play.result?.description,
           date: gameDate,
@@ -420,8 +444,8 @@ export function extractPitchesFromGame(gameFeed) {
             pitcherId: pitcher?.id,
             date: gameDate,
             inning,
-            balls: event.count?.balls,
-            strikes: event.count?.strikes,
+            balls: countBefore.balls,
+            strikes: countBefore.strikes,
             pitchType: event.details?.type?.code,
           },
         });
@@ -0,0 +1,183 @@
+/**
+ * Game State Tracker
+ * Walks a game play by play and annotates each play with the situation it
+ * happened in - score, outs and runners before and after, leverage, and
+ * whether it tied the game, put a team ahead, walked it off or added insurance
+ */
+
+import { BASE_BITS, getLeverageIndex } from './win-expectancy';
+
+const BASE_ORDER = { '1B': 1, '2B': 2, '3B': 3, score: 4 };
+
+// Runs added to a lead this late count as insurance
+const INSURANCE_INNING = 7;
+
+/**
+ * Base state left behind by a play's runner movements
+ * @param {object} play - Play from the game feed
+ * @param {number} basesBefore - Base state bitmask before the play
+ * @returns {number} - Base state bitmask after the play
+ */
+function getBasesAfter(play, basesBefore) {
+  // Group movements by runner - one runner can move several times in a play
+  const byRunner = new Map();
+  for (const runner of play.runners || []) {
+    const id = runner.details?.runner?.id ?? `${runner.movement?.originBase}`;
+    if (!byRunner.has(id)) byRunner.set(id, []);
+    byRunner.get(id).push(runner.movement || {});
+  }
+
+  let bases = basesBefore;
+
+  for (const movements of byRunner.values()) {
+    const origin = movements.find(m => m.originBase)?.originBase;
+    if (origin) bases &= ~BASE_BITS[origin];
+  }
+
+  for (const movements of byRunner.values()) {
+    if (movements.some(m => m.isOut)) continue;
+    const finalBase = movements
+      .map(m => m.end)
+      .filter(end => BASE_ORDER[end])
+      .sort((a, b) => BASE_ORDER[b] - BASE_ORDER[a])[0];
+    if (BASE_BITS[finalBase]) bases |= BASE_BITS[finalBase];
+  }
+
+  return bases;
+}
+
+/**
+ * Classify what a play did to the game from the batting team's point of view
+ */
+function getSituationFlags({ inning, isTop, scoreBefore, scoreAfter }) {
+  const batting = isTop ? 'away' : 'home';
+  const fielding = isTop ? 'home' : 'away';
+
+  const leadBefore = scoreBefore[batting] - scoreBefore[fielding];
+  const leadAfter = scoreAfter[batting] - scoreAfter[fielding];
+  const runsScored = scoreAfter[batting] - scoreBefore[batting];
+
+  const isGoAhead = leadBefore <= 0 && leadAfter > 0;
+
+  return {
+    runsScored,
+    isGameTying: leadBefore < 0 && leadAfter === 0,
+    isGoAhead,
+    isLeadChange: leadBefore < 0 && leadAfter > 0,
+    isWalkOff: !isTop && inning >= 9 && isGoAhead,
+    isInsurance: leadBefore > 0 && runsScored > 0 && inning >= INSURANCE_INNING,
+  };
+}
+
+/**
+ * Walk the game and annotate every play with its game state
+ *
+ * Scores come from the feed's running totals (result.awayScore/homeScore), so
+ * runs on errors, wild pitches and steals of home are counted.
+ *
+ * @param {Array} allPlays - liveData.plays.allPlays from the game feed
+ * @param {object} startState - Resume from an earlier play (see getStateAfter);
+ *   omit to start from the first pitch
+ * @returns {Array} - Plays with scoreBefore/After, outsBefore/After,
+ *   basesBefore/After (bitmask), leverageIndex and situation flags
+ */
+export function trackGameState(allPlays, startState = {}) {
+  let homeScore = startState.homeScore ?? 0;
+  let awayScore = startState.awayScore ?? 0;
+  let outs = startState.outs ?? 0;
+  let bases = startState.bases ?? 0;
+  let halfKey = startState.halfKey ?? null;
+
+  return allPlays.map(play => {
+    const inning = play.about?.inning || 1;
+    const isTop = play.about?.halfInning === 'top';
+
+    // New half-inning - clear the bases and outs
+    const key = `${inning}-${isTop ? 'top' : 'bottom'}`;
+    if (key !== halfKey) {
+      halfKey = key;
+      outs = 0;
+      bases = 0;
+    }
+
+    // Runners the feed says started on base (e.g. the extra-inning runner) are on before the play
+    for (const runner of play.runners || []) {
+      const origin = runner.movement?.originBase;
+      if (BASE_BITS[origin]) bases |= BASE_BITS[origin];
+    }
+
+    const scoreBefore = { home: homeScore, away: awayScore };
+    const outsBefore = outs;
+    const basesBefore = bases;
+
+    homeScore = play.result?.homeScore ?? homeScore;
+    awayScore = play.result?.awayScore ?? awayScore;
+    outs = play.count?.outs ?? outs;
+    bases = outs >= 3 ? 0 : getBasesAfter(play, bases);
+
+    const scoreAfter = { home: homeScore, away: awayScore };
+
+    return {
+      ...play,
+      scoreBefore,
+      scoreAfter,
+      outsBefore,
+      outsAfter: outs,
+      basesBefore,
+      basesAfter: bases,
+      leverageIndex: getLeverageIndex({
+        inning,
+        isTop,
+        outs: outsBefore,
+        bases: basesBefore,
+        homeScore: scoreBefore.home,
+        awayScore: scoreBefore.away,
+      }),
+      ...getSituationFlags({ inning, isTop, scoreBefore, scoreAfter }),
+    };
+  });
+}
+
+/**
+ * Game state left behind by an annotated play, to resume tracking from
+ * @param {object} play - Play annotated by trackGameState
+ * @returns {object} - startState for trackGameState
+ */
+export function getStateAfter(play) {
+  return {
+    homeScore: play.scoreAfter.home,
+    awayScore: play.scoreAfter.away,
+    outs: play.outsAfter,
+    bases: play.basesAfter,
+    halfKey: `${play.about?.inning || 1}-${play.about?.halfInning === 'top' ? 'top' : 'bottom'}`,
+  };
+}
+
+/**
+ * Describe a base state bitmask (e.g. "runners on first and third")
+ * @param {number} bases - Base state bitmask
+ * @returns {string}
+ */
+export function describeBases(bases) {
+  if (bases === 7) return 'bases loaded';
+  const occupied = [['first', 1], ['second', 2], ['third', 4]]
+    .filter(([, bit]) => bases & bit)
+    .map(([name]) => name);
+  if (occupied.length === 0) return 'bases empty';
+  if (occupied.length === 1) return `runner on ${occupied[0]}`;
+  return `runners on ${occupied.join(' and ')}`;
+}
+
+/**
+ * Short label for the most notable situation flag on a play, if any
+ * @param {object} play - Play annotated by trackGameState
+ * @returns {string|null}
+ */
+export function getSituationLabel(play) {
+  if (play.isWalkOff) return 'Walk-off';
+  if (play.isLeadChange) return 'Lead change';
+  if (play.isGoAhead) return 'Go-ahead';
+  if (play.isGameTying) return 'Game-tying';
+  if (play.isInsurance) return 'Insurance';
+  return null;
+}
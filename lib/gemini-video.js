@@ -6,9 +6,10 @@ import { GoogleGenerativeAI } from '@google/generative-ai';
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
+import { transportFetch, recordedCall, apiKeyFor } from './transport';
 
 // Initialize Gemini client
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
+const genAI = new GoogleGenerativeAI(apiKeyFor('GOOGLE_AI_API_KEY'));
 
 // Use Gemini 3 Pro for video analysis (best multimodal performance)
 const model = genAI.getGenerativeModel({ model: 'gemini-3-pro-preview' });
@@ -33,7 +34,7 @@ async function downloadForAnalysis(videoUrl, clipId) {
     // File doesn't exist, download it
   }
 
-  const response = await fetch(videoUrl);
+  const response = await transportFetch(videoUrl);
   if (!response.ok) {
     throw new Error(`Failed to download video: ${response.status}`);
   }
@@ -67,26 +68,29 @@ Return ONLY a JSON object (no markdown, no explanation) with these fields:
   "action_end_seconds": <number - when the play concludes>,
   "total_duration_seconds": <number - total clip length>,
   "description": "<string - brief description of what happens>",
-  "crowd_reaction_peak": <number or null - when crowd noise peaks, if notable>
+  "crowd_reaction_peak": <number or null - when crowd noise peaks, if notable>,
+  "focus_points": [{"seconds": <number>, "x": <number 0-1 - horizontal position of the subject, 0 = left edge, 1 = right edge>}, ...]
 }
 
 Focus on identifying:
 1. When the pitcher releases the ball or the key action starts
 2. The exact moment of contact/catch/key event
-3. When the play result is clear (safe/out, ball lands, etc.)`;
+3. When the play result is clear (safe/out, ball lands, etc.)
+4. Where the subject is across the frame about once a second - the batter before contact, then the ball or the fielder making the play (used to crop the clip to vertical)`;
 
   try {
-    const result = await model.generateContent([
-      {
-        inlineData: {
-          mimeType: 'video/mp4',
-          data: base64Video,
+    const responseText = await recordedCall('gemini-analyze-clip', [prompt, videoData], async () => {
+      const result = await model.generateContent([
+        {
+          inlineData: {
+            mimeType: 'video/mp4',
+            data: base64Video,
+          },
         },
-      },
-      { text: prompt },
-    ]);
-
-    const responseText = result.response.text();
+        { text: prompt },
+      ]);
+      return result.response.text();
+    });
 
     // Parse JSON from response (handle potential markdown wrapping)
     let jsonStr = responseText;
@@ -113,6 +117,7 @@ Focus on identifying:
       total_duration_seconds: null,
       description: context.headline || 'Baseball play',
       crowd_reaction_peak: null,
+      focus_points: [],
       analyzed: false,
       error: error.message,
     };
@@ -122,12 +127,15 @@ Focus on identifying:
 /**
  * Analyze multiple video clips
  * @param {Array} clips - Array of clip objects with videoUrl, id, headline
+ * @param {Function} onProgress - Optional progress callback ({ stage, current, total })
  * @returns {Promise<Array>} - Clips with analysis data added
  */
-export async function analyzeClips(clips) {
+export async function analyzeClips(clips, onProgress = () => {}) {
   const results = [];
 
-  for (const clip of clips) {
+  for (const [index, clip] of clips.entries()) {
+    onProgress({ stage: 'analyzing', current: index + 1, total: clips.length });
+
     try {
       // Download video
       const videoPath = await downloadForAnalysis(clip.videoUrl, clip.id);
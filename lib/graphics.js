@@ -0,0 +1,195 @@
+/**
+ * Graphics - Score bug and batter/pitcher lower third for play clips
+ *
+ * Each play clip gets the situation it happened in, taken from the game feed:
+ * a score bug in each team's colors with the inning and outs, and
+ * a lower third naming the batter and pitcher for the first few seconds. Both
+ * are drawn with ffmpeg drawbox/drawtext in the output frame (after any
+ * reframe), so they need no image assets or network at render time.
+ */
+
+import { TEAMS } from './teams';
+import { trackGameState } from './game-state';
+
+// Lower third shows as the clip settles in, then clears for the action
+const LOWER_THIRD_DELAY = 0.5;
+const LOWER_THIRD_SECONDS = 5;
+
+// Cells without a team color - MLB navy, as behind the slates
+export const NEUTRAL = '#041E42';
+
+/**
+ * Graphics state for every play in a game, as the play began - the bug shows
+ * what the broadcast bug showed when the pitch was thrown
+ * @param {object} gameFeed - From getGameFeed
+ * @returns {Map<number, object>} - atBatIndex -> { away, home, inning, isTop, outs, batter, pitcher }
+ */
+export function getGraphicsByPlay(gameFeed) {
+  const teams = gameFeed?.gameData?.teams || {};
+  const side = (key) => {
+    const team = teams[key] || {};
+    const known = TEAMS[team.id];
+    return {
+      abbr: known?.abbr || team.abbreviation || key.toUpperCase(),
+      primary: known?.primary || NEUTRAL,
+      secondary: known?.secondary || NEUTRAL,
+    };
+  };
+  const away = side('away');
+  const home = side('home');
+
+  const byPlay = new Map();
+  trackGameState(gameFeed?.liveData?.plays?.allPlays || []).forEach((play, index) => {
+    byPlay.set(play.atBatIndex ?? index, {
+      away: { ...away, score: play.scoreBefore.away },
+      home: { ...home, score: play.scoreBefore.home },
+      inning: play.about?.inning || 1,
+      isTop: play.about?.halfInning === 'top',
+      outs: play.outsBefore,
+      batter: play.matchup?.batter?.fullName || null,
+      pitcher: play.matchup?.pitcher?.fullName || null,
+    });
+  });
+
+  return byPlay;
+}
+
+/**
+ * Attach each play clip's graphics from the game feed
+ * @param {Array} clips - Clips with playIndex (an atBatIndex); transitions pass through
+ * @param {object} gameFeed - From getGameFeed
+ * @returns {Array} - Clips with graphics (null when the play isn't in the feed)
+ */
+export function withPlayGraphics(clips, gameFeed) {
+  const byPlay = getGraphicsByPlay(gameFeed);
+  return clips.map(clip => (clip.isTransition || clip.playIndex == null
+    ? clip
+    : { ...clip, graphics: byPlay.get(Number(clip.playIndex)) || null }
+  ));
+}
+
+/**
+ * Place clips' graphics on the package timeline
+ * @param {Array<{graphics: object|null}>} clips - In package order
+ * @param {number[]} starts - Start of each clip (see getClipStartTimes)
+ * @param {number[]} durations - Length of each clip
+ * @returns {Array} - Graphics with start and end, for buildGraphicsFilter
+ */
+export function placeGraphics(clips, starts, durations) {
+  return clips
+    .map((clip, i) => clip.graphics && { ...clip.graphics, start: starts[i], end: starts[i] + durations[i] })
+    .filter(Boolean);
+}
+
+/**
+ * ffmpeg color from a hex color
+ * @param {string} hex - e.g. '#BD3039'
+ * @param {number} alpha - Opacity
+ * @returns {string}
+ */
+export function ffmpegColor(hex, alpha = 1) {
+  return `0x${hex.replace('#', '')}@${alpha}`;
+}
+
+// drawtext treats ' \ % : as syntax - text keeps letters (accents too), digits, a typographic
+// apostrophe and the punctuation of scores and dates (safe inside the quotes)
+const cleanText = (text) => String(text ?? '').replace(/'/g, '’').replace(/[^\p{L}\p{N} .,@/’-]/gu, '').trim();
+
+const between = (start, end) => `enable='between(t,${start.toFixed(2)},${end.toFixed(2)})'`;
+
+/**
+ * Filled drawbox
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} w - Width
+ * @param {number} h - Height
+ * @param {string} fill - ffmpeg color, e.g. 0x041E42@0.9
+ * @param {string} enable - Optional timeline option, e.g. enable='between(t,1,2)'
+ * @returns {string}
+ */
+export function drawBox(x, y, w, h, fill, enable = null) {
+  return `drawbox=x=${x}:y=${y}:w=${w}:h=${h}:color=${fill}:t=fill${enable ? `:${enable}` : ''}`;
+}
+
+/**
+ * drawtext in a cell - centered when align is 'center', otherwise inset from its left edge
+ * Set SCORE_BUG_FONT to a .ttf path if ffmpeg has no fontconfig default font.
+ * @param {string|number} value - Text (reduced to characters drawtext can't misread)
+ * @param {object} cell - { x, y, w, h, size, align, inset, color }
+ * @param {string} enable - Optional timeline option
+ * @returns {string}
+ */
+export function drawText(value, { x, y, w, h, size, align = 'center', inset = 0, color = 'white' }, enable = null) {
+  const font = process.env.SCORE_BUG_FONT ? `fontfile=${process.env.SCORE_BUG_FONT}:` : '';
+  const left = align === 'center' ? `${x}+(${w}-text_w)/2` : `${Math.round(x + inset)}`;
+  return `drawtext=${font}text='${cleanText(value)}':fontcolor=${color}:fontsize=${size}:x=${left}:y=${y}+(${h}-text_h)/2${enable ? `:${enable}` : ''}`;
+}
+
+/**
+ * ffmpeg filters drawing each play's graphics while its clip is on screen
+ * Sizes follow the frame's short side, so vertical and landscape bugs match;
+ * margins follow the preset's caption margins, and the lower third sits just
+ * above the caption lines.
+ * @param {Array} graphics - From placeGraphics
+ * @param {object} frame - { width, height } of the output
+ * @param {object} style - From getCaptionStyle
+ * @returns {string} - Comma-joined filters, or '' with nothing to draw
+ */
+export function buildGraphicsFilter(graphics, { width, height }, style) {
+  const unit = Math.round(Math.min(width, height) / 24);
+  const stripe = Math.max(2, Math.round(unit * 0.15));
+  const left = Math.round(width * style.marginH);
+  const top = Math.round(height * Math.min(style.marginV, 0.1));
+  const filters = [];
+
+  for (const play of graphics || []) {
+    const onScreen = between(play.start, play.end);
+
+    // Score bug - a row per team, inning and outs alongside
+    const teamWidth = unit * 3;
+    const scoreWidth = Math.round(unit * 1.6);
+    const inningX = left + teamWidth + scoreWidth;
+    const inningWidth = Math.round(unit * 2.6);
+    const size = Math.round(unit * 0.7);
+
+    [play.away, play.home].forEach((team, row) => {
+      const y = top + row * unit;
+      filters.push(
+        drawBox(left, y, teamWidth, unit, ffmpegColor(team.primary, 0.95), onScreen),
+        drawBox(left, y, stripe, unit, ffmpegColor(team.secondary), onScreen),
+        drawBox(left + teamWidth, y, scoreWidth, unit, ffmpegColor(NEUTRAL, 0.9), onScreen),
+        drawText(team.abbr, { x: left + stripe, y, w: teamWidth - stripe, h: unit, size }, onScreen),
+        drawText(team.score, { x: left + teamWidth, y, w: scoreWidth, h: unit, size }, onScreen)
+      );
+    });
+    filters.push(
+      drawBox(inningX, top, inningWidth, unit * 2, ffmpegColor(NEUTRAL, 0.8), onScreen),
+      drawText(`${play.isTop ? 'TOP' : 'BOT'} ${play.inning}`, { x: inningX, y: top, w: inningWidth, h: unit, size }, onScreen),
+      drawText(`${play.outs} OUT${play.outs === 1 ? '' : 'S'}`, { x: inningX, y: top + unit, w: inningWidth, h: unit, size: Math.round(size * 0.8) }, onScreen)
+    );
+
+    // Lower third - batter over pitcher, in the batting team's colors
+    if (!play.batter) continue;
+    const batting = play.isTop ? play.away : play.home;
+    const nameHeight = Math.round(unit * 1.2);
+    const lowerWidth = Math.min(width - left * 2, unit * 16);
+    const captionTop = height * (1 - style.marginV) - height * style.fontSize * 2 * 1.2;
+    const lowerY = Math.round(captionTop - unit * 0.5 - nameHeight - unit);
+    const showFrom = Math.min(play.start + LOWER_THIRD_DELAY, play.end);
+    const shown = between(showFrom, Math.min(showFrom + LOWER_THIRD_SECONDS, play.end));
+
+    filters.push(
+      drawBox(left, lowerY, lowerWidth, nameHeight, ffmpegColor(batting.primary, 0.95), shown),
+      drawBox(left, lowerY, stripe, nameHeight + (play.pitcher ? unit : 0), ffmpegColor(batting.secondary), shown),
+      drawText(play.batter.toUpperCase(), { x: left, y: lowerY, w: lowerWidth, h: nameHeight, size: Math.round(unit * 0.8), align: 'left', inset: unit * 0.5 + stripe }, shown)
+    );
+    if (play.pitcher) {
+      filters.push(
+        drawBox(left, lowerY + nameHeight, lowerWidth, unit, ffmpegColor(NEUTRAL, 0.9), shown),
+        drawText(`vs. ${play.pitcher}`, { x: left, y: lowerY + nameHeight, w: lowerWidth, h: unit, size: Math.round(unit * 0.6), align: 'left', inset: unit * 0.5 + stripe }, shown)
+      );
+    }
+  }
+
+  return filters.join(',');
+}
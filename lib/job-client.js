@@ -0,0 +1,50 @@
+// Browser helpers for background jobs started by the video generation routes
+
+const POLL_INTERVAL_MS = 1500;
+
+/**
+ * Start a job-backed generation route and wait for it to finish
+ * @param {string} url - Route that enqueues the job (e.g. /api/generate-video)
+ * @param {object} body - JSON request body
+ * @param {Function} onUpdate - Called with each job snapshot while polling
+ * @returns {Promise<object>} - Completed job snapshot (includes downloadUrl and result)
+ */
+export async function runJob(url, body, onUpdate = () => {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.details || data.error || 'Failed to start job');
+  }
+
+  onUpdate(data);
+  return waitForJob(data.statusUrl || `/api/jobs/${data.jobId}`, onUpdate);
+}
+
+/**
+ * Poll a job until it completes or fails
+ * @param {string} statusUrl - Job status URL (/api/jobs/[id])
+ * @param {Function} onUpdate - Called with each job snapshot
+ * @returns {Promise<object>} - Completed job snapshot
+ */
+export async function waitForJob(statusUrl, onUpdate = () => {}) {
+  while (true) {
+    const response = await fetch(statusUrl, { cache: 'no-store' });
+    const job = await response.json();
+
+    if (!response.ok) {
+      throw new Error(job.error || 'Failed to fetch job status');
+    }
+
+    onUpdate(job);
+
+    if (job.status === 'completed') return job;
+    if (job.status === 'failed') throw new Error(job.error || 'Job failed');
+
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
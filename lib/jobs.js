@@ -0,0 +1,204 @@
+/**
+ * Background Jobs - Runs long video generation work outside the request cycle
+ *
+ * Routes enqueue a job and return its id immediately. The job runner reports
+ * stage-level progress which clients poll via GET /api/jobs/[id], and the
+ * finished file is streamed from GET /api/jobs/[id]/download.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+// Video work is CPU-bound ffmpeg, so run one job at a time by default
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS || '1', 10);
+
+// Finished jobs (and their output files) are kept for 6 hours
+const JOB_TTL_MS = 6 * 60 * 60 * 1000;
+
+const JOBS_OUTPUT_DIR = path.join(os.tmpdir(), 'mlb-highlights-jobs');
+
+// Human-readable labels for the stages reported by job runners
+export const JOB_STAGES = {
+  queued: 'Waiting in queue',
+  gathering: 'Analyzing games',
+  analyzing: 'Analyzing clips',
+  scripting: 'Writing script',
+  voicing: 'Generating narration',
+  downloading: 'Downloading clips',
+  trimming: 'Trimming clips',
+  transcoding: 'Transcoding',
+  concatenating: 'Joining clips',
+  mixing: 'Mixing audio',
+  overlaying: 'Adding score bugs',
+  slating: 'Adding title card and end slate',
+  exporting: 'Exporting',
+  finalizing: 'Finalizing',
+};
+
+// Route handlers can be bundled separately, so keep the queue on globalThis
+// to make sure every route sees the same jobs
+const state = globalThis.__mlbHighlightJobs || (globalThis.__mlbHighlightJobs = {
+  jobs: new Map(),
+  queue: [],
+  running: 0,
+});
+
+/**
+ * Enqueue a background job
+ * @param {string} type - Job type (e.g. 'rundown-video')
+ * @param {Function} runner - async ({ jobId, reportProgress, outputPath }) => result
+ *   The runner writes its video to outputPath, or returns { outputPath } when it
+ *   stored the file somewhere else (e.g. the renders store); jobId keeps its
+ *   temp files apart from other jobs for the same game
+ * @param {object} meta - Extra metadata stored on the job (e.g. { gamePk })
+ * @returns {object} - Public job snapshot
+ */
+export function createJob(type, runner, meta = {}) {
+  pruneExpiredJobs();
+
+  const id = crypto.randomUUID();
+  const now = Date.now();
+
+  const job = {
+    id,
+    type,
+    ...meta,
+    status: 'queued',
+    stage: 'queued',
+    current: 0,
+    total: 0,
+    message: JOB_STAGES.queued,
+    createdAt: now,
+    updatedAt: now,
+    result: null,
+    error: null,
+    outputPath: null,
+    runner,
+  };
+
+  state.jobs.set(id, job);
+  state.queue.push(id);
+  drainQueue();
+
+  return toPublicJob(job);
+}
+
+/**
+ * Get a job snapshot by id
+ * @param {string} id - Job ID
+ * @returns {object|null} - Public job snapshot or null
+ */
+export function getJob(id) {
+  const job = state.jobs.get(id);
+  return job ? toPublicJob(job) : null;
+}
+
+/**
+ * Get the output file path for a completed job
+ * @param {string} id - Job ID
+ * @returns {string|null} - Path to output file or null
+ */
+export function getJobOutputPath(id) {
+  const job = state.jobs.get(id);
+  if (!job || job.status !== 'completed') return null;
+  return job.outputPath;
+}
+
+/**
+ * Start queued jobs while there is capacity
+ */
+function drainQueue() {
+  while (state.running < MAX_CONCURRENT_JOBS && state.queue.length > 0) {
+    const id = state.queue.shift();
+    const job = state.jobs.get(id);
+    if (!job) continue;
+
+    state.running++;
+    runJob(job).finally(() => {
+      state.running--;
+      drainQueue();
+    });
+  }
+}
+
+/**
+ * Execute a job's runner and record the outcome
+ */
+async function runJob(job) {
+  await fs.mkdir(JOBS_OUTPUT_DIR, { recursive: true });
+
+  const outputPath = path.join(JOBS_OUTPUT_DIR, `${job.id}.mp4`);
+
+  const reportProgress = ({ stage, current = 0, total = 0, message } = {}) => {
+    job.stage = stage || job.stage;
+    job.current = current;
+    job.total = total;
+    job.message = message || describeProgress(job.stage, current, total);
+    job.updatedAt = Date.now();
+  };
+
+  job.status = 'running';
+  reportProgress({ stage: 'finalizing', message: 'Starting...' });
+
+  try {
+    const { outputPath: storedPath, ...result } = await job.runner({ jobId: job.id, reportProgress, outputPath }) || {};
+
+    job.outputPath = storedPath || outputPath;
+    job.result = result;
+    job.status = 'completed';
+    job.stage = 'finalizing';
+    job.current = 0;
+    job.total = 0;
+    job.message = 'Done';
+    console.log(`Job ${job.id} (${job.type}) completed`);
+  } catch (error) {
+    console.error(`Job ${job.id} (${job.type}) failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+    job.message = 'Failed';
+    await fs.unlink(outputPath).catch(() => {});
+  } finally {
+    job.updatedAt = Date.now();
+    job.runner = null;
+  }
+}
+
+/**
+ * Build a default progress message, e.g. "Downloading clips (3/8)"
+ */
+function describeProgress(stage, current, total) {
+  const label = JOB_STAGES[stage] || stage;
+  return total > 0 ? `${label} (${current}/${total})` : label;
+}
+
+/**
+ * Strip internal fields before returning a job to callers
+ */
+function toPublicJob(job) {
+  const { runner, outputPath, ...publicJob } = job;
+  return {
+    ...publicJob,
+    statusUrl: `/api/jobs/${job.id}`,
+    downloadUrl: job.status === 'completed' ? `/api/jobs/${job.id}/download` : null,
+  };
+}
+
+/**
+ * Drop finished jobs older than the TTL and delete their output files
+ */
+function pruneExpiredJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+
+  for (const [id, job] of state.jobs) {
+    const isFinished = job.status === 'completed' || job.status === 'failed';
+    if (isFinished && job.updatedAt < cutoff) {
+      // Only delete scratch output - files stored elsewhere outlive the job
+      if (job.outputPath?.startsWith(JOBS_OUTPUT_DIR)) {
+        fs.unlink(job.outputPath).catch(() => {});
+      }
+      state.jobs.delete(id);
+    }
+  }
+}
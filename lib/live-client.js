@@ -0,0 +1,45 @@
+// Browser helpers for the live game stream (GET /api/game/[gamePk]/live)
+
+/**
+ * Merge newly completed at-bats into the list, replacing any with the same playIndex
+ * @param {Array} atBats - Current at-bats
+ * @param {Array} incoming - At-bats from a 'plays' event
+ * @returns {Array} - Merged at-bats in game order
+ */
+export function mergeAtBats(atBats, incoming) {
+  const byIndex = new Map((atBats || []).map(ab => [ab.playIndex, ab]));
+  for (const ab of incoming) byIndex.set(ab.playIndex, ab);
+  return [...byIndex.values()].sort((a, b) => a.playIndex - b.playIndex);
+}
+
+/**
+ * Subscribe to live updates for a game
+ * @param {string} url - Stream URL, including any ?replay= / ?team= params
+ * @param {object} handlers - { onStatus, onPlays, onHighlight, onEnd, onError }
+ * @returns {Function} - Closes the stream
+ */
+export function subscribeToLiveGame(url, handlers = {}) {
+  const source = new EventSource(url);
+  const listen = (event, handler) => {
+    source.addEventListener(event, (e) => handler?.(JSON.parse(e.data)));
+  };
+
+  listen('status', handlers.onStatus);
+  listen('plays', handlers.onPlays);
+  listen('highlight', handlers.onHighlight);
+  listen('end', (data) => {
+    source.close();
+    handlers.onEnd?.(data);
+  });
+  listen('failed', (data) => {
+    source.close();
+    handlers.onError?.(data.details || data.error);
+  });
+
+  // Connection dropped - EventSource retries on its own unless the stream is closed
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) handlers.onError?.('Live connection lost');
+  };
+
+  return () => source.close();
+}
@@ -0,0 +1,239 @@
+/**
+ * Live Games - Follows an in-progress game and reports new plays as they land
+ *
+ * A feed source yields game feed snapshots: the live source polls MLB (and
+ * skips unchanged feeds via the timestamps endpoint), the replay source reads
+ * a recorded feed from disk. The analyzer runs game state and win probability
+ * over new plays only - completed plays are settled and never re-analyzed -
+ * and flags the ones that clear the scoring profile's key-play bar.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getGameFeed, getGameFeedTimestamps, parseGameFeed } from './mlb-api';
+import { analyzeWinProbability } from './win-probability';
+import { getStateAfter, getSituationLabel } from './game-state';
+import { getPlayFeatures, scoreHighlight, BUILT_IN_PROFILES } from './scoring-profiles';
+import { extractAtBats } from './at-bats';
+
+export const LIVE_POLL_INTERVAL_MS = parseInt(process.env.LIVE_POLL_INTERVAL_MS || '10000', 10);
+export const REPLAY_INTERVAL_MS = parseInt(process.env.REPLAY_INTERVAL_MS || '2000', 10);
+
+// Floors for a requested ?interval= - live sessions poll the MLB API on every check
+export const MIN_LIVE_POLL_INTERVAL_MS = 5000;
+export const MIN_REPLAY_INTERVAL_MS = 250;
+
+const REPLAY_DIR = process.env.LIVE_REPLAY_DIR || path.join(process.cwd(), 'recordings');
+
+/**
+ * Whether a feed snapshot is a finished game
+ */
+export function isGameOver(feed) {
+  return feed?.gameData?.status?.abstractGameState === 'Final';
+}
+
+/**
+ * Feed source that polls the live MLB feed
+ * @param {string} gamePk - Game ID
+ * @returns {{next: Function}} - next() resolves to a new feed, or null if unchanged
+ */
+export function createLiveFeedSource(gamePk) {
+  let lastTimestamp = null;
+
+  return {
+    async next() {
+      const timestamps = await getGameFeedTimestamps(gamePk);
+      const latest = timestamps[timestamps.length - 1] || null;
+      if (latest && latest === lastTimestamp) return null;
+
+      lastTimestamp = latest;
+      return getGameFeed(gamePk);
+    },
+  };
+}
+
+/**
+ * Resolve a recording name to a file in the replay directory
+ * @param {string} name - Recording name, without .json
+ * @returns {string|null} - null if the name isn't a plain file name
+ */
+export function getReplayPath(name) {
+  if (!/^[A-Za-z0-9_-]+$/.test(name || '')) return null;
+  return path.join(REPLAY_DIR, `${name}.json`);
+}
+
+/**
+ * Feed source that replays a recorded game from disk
+ *
+ * The file is either an array of feed/live snapshots, played back in order,
+ * or a single feed/live response (e.g. a finished game saved with curl),
+ * played back one completed play at a time.
+ *
+ * @param {string} filePath - Recording path (see getReplayPath)
+ * @returns {Promise<{next: Function, isExhausted: Function, gameData: object}>} -
+ *   gameData is the recorded game's metadata (teams, date), as of its last snapshot
+ */
+export async function createReplayFeedSource(filePath) {
+  const recorded = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+
+  if (Array.isArray(recorded)) {
+    let index = 0;
+    return {
+      async next() {
+        return index < recorded.length ? parseGameFeed(recorded[index++]) : null;
+      },
+      isExhausted: () => index >= recorded.length,
+      gameData: parseGameFeed(recorded[recorded.length - 1] || {}).gameData,
+    };
+  }
+
+  // One snapshot per play, built as we go - the last one is the full feed
+  const feed = parseGameFeed(recorded);
+  const allPlays = feed.liveData.plays?.allPlays || [];
+  let playCount = 0;
+
+  return {
+    async next() {
+      if (playCount >= allPlays.length) return null;
+      playCount++;
+      const isLast = playCount === allPlays.length;
+
+      return {
+        ...feed,
+        gameData: {
+          ...feed.gameData,
+          status: isLast ? feed.gameData.status : { ...feed.gameData.status, abstractGameState: 'Live', detailedState: 'In Progress' },
+        },
+        liveData: {
+          ...feed.liveData,
+          plays: { ...feed.liveData.plays, allPlays: allPlays.slice(0, playCount) },
+        },
+      };
+    },
+    isExhausted: () => playCount >= allPlays.length,
+    gameData: feed.gameData,
+  };
+}
+
+/**
+ * Incremental play analyzer for one game
+ * @param {object} options
+ * @param {object} options.profile - Scoring profile (perspective already applied)
+ * @param {object} options.teamIds - { away, home } team IDs
+ * @param {string} options.gameDate - Official game date, for Film Room params
+ * @returns {{update: Function}} - update(feed) => { atBats, highlights, settledPlays }
+ */
+export function createLiveAnalyzer({ profile, teamIds = {}, gameDate }) {
+  const scoringProfile = profile || BUILT_IN_PROFILES[0];
+  let settledCount = 0;
+  let lastSettled = null;
+
+  return {
+    update(feed) {
+      const allPlays = feed.liveData?.plays?.allPlays || [];
+      const fresh = allPlays.slice(settledCount);
+      if (fresh.length === 0) return { atBats: [], highlights: [], settledPlays: settledCount };
+
+      const analyzed = analyzeWinProbability(fresh, {
+        startState: lastSettled ? getStateAfter(lastSettled) : undefined,
+        startIndex: settledCount,
+      });
+
+      // Settle the run of completed plays - the at-bat in progress is re-read next time
+      const newlyCompleted = [];
+      for (const play of analyzed) {
+        if (!play.about?.isComplete) break;
+        newlyCompleted.push(play);
+      }
+      settledCount += newlyCompleted.length;
+      if (newlyCompleted.length > 0) lastSettled = newlyCompleted[newlyCompleted.length - 1];
+
+      const completedPlays = fresh.slice(0, newlyCompleted.length);
+      const atBats = extractAtBats(completedPlays, gameDate, newlyCompleted, teamIds);
+
+      const highlights = newlyCompleted
+        .map(play => ({ play, score: scoreHighlight(getPlayFeatures(play, teamIds), scoringProfile) }))
+        .filter(({ score }) => score >= scoringProfile.minScore)
+        .map(({ play, score }) => ({
+          playIndex: play.atBatIndex ?? play.playIndex,
+          inning: play.about?.inning,
+          halfInning: play.about?.halfInning,
+          batter: play.matchup?.batter?.fullName,
+          event: play.result?.event,
+          description: play.result?.description,
+          situation: getSituationLabel(play),
+          highlightScore: score,
+          wpa: play.wpa,
+        }));
+
+      return { atBats, highlights, settledPlays: settledCount };
+    },
+  };
+}
+
+/**
+ * Wait, returning early if the session is aborted
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    // One wait per poll - drop the listener when the timer wins, or they pile up on the signal
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Follow a game until it ends (or the source runs out), sending updates
+ *
+ * Events sent: 'status' ({ status, linescore }) on every changed feed,
+ * 'plays' ({ atBats }) for newly completed at-bats, 'highlight' for each
+ * highlight-worthy play, and 'end' ({ reason }) when the session finishes.
+ * Highlights found in the first feed are sent with isCatchUp - they happened
+ * before the session started.
+ *
+ * @param {object} options
+ * @param {object} options.source - Feed source (createLiveFeedSource / createReplayFeedSource)
+ * @param {object} options.analyzer - createLiveAnalyzer instance
+ * @param {number} options.intervalMs - Wait between feed checks
+ * @param {AbortSignal} options.signal - Stops the session (client disconnected)
+ * @param {Function} options.send - (event, data) => void
+ */
+export async function runLiveSession({ source, analyzer, intervalMs, signal, send }) {
+  let isCatchUp = true;
+
+  while (!signal?.aborted) {
+    const feed = await source.next();
+
+    if (feed) {
+      const { atBats, highlights, settledPlays } = analyzer.update(feed);
+
+      send('status', {
+        status: feed.gameData?.status,
+        linescore: feed.liveData?.linescore,
+        settledPlays,
+      });
+      if (atBats.length > 0) send('plays', { atBats });
+      for (const highlight of highlights) send('highlight', { ...highlight, isCatchUp });
+      isCatchUp = false;
+
+      if (isGameOver(feed)) {
+        send('end', { reason: 'final' });
+        return;
+      }
+    }
+
+    if (source.isExhausted?.()) {
+      send('end', { reason: 'replay-finished' });
+      return;
+    }
+
+    await sleep(intervalMs, signal);
+  }
+}
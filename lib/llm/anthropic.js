@@ -0,0 +1,48 @@
+/**
+ * Anthropic Provider - Claude via the Messages API
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { transportFetch, apiKeyFor } from '../transport';
+
+let client = null;
+
+/**
+ * Shared client - created on first use so routes on other providers don't need a key
+ */
+function getClient() {
+  if (!client) {
+    client = new Anthropic({ apiKey: apiKeyFor('ANTHROPIC_API_KEY'), fetch: transportFetch });
+  }
+  return client;
+}
+
+/**
+ * Whether a key is available for this provider
+ * @returns {boolean}
+ */
+export function isConfigured() {
+  return Boolean(apiKeyFor('ANTHROPIC_API_KEY'));
+}
+
+/**
+ * Run one completion
+ * @param {object} request
+ * @param {string} request.model - Model id
+ * @param {Array<{role: string, content: string}>} request.messages - Conversation so far
+ * @param {number} request.maxTokens - Output token limit
+ * @returns {Promise<{text: string, inputTokens: number, outputTokens: number}>}
+ */
+export async function complete({ model, messages, maxTokens }) {
+  const message = await getClient().messages.create({
+    model,
+    max_tokens: maxTokens,
+    messages,
+  });
+
+  return {
+    text: message.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+    inputTokens: message.usage?.input_tokens || 0,
+    outputTokens: message.usage?.output_tokens || 0,
+  };
+}
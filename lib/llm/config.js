@@ -0,0 +1,94 @@
+/**
+ * LLM Config - Which provider and model each script-writing task uses
+ *
+ * Every task runs on the defaults below unless overridden by environment:
+ * - LLM_PROVIDER / LLM_MODEL / LLM_MAX_RETRIES for all tasks
+ * - LLM_<TASK>_PROVIDER / LLM_<TASK>_MODEL for one task, with the task id
+ *   upper-cased and dashes as underscores (e.g. LLM_SYNCED_SCRIPT_MODEL)
+ *
+ * Providers: anthropic, gemini, openai (any OpenAI-compatible endpoint, e.g.
+ * a local server at OPENAI_BASE_URL) and template (offline, no model at all).
+ */
+
+export const LLM_PROVIDERS = ['anthropic', 'gemini', 'openai', 'template'];
+
+// Model used when a provider is picked without naming one
+export const DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-20250514',
+  gemini: 'gemini-2.5-flash',
+  openai: process.env.OPENAI_MODEL || 'llama3.1',
+  template: 'template',
+};
+
+export const LLM_TASKS = {
+  'game-script': { name: 'Game script', maxTokens: 1024 },
+  'synced-script': { name: 'Synced clip narration', maxTokens: 2048 },
+  'custom-video-script': { name: 'Custom video narration', maxTokens: 1024 },
+  'player-reel-voiceover': { name: 'Player reel voiceover', maxTokens: 512 },
+  'roundup-script': { name: 'Daily roundup script', maxTokens: 2048 },
+  'series-script': { name: 'Series recap script', maxTokens: 2048 },
+  'fact-correction': { name: 'Fact-check correction', maxTokens: 256 },
+  'script-segment': { name: 'Script segment rewrite', maxTokens: 512 },
+};
+
+// USD per million tokens - models missing here report a null cost
+const MODEL_PRICING = {
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-opus-4-20250514': { input: 15, output: 75 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+};
+
+const DEFAULT_RETRIES = 2;
+
+/**
+ * Resolve the provider, model and limits for a task
+ * @param {string} task - Task id from LLM_TASKS
+ * @returns {{task: string, provider: string, model: string, maxTokens: number, retries: number}}
+ */
+export function getTaskConfig(task) {
+  const taskConfig = LLM_TASKS[task];
+  if (!taskConfig) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+
+  const envKey = `LLM_${task.toUpperCase().replace(/-/g, '_')}`;
+  const taskProvider = process.env[`${envKey}_PROVIDER`];
+  const provider = taskProvider || process.env.LLM_PROVIDER || 'anthropic';
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM provider for ${task}: ${provider}`);
+  }
+
+  // LLM_MODEL goes with LLM_PROVIDER - a task that picks its own provider gets that provider's default
+  const model = process.env[`${envKey}_MODEL`]
+    || (!taskProvider && process.env.LLM_MODEL)
+    || DEFAULT_MODELS[provider];
+
+  const retries = parseInt(process.env.LLM_MAX_RETRIES || '', 10);
+
+  return {
+    task,
+    provider,
+    model,
+    maxTokens: taskConfig.maxTokens,
+    retries: Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_RETRIES,
+  };
+}
+
+/**
+ * Cost of a call in USD
+ * @param {string} provider - Provider id
+ * @param {string} model - Model id
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @returns {number|null} - null if the model's pricing is unknown
+ */
+export function estimateCost(provider, model, inputTokens, outputTokens) {
+  // Offline and self-hosted models cost nothing per token
+  if (provider === 'template' || (provider === 'openai' && !process.env.OPENAI_API_KEY)) return 0;
+
+  const pricing = MODEL_PRICING[model];
+  if (!pricing) return null;
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1_000_000;
+}
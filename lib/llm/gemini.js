@@ -0,0 +1,40 @@
+/**
+ * Gemini Provider - Google's text models via @google/generative-ai
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { recordedCall, apiKeyFor } from '../transport';
+
+const genAI = new GoogleGenerativeAI(apiKeyFor('GOOGLE_AI_API_KEY'));
+
+/**
+ * Whether a key is available for this provider
+ * @returns {boolean}
+ */
+export function isConfigured() {
+  return Boolean(apiKeyFor('GOOGLE_AI_API_KEY'));
+}
+
+/**
+ * Run one completion
+ * @param {object} request - Same shape as the Anthropic provider's
+ * @returns {Promise<{text: string, inputTokens: number, outputTokens: number}>}
+ */
+export async function complete({ model, messages, maxTokens }) {
+  // The SDK has no fetch hook, so record at the call level
+  return recordedCall('gemini-generate', [model, messages, String(maxTokens)], async () => {
+    const result = await genAI.getGenerativeModel({ model }).generateContent({
+      contents: messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }],
+      })),
+      generationConfig: { maxOutputTokens: maxTokens },
+    });
+
+    return {
+      text: result.response.text(),
+      inputTokens: result.response.usageMetadata?.promptTokenCount || 0,
+      outputTokens: result.response.usageMetadata?.candidatesTokenCount || 0,
+    };
+  });
+}
@@ -0,0 +1,167 @@
+/**
+ * LLM - Provider-agnostic text and JSON generation for script writing
+ *
+ * Routes name a task (see LLM_TASKS in ./config) instead of a model; the
+ * config decides which provider and model run it. JSON output is parsed and
+ * validated, and a rejected reply is sent back to the model with the reason
+ * so it can correct itself. Every call returns token usage and cost.
+ *
+ * With the fallback option, a task whose provider has no key or fails outright
+ * is answered by its offline template instead, and the usage says so.
+ */
+
+import { getTaskConfig, estimateCost } from './config';
+import * as anthropic from './anthropic';
+import * as gemini from './gemini';
+import * as openai from './openai';
+import * as template from './template';
+
+export { LLM_TASKS, LLM_PROVIDERS, getTaskConfig } from './config';
+
+const PROVIDERS = { anthropic, gemini, openai, template };
+
+/**
+ * Parse JSON from a model reply, tolerating markdown fences and chatter around it
+ * @param {string} text - Raw reply
+ * @returns {any}
+ */
+export function parseJsonResponse(text) {
+  const trimmed = (text || '').trim();
+  const unfenced = trimmed.includes('```')
+    ? trimmed.replace(/```json?\n?/g, '').replace(/```/g, '').trim()
+    : trimmed;
+
+  try {
+    return JSON.parse(unfenced);
+  } catch (error) {
+    // Fall back to the outermost array or object in the reply
+    const match = unfenced.match(/[[{][\s\S]*[\]}]/);
+    if (!match) throw error;
+    return JSON.parse(match[0]);
+  }
+}
+
+/**
+ * Empty usage record for a task run
+ */
+function createUsage({ task, provider, model }) {
+  return { task, provider, model, calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+}
+
+/**
+ * Add one call's token counts to a usage record
+ */
+function addCall(usage, { inputTokens, outputTokens }) {
+  usage.calls += 1;
+  usage.inputTokens += inputTokens;
+  usage.outputTokens += outputTokens;
+  const cost = estimateCost(usage.provider, usage.model, inputTokens, outputTokens);
+  usage.costUsd = usage.costUsd === null || cost === null ? null : usage.costUsd + cost;
+}
+
+/**
+ * Run one completion on the task's provider
+ */
+function complete(config, messages, offlineTemplate) {
+  return PROVIDERS[config.provider].complete({
+    task: config.task,
+    model: config.model,
+    maxTokens: config.maxTokens,
+    messages,
+    template: offlineTemplate,
+  });
+}
+
+/**
+ * Answer from the offline template after the task's provider couldn't
+ */
+async function completeFromTemplate(config, offlineTemplate, reason) {
+  console.warn(`LLM ${config.task} falling back to its offline template: ${reason}`);
+  const templateConfig = { ...config, provider: 'template', model: 'template' };
+  const usage = { ...createUsage(templateConfig), fallbackReason: reason };
+  const response = await complete(templateConfig, [], offlineTemplate);
+  addCall(usage, response);
+  return { text: response.text, usage };
+}
+
+/**
+ * Reason to skip the task's provider entirely, or null if it can be tried
+ */
+function getSkipReason(config, offlineTemplate, fallback) {
+  if (!fallback || !offlineTemplate || PROVIDERS[config.provider].isConfigured()) return null;
+  return `${config.provider} is not configured`;
+}
+
+/**
+ * Generate free text (e.g. a full game script)
+ * @param {string} task - Task id from LLM_TASKS
+ * @param {string} prompt - User prompt
+ * @param {object} options
+ * @param {Function} options.template - Offline output for the template provider
+ * @param {boolean} options.fallback - Use the template when the provider is unconfigured or fails
+ * @returns {Promise<{text: string, usage: object}>}
+ */
+export async function generateText(task, prompt, { template: offlineTemplate, fallback = false } = {}) {
+  const config = getTaskConfig(task);
+  const skipReason = getSkipReason(config, offlineTemplate, fallback);
+  if (skipReason) {
+    const { text, usage } = await completeFromTemplate(config, offlineTemplate, skipReason);
+    return { text: text.trim(), usage };
+  }
+
+  const usage = createUsage(config);
+  let response;
+  try {
+    response = await complete(config, [{ role: 'user', content: prompt }], offlineTemplate);
+  } catch (error) {
+    if (!fallback || !offlineTemplate || config.provider === 'template') throw error;
+    const { text, usage: fallbackUsage } = await completeFromTemplate(config, offlineTemplate, error.message);
+    return { text: text.trim(), usage: fallbackUsage };
+  }
+  addCall(usage, response);
+
+  return { text: response.text.trim(), usage };
+}
+
+/**
+ * Generate JSON, retrying with the rejection reason until it parses and validates
+ *
+ * Throws with code LLM_INVALID_OUTPUT (and the usage spent) if every attempt is rejected.
+ *
+ * @param {string} task - Task id from LLM_TASKS
+ * @param {string} prompt - User prompt (should ask for JSON only)
+ * @param {object} options
+ * @param {Function} options.validate - (data) => error message, or null if the data is usable
+ * @param {Function} options.template - Offline output for the template provider
+ * @returns {Promise<{data: any, usage: object}>}
+ */
+export async function generateJson(task, prompt, { validate, template: offlineTemplate } = {}) {
+  const config = getTaskConfig(task);
+  const usage = createUsage(config);
+  const messages = [{ role: 'user', content: prompt }];
+  let problem = null;
+
+  for (let attempt = 0; attempt <= config.retries; attempt++) {
+    const response = await complete(config, messages, offlineTemplate);
+    addCall(usage, response);
+
+    try {
+      const data = parseJsonResponse(response.text);
+      problem = validate?.(data) || null;
+      if (!problem) return { data, usage };
+    } catch (error) {
+      problem = `not valid JSON (${error.message})`;
+    }
+
+    console.warn(`LLM ${task} reply rejected (attempt ${attempt + 1}/${config.retries + 1}): ${problem}`);
+    messages.push(
+      { role: 'assistant', content: response.text },
+      { role: 'user', content: `That reply was rejected: ${problem}. Reply again with ONLY the corrected JSON, no markdown or explanation.` }
+    );
+  }
+
+  const error = new Error(`${task}: no usable reply after ${config.retries + 1} attempts - ${problem}`);
+  error.code = 'LLM_INVALID_OUTPUT';
+  error.usage = usage;
+  throw error;
+}
@@ -0,0 +1,47 @@
+/**
+ * OpenAI-Compatible Provider - Any /chat/completions endpoint
+ *
+ * Defaults to a local server (Ollama's OpenAI-compatible API). Point
+ * OPENAI_BASE_URL at api.openai.com, vLLM, LM Studio etc. and set
+ * OPENAI_API_KEY if the endpoint needs one.
+ */
+
+import { transportFetch } from '../transport';
+
+const BASE_URL = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/$/, '');
+
+/**
+ * Local endpoints need no key, so there's nothing to check up front
+ * @returns {boolean}
+ */
+export function isConfigured() {
+  return true;
+}
+
+/**
+ * Run one completion
+ * @param {object} request - Same shape as the Anthropic provider's
+ * @returns {Promise<{text: string, inputTokens: number, outputTokens: number}>}
+ */
+export async function complete({ model, messages, maxTokens }) {
+  const response = await transportFetch(`${BASE_URL}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {}),
+    },
+    body: JSON.stringify({ model, messages, max_tokens: maxTokens }),
+  });
+
+  if (!response.ok) {
+    const details = await response.text().catch(() => '');
+    throw new Error(`Chat completion failed: ${response.status} ${details.slice(0, 200)}`);
+  }
+
+  const data = await response.json();
+  return {
+    text: data.choices?.[0]?.message?.content || '',
+    inputTokens: data.usage?.prompt_tokens || 0,
+    outputTokens: data.usage?.completion_tokens || 0,
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Template Provider - Deterministic offline output, no model involved
+ *
+ * Callers pass a template function that builds the answer from the same data
+ * the prompt was built from. Output is identical run to run, so it works
+ * without keys or network and as a baseline for tests.
+ */
+
+/**
+ * Always available - output comes from the caller's template
+ * @returns {boolean}
+ */
+export function isConfigured() {
+  return true;
+}
+
+/**
+ * Run one "completion"
+ * @param {object} request
+ * @param {string} request.task - Task id, for the error message
+ * @param {Function} request.template - () => string or JSON-serializable value
+ * @returns {Promise<{text: string, inputTokens: number, outputTokens: number}>}
+ */
+export async function complete({ task, template }) {
+  if (!template) {
+    throw new Error(`No offline template for ${task}`);
+  }
+
+  const output = await template();
+  return {
+    text: typeof output === 'string' ? output : JSON.stringify(output),
+    inputTokens: 0,
+    outputTokens: 0,
+  };
+}
@@ -1,22 +1,17 @@
+import { transportFetch } from './transport';
+
 const MLB_API_BASE = 'https://statsapi.mlb.com/api/v1';
 const MLB_API_V11 = 'https://statsapi.mlb.com/api/v1.1';
 
 /**
- * Fetch schedule for a specific date
- * @param {string} date - Format: YYYY-MM-DD
+ * Flatten a schedule API game into the shape the app uses
  */
-export async function getSchedule(date) {
-  const url = `${MLB_API_BASE}/schedule?sportId=1&date=${date}&hydrate=team,linescore`;
-  const response = await fetch(url);
-  const data = await response.json();
-
-  if (!data.dates || data.dates.length === 0) {
-    return [];
-  }
-
-  return data.dates[0].games.map(game => ({
+function mapScheduleGame(game) {
+  return {
     gamePk: game.gamePk,
     gameDate: game.gameDate,
+    officialDate: game.officialDate,
+    gameType: game.gameType,
     status: game.status.detailedState,
     venue: game.venue?.name,
     away: {
@@ -36,18 +31,44 @@ export async function getSchedule(date) {
       losses: game.teams.home.leagueRecord?.losses,
     },
     linescore: game.linescore,
-  }));
+  };
 }
 
 /**
- * Fetch full game feed with play-by-play data
- * @param {string} gamePk - Game ID
+ * Fetch schedule for a specific date
+ * @param {string} date - Format: YYYY-MM-DD
  */
-export async function getGameFeed(gamePk) {
-  const url = `${MLB_API_V11}/game/${gamePk}/feed/live`;
-  const response = await fetch(url);
+export async function getSchedule(date) {
+  const url = `${MLB_API_BASE}/schedule?sportId=1&date=${date}&hydrate=team,linescore`;
+  const response = await transportFetch(url);
+  const data = await response.json();
+
+  if (!data.dates || data.dates.length === 0) {
+    return [];
+  }
+
+  return data.dates[0].games.map(mapScheduleGame);
+}
+
+/**
+ * Fetch one team's schedule across a date range
+ * @param {number} teamId - MLB team ID
+ * @param {string} startDate - Format: YYYY-MM-DD
+ * @param {string} endDate - Format: YYYY-MM-DD
+ */
+export async function getTeamSchedule(teamId, startDate, endDate) {
+  const url = `${MLB_API_BASE}/schedule?sportId=1&teamId=${teamId}&startDate=${startDate}&endDate=${endDate}&hydrate=team,linescore`;
+  const response = await transportFetch(url);
   const data = await response.json();
 
+  return (data.dates || []).flatMap(d => d.games.map(mapScheduleGame));
+}
+
+/**
+ * Trim a raw feed/live response to the parts the app uses
+ * @param {object} data - feed/live JSON (fetched, or recorded to disk)
+ */
+export function parseGameFeed(data) {
   return {
     gamePk: data.gamePk,
     gameData: {
@@ -66,13 +87,39 @@ export async function getGameFeed(gamePk) {
   };
 }
 
+/**
+ * Fetch full game feed with play-by-play data
+ * @param {string} gamePk - Game ID
+ */
+export async function getGameFeed(gamePk) {
+  const url = `${MLB_API_V11}/game/${gamePk}/feed/live`;
+  const response = await transportFetch(url);
+  const data = await response.json();
+
+  return parseGameFeed(data);
+}
+
+/**
+ * Fetch the update timestamps for a game feed - the last one changes whenever
+ * the feed does, so live polling can skip unchanged feeds
+ * @param {string} gamePk - Game ID
+ * @returns {Promise<string[]>}
+ */
+export async function getGameFeedTimestamps(gamePk) {
+  const url = `${MLB_API_V11}/game/${gamePk}/feed/live/timestamps`;
+  const response = await transportFetch(url);
+  const data = await response.json();
+
+  return Array.isArray(data) ? data : [];
+}
+
 /**
  * Fetch available video highlights for a game
  * @param {string} gamePk - Game ID
  */
 export async function getHighlights(gamePk) {
   const url = `${MLB_API_BASE}/game/${gamePk}/content`;
-  const response = await fetch(url);
+  const response = await transportFetch(url);
   const data = await response.json();
 
   const highlights = data.highlights?.highlights?.items || [];
@@ -111,14 +158,37 @@ export async function getHighlights(gamePk) {
     });
 }
 
+/**
+ * Fetch regular-season standings for both leagues as of a date
+ * @param {string} season - Year (e.g., "2024")
+ * @param {string} date - Format: YYYY-MM-DD
+ * @returns {Promise<Array>} - One entry per team with its division and record
+ */
+export async function getStandings(season, date) {
+  const url = `${MLB_API_BASE}/standings?leagueId=103,104&season=${season}&date=${date}&standingsTypes=regularSeason&hydrate=team,division`;
+  const response = await transportFetch(url);
+  const data = await response.json();
+
+  return (data.records || []).flatMap(record => record.teamRecords.map(teamRecord => ({
+    id: teamRecord.team.id,
+    name: teamRecord.team.name,
+    leagueId: record.league?.id,
+    divisionId: record.division?.id,
+    divisionName: record.division?.nameShort || record.division?.name,
+    wins: teamRecord.wins,
+    losses: teamRecord.losses,
+    streak: teamRecord.streak?.streakCode || null,
+  })));
+}
+
 /**
  * Fetch player stats for a season
  * @param {string} playerId - Player ID
  * @param {string} season - Year (e.g., "2024")
  */
 export async function getPlayerStats(playerId, season) {
-  const url = `${MLB_API_BASE}/people/${playerId}?hydrate=stats(group=[hitting,pitching],type=season,season=${season})`;
-  const response = await fetch(url);
+  const url = `${MLB_API_BASE}/people/${playerId}?hydrate=currentTeam,stats(group=[hitting,pitching],type=season,season=${season})`;
+  const response = await transportFetch(url);
   const data = await response.json();
 
   const player = data.people?.[0];
@@ -128,10 +198,34 @@ export async function getPlayerStats(playerId, season) {
     id: player.id,
     fullName: player.fullName,
     position: player.primaryPosition?.abbreviation,
+    teamId: player.currentTeam?.id,
     stats: player.stats,
   };
 }
 
+/**
+ * Fetch a player's game-by-game log for a season
+ * @param {string} playerId - Player ID
+ * @param {string} season - Year (e.g., "2024")
+ * @param {string} group - 'hitting' or 'pitching'
+ * @returns {Promise<Array<{date: string, gamePk: number, stat: object}>>}
+ */
+export async function getPlayerGameLog(playerId, season, group = 'hitting') {
+  const url = `${MLB_API_BASE}/people/${playerId}/stats?stats=gameLog&group=${group}&season=${season}`;
+  const response = await transportFetch(url);
+  const data = await response.json();
+
+  const splits = data.stats?.[0]?.splits || [];
+
+  return splits.map(split => ({
+    date: split.date,
+    gamePk: split.game?.gamePk,
+    opponentId: split.opponent?.id,
+    isHome: split.isHome,
+    stat: split.stat,
+  }));
+}
+
 /**
  * Get all plays from a game
  * @param {object} gameFeed - Game feed data from getGameFeed
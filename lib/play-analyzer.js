@@ -2,120 +2,204 @@
  * Play Analyzer - Identifies key plays and scores them by highlight-worthiness
  */
 
-// Event types and their base highlight scores
-const EVENT_SCORES = {
-  'Home Run': 100,
-  'Triple': 60,
-  'Double': 30,
-  'Single': 10,
-  'Walk': 5,
-  'Strikeout': 15,
-  'Grounded Into DP': 25,
-  'Double Play': 25,
-  'Sac Fly': 20,
-  'Hit By Pitch': 8,
-  'Stolen Base': 20,
-  'Caught Stealing': 15,
-  'Wild Pitch': 15,
-  'Passed Ball': 15,
-  'Error': 20,
-  'Flyout': 5,
-  'Groundout': 5,
-  'Lineout': 8,
-  'Pop Out': 3,
-};
+import { trackGameState, describeBases, getSituationLabel } from './game-state';
+import { analyzeWinProbability } from './win-probability';
+import { BUILT_IN_PROFILES, getPlayFeatures, scoreHighlight, withPerspective } from './scoring-profiles';
 
 /**
- * Calculate highlight score for a single play
+ * Analyze all plays and return top highlights
+ * @param {Array} allPlays - liveData.plays.allPlays from the game feed
+ * @param {object} options
+ * @param {number} options.maxPlays - Maximum plays to return
+ * @param {number} options.minScore - Minimum highlight score (defaults to the profile's)
+ * @param {object} options.profile - Scoring profile (see lib/scoring-profiles.js)
+ * @param {object} options.teamIds - { away, home } team IDs, for team-centric profiles
+ * @param {number} options.perspectiveTeamId - Weight plays that help this team
  */
-function calculatePlayScore(play, gameContext) {
-  const event = play.result?.event || '';
-  let score = EVENT_SCORES[event] || 5;
+export function analyzeGame(allPlays, options = {}) {
+  const { maxPlays = 10, teamIds = {}, perspectiveTeamId = null } = options;
+  const profile = withPerspective(options.profile || BUILT_IN_PROFILES[0], perspectiveTeamId);
+  const minScore = options.minScore ?? profile.minScore;
 
-  // Scoring play bonus
-  if (play.about?.isScoringPlay) {
-    score += 30;
-    // Extra bonus for multi-RBI plays
-    const rbi = play.result?.rbi || 0;
-    score += rbi * 15;
-  }
+  const scoredPlays = analyzeWinProbability(allPlays).map((play, index) => ({
+    ...play,
+    highlightScore: scoreHighlight(getPlayFeatures(play, teamIds), profile),
+    playIndex: index,
+  }));
 
-  // Exit velocity bonus (for hits)
-  const hitData = play.playEvents?.find(e => e.hitData)?.hitData;
-  if (hitData) {
-    const exitVelo = hitData.launchSpeed || 0;
-    if (exitVelo >= 110) score += 30; // Barrel
-    else if (exitVelo >= 105) score += 20;
-    else if (exitVelo >= 100) score += 10;
-
-    // Distance bonus for home runs
-    if (event === 'Home Run' && hitData.totalDistance >= 450) {
-      score += 25; // Monster shot
-    }
-  }
+  // Sort by score descending
+  const sortedPlays = scoredPlays
+    .filter(p => p.highlightScore >= minScore)
+    .sort((a, b) => b.highlightScore - a.highlightScore)
+    .slice(0, maxPlays);
 
-  // Situational bonuses
-  const inning = play.about?.inning || 1;
-  const isTopInning = play.about?.halfInning === 'top';
+  // Re-sort by game order for narrative flow
+  return sortedPlays.sort((a, b) => a.playIndex - b.playIndex);
+}
+
+// Non-pitch actions worth a clip of their own, keyed by playEvents details.eventType prefix
+const ACTION_SCORES = [
+  { prefix: 'pickoff_caught_stealing', score: 45, label: 'Pickoff caught stealing', beneficiary: 'defense' },
+  { prefix: 'pickoff_error', score: 25, label: 'Pickoff error', beneficiary: 'offense' },
+  { prefix: 'pickoff_', score: 45, label: 'Pickoff', beneficiary: 'defense' },
+  { prefix: 'caught_stealing', score: 40, label: 'Caught stealing', beneficiary: 'defense' },
+  { prefix: 'stolen_base_home', score: 55, label: 'Steal of home', beneficiary: 'offense' },
+  { prefix: 'stolen_base', score: 20, label: 'Stolen base', beneficiary: 'offense' },
+  { prefix: 'wild_pitch', score: 15, label: 'Wild pitch', beneficiary: 'offense' },
+  { prefix: 'passed_ball', score: 15, label: 'Passed ball', beneficiary: 'offense' },
+];
 
-  // Late game bonus (7th inning or later)
-  if (inning >= 7) score += 15;
-  if (inning >= 9) score += 20;
+/**
+ * Score a single pitch or action within an at-bat
+ * @param {object} event - Entry from play.playEvents
+ * @param {object} play - Play annotated by trackGameState
+ * @param {boolean} isFinalPitch - Whether this pitch ended the plate appearance
+ * @returns {{score: number, reasons: string[], beneficiary: string|null}}
+ */
+function calculateEventScore(event, play, isFinalPitch) {
+  let score = 0;
+  const reasons = [];
+  let beneficiary = null;
+
+  if (!event.isPitch) {
+    const eventType = event.details?.eventType || '';
+    const action = ACTION_SCORES.find(a => eventType.startsWith(a.prefix));
+    if (!action) return { score: 0, reasons, beneficiary };
+
+    score += action.score;
+    reasons.push(action.label);
+    beneficiary = action.beneficiary;
+  } else {
+    // Velocity
+    const speed = event.pitchData?.startSpeed || 0;
+    if (speed >= 101) {
+      score += 45;
+      reasons.push(`${speed.toFixed(1)} mph`);
+    } else if (speed >= 99) {
+      score += 25;
+      reasons.push(`${speed.toFixed(1)} mph`);
+    }
+
+    // Spin
+    const spinRate = event.pitchData?.breaks?.spinRate || 0;
+    if (spinRate >= 3200) {
+      score += 25;
+      reasons.push(`${spinRate} rpm`);
+    } else if (spinRate >= 3000) {
+      score += 15;
+      reasons.push(`${spinRate} rpm`);
+    }
 
-  // Clutch situation bonus
-  const outs = play.count?.outs || 0;
-  if (outs === 2) score += 10;
+    if (score > 0) beneficiary = 'defense';
 
-  // Runners on base context
-  const runners = play.runners?.length || 0;
-  if (runners >= 2) score += 10;
-  if (runners >= 3) score += 15; // Bases loaded potential
+    if (isFinalPitch) {
+      // Long battles, credited to the pitch that ended them
+      const pitchCount = event.pitchNumber || 0;
+      if (pitchCount >= 10) {
+        score += 35;
+        reasons.push(`${pitchCount}-pitch at-bat`);
+        beneficiary = null; // Whoever won the battle
+      } else if (pitchCount >= 8) {
+        score += 15;
+        reasons.push(`${pitchCount}-pitch at-bat`);
+        beneficiary = null;
+      }
 
-  // Lead change / tie game detection
-  if (gameContext) {
-    const { scoreBefore, scoreAfter } = getScoreChange(play, gameContext);
-    if (scoreBefore.away === scoreBefore.home && scoreAfter.away !== scoreAfter.home) {
-      score += 25; // Tie-breaking play
+      if (play.result?.eventType === 'strikeout' && score > 0) {
+        score += 15;
+        reasons.push('Strikeout pitch');
+      }
     }
-    if ((scoreBefore.away > scoreBefore.home) !== (scoreAfter.away > scoreAfter.home)) {
-      score += 35; // Lead change
+
+    // Hard-hit balls that were turned into outs - likely a defensive gem
+    const hitData = event.hitData;
+    if (event.details?.isInPlay && hitData && play.result?.isOut) {
+      if ((hitData.launchSpeed || 0) >= 100) {
+        score += 30;
+        reasons.push(`Robbed ${Math.round(hitData.launchSpeed)} mph`);
+        beneficiary = 'defense';
+      }
+      if ((hitData.totalDistance || 0) >= 380) {
+        score += 15;
+        reasons.push(`${Math.round(hitData.totalDistance)} ft out`);
+        beneficiary = 'defense';
+      }
     }
   }
 
-  return score;
-}
+  if (score > 0 && play.leverageIndex >= 2) {
+    score += 10;
+    reasons.push('High leverage');
+  }
 
-/**
- * Helper to track score changes
- */
-function getScoreChange(play, gameContext) {
-  // This would need game state tracking - simplified for now
-  return {
-    scoreBefore: { away: 0, home: 0 },
-    scoreAfter: { away: 0, home: 0 },
-  };
+  return { score, reasons, beneficiary };
 }
 
 /**
- * Analyze all plays and return top highlights
+ * Find standout pitches and non-pitch actions within at-bats
+ *
+ * The at-bat analysis only sees how each plate appearance ended - this
+ * surfaces the moments in between (a 102 mph heater, a 10-pitch battle, a
+ * pickoff) as clip candidates of their own.
+ *
+ * @param {Array} allPlays - liveData.plays.allPlays from the game feed
+ * @param {object} options
+ * @param {number} options.maxEvents - Maximum candidates to return
+ * @param {number} options.minScore - Minimum score to be a candidate
+ * @returns {Array} - Candidates in game order
  */
-export function analyzeGame(allPlays, options = {}) {
-  const { maxPlays = 10, minScore = 30 } = options;
+export function analyzePlayEvents(allPlays, options = {}) {
+  const { maxEvents = 20, minScore = 40 } = options;
+  const candidates = [];
 
-  const scoredPlays = allPlays.map((play, index) => ({
-    ...play,
-    highlightScore: calculatePlayScore(play),
-    playIndex: index,
-  }));
+  trackGameState(allPlays).forEach((play, playIndex) => {
+    const events = play.playEvents || [];
+    const pitches = events.filter(e => e.isPitch);
+    const finalPitch = pitches[pitches.length - 1];
 
-  // Sort by score descending
-  const sortedPlays = scoredPlays
-    .filter(p => p.highlightScore >= minScore)
-    .sort((a, b) => b.highlightScore - a.highlightScore)
-    .slice(0, maxPlays);
+    // Pre-event count - the feed's count is the count after each event
+    let count = { balls: 0, strikes: 0 };
 
-  // Re-sort by game order for narrative flow
-  return sortedPlays.sort((a, b) => a.playIndex - b.playIndex);
+    events.forEach((event, eventIndex) => {
+      const countBefore = count;
+      if (event.isPitch && event.count) {
+        count = { balls: event.count.balls, strikes: event.count.strikes };
+      }
+
+      const isFinalPitch = event === finalPitch && Boolean(play.result?.event);
+      const { score, reasons, beneficiary } = calculateEventScore(event, play, isFinalPitch);
+      if (score < minScore) return;
+
+      const pitchType = event.details?.type?.description;
+      const speed = event.pitchData?.startSpeed;
+
+      candidates.push({
+        kind: event.isPitch ? 'pitch' : 'action',
+        playIndex,
+        eventIndex,
+        playId: event.playId || null,
+        inning: play.about?.inning,
+        halfInning: play.about?.halfInning,
+        batter: { id: play.matchup?.batter?.id, name: play.matchup?.batter?.fullName },
+        pitcher: { id: play.matchup?.pitcher?.id, name: play.matchup?.pitcher?.fullName },
+        label: event.isPitch
+          ? [speed ? `${speed.toFixed(1)} mph` : null, pitchType].filter(Boolean).join(' ') || 'Pitch'
+          : event.details?.event || reasons[0],
+        description: event.details?.description,
+        result: isFinalPitch ? play.result?.event : event.details?.event || event.details?.description,
+        reasons,
+        beneficiary,
+        count: countBefore,
+        outs: play.outsBefore,
+        highlightScore: score,
+      });
+    });
+  });
+
+  return candidates
+    .sort((a, b) => b.highlightScore - a.highlightScore)
+    .slice(0, maxEvents)
+    .sort((a, b) => a.playIndex - b.playIndex || a.eventIndex - b.eventIndex);
 }
 
 /**
@@ -145,6 +229,7 @@ export function getPlayBadge(play) {
 
 /**
  * Format play for display
+ * Game state fields are filled in for plays returned by analyzeGame
  */
 export function formatPlay(play) {
   return {
@@ -159,6 +244,17 @@ export function formatPlay(play) {
     hitData: play.playEvents?.find(e => e.hitData)?.hitData,
     highlightScore: play.highlightScore,
     badge: getPlayBadge(play),
+    scoreBefore: play.scoreBefore,
+    scoreAfter: play.scoreAfter,
+    outs: play.outsBefore,
+    runnersOn: play.basesBefore !== undefined ? describeBases(play.basesBefore) : null,
+    leverageIndex: play.leverageIndex,
+    isGoAhead: play.isGoAhead,
+    isGameTying: play.isGameTying,
+    isLeadChange: play.isLeadChange,
+    isWalkOff: play.isWalkOff,
+    isInsurance: play.isInsurance,
+    situation: getSituationLabel(play),
   };
 }
 
@@ -167,7 +263,6 @@ export function formatPlay(play) {
  */
 export function getGameSummary(allPlays) {
   const events = {};
-  let totalRuns = 0;
   let scoringPlays = 0;
 
   allPlays.forEach(play => {
@@ -177,10 +272,13 @@ export function getGameSummary(allPlays) {
     }
     if (play.about?.isScoringPlay) {
       scoringPlays++;
-      totalRuns += play.result?.rbi || 0;
     }
   });
 
+  // Running score from the last play counts every run, not just ones driven in
+  const lastResult = allPlays[allPlays.length - 1]?.result;
+  const totalRuns = (lastResult?.awayScore || 0) + (lastResult?.homeScore || 0);
+
   return {
     totalPlays: allPlays.length,
     homeRuns: events['Home Run'] || 0,
@@ -0,0 +1,259 @@
+/**
+ * Player Context - Season and recent-form stats for the players in a script
+ *
+ * Stats are summed from each player's game log through the game being
+ * written about, so an older game still reads "his 24th of the year" as of
+ * that night rather than as of today. Game logs are cached in memory per
+ * player, season and calendar day.
+ */
+
+import { getPlayerGameLog } from './mlb-api';
+
+// Games that count as "recent form"
+const RECENT_GAMES = 7;
+
+// Context lookups per script - each player is one game log request
+const MAX_PLAYERS = 8;
+
+// Every 10th home run of a season is worth calling out
+const HOME_RUN_MILESTONE_STEP = 10;
+
+const logCache = new Map();
+
+/**
+ * Game log through the cache - one fetch per player, season and day
+ */
+function getCachedGameLog(playerId, season, group) {
+  const day = new Date().toISOString().slice(0, 10);
+  const key = `${day}:${playerId}:${season}:${group}`;
+
+  if (!logCache.has(key)) {
+    // Yesterday's logs are stale
+    for (const staleKey of logCache.keys()) {
+      if (!staleKey.startsWith(`${day}:`)) logCache.delete(staleKey);
+    }
+    logCache.set(key, getPlayerGameLog(playerId, season, group).catch(error => {
+      logCache.delete(key);
+      throw error;
+    }));
+  }
+
+  return logCache.get(key);
+}
+
+/**
+ * "5.1" innings -> 16 outs
+ */
+function inningsToOuts(inningsPitched) {
+  const [whole, partial = '0'] = String(inningsPitched || '0').split('.');
+  return Number(whole) * 3 + Number(partial);
+}
+
+function outsToInnings(outs) {
+  return `${Math.floor(outs / 3)}.${outs % 3}`;
+}
+
+function formatAverage(hits, atBats) {
+  if (!atBats) return '.000';
+  return (hits / atBats).toFixed(3).replace(/^0/, '');
+}
+
+function formatEra(earnedRuns, outs) {
+  return outs ? (earnedRuns * 27 / outs).toFixed(2) : '-.--';
+}
+
+function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  return `${n}${teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th')}`;
+}
+
+function sum(entries, field) {
+  return entries.reduce((total, entry) => total + (Number(entry.stat?.[field]) || 0), 0);
+}
+
+/**
+ * Game log entries up to and including the game being written about
+ */
+function entriesThroughGame(entries, { gamePk, gameDate }) {
+  const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
+  const gameIndex = gamePk ? sorted.findIndex(entry => String(entry.gamePk) === String(gamePk)) : -1;
+  if (gameIndex >= 0) return sorted.slice(0, gameIndex + 1);
+  return gameDate ? sorted.filter(entry => entry.date <= gameDate) : sorted;
+}
+
+/**
+ * Season line, recent form, streak and milestones for a hitter
+ */
+function summarizeHitting(through, thisGame) {
+  const recent = through.slice(-RECENT_GAMES);
+  const homeRuns = sum(through, 'homeRuns');
+
+  // Games without an official at-bat neither extend nor break a hitting streak
+  let hittingStreak = 0;
+  for (const entry of [...through].reverse()) {
+    if (!Number(entry.stat?.atBats)) continue;
+    if (!Number(entry.stat?.hits)) break;
+    hittingStreak++;
+  }
+
+  const milestones = [];
+  const gameHomeRuns = Number(thisGame?.stat?.homeRuns) || 0;
+  for (let number = homeRuns - gameHomeRuns + 1; number <= homeRuns; number++) {
+    if (number === 1 || number % HOME_RUN_MILESTONE_STEP === 0) {
+      milestones.push(`${number === 1 ? 'first' : ordinal(number)} home run of the season`);
+    }
+  }
+
+  return {
+    games: through.length,
+    season: {
+      avg: formatAverage(sum(through, 'hits'), sum(through, 'atBats')),
+      homeRuns,
+      rbi: sum(through, 'rbi'),
+    },
+    recent: {
+      games: recent.length,
+      hits: sum(recent, 'hits'),
+      atBats: sum(recent, 'atBats'),
+      homeRuns: sum(recent, 'homeRuns'),
+    },
+    hittingStreak,
+    // Season home run numbers hit in this game, e.g. [23, 24]
+    homeRunNumbers: gameHomeRuns > 0
+      ? Array.from({ length: gameHomeRuns }, (_, i) => homeRuns - gameHomeRuns + 1 + i)
+      : [],
+    milestones,
+  };
+}
+
+/**
+ * Season line and recent form for a pitcher
+ */
+function summarizePitching(through, thisGame) {
+  const recent = through.slice(-3);
+  const outs = through.reduce((total, entry) => total + inningsToOuts(entry.stat?.inningsPitched), 0);
+  const recentOuts = recent.reduce((total, entry) => total + inningsToOuts(entry.stat?.inningsPitched), 0);
+  const strikeOuts = sum(through, 'strikeOuts');
+
+  const milestones = [];
+  const gameStrikeOuts = Number(thisGame?.stat?.strikeOuts) || 0;
+  const hundreds = Math.floor(strikeOuts / 100);
+  if (gameStrikeOuts > 0 && hundreds > 0 && strikeOuts - gameStrikeOuts < hundreds * 100) {
+    milestones.push(`${ordinal(hundreds * 100)} strikeout of the season`);
+  }
+
+  return {
+    games: through.length,
+    season: {
+      wins: sum(through, 'wins'),
+      losses: sum(through, 'losses'),
+      era: formatEra(sum(through, 'earnedRuns'), outs),
+      strikeOuts,
+      inningsPitched: outsToInnings(outs),
+    },
+    recent: {
+      games: recent.length,
+      era: formatEra(sum(recent, 'earnedRuns'), recentOuts),
+      strikeOuts: sum(recent, 'strikeOuts'),
+    },
+    milestones,
+  };
+}
+
+/**
+ * Summarize a player's game log through one game
+ * @param {Array} entries - From getPlayerGameLog
+ * @param {'batter'|'pitcher'} role
+ * @param {object} game
+ * @param {number} game.gamePk - The game being written about (preferred - handles doubleheaders)
+ * @param {string} game.gameDate - YYYY-MM-DD, used when the game isn't in the log
+ * @returns {object|null} - null when the player has no games yet
+ */
+export function summarizeGameLog(entries, role, game = {}) {
+  const through = entriesThroughGame(entries || [], game);
+  if (through.length === 0) return null;
+
+  const thisGame = game.gamePk ? through.find(entry => String(entry.gamePk) === String(game.gamePk)) : null;
+  return role === 'pitcher' ? summarizePitching(through, thisGame) : summarizeHitting(through, thisGame);
+}
+
+/**
+ * Batters and pitchers from key plays or clips, in order of first appearance
+ * @param {Array} plays - Plays with matchup.batter / matchup.pitcher, or clips
+ *   with batterId / pitcherId (names in batter / pitcher)
+ * @returns {Array<{id: number, name: string, role: 'batter'|'pitcher'}>}
+ */
+export function collectPlayers(plays) {
+  const players = new Map();
+  const add = (id, name, role) => {
+    if (id && !players.has(id)) players.set(id, { id, name: name || `Player ${id}`, role });
+  };
+
+  for (const play of plays || []) {
+    if (play.matchup) {
+      add(play.matchup.batter?.id, play.matchup.batter?.fullName, 'batter');
+      add(play.matchup.pitcher?.id, play.matchup.pitcher?.fullName, 'pitcher');
+    } else {
+      add(play.batterId, play.batter, 'batter');
+      add(play.pitcherId, play.pitcher, 'pitcher');
+    }
+  }
+  return [...players.values()];
+}
+
+/**
+ * Look up context for the players in a script
+ *
+ * A player whose stats can't be fetched is left out rather than failing the script.
+ *
+ * @param {Array<{id: number, name: string, role: string}>} players - From collectPlayers
+ * @param {object} game
+ * @param {number} game.gamePk - Game being written about
+ * @param {string} game.gameDate - YYYY-MM-DD (sets the season)
+ * @returns {Promise<Array>} - { id, name, role, ...summarizeGameLog } per player
+ */
+export async function getPlayersContext(players, { gamePk, gameDate } = {}) {
+  const season = (gameDate || new Date().toISOString()).slice(0, 4);
+
+  const contexts = await Promise.all(players.slice(0, MAX_PLAYERS).map(async (player) => {
+    try {
+      const group = player.role === 'pitcher' ? 'pitching' : 'hitting';
+      const entries = await getCachedGameLog(player.id, season, group);
+      const summary = summarizeGameLog(entries, player.role, { gamePk, gameDate });
+      return summary ? { ...player, ...summary } : null;
+    } catch (error) {
+      console.warn(`No season context for ${player.name} (${player.id}): ${error.message}`);
+      return null;
+    }
+  }));
+
+  return contexts.filter(Boolean);
+}
+
+/**
+ * One prompt line per player
+ * @param {Array} contexts - From getPlayersContext
+ * @returns {string} - Empty when there's no context
+ */
+export function describePlayerContext(contexts) {
+  return (contexts || []).map(context => {
+    const parts = [];
+
+    if (context.role === 'pitcher') {
+      const { season, recent } = context;
+      parts.push(`${season.wins}-${season.losses}, ${season.era} ERA, ${season.strikeOuts} K in ${season.inningsPitched} IP this season`);
+      if (recent.games > 1) parts.push(`last ${recent.games} outings: ${recent.era} ERA, ${recent.strikeOuts} K`);
+    } else {
+      const { season, recent } = context;
+      parts.push(`${season.avg} AVG, ${season.homeRuns} HR, ${season.rbi} RBI in ${context.games} games this season`);
+      if (recent.games > 1) parts.push(`last ${recent.games} games: ${recent.hits}-for-${recent.atBats}, ${recent.homeRuns} HR`);
+      if (context.hittingStreak >= 5) parts.push(`${context.hittingStreak}-game hitting streak`);
+      if (context.homeRunNumbers.length > 0) {
+        parts.push(`homered in this game - season HR #${context.homeRunNumbers.join(' and #')}`);
+      }
+    }
+    if (context.milestones.length > 0) parts.push(`MILESTONE: ${context.milestones.join(', ')}`);
+
+    return `- ${context.name} (${context.role}): ${parts.join('; ')}`;
+  }).join('\n');
+}
@@ -0,0 +1,175 @@
+/**
+ * Player Reels - Finds and ranks a player's clips across a date range
+ *
+ * The player's game log gives the dates they played; each date is searched in
+ * Film Room with a BatterId/PitcherId filter. Clips are ranked with the shared
+ * highlight scoring engine, using events parsed from the clip descriptions.
+ */
+
+import { getPlayerStats, getPlayerGameLog } from './mlb-api';
+import { searchClips } from './filmroom';
+import { BUILT_IN_PROFILES, scoreHighlight } from './scoring-profiles';
+
+// Film Room calls are one per game date - keep long ranges reasonable
+const MAX_GAME_DATES = 20;
+
+// Clip description phrases -> play-by-play event names used by the scoring engine
+const EVENT_PATTERNS = [
+  [/grand slam|homers|home run/i, 'Home Run'],
+  [/triples/i, 'Triple'],
+  [/doubles/i, 'Double'],
+  [/singles/i, 'Single'],
+  [/strikes out|struck out/i, 'Strikeout'],
+  [/grounds into a double play/i, 'Grounded Into DP'],
+  [/double play/i, 'Double Play'],
+  [/hit by pitch/i, 'Hit By Pitch'],
+  [/walks/i, 'Walk'],
+  [/sacrifice fly|sac fly/i, 'Sac Fly'],
+  [/steals/i, 'Stolen Base'],
+  [/lines out/i, 'Lineout'],
+  [/flies out/i, 'Flyout'],
+  [/grounds out/i, 'Groundout'],
+  [/pops out/i, 'Pop Out'],
+];
+
+const OUT_EVENTS = new Set(['Strikeout', 'Grounded Into DP', 'Double Play', 'Lineout', 'Flyout', 'Groundout', 'Pop Out']);
+
+/**
+ * Detect the play result from a clip's title/description
+ * @param {object} clip - Clip from searchClips
+ * @returns {string} - Event name, or '' for an in-progress pitch
+ */
+export function detectClipEvent(clip) {
+  const text = `${clip.title || ''} ${clip.description || ''}`;
+  return EVENT_PATTERNS.find(([pattern]) => pattern.test(text))?.[1] || '';
+}
+
+/**
+ * Score a clip for a player reel
+ * @param {object} clip - Clip from searchClips
+ * @param {'batter'|'pitcher'} role - Whose reel this is
+ * @returns {number}
+ */
+export function scorePlayerClip(clip, role) {
+  const info = clip.playInfo || {};
+  const event = detectClipEvent(clip);
+  const profile = role === 'pitcher'
+    ? BUILT_IN_PROFILES.find(p => p.id === 'pitching-duel')
+    : BUILT_IN_PROFILES.find(p => p.id === 'offense-heavy');
+
+  let score = scoreHighlight({
+    event,
+    runs: event === 'Home Run' ? 1 : 0,
+    isScoring: /scores|homers|grand slam/i.test(clip.description || ''),
+    isOut: OUT_EVENTS.has(event),
+    inning: info.inning || 1,
+    outs: info.outs ?? 0,
+    runnersOn: 0,
+    exitVelo: info.exitVelocity || 0,
+    distance: info.hitDistance || 0,
+    leverageIndex: 0,
+    wpChange: 0,
+  }, profile);
+
+  // Pitcher reels also want the heat, result or not
+  if (role === 'pitcher') {
+    const speed = info.pitchSpeed || 0;
+    if (speed >= 101) score += 40;
+    else if (speed >= 99) score += 20;
+  }
+
+  // A batter's in-progress pitches are just the lead-up to the result
+  if (role === 'batter' && !event) score = Math.min(score, 5);
+
+  return score;
+}
+
+/**
+ * List the dates a player appeared between two dates
+ */
+async function getGameDates(playerId, role, startDate, endDate) {
+  const group = role === 'pitcher' ? 'pitching' : 'hitting';
+  const startYear = parseInt(startDate.slice(0, 4));
+  const endYear = parseInt(endDate.slice(0, 4));
+
+  const logs = [];
+  for (let season = startYear; season <= endYear; season++) {
+    logs.push(...await getPlayerGameLog(playerId, String(season), group));
+  }
+
+  const dates = [...new Set(logs
+    .map(entry => entry.date)
+    .filter(date => date >= startDate && date <= endDate))];
+
+  // Most recent first when the range is too long
+  return dates.sort().reverse().slice(0, MAX_GAME_DATES);
+}
+
+/**
+ * Find and rank a player's clips over a date range
+ * @param {number} playerId - MLB player ID
+ * @param {object} options
+ * @param {'batter'|'pitcher'} options.role - Search at-bats or pitches
+ * @param {string} options.startDate - YYYY-MM-DD
+ * @param {string} options.endDate - YYYY-MM-DD
+ * @param {number} options.maxClips - Maximum ranked clips to return
+ * @returns {Promise<Array>} - Clips with highlightScore and event, best first
+ */
+export async function getPlayerClips(playerId, options) {
+  const { role = 'batter', startDate, endDate, maxClips = 40 } = options;
+
+  const dates = await getGameDates(playerId, role, startDate, endDate);
+  const clips = [];
+
+  for (const date of dates) {
+    const found = await searchClips(role === 'pitcher'
+      ? { pitcherId: playerId, date, limit: 120 }
+      : { batterId: playerId, date, limit: 40 });
+    clips.push(...found);
+  }
+
+  const scored = clips.map(clip => ({
+    ...clip,
+    event: detectClipEvent(clip),
+    highlightScore: scorePlayerClip(clip, role),
+  }));
+
+  // Batter reels are per plate appearance - keep the pitch that decided it
+  const byAtBat = new Map();
+  for (const clip of scored) {
+    const info = clip.playInfo || {};
+    const key = role === 'batter'
+      ? `${info.gamePk}-${info.inning}-${info.inningHalf}-${info.players?.pitcher?.id}`
+      : clip.id;
+    const existing = byAtBat.get(key);
+    if (!existing || clip.highlightScore > existing.highlightScore) {
+      byAtBat.set(key, clip);
+    }
+  }
+
+  return [...byAtBat.values()]
+    .sort((a, b) => b.highlightScore - a.highlightScore)
+    .slice(0, maxClips);
+}
+
+/**
+ * Season stat line for voiceover context, e.g. ".312 AVG, 28 HR, 71 RBI, .987 OPS"
+ * @param {number} playerId - MLB player ID
+ * @param {string} season - Year
+ * @param {'batter'|'pitcher'} role
+ * @returns {Promise<{player: object|null, statLine: string|null}>}
+ */
+export async function getSeasonContext(playerId, season, role) {
+  const player = await getPlayerStats(playerId, season);
+  if (!player) return { player: null, statLine: null };
+
+  const group = role === 'pitcher' ? 'pitching' : 'hitting';
+  const stat = player.stats?.find(s => s.group?.displayName === group)?.splits?.[0]?.stat;
+  if (!stat) return { player, statLine: null };
+
+  const statLine = role === 'pitcher'
+    ? `${stat.wins}-${stat.losses}, ${stat.era} ERA, ${stat.strikeOuts} K, ${stat.whip} WHIP in ${stat.inningsPitched} IP`
+    : `${stat.avg} AVG, ${stat.homeRuns} HR, ${stat.rbi} RBI, ${stat.ops} OPS in ${stat.gamesPlayed} games`;
+
+  return { player, statLine };
+}
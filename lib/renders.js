@@ -0,0 +1,229 @@
+/**
+ * Renders Store - Persists finished highlight packages on disk
+ *
+ * Layout: <RENDERS_DIR>/<gamePk>/<renderId>.mp4 (.mov for ProRes exports) plus
+ * <renderId>.meta.json holding what went into the render (clips, script,
+ * voice, durations, container) and <renderId>.srt / .vtt caption sidecars
+ * when the package had anything to caption.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getAudioDuration } from './video-processor';
+import { CAPTION_FORMATS, captionSidecarPath } from './captions';
+
+const RENDERS_DIR = process.env.RENDERS_DIR || path.join(process.cwd(), 'renders');
+
+// Game and render ids become path segments, so keep them to safe characters
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+const CONTAINERS = ['mp4', 'mov'];
+
+/**
+ * Get the directory holding renders for a game
+ */
+function getGameDir(gamePk) {
+  const id = String(gamePk);
+  if (!SAFE_ID.test(id)) {
+    throw new Error(`Invalid gamePk: ${gamePk}`);
+  }
+  return path.join(RENDERS_DIR, id);
+}
+
+/**
+ * Get the video and metadata paths for a render
+ */
+function getRenderPaths(gamePk, renderId, container = 'mp4') {
+  if (!SAFE_ID.test(renderId)) {
+    throw new Error(`Invalid renderId: ${renderId}`);
+  }
+  const gameDir = getGameDir(gamePk);
+  return {
+    videoPath: path.join(gameDir, `${renderId}.${CONTAINERS.includes(container) ? container : 'mp4'}`),
+    metaPath: path.join(gameDir, `${renderId}.meta.json`),
+  };
+}
+
+/**
+ * Move a file into the store, copying when rename() can't cross devices (e.g. tmpfs -> project dir)
+ */
+async function moveFile(sourcePath, targetPath) {
+  try {
+    await fs.rename(sourcePath, targetPath);
+  } catch {
+    await fs.copyFile(sourcePath, targetPath);
+    await fs.unlink(sourcePath).catch(() => {});
+  }
+}
+
+/**
+ * Save a finished video into the renders store
+ * Moves the source file and its caption sidecars (see captionSidecarPath)
+ * into the store and writes its metadata
+ *
+ * @param {string} sourcePath - Path to the finished MP4 (or MOV)
+ * @param {object} info - Render info
+ * @param {string} info.gamePk - Game ID
+ * @param {string} info.type - Package type (e.g. 'rundown-video')
+ * @param {Array} info.clips - Clips used in the render
+ * @param {string|Array} info.script - Narration script or segments
+ * @param {object} info.voice - { voiceId, style }
+ * @param {object} info.durations - Known durations (e.g. per-clip)
+ * @returns {Promise<object>} - Saved render metadata
+ */
+export async function saveRender(sourcePath, { gamePk, type, clips = [], script = null, voice = null, durations = {}, ...extra }) {
+  const gameDir = getGameDir(gamePk || 'custom');
+  await fs.mkdir(gameDir, { recursive: true });
+
+  const renderId = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+  const container = path.extname(sourcePath).slice(1).toLowerCase() === 'mov' ? 'mov' : 'mp4';
+  const { videoPath, metaPath } = getRenderPaths(gamePk || 'custom', renderId, container);
+
+  await moveFile(sourcePath, videoPath);
+
+  const captions = [];
+  for (const format of CAPTION_FORMATS) {
+    try {
+      await moveFile(captionSidecarPath(sourcePath, format), captionSidecarPath(videoPath, format));
+      captions.push(format);
+    } catch {
+      // No sidecar - nothing was captioned
+    }
+  }
+
+  const { size } = await fs.stat(videoPath);
+  const totalDuration = await getAudioDuration(videoPath).catch(() => null);
+
+  const metadata = {
+    id: renderId,
+    gamePk: String(gamePk || 'custom'),
+    type,
+    createdAt: new Date().toISOString(),
+    fileSize: size,
+    container,
+    captions,
+    clips,
+    script,
+    voice,
+    durations: {
+      ...durations,
+      total: totalDuration,
+    },
+    ...extra,
+  };
+
+  await fs.writeFile(metaPath, JSON.stringify(metadata, null, 2));
+
+  return { ...metadata, videoPath };
+}
+
+/**
+ * List all renders for a game, newest first
+ * @param {string} gamePk - Game ID
+ * @returns {Promise<Array>} - Render metadata objects
+ */
+export async function listRenders(gamePk) {
+  const gameDir = getGameDir(gamePk);
+
+  let files;
+  try {
+    files = await fs.readdir(gameDir);
+  } catch {
+    return [];
+  }
+
+  const renders = [];
+  for (const file of files.filter(f => f.endsWith('.meta.json'))) {
+    try {
+      const data = await fs.readFile(path.join(gameDir, file), 'utf8');
+      renders.push(JSON.parse(data));
+    } catch (error) {
+      console.error(`Failed to read render metadata ${file}:`, error);
+    }
+  }
+
+  return renders.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get metadata for a single render
+ * @param {string} gamePk - Game ID
+ * @param {string} renderId - Render ID
+ * @returns {Promise<object|null>} - Render metadata (with videoPath), or null if missing or the id is malformed
+ */
+export async function getRender(gamePk, renderId) {
+  if (!SAFE_ID.test(String(renderId))) return null;
+  const { metaPath } = getRenderPaths(gamePk, renderId);
+
+  try {
+    const metadata = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+    const { videoPath } = getRenderPaths(gamePk, renderId, metadata.container);
+    return { ...metadata, videoPath };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get a render's caption sidecar
+ * @param {string} gamePk - Game ID
+ * @param {string} renderId - Render ID
+ * @param {string} format - 'srt' or 'vtt'
+ * @returns {Promise<string|null>} - Path to the sidecar, or null if the render has none
+ */
+export async function getRenderCaptions(gamePk, renderId, format) {
+  const render = await getRender(gamePk, renderId);
+  if (!render?.captions?.includes(format)) return null;
+  return captionSidecarPath(render.videoPath, format);
+}
+
+/**
+ * Delete a render, its metadata and its caption sidecars
+ * @param {string} gamePk - Game ID
+ * @param {string} renderId - Render ID
+ * @returns {Promise<boolean>} - True if the render existed (false for a malformed id)
+ */
+export async function deleteRender(gamePk, renderId) {
+  if (!SAFE_ID.test(String(renderId))) return false;
+  const { metaPath } = getRenderPaths(gamePk, renderId);
+
+  try {
+    await fs.access(metaPath);
+  } catch {
+    return false;
+  }
+
+  // Unreadable metadata still deletes - the video is then assumed to be MP4
+  const render = await getRender(gamePk, renderId);
+  const { videoPath } = getRenderPaths(gamePk, renderId, render?.container);
+  await fs.unlink(videoPath).catch(() => {});
+  for (const format of CAPTION_FORMATS) {
+    await fs.unlink(captionSidecarPath(videoPath, format)).catch(() => {});
+  }
+  await fs.unlink(metaPath).catch(() => {});
+  return true;
+}
+
+/**
+ * Download URLs for a render's caption sidecars, by format
+ * @param {object} render - Render metadata
+ * @returns {object} - e.g. { srt: '/api/renders/...', vtt: '/api/renders/...' }
+ */
+export function getCaptionUrls(render) {
+  return Object.fromEntries((render.captions || []).map(format =>
+    [format, `/api/renders/${render.gamePk}/${render.id}/captions?format=${format}`]
+  ));
+}
+
+/**
+ * Strip server-only fields before returning a render to the client
+ */
+export function toPublicRender(render) {
+  const { videoPath, ...publicRender } = render;
+  return {
+    ...publicRender,
+    videoUrl: `/api/renders/${render.gamePk}/${render.id}/video`,
+    captionUrls: getCaptionUrls(render),
+  };
+}
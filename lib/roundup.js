@@ -0,0 +1,128 @@
+/**
+ * Daily Roundup - Picks the top moments across every final game on a date
+ *
+ * Each game is analyzed on its own (play analyzer + win probability), matched
+ * to its MLB highlight clips, and the best clip-backed moments are pooled so
+ * the roundup can move game-to-game, biggest game first.
+ */
+
+import { getSchedule, getGameFeed, getHighlights } from './mlb-api';
+import { analyzeGame } from './play-analyzer';
+import { matchPlaysToHighlights } from './highlight-matcher';
+import { getTeam } from './teams';
+import { getGraphicsByPlay } from './graphics';
+
+/**
+ * Short on-screen score line for a game, e.g. "NYY 5  BOS 3  FINAL"
+ * @param {object} game - Schedule entry from getSchedule
+ * @returns {string}
+ */
+export function formatScoreBug(game) {
+  const away = getTeam(game.away.id)?.abbr || game.away.abbreviation || 'AWY';
+  const home = getTeam(game.home.id)?.abbr || game.home.abbreviation || 'HOM';
+  const innings = game.linescore?.currentInning;
+  const final = innings && innings !== 9 ? `FINAL/${innings}` : 'FINAL';
+  return `${away} ${game.away.score ?? 0}  ${home} ${game.home.score ?? 0}  ${final}`;
+}
+
+/**
+ * Analyze one game and return its clip-backed moments
+ */
+async function getGameMoments(game, perGame) {
+  const [gameFeed, highlights] = await Promise.all([
+    getGameFeed(game.gamePk),
+    getHighlights(game.gamePk),
+  ]);
+
+  const allPlays = gameFeed.liveData?.plays?.allPlays || [];
+  const teamIds = { away: game.away.id, home: game.home.id };
+  const graphicsByPlay = getGraphicsByPlay(gameFeed);
+
+  // Over-fetch - not every key play has a matching highlight clip
+  const keyPlays = analyzeGame(allPlays, { maxPlays: perGame * 3, teamIds });
+
+  return matchPlaysToHighlights(keyPlays, highlights)
+    .filter(play => play.matchedHighlight?.videoUrl)
+    .map(play => ({
+      gamePk: game.gamePk,
+      playIndex: play.playIndex,
+      inning: play.about?.inning,
+      halfInning: play.about?.halfInning,
+      event: play.result?.event,
+      description: play.result?.description,
+      batter: play.matchup?.batter?.fullName,
+      highlightScore: play.highlightScore,
+      wpChange: play.wpChange,
+      scoreAfter: play.scoreAfter,
+      videoUrl: play.matchedHighlight.videoUrl,
+      headline: play.matchedHighlight.headline,
+      // Score bug and lower third as the play began (see getGraphicsByPlay)
+      graphics: graphicsByPlay.get(play.playIndex) || null,
+    }));
+}
+
+/**
+ * Build the roundup plan for a date
+ * @param {string} date - Format: YYYY-MM-DD
+ * @param {object} options
+ * @param {number} options.maxMoments - Moments across all games
+ * @param {number} options.perGame - Most moments from any one game
+ * @param {Function} options.onProgress - Progress callback ({ stage, current, total })
+ * @returns {Promise<{date: string, games: Array}>} - Games in roundup order, each with its moments
+ */
+export async function buildRoundup(date, options = {}) {
+  const { maxMoments = 12, perGame = 3, onProgress = () => {} } = options;
+
+  const schedule = await getSchedule(date);
+  const finalGames = schedule.filter(g => g.status === 'Final');
+
+  const gameMoments = [];
+  for (const [index, game] of finalGames.entries()) {
+    onProgress({ stage: 'gathering', current: index + 1, total: finalGames.length });
+    try {
+      const moments = await getGameMoments(game, perGame);
+      if (moments.length > 0) gameMoments.push({ game, moments });
+    } catch (error) {
+      console.error(`Failed to analyze game ${game.gamePk} for roundup:`, error);
+    }
+  }
+
+  // Every game with video gets its best moment, then the rest compete on score
+  const picked = new Map(gameMoments.map(({ game, moments }) => [
+    game.gamePk,
+    [moments.reduce((best, m) => (m.highlightScore > best.highlightScore ? m : best))],
+  ]));
+
+  const remaining = gameMoments
+    .flatMap(({ moments }) => moments)
+    .filter(m => !picked.get(m.gamePk).includes(m))
+    .sort((a, b) => b.highlightScore - a.highlightScore);
+
+  let total = picked.size;
+  for (const moment of remaining) {
+    if (total >= maxMoments) break;
+    const forGame = picked.get(moment.gamePk);
+    if (forGame.length >= perGame) continue;
+    forGame.push(moment);
+    total++;
+  }
+
+  // Biggest game first; moments within a game in game order
+  const games = gameMoments
+    .map(({ game }) => {
+      const moments = picked.get(game.gamePk).sort((a, b) => a.playIndex - b.playIndex);
+      return {
+        gamePk: game.gamePk,
+        away: game.away,
+        home: game.home,
+        venue: game.venue,
+        scoreBug: formatScoreBug(game),
+        topScore: Math.max(...moments.map(m => m.highlightScore)),
+        moments,
+      };
+    })
+    .sort((a, b) => b.topScore - a.topScore);
+
+  // More games than moment slots - drop the least interesting
+  return { date, games: games.slice(0, maxMoments) };
+}
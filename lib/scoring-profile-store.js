@@ -0,0 +1,173 @@
+/**
+ * Scoring Profile Store - Persists custom scoring profiles and per-game selections
+ *
+ * Layout: <SETTINGS_DIR>/scoring-profiles.json holding
+ * { profiles: [...custom profiles], gameProfiles: { [gamePk]: profileId } }.
+ * Built-in profiles live in lib/scoring-profiles.js and can't be edited.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  BUILT_IN_PROFILES,
+  DEFAULT_PROFILE_ID,
+  normalizeProfile,
+  findProfile,
+} from './scoring-profiles';
+
+const SETTINGS_DIR = process.env.SETTINGS_DIR || path.join(process.cwd(), 'settings');
+const STORE_PATH = path.join(SETTINGS_DIR, 'scoring-profiles.json');
+
+// Pending read-modify-writes of the store - each waits for the one before it
+let writeQueue = Promise.resolve();
+
+/**
+ * Read the store file (empty store if it doesn't exist yet)
+ */
+async function readStore() {
+  try {
+    const data = JSON.parse(await fs.readFile(STORE_PATH, 'utf-8'));
+    return {
+      profiles: Array.isArray(data.profiles) ? data.profiles : [],
+      gameProfiles: data.gameProfiles || {},
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { profiles: [], gameProfiles: {} };
+    throw error;
+  }
+}
+
+/**
+ * Write the store file atomically
+ */
+async function writeStore(store) {
+  await fs.mkdir(SETTINGS_DIR, { recursive: true });
+  const tempPath = `${STORE_PATH}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(store, null, 2));
+  await fs.rename(tempPath, STORE_PATH);
+}
+
+/**
+ * Run a read-modify-write of the store once earlier ones have finished
+ */
+function queueWrite(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Whether a profile ID belongs to a built-in (read-only) profile
+ */
+export function isBuiltInProfile(profileId) {
+  return BUILT_IN_PROFILES.some(p => p.id === profileId);
+}
+
+/**
+ * List all profiles - built-ins first, then custom profiles
+ * @returns {Promise<Array>}
+ */
+export async function listProfiles() {
+  const { profiles } = await readStore();
+  return [
+    ...BUILT_IN_PROFILES,
+    ...profiles.map(p => ({ ...normalizeProfile(p), builtIn: false })),
+  ];
+}
+
+/**
+ * Get a single profile
+ * @param {string} profileId
+ * @returns {Promise<object|null>}
+ */
+export async function getProfile(profileId) {
+  const profiles = await listProfiles();
+  return profiles.find(p => p.id === profileId) || null;
+}
+
+/**
+ * Create or update a custom profile
+ * @param {object} profile - Profile fields; omit id to create a new profile
+ * @returns {Promise<object>} - Saved profile
+ */
+export async function saveProfile(profile) {
+  if (profile.id && isBuiltInProfile(profile.id)) {
+    throw new Error('Built-in profiles cannot be modified');
+  }
+
+  const saved = {
+    ...normalizeProfile(profile),
+    id: profile.id || crypto.randomUUID(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  return queueWrite(async () => {
+    const store = await readStore();
+    const index = store.profiles.findIndex(p => p.id === saved.id);
+    if (index >= 0) {
+      store.profiles[index] = saved;
+    } else {
+      store.profiles.push(saved);
+    }
+
+    await writeStore(store);
+    return { ...saved, builtIn: false };
+  });
+}
+
+/**
+ * Delete a custom profile (games using it fall back to the default)
+ * @param {string} profileId
+ * @returns {Promise<boolean>} - Whether a profile was deleted
+ */
+export async function deleteProfile(profileId) {
+  return queueWrite(async () => {
+    const store = await readStore();
+    const remaining = store.profiles.filter(p => p.id !== profileId);
+    if (remaining.length === store.profiles.length) return false;
+
+    store.profiles = remaining;
+    for (const [gamePk, selectedId] of Object.entries(store.gameProfiles)) {
+      if (selectedId === profileId) delete store.gameProfiles[gamePk];
+    }
+
+    await writeStore(store);
+    return true;
+  });
+}
+
+/**
+ * Get the profile selected for a game (or the default)
+ * @param {string} gamePk - Game ID
+ * @returns {Promise<object>}
+ */
+export async function getGameProfile(gamePk) {
+  const [profiles, store] = await Promise.all([listProfiles(), readStore()]);
+  return findProfile(profiles, store.gameProfiles[String(gamePk)] || DEFAULT_PROFILE_ID);
+}
+
+/**
+ * Select the profile used for a game
+ * @param {string} gamePk - Game ID
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<object>} - The selected profile
+ */
+export async function setGameProfile(gamePk, profileId) {
+  const profile = await getProfile(profileId);
+  if (!profile) {
+    throw new Error(`Unknown scoring profile: ${profileId}`);
+  }
+
+  return queueWrite(async () => {
+    const store = await readStore();
+    if (profileId === DEFAULT_PROFILE_ID) {
+      delete store.gameProfiles[String(gamePk)];
+    } else {
+      store.gameProfiles[String(gamePk)] = profileId;
+    }
+
+    await writeStore(store);
+    return profile;
+  });
+}
@@ -0,0 +1,335 @@
+/**
+ * Highlight Scoring Profiles - One scoring engine shared by the server and the
+ * play lists, with named weight profiles that can be selected per game
+ *
+ * Plays are reduced to a flat set of features (getPlayFeatures) so the same
+ * scoring runs on full feed plays server-side and on the at-bat summaries the
+ * client already has. Safe to import from client components.
+ */
+
+// Base points per event type
+export const DEFAULT_EVENT_SCORES = {
+  'Home Run': 100,
+  'Triple': 60,
+  'Double': 30,
+  'Single': 10,
+  'Walk': 5,
+  'Strikeout': 15,
+  'Grounded Into DP': 25,
+  'Double Play': 25,
+  'Triple Play': 80,
+  'Sac Fly': 20,
+  'Hit By Pitch': 8,
+  'Stolen Base': 20,
+  'Caught Stealing': 15,
+  'Wild Pitch': 15,
+  'Passed Ball': 15,
+  'Error': 20,
+  'Flyout': 5,
+  'Groundout': 5,
+  'Lineout': 8,
+  'Pop Out': 3,
+};
+
+// Situational bonuses, in points
+export const DEFAULT_BONUSES = {
+  scoringPlay: 30,
+  perRun: 15,
+  exitVelo100: 10,
+  exitVelo105: 20,
+  exitVelo110: 30,
+  longHomeRun: 25, // 450+ ft
+  hardHitOut: 0, // 100+ mph ball turned into an out
+  lateInning: 15, // 7th or later
+  ninthInning: 20, // 9th or later, on top of lateInning
+  twoOuts: 10,
+  runnersOn: 10, // 2+ runners
+  basesLoaded: 15,
+  mediumLeverage: 10, // LI 1.5+
+  highLeverage: 20, // LI 2.5+
+  walkOff: 50,
+  leadChange: 35,
+  goAhead: 25,
+  gameTying: 25,
+  insurance: 10,
+  winProbSwing: 100, // Points per 100% win probability swing, for swings of 15%+
+};
+
+// Events where the batting team is the one celebrating
+const OFFENSIVE_EVENTS = new Set([
+  'Home Run', 'Triple', 'Double', 'Single', 'Walk', 'Intent Walk', 'Hit By Pitch',
+  'Sac Fly', 'Sac Bunt', 'Stolen Base', 'Wild Pitch', 'Passed Ball', 'Error',
+  'Field Error', 'Catcher Interference',
+]);
+
+// Display labels for the weights the settings page exposes
+export const BONUS_LABELS = {
+  scoringPlay: 'Scoring play',
+  perRun: 'Per run scored',
+  exitVelo100: 'Exit velo 100+ mph',
+  exitVelo105: 'Exit velo 105+ mph',
+  exitVelo110: 'Exit velo 110+ mph',
+  longHomeRun: 'Home run 450+ ft',
+  hardHitOut: 'Hard-hit ball caught',
+  lateInning: '7th inning or later',
+  ninthInning: '9th inning or later',
+  twoOuts: 'Two outs',
+  runnersOn: 'Two or more runners on',
+  basesLoaded: 'Bases loaded',
+  mediumLeverage: 'Leverage 1.5+',
+  highLeverage: 'Leverage 2.5+',
+  walkOff: 'Walk-off',
+  leadChange: 'Lead change',
+  goAhead: 'Go-ahead',
+  gameTying: 'Game-tying',
+  insurance: 'Insurance run',
+  winProbSwing: 'Per 100% win probability swing',
+};
+
+export const DEFAULT_PROFILE_ID = 'balanced';
+
+// Team weighting for a perspective team when the profile doesn't already favor one
+const PERSPECTIVE_MULTIPLIERS = { focus: 1.5, opponent: 0.5 };
+
+/**
+ * Built-in profiles - custom profiles are stored by lib/scoring-profile-store.js
+ */
+export const BUILT_IN_PROFILES = [
+  {
+    id: 'balanced',
+    name: 'Balanced',
+    description: 'Big hits, runs and late-game drama',
+    // The game page's cutoff from before profiles existed
+    minScore: 25,
+  },
+  {
+    id: 'offense-heavy',
+    name: 'Offense Heavy',
+    description: 'Home runs, extra-base hits and crooked numbers',
+    eventScores: {
+      'Home Run': 130, 'Triple': 80, 'Double': 45, 'Single': 15, 'Strikeout': 5,
+      'Grounded Into DP': 10, 'Double Play': 10, 'Caught Stealing': 5,
+    },
+    bonuses: { scoringPlay: 40, perRun: 20, exitVelo105: 25, exitVelo110: 40, longHomeRun: 35 },
+  },
+  {
+    id: 'pitching-duel',
+    name: 'Pitching Duel',
+    description: 'Strikeouts, double plays and escapes in big spots',
+    eventScores: {
+      'Home Run': 70, 'Triple': 40, 'Double': 20, 'Strikeout': 45,
+      'Grounded Into DP': 40, 'Double Play': 40, 'Caught Stealing': 25, 'Lineout': 12,
+    },
+    bonuses: { scoringPlay: 20, perRun: 10, twoOuts: 15, runnersOn: 15, basesLoaded: 25, mediumLeverage: 20, highLeverage: 35 },
+  },
+  {
+    id: 'defense-showcase',
+    name: 'Defense Showcase',
+    description: 'Double plays, runners cut down and hard-hit balls run down',
+    eventScores: {
+      'Home Run': 60, 'Triple': 30, 'Double': 15, 'Single': 5, 'Strikeout': 10,
+      'Grounded Into DP': 60, 'Double Play': 60, 'Triple Play': 150, 'Caught Stealing': 40,
+      'Lineout': 25, 'Flyout': 15, 'Groundout': 15, 'Pop Out': 5, 'Error': 5,
+    },
+    bonuses: { scoringPlay: 15, perRun: 5, hardHitOut: 40, exitVelo100: 0, exitVelo105: 5, exitVelo110: 10 },
+  },
+  {
+    id: 'home-team',
+    name: 'Home Team Broadcast',
+    description: "Favors the home team's big moments",
+    focusTeam: 'home',
+    focusMultiplier: 1.6,
+    opponentMultiplier: 0.6,
+  },
+  {
+    id: 'away-team',
+    name: 'Away Team Broadcast',
+    description: "Favors the away team's big moments",
+    focusTeam: 'away',
+    focusMultiplier: 1.6,
+    opponentMultiplier: 0.6,
+  },
+].map(profile => ({ ...normalizeProfile(profile), builtIn: true }));
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return value !== null && value !== '' && Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Fill in defaults and coerce weights to numbers
+ * @param {object} profile - Partial profile
+ * @returns {object} - Complete profile
+ */
+export function normalizeProfile(profile = {}) {
+  const eventScores = { ...DEFAULT_EVENT_SCORES };
+  for (const [event, score] of Object.entries(profile.eventScores || {})) {
+    eventScores[event] = toNumber(score, eventScores[event] ?? 0);
+  }
+
+  const bonuses = { ...DEFAULT_BONUSES };
+  for (const key of Object.keys(DEFAULT_BONUSES)) {
+    bonuses[key] = toNumber(profile.bonuses?.[key], DEFAULT_BONUSES[key]);
+  }
+
+  // 'home', 'away', a team ID, or null for no favorite
+  let focusTeam = profile.focusTeam ?? null;
+  if (focusTeam !== 'home' && focusTeam !== 'away' && focusTeam !== null) {
+    focusTeam = toNumber(focusTeam, null);
+  }
+
+  return {
+    id: profile.id,
+    name: profile.name?.trim() || 'Untitled profile',
+    description: profile.description?.trim() || '',
+    eventScores,
+    defaultEventScore: toNumber(profile.defaultEventScore, 5),
+    bonuses,
+    focusTeam,
+    focusMultiplier: toNumber(profile.focusMultiplier, 1),
+    opponentMultiplier: toNumber(profile.opponentMultiplier, 1),
+    minScore: toNumber(profile.minScore, 30),
+  };
+}
+
+/**
+ * Reduce a feed play to the features the scoring engine looks at
+ * @param {object} play - Play annotated by trackGameState (and optionally analyzeWinProbability)
+ * @param {object} teamIds - { away, home } team IDs
+ * @returns {object}
+ */
+export function getPlayFeatures(play, teamIds = {}) {
+  const isTop = play.about?.halfInning === 'top';
+  const hitData = play.playEvents?.find(e => e.hitData)?.hitData;
+  const bases = play.basesBefore || 0;
+
+  return {
+    event: play.result?.event || '',
+    runs: play.runsScored ?? play.result?.rbi ?? 0,
+    isScoring: Boolean(play.about?.isScoringPlay),
+    isOut: Boolean(play.result?.isOut),
+    inning: play.about?.inning || 1,
+    outs: play.outsBefore ?? 0,
+    runnersOn: (bases & 1) + ((bases >> 1) & 1) + ((bases >> 2) & 1),
+    exitVelo: hitData?.launchSpeed || 0,
+    distance: hitData?.totalDistance || 0,
+    leverageIndex: play.leverageIndex || 0,
+    isWalkOff: Boolean(play.isWalkOff),
+    isLeadChange: Boolean(play.isLeadChange),
+    isGoAhead: Boolean(play.isGoAhead),
+    isGameTying: Boolean(play.isGameTying),
+    isInsurance: Boolean(play.isInsurance),
+    wpChange: play.wpChange || 0,
+    battingSide: isTop ? 'away' : 'home',
+    battingTeamId: isTop ? teamIds.away : teamIds.home,
+    fieldingTeamId: isTop ? teamIds.home : teamIds.away,
+  };
+}
+
+/**
+ * Score a play's features with a profile
+ * @param {object} features - From getPlayFeatures
+ * @param {object} profile - Normalized profile
+ * @returns {number} - Highlight score (higher = more highlight-worthy)
+ */
+export function scoreHighlight(features, profile) {
+  if (!features) return 0;
+  const { eventScores, bonuses } = profile;
+
+  let score = eventScores[features.event] ?? profile.defaultEventScore;
+
+  if (features.isScoring) {
+    score += bonuses.scoringPlay;
+    score += features.runs * bonuses.perRun;
+  }
+
+  if (features.exitVelo >= 110) score += bonuses.exitVelo110;
+  else if (features.exitVelo >= 105) score += bonuses.exitVelo105;
+  else if (features.exitVelo >= 100) score += bonuses.exitVelo100;
+
+  if (features.isOut && features.exitVelo >= 100) score += bonuses.hardHitOut;
+  if (features.event === 'Home Run' && features.distance >= 450) score += bonuses.longHomeRun;
+
+  if (features.inning >= 7) score += bonuses.lateInning;
+  if (features.inning >= 9) score += bonuses.ninthInning;
+
+  if (features.outs === 2) score += bonuses.twoOuts;
+  if (features.runnersOn >= 2) score += bonuses.runnersOn;
+  if (features.runnersOn >= 3) score += bonuses.basesLoaded;
+
+  if (features.leverageIndex >= 2.5) score += bonuses.highLeverage;
+  else if (features.leverageIndex >= 1.5) score += bonuses.mediumLeverage;
+
+  if (features.isWalkOff) score += bonuses.walkOff;
+  if (features.isLeadChange) score += bonuses.leadChange;
+  else if (features.isGoAhead) score += bonuses.goAhead;
+  if (features.isGameTying) score += bonuses.gameTying;
+  if (features.isInsurance) score += bonuses.insurance;
+
+  if (features.wpChange >= 0.15) score += features.wpChange * bonuses.winProbSwing;
+
+  // Team-centric profiles weight plays by which side they were good for
+  const focusTeamId = getFocusTeamId(profile, features);
+  if (focusTeamId) {
+    const isOffense = features.isScoring || OFFENSIVE_EVENTS.has(features.event);
+    const beneficiaryTeamId = isOffense ? features.battingTeamId : features.fieldingTeamId;
+    score *= beneficiaryTeamId === focusTeamId ? profile.focusMultiplier : profile.opponentMultiplier;
+  }
+
+  return Math.round(score);
+}
+
+/**
+ * Weight a profile toward the club a package is being cut for
+ * @param {object} profile - Normalized profile (defaults to the built-in default)
+ * @param {number|null} perspectiveTeamId - Team ID, or null for a neutral package
+ * @returns {object} - Profile favoring that team
+ */
+export function withPerspective(profile, perspectiveTeamId) {
+  const activeProfile = profile || BUILT_IN_PROFILES[0];
+  if (!perspectiveTeamId) return activeProfile;
+
+  const hasFocus = Boolean(activeProfile.focusTeam);
+  return {
+    ...activeProfile,
+    focusTeam: Number(perspectiveTeamId),
+    focusMultiplier: hasFocus ? activeProfile.focusMultiplier : PERSPECTIVE_MULTIPLIERS.focus,
+    opponentMultiplier: hasFocus ? activeProfile.opponentMultiplier : PERSPECTIVE_MULTIPLIERS.opponent,
+  };
+}
+
+/**
+ * Score an at-bat summary from the game route for the play lists
+ * @param {object} atBat - At-bat with highlightFeatures
+ * @param {object} profile - Normalized profile (defaults to the built-in default)
+ * @returns {number} - Highlight score, or 0 if below the profile's threshold
+ */
+export function getAtBatHighlightScore(atBat, profile) {
+  const activeProfile = profile || BUILT_IN_PROFILES[0];
+  const score = scoreHighlight(atBat?.highlightFeatures, activeProfile);
+  return score >= activeProfile.minScore ? score : 0;
+}
+
+/**
+ * Resolve a profile's focus team to a team ID for this play's game
+ */
+function getFocusTeamId(profile, features) {
+  const { focusTeam } = profile;
+  if (!focusTeam) return null;
+  if (focusTeam === 'home' || focusTeam === 'away') {
+    return features.battingSide === focusTeam ? features.battingTeamId : features.fieldingTeamId;
+  }
+  return focusTeam;
+}
+
+/**
+ * Find a profile by ID, falling back to the default
+ * @param {Array} profiles - Available profiles
+ * @param {string} profileId
+ * @returns {object}
+ */
+export function findProfile(profiles, profileId) {
+  return profiles.find(p => p.id === profileId)
+    || profiles.find(p => p.id === DEFAULT_PROFILE_ID)
+    || BUILT_IN_PROFILES[0];
+}
@@ -21,8 +21,72 @@ export const SCRIPT_STYLES = [
   },
 ];
 
+const STYLE_INSTRUCTIONS = {
+  excited: `You are an EXCITED sports broadcaster delivering highlights! Use dramatic pauses (indicated by "..."), exclamations, and build tension. Channel your inner Joe Buck or Matty V. Be enthusiastic and make every big play feel ELECTRIC. Use phrases like "CAN YOU BELIEVE IT?!", "GONE!", "What a moment!"`,
+  analytical: `You are an analytical sports commentator. Focus on the strategic elements, key statistics, and what the numbers tell us. Reference launch angles, exit velocities, and situational baseball. Be measured but insightful. Think Jon Miller meets Baseball Savant.`,
+  casual: `You're a fan recapping the game to a friend. Keep it conversational, accessible, and fun. No jargon needed - just tell the story of the game in a way anyone could enjoy. Throw in some personality and maybe a joke or two.`,
+};
+
+/**
+ * Voice instructions for a game script prompt
+ * @param {string} style - SCRIPT_STYLES id (unknown styles get 'excited')
+ * @returns {string}
+ */
+export function getStyleInstructions(style) {
+  return STYLE_INSTRUCTIONS[style] || STYLE_INSTRUCTIONS.excited;
+}
+
+/**
+ * Prompt instructions for a package cut for one club's audience
+ * @param {object} team - Perspective team from lib/teams.js
+ * @param {object} opponent - The other team
+ * @returns {string} - Instructions, or '' for a neutral package
+ */
+export function getPerspectiveInstructions(team, opponent) {
+  if (!team) return '';
+
+  return `PERSPECTIVE: You are the ${team.name} broadcaster talking to ${team.name} fans.
+- Homer style - refer to the ${team.name} as "we", "us" and "our" (e.g. "our guys", "we take the lead")
+- Celebrate ${team.name} big moments; treat ${opponent?.name || 'the opponent'} highlights as setbacks or threats
+- If the ${team.name} lost, stay loyal - acknowledge it and look ahead rather than praising the opponent`;
+}
+
 export const SCRIPT_LENGTHS = [
   { id: '30', name: '30 sec', words: 75, description: 'Quick highlights' },
   { id: '60', name: '60 sec', words: 150, description: 'Standard recap' },
   { id: '120', name: '2 min', words: 300, description: 'Full breakdown' },
 ];
+
+/**
+ * Check a generated segment list covers every clip or game - for generateJson's validate
+ * @param {any} segments - Parsed model reply
+ * @param {string} idKey - Field saying what a segment narrates ('clipId', 'gamePk')
+ * @param {Array} ids - Ids that each need a segment
+ * @returns {string|null} - What's wrong, or null if the segments are usable
+ */
+export function validateSegments(segments, idKey, ids) {
+  if (!Array.isArray(segments)) {
+    return 'expected a JSON array of segments';
+  }
+  if (segments.some(segment => typeof segment?.narration !== 'string' || !segment.narration.trim())) {
+    return 'every segment needs a non-empty "narration" string';
+  }
+
+  const covered = new Set(segments.map(segment => String(segment[idKey])));
+  const missing = ids.filter(id => !covered.has(String(id)));
+  return missing.length > 0 ? `no segment for ${idKey} ${missing.join(', ')}` : null;
+}
+
+/**
+ * Plain one-line narration per clip - the offline script for clip-synced videos
+ * @param {Array} clips - Clips with id, batter and event
+ * @returns {Array<{clipId, narration, timing, estimatedSeconds}>}
+ */
+export function templateClipSegments(clips) {
+  return clips.map(clip => ({
+    clipId: clip.id,
+    narration: `${clip.batter} with a ${clip.event?.toLowerCase() || 'play'}!`,
+    timing: 'after_action',
+    estimatedSeconds: 2,
+  }));
+}
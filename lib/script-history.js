@@ -0,0 +1,148 @@
+/**
+ * Script History - Every script generated for a game, kept on disk
+ *
+ * Layout: <SCRIPT_HISTORY_DIR>/<gamePk>.json holding { versions: [...] },
+ * oldest first. A version is the script plus what produced it (style,
+ * length, prompt inputs, model) so an older take can be compared, restored
+ * and voiced again.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const SCRIPT_HISTORY_DIR = process.env.SCRIPT_HISTORY_DIR || path.join(process.cwd(), 'script-history');
+
+// Oldest versions drop off past this
+const MAX_VERSIONS = 50;
+
+// Game ids become file names, so keep them to safe characters
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+// Pending saves per game - each read-modify-write waits for the one before it
+const writeQueues = new Map();
+
+function getStorePath(gamePk) {
+  const id = String(gamePk);
+  if (!SAFE_ID.test(id)) {
+    throw new Error(`Invalid gamePk: ${gamePk}`);
+  }
+  return path.join(SCRIPT_HISTORY_DIR, `${id}.json`);
+}
+
+/**
+ * Read a game's versions (none if nothing was saved yet)
+ */
+async function readVersions(gamePk) {
+  try {
+    const data = JSON.parse(await fs.readFile(getStorePath(gamePk), 'utf-8'));
+    return Array.isArray(data.versions) ? data.versions : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Write a game's versions atomically
+ */
+async function writeVersions(gamePk, versions) {
+  const storePath = getStorePath(gamePk);
+  await fs.mkdir(SCRIPT_HISTORY_DIR, { recursive: true });
+  const tempPath = `${storePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify({ versions }, null, 2));
+  await fs.rename(tempPath, storePath);
+}
+
+/**
+ * Run a read-modify-write of a game's versions once earlier ones have finished
+ */
+function queueWrite(gamePk, task) {
+  const key = String(gamePk);
+  const run = (writeQueues.get(key) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  writeQueues.set(key, settled);
+  settled.then(() => {
+    if (writeQueues.get(key) === settled) writeQueues.delete(key);
+  });
+  return run;
+}
+
+/**
+ * Key plays as the prompt saw them - enough to tell versions apart, without the feed
+ */
+export function summarizePromptInputs({ keyPlays = [], gameSummary = null, perspectiveTeamId = null, fixClaims = false } = {}) {
+  return {
+    keyPlays: keyPlays.map(play => ({
+      inning: play.about?.inning ?? play.inning ?? null,
+      halfInning: play.about?.halfInning ?? play.halfInning ?? null,
+      description: play.result?.description ?? play.description ?? null,
+    })),
+    gameSummary,
+    perspectiveTeamId,
+    fixClaims,
+  };
+}
+
+/**
+ * Save a script as the newest version for a game
+ * @param {string} gamePk - Game ID
+ * @param {object} version
+ * @param {string} version.script - Script text
+ * @param {string} version.source - 'generated', 'synced' for joined synced-video narration, or 'edited' when saved from the editor
+ * @param {string} version.style - SCRIPT_STYLES id
+ * @param {string} version.length - SCRIPT_LENGTHS id
+ * @param {object} version.inputs - From summarizePromptInputs
+ * @param {object} version.usage - From generateText (provider and model)
+ * @param {string} version.parentId - Version this one was edited or restored from
+ * @returns {Promise<object>} - Saved version
+ */
+export async function saveScriptVersion(gamePk, { script, source = 'generated', style = null, length = null, inputs = null, usage = null, parentId = null }) {
+  if (typeof script !== 'string' || !script.trim()) {
+    throw new Error('Script version needs script text');
+  }
+
+  // Fails fast on a bad gamePk, before anything is queued
+  getStorePath(gamePk);
+
+  const version = {
+    id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+    gamePk: String(gamePk),
+    createdAt: new Date().toISOString(),
+    source,
+    style,
+    length,
+    provider: usage?.provider || null,
+    model: usage?.model || null,
+    wordCount: script.split(/\s+/).filter(Boolean).length,
+    parentId,
+    inputs,
+    script,
+  };
+
+  return queueWrite(gamePk, async () => {
+    const versions = await readVersions(gamePk);
+    versions.push(version);
+    await writeVersions(gamePk, versions.slice(-MAX_VERSIONS));
+    return version;
+  });
+}
+
+/**
+ * List a game's script versions, newest first
+ * @param {string} gamePk - Game ID
+ * @returns {Promise<Array>}
+ */
+export async function listScriptVersions(gamePk) {
+  return (await readVersions(gamePk)).reverse();
+}
+
+/**
+ * Get one script version
+ * @param {string} gamePk - Game ID
+ * @param {string} versionId - Version ID
+ * @returns {Promise<object|null>}
+ */
+export async function getScriptVersion(gamePk, versionId) {
+  return (await readVersions(gamePk)).find(version => version.id === versionId) || null;
+}
@@ -0,0 +1,148 @@
+/**
+ * Script Segments - A game script split into per-play pieces for editing
+ *
+ * A sentence that names a key play's batter opens that play's segment, and
+ * the sentences after it stay with it until the next play comes up. Anything
+ * before the first play is the intro; a closing line that names no batter is
+ * the outro. Segments join back into the script with blank lines, so the
+ * edited text is what gets voiced. Client-safe - no server imports.
+ */
+
+const NAME_SUFFIX = /,?\s+(?:Jr\.?|Sr\.?|II|III|IV)$/;
+
+const INNING_WORDS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split text into sentences with their character offsets
+ *
+ * An ellipsis is a pause, not the end of a sentence.
+ */
+export function splitSentences(text) {
+  const sentences = [];
+  const boundary = /(?<=[.!?]["']?)\s+/g;
+  let start = 0;
+  let match;
+
+  while ((match = boundary.exec(text)) !== null) {
+    if (text.slice(0, match.index).replace(/["']$/, '').endsWith('..')) continue;
+    if (text.slice(start, match.index).trim()) sentences.push({ text: text.slice(start, match.index), start, end: match.index });
+    start = match.index + match[0].length;
+  }
+  if (text.slice(start).trim()) sentences.push({ text: text.slice(start).trimEnd(), start, end: text.trimEnd().length });
+
+  return sentences;
+}
+
+/**
+ * What a script calls a play's batter - full name and last name
+ */
+function batterAliases(play) {
+  const fullName = play?.matchup?.batter?.fullName;
+  if (!fullName) return [];
+  const lastName = fullName.replace(NAME_SUFFIX, '').split(' ').pop();
+  return lastName === fullName ? [fullName] : [fullName, lastName];
+}
+
+/**
+ * Whether a sentence reads like this particular play - its inning, event or walk-off
+ */
+function describesPlay(sentence, play) {
+  const lower = sentence.toLowerCase();
+  const event = (play.result?.event || '').toLowerCase();
+  const inning = play.about?.inning;
+  const inningNames = [`${inning}(?:st|nd|rd|th)`, INNING_WORDS[inning - 1]].filter(Boolean);
+
+  return (event && new RegExp(`\\b${escapeRegExp(event)}\\b`).test(lower))
+    || (event === 'home run' && /\bhom(?:er|ers|ered)\b/.test(lower))
+    || (play.isWalkOff && /\bwalk[- ]?off\b/.test(lower))
+    || (Boolean(inning) && new RegExp(`\\b(?:${inningNames.join('|')})\\b`).test(lower));
+}
+
+/**
+ * Split a script into intro, per-play and outro segments
+ * @param {string} script - Script text
+ * @param {Array} keyPlays - Key plays the script was written from, in game order
+ * @returns {Array<{id: string, kind: 'intro'|'play'|'outro', keyPlayIndex: number|null, text: string, locked: boolean}>}
+ */
+export function segmentScript(script, keyPlays = []) {
+  const aliases = keyPlays.map(batterAliases);
+  const namesPlay = (sentence, index) => aliases[index].some(alias =>
+    new RegExp(`\\b${escapeRegExp(alias)}\\b`).test(sentence));
+
+  const segments = [];
+  let nextPlay = 0;
+
+  for (const { text } of splitSentences(script || '')) {
+    const sentence = text.trim();
+    const current = segments.at(-1);
+
+    // More about the current batter stays with their play, even if they bat again later
+    const candidates = current?.kind === 'play' && namesPlay(sentence, current.keyPlayIndex)
+      ? []
+      : keyPlays.map((_, index) => index).filter(index => index >= nextPlay && namesPlay(sentence, index));
+    // A batter up more than once - the at-bat the sentence describes, else the next one
+    const playIndex = candidates.find(index => describesPlay(sentence, keyPlays[index])) ?? candidates[0] ?? -1;
+
+    if (playIndex >= 0) {
+      segments.push({ id: `play-${playIndex}`, kind: 'play', keyPlayIndex: playIndex, sentences: [sentence] });
+      nextPlay = playIndex + 1;
+    } else if (current) {
+      current.sentences.push(sentence);
+    } else {
+      segments.push({ id: 'intro', kind: 'intro', keyPlayIndex: null, sentences: [sentence] });
+    }
+  }
+
+  // A last line about no batter in particular is the sign-off
+  const last = segments.at(-1);
+  const closing = last?.sentences.at(-1);
+  if (last?.kind === 'play' && last.sentences.length > 1 && !aliases.some((_, index) => namesPlay(closing, index))) {
+    last.sentences.pop();
+    segments.push({ id: 'outro', kind: 'outro', keyPlayIndex: null, sentences: [closing] });
+  }
+
+  return segments.map(({ sentences, ...segment }) => ({ ...segment, text: sentences.join(' '), locked: false }));
+}
+
+/**
+ * Put segments back together as one script, a paragraph per segment
+ * @param {Array} segments - From segmentScript
+ * @returns {string}
+ */
+export function joinSegments(segments) {
+  return segments.map(segment => segment.text.trim()).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Where a segment falls in a script - the intro, the plays in game order, then the outro
+ */
+function segmentOrder(segment) {
+  if (segment.kind === 'intro') return -1;
+  if (segment.kind === 'outro') return Infinity;
+  return segment.keyPlayIndex;
+}
+
+/**
+ * Re-segmented script with the locked segments of the previous version kept as they were
+ * A locked segment the new text has no match for (its batter is no longer
+ * named, say) goes back in at its place in the script rather than being lost.
+ * @param {Array} segments - From segmentScript on the new text
+ * @param {Array} previous - Segments before the rewrite
+ * @returns {Array}
+ */
+export function keepLockedSegments(segments, previous) {
+  const locked = previous.filter(segment => segment.locked);
+  const lockedById = new Map(locked.map(segment => [segment.id, segment]));
+  const merged = segments.map(segment => lockedById.get(segment.id) || segment);
+
+  const ids = new Set(segments.map(segment => segment.id));
+  for (const segment of locked.filter(segment => !ids.has(segment.id))) {
+    const at = merged.findIndex(other => segmentOrder(other) > segmentOrder(segment));
+    merged.splice(at === -1 ? merged.length : at, 0, segment);
+  }
+  return merged;
+}
@@ -0,0 +1,354 @@
+/**
+ * Script Writer - Rule-based highlight scripts, no LLM required
+ *
+ * Turns the same inputs the game-script prompt gets (key plays, biggest
+ * swings, game summary) into broadcast copy from per-style phrase banks.
+ * Phrases are picked by play position, never at random, so the same game
+ * always reads the same - it's the offline script, the fallback when the
+ * LLM call fails, and a stable baseline for tests.
+ */
+
+import { getTeam, getRivalry, getTeamSide } from './teams';
+import { SCRIPT_STYLES, SCRIPT_LENGTHS } from './script-config';
+
+/**
+ * 1 -> "1st", 2 -> "2nd", 11 -> "11th"
+ */
+function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+/**
+ * Score as read on air, leader first: "3-1", "2-2"
+ */
+function describeScore(score) {
+  if (!score) return null;
+  return `${Math.max(score.away, score.home)}-${Math.min(score.away, score.home)}`;
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Phrase bank category for a play
+ */
+function categorize(play) {
+  const event = play.result?.event || '';
+  if (event === 'Home Run') return 'homeRun';
+  if (event === 'Double' || event === 'Triple') return 'extraBase';
+  if (event === 'Single') return 'hit';
+  if (event.startsWith('Strikeout')) return 'strikeout';
+  if (['Walk', 'Intent Walk', 'Hit By Pitch'].includes(event)) return 'walk';
+  if (play.about?.isScoringPlay) return 'scoring';
+  return 'out';
+}
+
+// Each phrase takes the play context: batter, pitcher, event, inning, team, score, rbi, distance
+const PHRASES = {
+  excited: {
+    opener: [
+      c => `${c.away} and ${c.home}${c.venue ? ` at ${c.venue}` : ''}... and did this one deliver!`,
+      c => `Buckle up, ${c.away} at ${c.home}${c.venue ? ` from ${c.venue}` : ''} had it ALL!`,
+    ],
+    rivalry: c => `It's the ${c.rivalry} rivalry - and it lived up to the billing!`,
+    homeRun: [
+      c => `${c.inning} inning, ${c.batter} swings... and that ball is GONE!`,
+      c => `${c.batter} unloads in the ${c.inning}... GOODBYE, baseball!${c.distance ? ` ${c.distance} feet!` : ''}`,
+      c => `CAN YOU BELIEVE IT?! ${c.batter} goes deep in the ${c.inning}!`,
+    ],
+    extraBase: [
+      c => `${c.batter} rips a ${c.event.toLowerCase()} in the ${c.inning}!`,
+      c => `In the ${c.inning}, ${c.batter} splits the gap for a ${c.event.toLowerCase()}!`,
+    ],
+    hit: [
+      c => `${c.batter} comes through with a base hit in the ${c.inning}!`,
+      c => `${c.batter} slaps one through in the ${c.inning}!`,
+    ],
+    strikeout: [
+      c => `${c.pitcher} blows away ${c.batter} in the ${c.inning}... SIT DOWN!`,
+      c => `Strike three! ${c.pitcher} gets ${c.batter} in the ${c.inning}!`,
+    ],
+    walk: [
+      c => `${c.batter} works a free pass in the ${c.inning}...`,
+      c => `${c.pitcher} can't find the zone, and ${c.batter} takes first in the ${c.inning}...`,
+    ],
+    scoring: [
+      c => `In the ${c.inning}, ${c.batter} brings a run home!`,
+      c => `${c.batter} gets it done in the ${c.inning}, and they score!`,
+    ],
+    out: [
+      c => `${c.inning} inning, and what a play on ${c.batter}!`,
+      c => `${c.batter} is retired in the ${c.inning}, and that one mattered!`,
+    ],
+    walkOff: c => `WALK-OFF! ${c.team} win it!`,
+    goAhead: c => `And the ${c.team} take the lead, ${c.score}!`,
+    gameTying: c => `We're all square, ${c.score}!`,
+    insurance: c => `Insurance! ${c.score}.`,
+    swing: c => `That ${c.event.toLowerCase()} by ${c.batter} swung this game ${c.points} points!`,
+    stats: c => `${c.homeRuns} homers, ${c.strikeouts} strikeouts... what a night!`,
+    closerWin: c => `Final score: ${c.winner} ${c.winnerScore}, ${c.loser} ${c.loserScore}. What a ballgame!`,
+    closerOurWin: c => `Final: ${c.winner} ${c.winnerScore}, ${c.loser} ${c.loserScore}. OUR ${c.winner} take it!`,
+    closerOurLoss: c => `Final: ${c.winner} ${c.winnerScore}, ${c.loser} ${c.loserScore}. Tough one... we'll get 'em tomorrow!`,
+  },
+  analytical: {
+    opener: [
+      c => `${c.away} at ${c.home}${c.venue ? `, ${c.venue}` : ''}. Here's how it was decided.`,
+      c => `${c.away} at ${c.home}${c.venue ? ` from ${c.venue}` : ''}: a game that turned on a few key swings.`,
+    ],
+    rivalry: c => `The ${c.rivalry} rivalry, with the usual stakes attached.`,
+    homeRun: [
+      c => `${c.batter} homered in the ${c.inning}${c.exitVelo ? ` at ${c.exitVelo} miles per hour` : ''}${c.distance ? `, ${c.distance} feet` : ''}.`,
+      c => `In the ${c.inning}, ${c.batter} turned on a pitch from ${c.pitcher} for a home run.`,
+    ],
+    extraBase: [
+      c => `${c.batter} ${c.event === 'Triple' ? 'tripled into the gap' : 'doubled down the line'} in the ${c.inning}.`,
+      c => `${c.batter}'s ${c.event.toLowerCase()} in the ${c.inning} put a runner in scoring position.`,
+    ],
+    hit: [
+      c => `${c.batter} singled off ${c.pitcher} in the ${c.inning}.`,
+      c => `A base hit from ${c.batter} in the ${c.inning}.`,
+    ],
+    strikeout: [
+      c => `${c.pitcher} struck out ${c.batter} in the ${c.inning}.`,
+      c => `In the ${c.inning}, ${c.pitcher} finished ${c.batter} with a strikeout.`,
+    ],
+    walk: [
+      c => `${c.batter} drew a walk in the ${c.inning}, extending the inning.`,
+      c => `${c.pitcher} issued a walk to ${c.batter} in the ${c.inning}.`,
+    ],
+    scoring: [
+      c => `${c.batter} drove in ${c.rbi === 1 ? 'a run' : `${c.rbi || 'a'} runs`} in the ${c.inning}.`,
+      c => `A run scored on ${c.batter}'s ${c.event.toLowerCase()} in the ${c.inning}.`,
+    ],
+    out: [
+      c => `${c.pitcher} retired ${c.batter} in the ${c.inning} in a key spot.`,
+      c => `In the ${c.inning}, ${c.batter} made an out with the game in the balance.`,
+    ],
+    walkOff: c => `That ended it - a walk-off for the ${c.team}.`,
+    goAhead: c => `It put the ${c.team} ahead, ${c.score}.`,
+    gameTying: c => `That tied the game, ${c.score}.`,
+    insurance: c => `An insurance run: ${c.score}.`,
+    swing: c => `By win probability, ${c.batter}'s ${c.event.toLowerCase()} in the ${c.inning} was the biggest swing, ${c.points} points.`,
+    stats: c => `The game featured ${c.homeRuns} home runs, ${c.strikeouts} strikeouts and ${c.scoringPlays} scoring plays.`,
+    closerWin: c => `Final: ${c.winner} ${c.winnerScore}, ${c.loser} ${c.loserScore}.`,
+    closerOurWin: c => `Final: ${c.winner} ${c.winnerScore}, ${c.loser} ${c.loserScore} - a win for us.`,
+    closerOurLoss: c => `Final: ${c.winner} ${c.winnerScore}, ${c.loser} ${c.loserScore}. We'll look to regroup.`,
+  },
+  casual: {
+    opener: [
+      c => `So, ${c.away} at ${c.home}${c.venue ? ` over at ${c.venue}` : ''}. Let me tell you about this one.`,
+      c => `Okay, ${c.away} and ${c.home}. Grab a snack, this one was fun.`,
+    ],
+    rivalry: c => `And yeah, it's the ${c.rivalry} rivalry, so you know it meant something.`,
+    homeRun: [
+      c => `${c.batter} hit one way out in the ${c.inning}.`,
+      c => `In the ${c.inning}, ${c.batter} just launched one. See ya.`,
+    ],
+    extraBase: [
+      c => `${c.batter} smacked a ${c.event.toLowerCase()} in the ${c.inning}.`,
+      c => `Then ${c.batter} hit a ${c.event.toLowerCase()} in the ${c.inning}.`,
+    ],
+    hit: [
+      c => `${c.batter} picked up a hit in the ${c.inning}.`,
+      c => `${c.batter} poked a single in the ${c.inning}.`,
+    ],
+    strikeout: [
+      c => `${c.pitcher} struck out ${c.batter} in the ${c.inning}. Nice.`,
+      c => `${c.batter} went down swinging against ${c.pitcher} in the ${c.inning}.`,
+    ],
+    walk: [
+      c => `${c.batter} took a walk in the ${c.inning}, which mattered later.`,
+      c => `${c.batter} drew a walk in the ${c.inning}.`,
+    ],
+    scoring: [
+      c => `${c.batter} knocked a run in during the ${c.inning}.`,
+      c => `A run came home on ${c.batter}'s ${c.event.toLowerCase()} in the ${c.inning}.`,
+    ],
+    out: [
+      c => `${c.batter} made an out in the ${c.inning}, but it was a big moment.`,
+      c => `${c.pitcher} got ${c.batter} in the ${c.inning} when it counted.`,
+    ],
+    walkOff: c => `Ballgame! ${c.team} walk it off.`,
+    goAhead: c => `And just like that, ${c.score}.`,
+    gameTying: c => `Tie game, ${c.score}.`,
+    insurance: c => `A little breathing room: ${c.score}.`,
+    swing: c => `Honestly, ${c.batter}'s ${c.event.toLowerCase()} is the one everybody will remember.`,
+    stats: c => `${c.homeRuns} homers and ${c.strikeouts} strikeouts, if you're counting.`,
+    closerWin: c => `${c.winner} win it, ${c.winnerScore}-${c.loserScore}. Good game.`,
+    closerOurWin: c => `Our ${c.winner} win it, ${c.winnerScore}-${c.loserScore}. Love to see it.`,
+    closerOurLoss: c => `${c.winner} take it, ${c.winnerScore}-${c.loserScore}. Not our night - on to the next one.`,
+  },
+};
+
+const SITUATION_KEYS = [
+  ['isWalkOff', 'walkOff'],
+  ['isLeadChange', 'goAhead'],
+  ['isGoAhead', 'goAhead'],
+  ['isGameTying', 'gameTying'],
+  ['isInsurance', 'insurance'],
+];
+
+/**
+ * One or two sentences for a key play
+ */
+function describePlay(play, phrases, names, position) {
+  const isTop = play.about?.halfInning === 'top';
+  const hitData = play.playEvents?.find(e => e.hitData)?.hitData;
+  const context = {
+    batter: play.matchup?.batter?.fullName || 'The batter',
+    pitcher: play.matchup?.pitcher?.fullName || 'the pitcher',
+    event: play.result?.event || 'play',
+    inning: ordinal(play.about?.inning || 1),
+    team: isTop ? names.away : names.home,
+    score: describeScore(play.scoreAfter),
+    rbi: play.result?.rbi || 0,
+    distance: hitData?.totalDistance ? Math.round(hitData.totalDistance) : null,
+    exitVelo: hitData?.launchSpeed ? hitData.launchSpeed.toFixed(1) : null,
+  };
+
+  const bank = phrases[categorize(play)];
+  const sentences = [bank[position % bank.length](context)];
+
+  const situation = SITUATION_KEYS.find(([flag]) => play[flag]);
+  if (situation && (context.score || situation[1] === 'walkOff')) {
+    sentences.push(phrases[situation[1]](context));
+  }
+
+  return sentences.join(' ');
+}
+
+/**
+ * Display names for both clubs
+ */
+function getTeamNames(gameData) {
+  return {
+    away: getTeam(gameData?.teams?.away?.id)?.name || gameData?.teams?.away?.name || 'the visitors',
+    home: getTeam(gameData?.teams?.home?.id)?.name || gameData?.teams?.home?.name || 'the home team',
+  };
+}
+
+/**
+ * Scene-setting opener, plus the rivalry line when there is one
+ */
+function writeOpener(phrases, gameData, names, position) {
+  const opener = phrases.opener[position % phrases.opener.length]({
+    ...names,
+    venue: gameData?.venue?.name,
+  });
+  const rivalry = getRivalry(gameData?.teams?.away?.id, gameData?.teams?.home?.id);
+  return rivalry ? `${opener} ${phrases.rivalry({ rivalry: rivalry.name })}` : opener;
+}
+
+/**
+ * Final-score closer - neutral, or for the perspective team's fans
+ */
+function writeCloser(phrases, gameData, names, perspectiveTeamId) {
+  const awayScore = gameData?.teams?.away?.score || 0;
+  const homeScore = gameData?.teams?.home?.score || 0;
+  const winnerSide = awayScore > homeScore ? 'away' : 'home';
+  const loserSide = winnerSide === 'away' ? 'home' : 'away';
+  const finalContext = {
+    winner: names[winnerSide],
+    loser: names[loserSide],
+    winnerScore: Math.max(awayScore, homeScore),
+    loserScore: Math.min(awayScore, homeScore),
+  };
+
+  const perspectiveSide = getTeamSide(gameData?.teams, perspectiveTeamId);
+  if (!perspectiveSide) return phrases.closerWin(finalContext);
+  return perspectiveSide === winnerSide ? phrases.closerOurWin(finalContext) : phrases.closerOurLoss(finalContext);
+}
+
+/**
+ * Write a highlight script from game data without an LLM
+ * @param {object} input - Same body as POST /api/generate-script
+ * @param {object} input.gameData - Game metadata (teams with scores, venue)
+ * @param {Array} input.keyPlays - Key plays from analyzeGame, in game order
+ * @param {Array} input.biggestSwings - From getBiggestSwings
+ * @param {object} input.gameSummary - From getGameSummary
+ * @param {string} input.style - SCRIPT_STYLES id
+ * @param {string} input.length - SCRIPT_LENGTHS id (sets the word budget)
+ * @param {number} input.perspectiveTeamId - Write for this team's fans
+ * @returns {string}
+ */
+export function writeTemplateScript({ gameData, keyPlays = [], biggestSwings = [], gameSummary = {}, style, length, perspectiveTeamId = null }) {
+  const styleId = (SCRIPT_STYLES.find(s => s.id === style) || SCRIPT_STYLES[0]).id;
+  const wordBudget = (SCRIPT_LENGTHS.find(l => l.id === length) || SCRIPT_LENGTHS[1]).words;
+  const phrases = PHRASES[styleId];
+
+  const names = getTeamNames(gameData);
+
+  // Opener and closer always make it in
+  const opener = writeOpener(phrases, gameData, names, keyPlays.length + (gameSummary.totalRuns || 0));
+  const closer = writeCloser(phrases, gameData, names, perspectiveTeamId);
+
+  // Everything else competes for the remaining words, biggest moments first
+  const candidates = keyPlays.map((play, index) => ({
+    order: index,
+    priority: (play.highlightScore ?? 0) + (play.isWalkOff ? 1000 : 0),
+    text: describePlay(play, phrases, names, index),
+  }));
+
+  const swing = biggestSwings[0];
+  if (swing) {
+    candidates.push({
+      order: keyPlays.length,
+      priority: styleId === 'analytical' ? 150 : 40,
+      text: phrases.swing({
+        batter: swing.batter || 'That swing',
+        event: swing.event || 'play',
+        inning: ordinal(swing.inning || 1),
+        points: Math.round((swing.wpChange || 0) * 100),
+      }),
+    });
+  }
+  if (gameSummary.homeRuns != null) {
+    candidates.push({
+      order: keyPlays.length + 1,
+      priority: styleId === 'analytical' ? 100 : 10,
+      text: phrases.stats({
+        homeRuns: gameSummary.homeRuns || 0,
+        strikeouts: gameSummary.strikeouts || 0,
+        scoringPlays: gameSummary.scoringPlays || 0,
+      }),
+    });
+  }
+
+  let wordsUsed = countWords(opener) + countWords(closer);
+  const chosen = [];
+  for (const candidate of [...candidates].sort((a, b) => b.priority - a.priority || a.order - b.order)) {
+    const words = countWords(candidate.text);
+    if (wordsUsed + words > wordBudget) continue;
+    wordsUsed += words;
+    chosen.push(candidate);
+  }
+
+  return [
+    opener,
+    ...chosen.sort((a, b) => a.order - b.order).map(c => c.text),
+    closer,
+  ].join(' ');
+}
+
+/**
+ * Write one segment of a script - the offline rewrite for the script editor
+ * @param {object} input
+ * @param {object} input.gameData - Game metadata (teams with scores, venue)
+ * @param {'intro'|'play'|'outro'} input.kind - Segment kind, from segmentScript
+ * @param {object} input.play - The segment's key play (kind 'play')
+ * @param {number} input.position - Key play index, to vary the phrasing
+ * @param {string} input.style - SCRIPT_STYLES id
+ * @param {number} input.perspectiveTeamId - Write for this team's fans
+ * @returns {string}
+ */
+export function writeTemplateSegment({ gameData, kind, play = null, position = 0, style, perspectiveTeamId = null }) {
+  const phrases = PHRASES[(SCRIPT_STYLES.find(s => s.id === style) || SCRIPT_STYLES[0]).id];
+  const names = getTeamNames(gameData);
+
+  if (kind === 'play' && play) return describePlay(play, phrases, names, position);
+  if (kind === 'outro') return writeCloser(phrases, gameData, names, perspectiveTeamId);
+  return writeOpener(phrases, gameData, names, position);
+}
@@ -0,0 +1,175 @@
+/**
+ * Series Recaps - Summarizes a multi-game series between two teams
+ *
+ * Every final game the two teams played in the date range is analyzed on its
+ * own (key plays matched to highlight clips, win probability for WPA), then
+ * rolled up into series storylines: who took the series, the MVP by total
+ * win probability added, and the games that swung it.
+ */
+
+import { getTeamSchedule, getGameFeed, getHighlights } from './mlb-api';
+import { analyzeGame } from './play-analyzer';
+import { analyzeWinProbability } from './win-probability';
+import { matchPlaysToHighlights } from './highlight-matcher';
+import { getTeam, getRivalry } from './teams';
+import { formatScoreBug } from './roundup';
+import { getGraphicsByPlay } from './graphics';
+
+// A single swing this big is what makes a game a turning point
+const TURNING_POINT_SWING = 0.25;
+
+/**
+ * Credit each play's WPA to its batter and (negated) to its pitcher
+ * @returns {Map<number, {id, name, teamId, wpa}>}
+ */
+function addPlayerWpa(totals, analyzedPlays, teamIds) {
+  for (const play of analyzedPlays) {
+    const { batter, pitcher } = play.matchup || {};
+    const isTop = play.about?.halfInning === 'top';
+    const battingTeam = isTop ? teamIds.away : teamIds.home;
+    const fieldingTeam = isTop ? teamIds.home : teamIds.away;
+
+    for (const [player, teamId, wpa] of [[batter, battingTeam, play.wpa], [pitcher, fieldingTeam, -play.wpa]]) {
+      if (!player?.id) continue;
+      const entry = totals.get(player.id) || { id: player.id, name: player.fullName, teamId, wpa: 0 };
+      entry.wpa += wpa;
+      totals.set(player.id, entry);
+    }
+  }
+  return totals;
+}
+
+/**
+ * Analyze one series game: clip-backed moments, biggest swing and WPA
+ */
+async function getSeriesGame(game, perGame, wpaTotals) {
+  const [gameFeed, highlights] = await Promise.all([
+    getGameFeed(game.gamePk),
+    getHighlights(game.gamePk),
+  ]);
+
+  const allPlays = gameFeed.liveData?.plays?.allPlays || [];
+  const teamIds = { away: game.away.id, home: game.home.id };
+  const analyzed = analyzeWinProbability(allPlays);
+  addPlayerWpa(wpaTotals, analyzed, teamIds);
+
+  // Over-fetch - not every key play has a matching highlight clip
+  const keyPlays = analyzeGame(allPlays, { maxPlays: perGame * 3, teamIds });
+  const graphicsByPlay = getGraphicsByPlay(gameFeed);
+  const moments = matchPlaysToHighlights(keyPlays, highlights)
+    .filter(play => play.matchedHighlight?.videoUrl)
+    .sort((a, b) => b.highlightScore - a.highlightScore)
+    .slice(0, perGame)
+    .sort((a, b) => a.playIndex - b.playIndex)
+    .map(play => ({
+      playIndex: play.playIndex,
+      inning: play.about?.inning,
+      halfInning: play.about?.halfInning,
+      event: play.result?.event,
+      description: play.result?.description,
+      batter: play.matchup?.batter?.fullName,
+      highlightScore: play.highlightScore,
+      videoUrl: play.matchedHighlight.videoUrl,
+      headline: play.matchedHighlight.headline,
+      graphics: graphicsByPlay.get(play.playIndex) || null,
+    }));
+
+  const biggest = analyzed.reduce((best, p) => (!best || p.wpChange > best.wpChange ? p : best), null);
+  const awayScore = game.away.score ?? 0;
+  const homeScore = game.home.score ?? 0;
+
+  return {
+    gamePk: game.gamePk,
+    date: game.officialDate || game.gameDate?.slice(0, 10),
+    away: game.away,
+    home: game.home,
+    venue: game.venue,
+    winnerId: awayScore > homeScore ? game.away.id : game.home.id,
+    scoreBug: formatScoreBug(game),
+    turningPoint: biggest && {
+      inning: biggest.about?.inning,
+      halfInning: biggest.about?.halfInning,
+      description: biggest.result?.description,
+      wpChange: biggest.wpChange,
+    },
+    moments,
+  };
+}
+
+/**
+ * Series-level storylines from the analyzed games
+ */
+function getStorylines(games, teamIds, wpaTotals) {
+  const wins = Object.fromEntries(teamIds.map(id => [id, games.filter(g => g.winnerId === id).length]));
+  const [first, second] = teamIds;
+  const seriesWinnerId = wins[first] === wins[second] ? null : (wins[first] > wins[second] ? first : second);
+
+  // The game that put the winner out of reach, if there was one
+  const needed = Math.floor(games.length / 2) + 1;
+  let clinchingGamePk = null;
+  if (seriesWinnerId) {
+    let count = 0;
+    for (const game of games) {
+      if (game.winnerId === seriesWinnerId && ++count === needed) {
+        clinchingGamePk = game.gamePk;
+        break;
+      }
+    }
+  }
+
+  const players = [...wpaTotals.values()].sort((a, b) => b.wpa - a.wpa);
+  const mvp = players[0] ? { ...players[0], wpa: Math.round(players[0].wpa * 1000) / 1000 } : null;
+
+  const turningPointGames = games
+    .filter(g => g.gamePk === clinchingGamePk || g.turningPoint?.wpChange >= TURNING_POINT_SWING)
+    .map(g => g.gamePk);
+
+  return { wins, seriesWinnerId, clinchingGamePk, mvp, turningPointGames };
+}
+
+/**
+ * Build the recap plan for a series between two teams
+ * @param {number} teamId - One team in the series
+ * @param {number} opponentId - The other team
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {object} options
+ * @param {number} options.perGame - Most moments from any one game
+ * @param {Function} options.onProgress - Progress callback ({ stage, current, total })
+ * @returns {Promise<object>} - { teams, rivalry, games, storylines }
+ */
+export async function buildSeriesRecap(teamId, opponentId, startDate, endDate, options = {}) {
+  const { perGame = 3, onProgress = () => {} } = options;
+
+  const schedule = await getTeamSchedule(teamId, startDate, endDate);
+  const seriesGames = schedule
+    .filter(g => g.status === 'Final')
+    .filter(g => g.away.id === opponentId || g.home.id === opponentId)
+    .sort((a, b) => a.gameDate.localeCompare(b.gameDate));
+
+  const wpaTotals = new Map();
+  const games = [];
+  for (const [index, game] of seriesGames.entries()) {
+    onProgress({ stage: 'gathering', current: index + 1, total: seriesGames.length });
+    try {
+      games.push(await getSeriesGame(game, perGame, wpaTotals));
+    } catch (error) {
+      console.error(`Failed to analyze game ${game.gamePk} for series recap:`, error);
+    }
+  }
+
+  const teams = [teamId, opponentId].map(id => {
+    const team = getTeam(id);
+    const fromSchedule = [seriesGames[0]?.away, seriesGames[0]?.home].find(t => t?.id === id);
+    return { id, name: team?.name || fromSchedule?.name || `Team ${id}`, abbr: team?.abbr || fromSchedule?.abbreviation };
+  });
+
+  return {
+    startDate,
+    endDate,
+    teams,
+    rivalry: getRivalry(teamId, opponentId) || null,
+    games: games.map((game, index) => ({ ...game, gameNumber: index + 1 })),
+    storylines: getStorylines(games, [teamId, opponentId], wpaTotals),
+  };
+}
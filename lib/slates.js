@@ -0,0 +1,336 @@
+/**
+ * Slates - Generated title cards and end slates for packages
+ *
+ * A card is a plain spec - { heading, teams, details, sponsor } - built from
+ * game data by the helpers below, so every route can open and close its
+ * package the same way. Templates lay a card out with ffmpeg drawbox/drawtext
+ * over a color source, with team logos overlaid when they're available (a
+ * team-colored badge stands in when they aren't). Layouts are drawn inside
+ * the part of the frame the export preset keeps, so a vertical crop of a
+ * landscape cut still shows the whole card.
+ *
+ * Client-safe - card specs and the filter builders are pure.
+ */
+
+import { getTeam } from './teams';
+import { ffmpegColor, drawBox, drawText, NEUTRAL } from './graphics';
+
+export const DEFAULT_SLATE_TEMPLATE_ID = 'none';
+
+// Sponsor tags are one short line under the card
+export const SPONSOR_TAG_MAX_LENGTH = 48;
+
+// Seconds on screen, and the fade at each end
+export const SLATE_SECONDS = { open: 2.5, close: 3 };
+const SLATE_FADE = 0.4;
+
+export const SLATE_TEMPLATES = [
+  {
+    id: 'none',
+    name: 'No slates',
+    description: 'Start on the first play, end on the last',
+  },
+  {
+    id: 'classic',
+    name: 'Classic',
+    description: 'Navy card with team-colored stripes',
+    panels: false,
+  },
+  {
+    id: 'split',
+    name: 'Split',
+    description: 'Each team on its own color',
+    panels: true,
+  },
+];
+
+/**
+ * Find a slate template by id
+ * @param {string} templateId - From SLATE_TEMPLATES; empty for the default
+ * @returns {object|null} - null for an unknown id
+ */
+export function findSlateTemplate(templateId) {
+  return SLATE_TEMPLATES.find(template => template.id === (templateId || DEFAULT_SLATE_TEMPLATE_ID)) || null;
+}
+
+/**
+ * Whether a template draws slates at all
+ */
+export function hasSlates(template) {
+  return Boolean(template) && template.id !== 'none';
+}
+
+/**
+ * Sponsor tag as a card shows it - trimmed and capped, or null for none
+ * @param {string} tag - e.g. "Presented by Acme"
+ * @returns {string|null}
+ */
+export function normalizeSponsorTag(tag) {
+  const trimmed = String(tag ?? '').trim().slice(0, SPONSOR_TAG_MAX_LENGTH);
+  return trimmed || null;
+}
+
+/**
+ * "July 4, 2025" from a YYYY-MM-DD date
+ */
+export function formatSlateDate(date) {
+  if (!date) return null;
+  return new Date(`${date.slice(0, 10)}T12:00:00Z`).toLocaleDateString('en-US', {
+    month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC',
+  });
+}
+
+/**
+ * A team as a card shows it
+ * @param {object} team - { id, name, abbreviation } from the schedule or feed
+ * @param {number} score - Shown under the logo when given
+ */
+function slateTeam(team, score = null) {
+  const known = getTeam(team?.id);
+  return {
+    id: team?.id ?? null,
+    abbr: known?.abbr || team?.abbreviation || team?.abbr || '',
+    name: known?.name || team?.name || '',
+    primary: known?.primary || NEUTRAL,
+    secondary: known?.secondary || NEUTRAL,
+    score,
+  };
+}
+
+/**
+ * A game feed in the schedule shape the card helpers take (see mapScheduleGame)
+ * @param {object} gameFeed - From getGameFeed
+ * @returns {object}
+ */
+export function gameFromFeed(gameFeed) {
+  const { gameData = {}, liveData = {} } = gameFeed || {};
+  const side = (key) => ({
+    id: gameData.teams?.[key]?.id,
+    name: gameData.teams?.[key]?.name,
+    abbreviation: gameData.teams?.[key]?.abbreviation,
+    score: liveData.linescore?.teams?.[key]?.runs,
+  });
+
+  return {
+    gamePk: gameFeed?.gamePk,
+    officialDate: gameData.datetime?.officialDate,
+    status: gameData.status?.detailedState,
+    isFinal: gameData.status?.abstractGameState === 'Final',
+    venue: gameData.venue?.name,
+    away: side('away'),
+    home: side('home'),
+    linescore: liveData.linescore,
+  };
+}
+
+/**
+ * "FINAL", "FINAL/10" after extras, or the game's status while it's still on
+ */
+function finalLabel(game) {
+  if (game.isFinal === false) return (game.status || 'In progress').toUpperCase();
+  const innings = game.linescore?.currentInning;
+  return innings && innings !== 9 ? `FINAL/${innings}` : 'FINAL';
+}
+
+/**
+ * Title card and end slate for one game - matchup up front, final score at the end
+ * @param {object} game - Schedule shape (see gameFromFeed)
+ * @param {object} options
+ * @param {string} options.sponsor - Optional sponsor tag on both cards
+ * @returns {{open: object, close: object}}
+ */
+export function gameSlates(game, { sponsor = null } = {}) {
+  const away = slateTeam(game.away);
+  const home = slateTeam(game.home);
+  const details = [formatSlateDate(game.officialDate || game.date), game.venue].filter(Boolean);
+
+  return {
+    open: { heading: `${away.abbr} @ ${home.abbr}`, teams: [away, home], details, sponsor },
+    close: {
+      heading: finalLabel(game),
+      teams: [slateTeam(game.away, game.away.score ?? 0), slateTeam(game.home, game.home.score ?? 0)],
+      details,
+      sponsor,
+    },
+  };
+}
+
+/**
+ * Cards for a daily roundup - the date up front, every final at the end
+ * @param {string} date - YYYY-MM-DD
+ * @param {Array} games - Roundup games, each with a scoreBug line (see formatScoreBug)
+ * @param {object} options - { sponsor }
+ */
+export function roundupSlates(date, games, { sponsor = null } = {}) {
+  return {
+    open: {
+      heading: 'MLB ROUNDUP',
+      teams: [],
+      details: [formatSlateDate(date), `${games.length} game${games.length === 1 ? '' : 's'}`].filter(Boolean),
+      sponsor,
+    },
+    close: { heading: 'FINAL SCORES', teams: [], details: games.map(game => game.scoreBug), sponsor },
+  };
+}
+
+/**
+ * Cards for a series recap - the matchup up front, the series result (wins
+ * under each logo) at the end
+ * @param {object} recap - From buildSeriesRecap
+ * @param {object} options - { sponsor }
+ */
+export function seriesSlates(recap, { sponsor = null } = {}) {
+  const { wins = {}, seriesWinnerId, mvp } = recap.storylines || {};
+  const dates = [formatSlateDate(recap.startDate), formatSlateDate(recap.endDate)].filter(Boolean);
+  const winner = recap.teams.find(team => team.id === seriesWinnerId);
+
+  return {
+    open: {
+      heading: 'SERIES RECAP',
+      teams: recap.teams.map(team => slateTeam(team)),
+      details: [[...new Set(dates)].join(' - '), `${recap.games.length} game${recap.games.length === 1 ? '' : 's'}`],
+      sponsor,
+    },
+    close: {
+      heading: winner ? `${slateTeam(winner).abbr} TAKE THE SERIES` : 'SERIES SPLIT',
+      teams: recap.teams.map(team => slateTeam(team, wins[team.id] ?? 0)),
+      details: mvp ? [`Series MVP: ${mvp.name}`] : [],
+      sponsor,
+    },
+  };
+}
+
+/**
+ * Title card for one game inside a series recap
+ * @param {object} game - Series game (see buildSeriesRecap)
+ */
+export function seriesGameCard(game) {
+  const { open } = gameSlates(game);
+  return { ...open, heading: `GAME ${game.gameNumber}` };
+}
+
+/**
+ * Cards for a player reel - name and club up front, the season line at the end
+ * @param {object} player - From getPlayerStats ({ fullName, teamId })
+ * @param {object} reel - { startDate, endDate, statLine }
+ * @param {object} options - { sponsor }
+ */
+export function playerSlates(player, { startDate, endDate, statLine = null } = {}, { sponsor = null } = {}) {
+  const name = (player?.fullName || 'Player reel').toUpperCase();
+  const team = getTeam(player?.teamId) ? [slateTeam({ id: player.teamId })] : [];
+  const dates = [formatSlateDate(startDate), formatSlateDate(endDate)].filter(Boolean);
+
+  return {
+    open: { heading: name, teams: team, details: [[...new Set(dates)].join(' - ')].filter(Boolean), sponsor },
+    close: { heading: name, teams: [], details: statLine ? [statLine] : [], sponsor },
+  };
+}
+
+/**
+ * Where a card can draw - the middle of the frame the preset keeps
+ * @param {object} frame - { width, height } the slate is rendered at
+ * @param {number} keepAspect - Width/height of the part the export keeps (null for all of it)
+ */
+function safeArea({ width, height }, keepAspect) {
+  const safeWidth = keepAspect ? Math.min(width, Math.round(height * keepAspect)) : width;
+  return { x: Math.round((width - safeWidth) / 2), width: safeWidth, height };
+}
+
+/**
+ * ffmpeg filter graph drawing a card
+ * Input 0 is the background color source; logo images follow from firstLogoInput,
+ * one for each team with a logo.
+ * @param {object} card - From one of the slate helpers
+ * @param {object} template - From SLATE_TEMPLATES
+ * @param {object} frame
+ * @param {number} frame.width - Slate width (the cut's)
+ * @param {number} frame.height - Slate height
+ * @param {number} frame.duration - Seconds on screen
+ * @param {number} frame.keepAspect - Width/height the export keeps, for cropping presets
+ * @param {boolean[]} frame.logos - Whether each team has a logo input
+ * @param {number} frame.firstLogoInput - Input index of the first logo
+ * @returns {string} - Graph ending in [slate]
+ */
+export function buildSlateGraph(card, template, { width, height, duration, keepAspect = null, logos = [], firstLogoInput = 2 }) {
+  const area = safeArea({ width, height }, keepAspect);
+  const unit = Math.round(Math.min(area.width, height) / 24);
+  const portrait = area.width < height;
+  const teams = card.teams || [];
+  const draw = [];
+  const overlays = [];
+
+  // Bands - heading, teams, details, sponsor
+  const headingY = Math.round(height * 0.08);
+  const headingHeight = Math.round(unit * 2);
+  const teamsY = Math.round(height * 0.22);
+  const teamsHeight = Math.round(height * 0.52);
+  const detailsY = teams.length > 0 ? Math.round(height * 0.78) : teamsY;
+  const lineHeight = Math.round(unit * 1.1);
+
+  // Background - team panels, or stripes in the teams' colors
+  if (template.panels && teams.length > 0) {
+    teams.forEach((team, i) => {
+      const panel = portrait
+        ? [area.x, Math.round(i * height / teams.length), area.width, Math.ceil(height / teams.length)]
+        : [area.x + Math.round(i * area.width / teams.length), 0, Math.ceil(area.width / teams.length), height];
+      draw.push(drawBox(...panel, ffmpegColor(team.primary)));
+    });
+    draw.push(drawBox(area.x, detailsY - unit, area.width, height - detailsY + unit, ffmpegColor(NEUTRAL, 0.85)));
+  } else {
+    const colors = teams.length > 0 ? teams.map(team => team.primary) : ['#BF0D3E'];
+    const stripe = Math.max(4, Math.round(unit * 0.4));
+    draw.push(
+      drawBox(area.x, 0, area.width, stripe, ffmpegColor(colors[0])),
+      drawBox(area.x, height - stripe, area.width, stripe, ffmpegColor(colors[colors.length - 1]))
+    );
+  }
+
+  draw.push(drawText(card.heading, { x: area.x, y: headingY, w: area.width, h: headingHeight, size: Math.round(unit * 1.4) }));
+
+  // A cell per team - logo (or badge), name, then score when the card has one
+  let logoInput = firstLogoInput;
+  teams.forEach((team, i) => {
+    const cell = portrait
+      ? { x: area.x, y: teamsY + Math.round(i * teamsHeight / teams.length), w: area.width, h: Math.round(teamsHeight / teams.length) }
+      : { x: area.x + Math.round(i * area.width / teams.length), y: teamsY, w: Math.round(area.width / teams.length), h: teamsHeight };
+    const hasScore = team.score != null;
+    const logoSize = Math.round(Math.min(cell.w, cell.h) * (hasScore ? 0.4 : 0.5));
+    const logoX = cell.x + Math.round((cell.w - logoSize) / 2);
+    const logoY = cell.y + Math.round(cell.h * 0.05);
+    const nameY = logoY + logoSize + Math.round(unit * 0.3);
+
+    if (logos[i]) {
+      overlays.push({ input: logoInput++, x: logoX, y: logoY, size: logoSize });
+    } else {
+      draw.push(
+        drawBox(logoX, logoY, logoSize, logoSize, ffmpegColor(team.primary)),
+        drawBox(logoX, logoY + logoSize - Math.round(logoSize * 0.12), logoSize, Math.round(logoSize * 0.12), ffmpegColor(team.secondary)),
+        drawText(team.abbr, { x: logoX, y: logoY, w: logoSize, h: logoSize, size: Math.round(logoSize * 0.32) })
+      );
+    }
+    draw.push(drawText(team.name, { x: cell.x, y: nameY, w: cell.w, h: unit, size: Math.round(unit * 0.8) }));
+    if (hasScore) {
+      draw.push(drawText(team.score, { x: cell.x, y: nameY + unit, w: cell.w, h: Math.round(unit * 2.2), size: Math.round(unit * 2) }));
+    }
+  });
+
+  (card.details || []).forEach((line, i) => {
+    draw.push(drawText(line, { x: area.x, y: detailsY + i * lineHeight, w: area.width, h: lineHeight, size: Math.round(unit * 0.7), color: '0xDDDDDD' }));
+  });
+  if (card.sponsor) {
+    draw.push(drawText(card.sponsor, { x: area.x, y: height - Math.round(unit * 2), w: area.width, h: unit, size: Math.round(unit * 0.55), color: '0xBBBBBB' }));
+  }
+
+  // Draw, overlay each logo scaled into its box, then fade in and out
+  const graph = [`[0:v]${draw.join(',')}[bg0]`];
+  overlays.forEach((logo, i) => {
+    graph.push(
+      `[${logo.input}:v]scale=${logo.size}:${logo.size}:force_original_aspect_ratio=decrease[logo${i}]`,
+      `[bg${i}][logo${i}]overlay=x=${logo.x}+(${logo.size}-overlay_w)/2:y=${logo.y}+(${logo.size}-overlay_h)/2:shortest=1[bg${i + 1}]`
+    );
+  });
+  const fadeOut = Math.max(0, duration - SLATE_FADE).toFixed(2);
+  graph.push(`[bg${overlays.length}]fade=t=in:st=0:d=${SLATE_FADE},fade=t=out:st=${fadeOut}:d=${SLATE_FADE},setsar=1,format=yuv420p[slate]`);
+
+  return graph.join(';');
+}
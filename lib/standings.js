@@ -0,0 +1,237 @@
+/**
+ * Standings - Division and wild-card race context for a game
+ *
+ * Records come from the statsapi standings endpoint as of the game date;
+ * games back, wild-card position, magic and elimination numbers are computed
+ * here from wins and losses. The head-to-head season series comes from the
+ * teams' schedule, through the game itself.
+ */
+
+import { getStandings, getTeamSchedule } from './mlb-api';
+import { getTeam } from './teams';
+
+const SEASON_GAMES = 162;
+const WILD_CARD_SPOTS = 3;
+
+// Magic numbers only mean something once the finish line is in sight
+const MAGIC_NUMBER_THRESHOLD = 20;
+
+function winPct(team) {
+  const games = team.wins + team.losses;
+  return games ? team.wins / games : 0;
+}
+
+function byRecord(a, b) {
+  return winPct(b) - winPct(a) || b.wins - a.wins;
+}
+
+/**
+ * Games behind another team (negative when ahead)
+ */
+function gamesBehind(team, other) {
+  return ((other.wins - team.wins) + (team.losses - other.losses)) / 2;
+}
+
+/**
+ * Wins by team plus losses by its pursuer that lock the race up
+ */
+function magicNumber(team, pursuer) {
+  return Math.max(0, SEASON_GAMES + 1 - team.wins - pursuer.losses);
+}
+
+function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  return `${n}${teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th')}`;
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function formatGames(games) {
+  return Number.isInteger(games) ? String(games) : games.toFixed(1);
+}
+
+/**
+ * Compute division and wild-card standing for every team
+ * @param {Array} teams - From getStandings: { id, name, leagueId, divisionId, divisionName, wins, losses, streak }
+ * @returns {Map<number, object>} - Team id -> team plus divisionRank, gamesBack,
+ *   magicNumber / eliminationNumber, wildCardRank and wildCardGamesBack
+ */
+export function computeStandings(teams) {
+  const standings = new Map();
+
+  const divisions = groupBy(teams, team => team.divisionId);
+  for (const divisionTeams of divisions.values()) {
+    const sorted = [...divisionTeams].sort(byRecord);
+    const [leader, runnerUp] = sorted;
+
+    sorted.forEach((team, index) => {
+      standings.set(team.id, {
+        ...team,
+        divisionName: team.divisionName || getTeam(team.id)?.division || null,
+        divisionRank: index + 1,
+        gamesBack: Math.max(0, gamesBehind(team, leader)),
+        // Leader: to clinch over the runner-up. Everyone else: until eliminated by the leader
+        magicNumber: index === 0 && runnerUp ? magicNumber(team, runnerUp) : null,
+        eliminationNumber: index > 0 ? magicNumber(leader, team) : null,
+        wildCardRank: null,
+        wildCardGamesBack: null,
+        wildCardMagicNumber: null,
+      });
+    });
+  }
+
+  // Wild card: the best non-division-winners in each league
+  const leagues = groupBy([...standings.values()], team => team.leagueId);
+  for (const leagueTeams of leagues.values()) {
+    const contenders = leagueTeams.filter(team => team.divisionRank > 1).sort(byRecord);
+    const lastIn = contenders[WILD_CARD_SPOTS - 1];
+    const firstOut = contenders[WILD_CARD_SPOTS];
+
+    contenders.forEach((team, index) => {
+      const inSpot = index < WILD_CARD_SPOTS;
+      team.wildCardRank = index + 1;
+      // In a spot: negative games ahead of the first team out. Out: games behind the last spot
+      team.wildCardGamesBack = inSpot
+        ? (firstOut ? -Math.max(0, gamesBehind(firstOut, team)) : 0)
+        : (lastIn ? gamesBehind(team, lastIn) : 0);
+      team.wildCardMagicNumber = inSpot && firstOut ? magicNumber(team, firstOut) : null;
+    });
+  }
+
+  return standings;
+}
+
+/**
+ * Head-to-head record this season, through a date
+ * @param {number} teamId - MLB team ID
+ * @param {number} opponentId - MLB team ID
+ * @param {string} throughDate - YYYY-MM-DD (inclusive)
+ * @returns {Promise<{games: number, wins: object}>} - wins keyed by team id
+ */
+export async function getHeadToHead(teamId, opponentId, throughDate) {
+  const season = throughDate.slice(0, 4);
+  const schedule = await getTeamSchedule(teamId, `${season}-01-01`, throughDate);
+  const games = schedule.filter(g => g.gameType === 'R'
+    && g.status === 'Final'
+    && (g.away.id === opponentId || g.home.id === opponentId));
+
+  const wins = { [teamId]: 0, [opponentId]: 0 };
+  for (const game of games) {
+    const winner = (game.away.score ?? 0) > (game.home.score ?? 0) ? game.away.id : game.home.id;
+    wins[winner] = (wins[winner] || 0) + 1;
+  }
+
+  return { games: games.length, wins };
+}
+
+/**
+ * One-line standing for a team, e.g. "1st in AL East (3.5 up) • W4"
+ * @param {object} standing - From computeStandings
+ * @param {Map<number, object>} standings - All teams, to measure a leader's cushion
+ * @returns {string}
+ */
+export function describeTeamStanding(standing, standings) {
+  const parts = [];
+
+  if (standing.divisionRank === 1) {
+    const runnerUp = [...standings.values()]
+      .find(team => team.divisionId === standing.divisionId && team.divisionRank === 2);
+    const cushion = runnerUp ? runnerUp.gamesBack : 0;
+    parts.push(`1st in ${standing.divisionName}${cushion > 0 ? ` (${formatGames(cushion)} up)` : ' (tied)'}`);
+  } else {
+    parts.push(`${ordinal(standing.divisionRank)} in ${standing.divisionName}, ${formatGames(standing.gamesBack)} GB`);
+  }
+
+  if (standing.wildCardRank !== null) {
+    if (standing.wildCardRank <= WILD_CARD_SPOTS) {
+      const ahead = -standing.wildCardGamesBack;
+      parts.push(`wild card #${standing.wildCardRank}${ahead > 0 ? ` (+${formatGames(ahead)})` : ''}`);
+    } else {
+      parts.push(`${formatGames(standing.wildCardGamesBack)} GB of the last wild card`);
+    }
+  }
+
+  if (standing.streak) parts.push(standing.streak);
+
+  return parts.join(' • ');
+}
+
+/**
+ * Standings, race numbers and season series for the two teams in a game
+ * @param {object} game
+ * @param {string} game.gameDate - YYYY-MM-DD
+ * @param {number} game.awayId - MLB team ID
+ * @param {number} game.homeId - MLB team ID
+ * @returns {Promise<object|null>} - { date, away, home, sameDivision, headToHead }, null outside the regular season
+ */
+export async function getGameStandingsContext({ gameDate, awayId, homeId }) {
+  const [teams, headToHead] = await Promise.all([
+    getStandings(gameDate.slice(0, 4), gameDate),
+    getHeadToHead(awayId, homeId, gameDate),
+  ]);
+
+  const standings = computeStandings(teams);
+  const away = standings.get(awayId);
+  const home = standings.get(homeId);
+  if (!away || !home) return null;
+
+  return {
+    date: gameDate,
+    away: { ...away, summary: describeTeamStanding(away, standings) },
+    home: { ...home, summary: describeTeamStanding(home, standings) },
+    sameDivision: away.divisionId === home.divisionId,
+    headToHead,
+  };
+}
+
+/**
+ * Race lines for a script prompt
+ * @param {object} context - From getGameStandingsContext
+ * @returns {string} - Empty when there's no context
+ */
+export function describeStandingsContext(context) {
+  if (!context) return '';
+  const { away, home, headToHead } = context;
+  const lines = [];
+
+  for (const team of [away, home]) {
+    lines.push(`${team.name} (${team.wins}-${team.losses}): ${team.summary}`);
+    if (team.magicNumber !== null && team.magicNumber <= MAGIC_NUMBER_THRESHOLD) {
+      lines.push(team.magicNumber === 0
+        ? `${team.name} have clinched the ${team.divisionName}`
+        : `${team.name}' magic number for the ${team.divisionName}: ${team.magicNumber}`);
+    }
+    if (team.eliminationNumber !== null && team.eliminationNumber <= MAGIC_NUMBER_THRESHOLD) {
+      lines.push(team.eliminationNumber === 0
+        ? `${team.name} are eliminated from the ${team.divisionName} race`
+        : `${team.name}' elimination number in the ${team.divisionName}: ${team.eliminationNumber}`);
+    }
+    if (team.wildCardMagicNumber !== null && team.wildCardMagicNumber <= MAGIC_NUMBER_THRESHOLD) {
+      lines.push(`${team.name}' wild-card magic number: ${team.wildCardMagicNumber}`);
+    }
+  }
+
+  if (context.sameDivision) {
+    const gap = Math.abs(gamesBehind(away, home));
+    lines.push(`Division game - ${gap === 0 ? 'the teams are tied in the standings' : `${formatGames(gap)} games separate them`}`);
+  }
+
+  if (headToHead.games > 0) {
+    const awayWins = headToHead.wins[away.id] || 0;
+    const homeWins = headToHead.wins[home.id] || 0;
+    const series = awayWins === homeWins
+      ? `tied ${awayWins}-${homeWins}`
+      : `${awayWins > homeWins ? away.name : home.name} lead ${Math.max(awayWins, homeWins)}-${Math.min(awayWins, homeWins)}`;
+    lines.push(`Season series (including this game): ${series}`);
+  }
+
+  return lines.map(line => `- ${line}`).join('\n');
+}
@@ -60,6 +60,14 @@ export function getTeamLogo(teamId, size = 100) {
   return `https://www.mlbstatic.com/team-logos/${teamId}.svg`;
 }
 
+/**
+ * Get a raster team logo URL (PNG on a transparent background) - for ffmpeg,
+ * which can't read the SVG logos
+ */
+export function getTeamSpotLogo(teamId, size = 256) {
+  return `https://midfield.mlbstatic.com/v1/team/${teamId}/spots/${size}`;
+}
+
 /**
  * Check if two teams have a rivalry
  */
@@ -69,6 +77,19 @@ export function getRivalry(teamId1, teamId2) {
   );
 }
 
+/**
+ * Which side of a game a team is on
+ * @param {object} teams - { away: { id }, home: { id } } from the game feed or schedule
+ * @param {number|string} teamId
+ * @returns {'home'|'away'|null} - null if the team isn't playing
+ */
+export function getTeamSide(teams, teamId) {
+  if (!teamId) return null;
+  if (teams?.home?.id === Number(teamId)) return 'home';
+  if (teams?.away?.id === Number(teamId)) return 'away';
+  return null;
+}
+
 /**
  * Get all teams as array for filtering
  */
@@ -0,0 +1,69 @@
+/**
+ * Text Diff - Word-level differences between two versions of a script
+ *
+ * Longest common subsequence over words, merged into runs for display. Each
+ * word carries the whitespace after it so the runs read back as the text.
+ * Scripts are a few hundred words, so the quadratic table is fine.
+ * Client-safe - no server imports.
+ */
+
+function tokenize(text) {
+  return (text || '').match(/\S+\s*/g) || [];
+}
+
+/**
+ * Diff two texts word by word
+ * @param {string} before - Older text
+ * @param {string} after - Newer text
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} - Runs in reading order
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const same = (i, j) => a[i].trimEnd() === b[j].trimEnd();
+
+  // lengths[i][j] = LCS of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = same(i, j) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (type, text) => {
+    const last = runs.at(-1);
+    if (last?.type === type) last.text += text;
+    else runs.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (same(i, j)) {
+      push('same', b[j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return runs;
+}
+
+/**
+ * Words added and removed between two texts
+ * @param {Array} runs - From diffWords
+ * @returns {{added: number, removed: number}}
+ */
+export function countChanges(runs) {
+  const count = (type) => runs
+    .filter(run => run.type === type)
+    .reduce((total, run) => total + run.text.split(/\s+/).filter(Boolean).length, 0);
+  return { added: count('added'), removed: count('removed') };
+}
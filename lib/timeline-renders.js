@@ -0,0 +1,67 @@
+/**
+ * Timeline Renders - Save a timeline, render it and keep the package
+ *
+ * The last step of every timeline-based video job, whether the timeline was
+ * just built from a fresh generation or came back edited from the editor.
+ * The render's metadata records the saved timeline it came from (timelineId).
+ */
+
+import { renderTimeline, cleanupTempFiles } from './video-processor';
+import { saveTimeline } from './timelines';
+import { saveRender, getCaptionUrls } from './renders';
+import { createJob } from './jobs';
+import { summarizeTimeline } from './timeline';
+
+/**
+ * Save, render and store a timeline
+ * @param {object} timeline - Validated timeline
+ * @param {Function} onProgress - Job progress callback
+ * @param {object} metadata - Extra render metadata (e.g. voice) - overrides what the timeline gives
+ * @param {string} jobId - Job doing the render - keeps its temp files apart from other renders of the same game
+ * @returns {Promise<{render: object, timeline: object}>} - Saved render and timeline
+ */
+export async function renderTimelineToStore(timeline, onProgress = () => {}, metadata = {}, jobId = null) {
+  const saved = await saveTimeline(timeline);
+  const tempId = [saved.gamePk || 'custom', jobId].filter(Boolean).join('-');
+
+  try {
+    const videoPath = await renderTimeline(saved, onProgress, tempId);
+
+    onProgress({ stage: 'finalizing' });
+    const { exportPreset, burnCaptions, slates } = saved.output;
+    const render = await saveRender(videoPath, {
+      gamePk: saved.gamePk,
+      type: saved.type,
+      exportPreset,
+      burnCaptions: Boolean(burnCaptions),
+      scoreGraphics: saved.tracks.graphics.length > 0,
+      slateTemplate: slates?.template || 'none',
+      sponsorTag: slates?.sponsor || null,
+      ...summarizeTimeline(saved),
+      ...metadata,
+      timelineId: saved.id,
+    });
+    return { render, timeline: saved };
+  } finally {
+    await cleanupTempFiles(tempId);
+  }
+}
+
+/**
+ * Enqueue a job rendering an edited timeline
+ * @param {object} timeline - Validated timeline
+ * @returns {object} - Job, as from createJob
+ */
+export function createTimelineJob(timeline) {
+  return createJob(timeline.type, async ({ jobId, reportProgress }) => {
+    const { render, timeline: saved } = await renderTimelineToStore(timeline, reportProgress, {}, jobId);
+    return {
+      format: render.container,
+      captionUrls: getCaptionUrls(render),
+      clipCount: saved.tracks.video.length,
+      renderId: render.id,
+      outputPath: render.videoPath,
+      timelineId: saved.id,
+    };
+  }, { gamePk: timeline.gamePk });
+}
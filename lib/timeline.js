@@ -0,0 +1,563 @@
+/**
+ * Timeline - Edit decision list shared by the video routes, the editor and the renderer
+ *
+ * A timeline is plain JSON, so it can go to the browser, be edited, saved and
+ * come back to render again without re-running analysis or voicing:
+ *
+ *   { version, id, type, gamePk, tracks, mix, output }
+ *
+ * Tracks:
+ * - video: events in program order - { id, kind: 'play'|'transition'|'card', src, in,
+ *   out, transition } where src is a clip URL (plays) or an innings/ card key
+ *   (transitions), in/out are seconds in the source (out null for its end) and
+ *   transition is how the event comes in ('dissolve' or 'cut'). Plays carry
+ *   their transcript words and focus points in source time; cards carry a
+ *   title card (see seriesGameCard), drawn with the output's slate template
+ *   for out - in seconds.
+ * - narration: voiced lines - { id, text, audio, duration, gain, anchor, offset }
+ * - music: beds from the music/ folder - { id, src, duration, gain, anchor, offset }
+ * - sourceAudio: level changes on the clips' own audio - { id, gain, duration, anchor, offset }
+ * - graphics: score bugs and lower thirds (see getGraphicsByPlay) - { id, anchor, until, ...state }
+ *
+ * Items on the other tracks hang off a video event (anchor, offset seconds from
+ * its start) or the start of the program (anchor null), so trimming or moving
+ * a clip takes its narration and graphics along. mix sets the source audio
+ * level, how far it ducks under narration, and the master gain; output holds
+ * the export settings ({ exportPreset, burnCaptions, slates }).
+ *
+ * Client-safe - everything here is pure.
+ */
+
+import { findExportPreset, clipFocusPoints } from './export-presets';
+import { mapWordsToCut } from './captions';
+import { findSlateTemplate, hasSlates, SLATE_SECONDS } from './slates';
+
+export const TIMELINE_VERSION = 1;
+
+// Package types built from timelines, and the route that renders each
+export const TIMELINE_ROUTES = {
+  'highlight-video': '/api/generate-video',
+  'synced-video': '/api/generate-synced-video',
+  'custom-video': '/api/generate-custom-video',
+  'rundown-video': '/api/generate-rundown-video',
+  'roundup-video': '/api/roundup',
+  'series-recap': '/api/series',
+  'player-reel': '/api/player/[playerId]/reel',
+};
+
+/**
+ * Route that renders a timeline - player reels are filed as player-<id>
+ * @param {object} timeline
+ * @returns {string|undefined}
+ */
+export function getTimelineRoute(timeline) {
+  return TIMELINE_ROUTES[timeline.type]?.replace('[playerId]', String(timeline.gamePk).replace(/^player-/, ''));
+}
+
+export const TRACKS = ['video', 'narration', 'music', 'sourceAudio', 'graphics'];
+const EVENT_KINDS = ['play', 'transition', 'card'];
+export const TRANSITIONS = ['dissolve', 'cut'];
+
+// Dissolves are concatenateVideos' 10 frames at 30fps
+export const DISSOLVE_SECONDS = 10 / 30;
+
+// Source audio stays down for half a second after each narration line
+const DUCK_TAIL = 0.5;
+
+// Synced packages keep 1.5s either side of the action
+const ACTION_BUFFER = 1.5;
+
+const DEFAULT_MIX = { sourceGain: 1, duckGain: 0.2, master: 1 };
+
+// Transition cards and music beds are local files, named by key
+const SAFE_KEY = /^[A-Za-z0-9_-]+$/;
+const MUSIC_FILE = /^[A-Za-z0-9_-]+\.(mp3|m4a|wav)$/;
+const ASSET_NAME = /^[A-Za-z0-9_-]+\.mp3$/;
+
+const ID_PREFIXES = { video: 'v', narration: 'n', music: 'm', sourceAudio: 's', graphics: 'g' };
+
+/**
+ * An empty timeline
+ * @param {object} options
+ * @param {string} options.type - TIMELINE_ROUTES key
+ * @param {string} options.gamePk - Game the timeline belongs to (null for clips from anywhere)
+ * @param {object} options.output - { exportPreset, burnCaptions, slates }
+ * @param {object} options.mix - Overrides for { sourceGain, duckGain, master }
+ * @returns {object}
+ */
+export function createTimeline({ type, gamePk = null, output = {}, mix = {} }) {
+  return {
+    version: TIMELINE_VERSION,
+    id: null,
+    type,
+    gamePk: gamePk == null ? null : String(gamePk),
+    tracks: Object.fromEntries(TRACKS.map(track => [track, []])),
+    mix: { ...DEFAULT_MIX, ...mix },
+    output: { exportPreset: 'source', burnCaptions: false, slates: null, ...output },
+  };
+}
+
+/**
+ * Next free id on a track (v1, v2... for video)
+ */
+export function nextItemId(timeline, track) {
+  const prefix = ID_PREFIXES[track];
+  const used = new Set(timeline.tracks[track].map(item => item.id));
+  let n = timeline.tracks[track].length + 1;
+  while (used.has(`${prefix}${n}`)) n++;
+  return `${prefix}${n}`;
+}
+
+function addItem(timeline, track, item) {
+  const added = { id: nextItemId(timeline, track), ...item };
+  timeline.tracks[track].push(added);
+  return added;
+}
+
+/**
+ * Timeline for a quick highlight video - whole clips dissolving into each
+ * other under one narration track that replaces their audio
+ * @param {Array} clips - { videoUrl, playIndex, headline, graphics }
+ * @param {object} narration - { text, audio, duration } - audio from saveTimelineAsset
+ * @param {object} options - { gamePk, output }
+ */
+export function highlightTimeline(clips, narration, { gamePk = null, output = {} } = {}) {
+  const timeline = createTimeline({ type: 'highlight-video', gamePk, output, mix: { sourceGain: 0, duckGain: 0 } });
+
+  for (const clip of clips) {
+    const event = addItem(timeline, 'video', {
+      kind: 'play', src: clip.videoUrl, in: 0, out: null, transition: 'dissolve',
+      playIndex: clip.playIndex ?? null, label: clip.headline || null,
+    });
+    if (clip.graphics) addItem(timeline, 'graphics', { anchor: event.id, until: event.id, ...clip.graphics });
+  }
+  if (narration?.audio) {
+    addItem(timeline, 'narration', { text: narration.text, audio: narration.audio, duration: narration.duration, gain: 1, anchor: null, offset: 0 });
+  }
+
+  return timeline;
+}
+
+/**
+ * Where a synced line starts in its clip - before, at or after the action peak
+ */
+function syncedOffset(segment, peakInClip) {
+  switch (segment.timing) {
+    case 'before_action': return peakInClip - segment.duration - 0.5;
+    case 'during_action': return peakInClip;
+    case 'after_action': return peakInClip + 1;
+    case 'bridge': return 0;
+    default: return segment.startOffset || 0;
+  }
+}
+
+/**
+ * Timeline for a synced package - each clip trimmed around its action, with
+ * narration placed on the action peak and the crowd ducked under it
+ * @param {Array} clips - Clips with Gemini analysis (see analyzeClips) and graphics
+ * @param {Array} audioSegments - { clipId, text, audio, duration, timing, startOffset }
+ * @param {object} options - { type ('synced-video' or 'custom-video'), gamePk, output }
+ */
+export function syncedTimeline(clips, audioSegments, { type = 'synced-video', gamePk = null, output = {} } = {}) {
+  const timeline = createTimeline({ type, gamePk, output, mix: { sourceGain: 0.7, master: audioSegments.length > 0 ? 1.5 : 1 } });
+  const events = new Map();
+
+  for (const clip of clips) {
+    if (!clip.videoUrl) continue;
+    const analysis = clip.analysis || {};
+    const actionStart = analysis.action_start_seconds || 0;
+    const total = analysis.total_duration_seconds || null;
+    const trimStart = Math.max(0, actionStart - ACTION_BUFFER);
+    const trimEnd = analysis.action_end_seconds ? analysis.action_end_seconds + ACTION_BUFFER : null;
+
+    const event = addItem(timeline, 'video', {
+      kind: 'play',
+      src: clip.videoUrl,
+      in: trimStart,
+      out: trimEnd && total ? Math.min(total, trimEnd) : trimEnd,
+      sourceDuration: total,
+      transition: 'dissolve',
+      playIndex: clip.playIndex ?? null,
+      label: clip.headline || clip.playDescription || null,
+      focus: Array.isArray(analysis.focus_points) ? analysis.focus_points : [],
+    });
+    events.set(clip.id, { event, peakInClip: (analysis.action_peak_seconds || actionStart + 1) - trimStart });
+    if (clip.graphics) addItem(timeline, 'graphics', { anchor: event.id, until: event.id, ...clip.graphics });
+  }
+
+  for (const segment of audioSegments) {
+    const placed = events.get(segment.clipId);
+    if (!placed || !segment.audio) continue;
+    addItem(timeline, 'narration', {
+      text: segment.text,
+      audio: segment.audio,
+      duration: segment.duration,
+      gain: 2,
+      anchor: placed.event.id,
+      offset: syncedOffset(segment, placed.peakInClip),
+    });
+  }
+
+  return timeline;
+}
+
+/**
+ * Timeline for a rundown - each selected stretch of commentary is its own
+ * event, cut together within a play and dissolving between plays; inning
+ * transition cards hard cut in and out
+ * @param {Array} clips - { videoUrl, playIndex, segments, words, text, graphics } or { isTransition, transitionKey }
+ * @param {object} options - { type ('rundown-video' or 'player-reel'), gamePk, output }
+ */
+export function rundownTimeline(clips, { type = 'rundown-video', gamePk = null, output = {} } = {}) {
+  const timeline = createTimeline({ type, gamePk, output });
+
+  for (const clip of clips) {
+    if (clip.isTransition) {
+      addItem(timeline, 'video', { kind: 'transition', src: clip.transitionKey, in: 0, out: null, transition: 'cut', label: clip.transitionKey });
+      continue;
+    }
+
+    const ids = (clip.segments || []).map((segment, i) => addItem(timeline, 'video', {
+      kind: 'play',
+      src: clip.videoUrl,
+      in: segment.start,
+      out: segment.end,
+      transition: i === 0 ? 'dissolve' : 'cut',
+      playIndex: clip.playIndex ?? null,
+      label: clip.text || null,
+      words: (clip.words || []).filter(word => {
+        const middle = (word.start + word.end) / 2;
+        return middle >= segment.start && middle <= segment.end;
+      }),
+    }).id);
+    if (clip.graphics && ids.length > 0) addItem(timeline, 'graphics', { anchor: ids[0], until: ids.at(-1), ...clip.graphics });
+  }
+
+  return timeline;
+}
+
+/**
+ * Timeline for a player reel - a rundown of the player's clips with an intro
+ * over the opening and an outro finishing half a second before the end
+ * @param {Array} clips - As for rundownTimeline
+ * @param {object} narration - { intro, outro }, each { text, audio, duration } or null
+ * @param {object} options - { gamePk (player-<id>), output }
+ */
+export function playerReelTimeline(clips, narration, { gamePk = null, output = {} } = {}) {
+  const timeline = rundownTimeline(clips, { type: 'player-reel', gamePk, output });
+  const events = timeline.tracks.video;
+  const { intro, outro } = narration || {};
+  if (events.length === 0 || (!intro?.audio && !outro?.audio)) return timeline;
+
+  timeline.mix = { ...timeline.mix, sourceGain: 0.7, master: 1.5 };
+  if (intro?.audio) {
+    addItem(timeline, 'narration', { text: intro.text, audio: intro.audio, duration: intro.duration, gain: 2, anchor: events[0].id, offset: 0.3 });
+  }
+  if (outro?.audio) {
+    const last = events.at(-1);
+    addItem(timeline, 'narration', {
+      text: outro.text, audio: outro.audio, duration: outro.duration, gain: 2, anchor: last.id, offset: eventDuration(last) - outro.duration - 0.5,
+    });
+  }
+  return timeline;
+}
+
+/**
+ * Lay out games one after another - each opens with its card (if any),
+ * dissolves in from the game before and has its narration half a second in
+ */
+function addGames(timeline, games, withinGame) {
+  for (const game of games) {
+    const first = timeline.tracks.video.length;
+    if (game.card) {
+      addItem(timeline, 'video', { kind: 'card', card: game.card, in: 0, out: SLATE_SECONDS.open, transition: 'dissolve', label: game.card.heading || null });
+    }
+
+    for (const clip of game.clips) {
+      if (clip.isTransition) {
+        addItem(timeline, 'video', { kind: 'transition', src: clip.transitionKey, in: 0, out: null, transition: 'cut', label: clip.transitionKey });
+        continue;
+      }
+      const event = addItem(timeline, 'video', {
+        kind: 'play', src: clip.videoUrl, in: 0, out: null,
+        transition: timeline.tracks.video.length === first ? 'dissolve' : withinGame,
+        playIndex: clip.playIndex ?? null, label: clip.headline || null,
+      });
+      if (clip.graphics) addItem(timeline, 'graphics', { anchor: event.id, until: event.id, ...clip.graphics });
+    }
+
+    const opening = timeline.tracks.video[first];
+    if (opening && game.narration?.audio) {
+      addItem(timeline, 'narration', {
+        text: game.narration.text, audio: game.narration.audio, duration: game.narration.duration, gain: 2, anchor: opening.id, offset: 0.5,
+      });
+    }
+  }
+}
+
+const gamesMix = (games) => (games.some(game => game.narration?.audio) ? { sourceGain: 0.7, master: 1.5 } : {});
+
+/**
+ * Timeline for a daily roundup - each game's clips hard cut together under
+ * its narration and play graphics, dissolving from game to game
+ * @param {Array} games - { clips: [{ videoUrl, playIndex, headline, graphics }], narration: { text, audio, duration } | null }
+ * @param {object} options - { gamePk (roundup-<date>), output }
+ */
+export function roundupTimeline(games, { gamePk = null, output = {} } = {}) {
+  const timeline = createTimeline({ type: 'roundup-video', gamePk, output, mix: gamesMix(games) });
+  addGames(timeline, games, 'cut');
+  return timeline;
+}
+
+/**
+ * Timeline for a series recap - each game opens on its title card, then its
+ * moments dissolve into each other behind their inning transition cards
+ * @param {Array} games - { card, clips: [{ videoUrl, playIndex, headline, graphics } | { isTransition, transitionKey }], narration } -
+ *   card (see seriesGameCard) needs a slate template in output.slates
+ * @param {object} options - { gamePk (series-<teams>-<start>), output }
+ */
+export function seriesTimeline(games, { gamePk = null, output = {} } = {}) {
+  const timeline = createTimeline({ type: 'series-recap', gamePk, output, mix: gamesMix(games) });
+  addGames(timeline, games, 'dissolve');
+  return timeline;
+}
+
+/**
+ * How long an event runs, from its in/out points (0 when its source length isn't known yet)
+ */
+export function eventDuration(event) {
+  if (event.out != null) return Math.max(0, event.out - event.in);
+  if (event.sourceDuration != null) return Math.max(0, event.sourceDuration - event.in);
+  return 0;
+}
+
+/**
+ * Place every track on the program timeline
+ * @param {object} timeline
+ * @param {number[]} durations - Actual length of each video event, when rendered (else from in/out)
+ * @returns {object} - { duration, video, narration, music, sourceAudio, graphics, words, focus },
+ *   each item with its program start (graphics and sourceAudio with end too)
+ */
+export function layoutTimeline(timeline, durations = []) {
+  const events = timeline.tracks.video;
+  const video = [];
+  let time = 0;
+
+  events.forEach((event, i) => {
+    const previous = events[i - 1];
+    if (previous && event.transition !== 'cut' && previous.kind !== 'transition' && event.kind !== 'transition') {
+      time -= DISSOLVE_SECONDS;
+    }
+    const duration = durations[i] ?? eventDuration(event);
+    video.push({ ...event, start: Math.max(0, time), duration });
+    time += duration;
+  });
+
+  const byId = new Map(video.map(event => [event.id, event]));
+  const place = (item) => {
+    if (item.anchor == null) return Math.max(0, item.offset || 0);
+    const anchor = byId.get(item.anchor);
+    return anchor ? Math.max(0, anchor.start + (item.offset || 0)) : null;
+  };
+  const programDuration = video.reduce((end, event) => Math.max(end, event.start + event.duration), 0);
+
+  const placed = (track, extend) => timeline.tracks[track]
+    .map(item => {
+      const start = place(item);
+      return start == null ? null : extend({ ...item, start });
+    })
+    .filter(Boolean);
+
+  const plays = video.filter(event => event.kind === 'play');
+  return {
+    duration: programDuration,
+    video,
+    narration: placed('narration', item => item),
+    music: placed('music', item => ({ ...item, duration: item.duration ?? Math.max(0, programDuration - item.start) })),
+    sourceAudio: placed('sourceAudio', item => ({ ...item, end: item.start + (item.duration || 0) })),
+    graphics: placed('graphics', ({ id, anchor, until, ...state }) => {
+      const last = byId.get(until ?? anchor);
+      return last && { ...state, id, end: last.start + last.duration };
+    }),
+    words: plays.flatMap(event => mapWordsToCut(event.words, [{ start: event.in, end: event.in + event.duration }], event.start)),
+    focus: plays.flatMap(event => clipFocusPoints({ focus_points: event.focus }, { offset: event.start, trimStart: event.in, duration: event.duration })),
+  };
+}
+
+/**
+ * ffmpeg volume expression for the clips' own audio - ducked under narration,
+ * at each sourceAudio level change, and at mix.sourceGain otherwise
+ * @param {object} layout - From layoutTimeline
+ * @param {object} mix - Timeline mix
+ * @returns {string}
+ */
+export function buildSourceGainExpression(layout, mix = DEFAULT_MIX) {
+  const windows = [
+    ...[...layout.narration]
+      .sort((a, b) => a.start - b.start)
+      .map(line => ({ start: line.start, end: line.start + (line.duration || 0) + DUCK_TAIL, gain: mix.duckGain })),
+    ...layout.sourceAudio.map(level => ({ start: level.start, end: level.end, gain: level.gain })),
+  ];
+
+  return windows.reduceRight(
+    (expr, window) => `if(between(t,${window.start.toFixed(2)},${window.end.toFixed(2)}),${window.gain},${expr})`,
+    String(mix.sourceGain)
+  );
+}
+
+// Everything numeric lands in an ffmpeg filtergraph, so it must be a plain number in range
+const MAX_SECONDS = 3600;
+const MAX_GAIN = 4;
+const MAX_INNING = 99;
+const MAX_SCORE = 999;
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isSeconds = (value) => isNumber(value) && value >= 0 && value <= MAX_SECONDS;
+const isOffset = (value) => value == null || (isNumber(value) && Math.abs(value) <= MAX_SECONDS);
+const isGain = (value) => isNumber(value) && value >= 0 && value <= MAX_GAIN;
+const isCount = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+const isTeamColors = (team) => HEX_COLOR.test(team?.primary || '') && HEX_COLOR.test(team?.secondary || '');
+const isAnchor = (item, eventIds) => item.anchor == null || eventIds.has(item.anchor);
+const isText = (value) => value == null || typeof value === 'string';
+const isCardTeam = (team) => (team.id == null || Number.isInteger(team.id)) && isTeamColors(team)
+  && isText(team.abbr) && isText(team.name) && (team.score == null || isCount(team.score, MAX_SCORE));
+const isCard = (card) => Boolean(card) && isText(card.heading) && isText(card.sponsor)
+  && Array.isArray(card.teams ?? []) && (card.teams ?? []).every(isCardTeam)
+  && Array.isArray(card.details ?? []) && (card.details ?? []).every(line => typeof line === 'string');
+
+/**
+ * Check a timeline before it's saved or rendered
+ * @param {object} timeline
+ * @param {string} type - Package type the caller renders (optional)
+ * @returns {string|null} - What's wrong with it, or null when it's valid
+ */
+export function validateTimeline(timeline, type = null) {
+  if (!timeline || typeof timeline !== 'object') return 'timeline is required';
+  if (timeline.version !== TIMELINE_VERSION) return `Unsupported timeline version: ${timeline.version}`;
+  if (!TIMELINE_ROUTES[timeline.type]) return `Unknown timeline type: ${timeline.type}`;
+  if (type && timeline.type !== type) return `Expected a ${type} timeline, got ${timeline.type}`;
+  if (timeline.gamePk != null && !SAFE_KEY.test(String(timeline.gamePk))) return `Invalid gamePk: ${timeline.gamePk}`;
+  if (!timeline.tracks || TRACKS.some(track => !Array.isArray(timeline.tracks[track]))) {
+    return `Timeline needs tracks: ${TRACKS.join(', ')}`;
+  }
+
+  const { mix } = timeline;
+  if (!mix || !['sourceGain', 'duckGain', 'master'].every(key => isGain(mix[key]))) {
+    return `Timeline mix needs sourceGain, duckGain and master gains between 0 and ${MAX_GAIN}`;
+  }
+
+  const output = timeline.output || {};
+  if (!findExportPreset(output.exportPreset)) return `Unknown export preset: ${output.exportPreset}`;
+  const slateTemplate = output.slates ? findSlateTemplate(output.slates.template) : null;
+  if (output.slates && !slateTemplate) return `Unknown slate template: ${output.slates.template}`;
+  if (output.slates && [output.slates.open, output.slates.close].some(card => card != null && !isCard(card))) {
+    return 'Slates need text headings and details, and teams with #RRGGBB colors';
+  }
+
+  const { video, narration, music, sourceAudio, graphics } = timeline.tracks;
+  if (!video.some(event => event.kind === 'play')) return 'Timeline needs at least one play';
+
+  const eventIds = new Set();
+  for (const event of video) {
+    if (!event.id || eventIds.has(event.id)) return `Duplicate or missing video event id: ${event.id}`;
+    eventIds.add(event.id);
+    if (event.kind === 'play' && (typeof event.src !== 'string' || !event.src)) return `Play ${event.id} needs a clip URL`;
+    if (event.kind === 'transition' && !SAFE_KEY.test(event.src || '')) return `Invalid transition: ${event.src}`;
+    if (!EVENT_KINDS.includes(event.kind)) return `Unknown event kind: ${event.kind}`;
+    if (event.kind === 'card' && !hasSlates(slateTemplate)) return `Card ${event.id} needs a slate template`;
+    if (event.kind === 'card' && (!isCard(event.card) || event.out == null)) return `Card ${event.id} needs a title card and a length`;
+    if (!isSeconds(event.in)) return `Event ${event.id} needs an in point`;
+    if (event.out != null && (!isSeconds(event.out) || event.out <= event.in)) return `Event ${event.id} ends before it starts`;
+    if (!TRANSITIONS.includes(event.transition)) return `Unknown transition: ${event.transition}`;
+  }
+
+  for (const line of narration) {
+    if (!ASSET_NAME.test(line.audio || '')) return `Narration ${line.id} has no voiced audio`;
+    if (!isSeconds(line.duration)) return `Narration ${line.id} needs a duration`;
+    if (line.gain != null && !isGain(line.gain)) return `Narration ${line.id} has an invalid gain`;
+    if (!isOffset(line.offset)) return `Narration ${line.id} has an invalid offset`;
+    if (!isAnchor(line, eventIds)) return `Narration ${line.id} hangs off a missing event`;
+  }
+  for (const bed of music) {
+    if (!MUSIC_FILE.test(bed.src || '')) return `Invalid music file: ${bed.src}`;
+    if (bed.duration != null && !isSeconds(bed.duration)) return `Music ${bed.id} has an invalid duration`;
+    if (bed.gain != null && !isGain(bed.gain)) return `Music ${bed.id} has an invalid gain`;
+    if (!isOffset(bed.offset)) return `Music ${bed.id} has an invalid offset`;
+    if (!isAnchor(bed, eventIds)) return `Music ${bed.id} hangs off a missing event`;
+  }
+  for (const level of sourceAudio) {
+    if (!isGain(level.gain) || !isSeconds(level.duration)) return `Source audio ${level.id} needs a gain and duration`;
+    if (!isOffset(level.offset)) return `Source audio ${level.id} has an invalid offset`;
+    if (!isAnchor(level, eventIds)) return `Source audio ${level.id} hangs off a missing event`;
+  }
+  for (const bug of graphics) {
+    if (!eventIds.has(bug.anchor) || (bug.until != null && !eventIds.has(bug.until))) return `Graphics ${bug.id} hang off a missing event`;
+    if (!isTeamColors(bug.away) || !isTeamColors(bug.home)) return `Graphics ${bug.id} need #RRGGBB team colors`;
+    if (!isCount(bug.inning, MAX_INNING) || !isCount(bug.outs, 3)) return `Graphics ${bug.id} need a valid inning and outs`;
+  }
+
+  return null;
+}
+
+/**
+ * What went into a timeline, for the render metadata
+ * @returns {{clips: Array, script: string|null}}
+ */
+export function summarizeTimeline(timeline) {
+  const clips = timeline.tracks.video.filter(event => event.kind !== 'card').map(event => (event.kind === 'transition'
+    ? { isTransition: true, transitionKey: event.src }
+    : { videoUrl: event.src, playIndex: event.playIndex ?? null, in: event.in, out: event.out, text: event.label || null }
+  ));
+  const script = timeline.tracks.narration.map(line => line.text).filter(Boolean).join('\n\n');
+  return { clips, script: script || null };
+}
+
+/**
+ * Change one item on a track
+ * @returns {object} - New timeline
+ */
+export function updateItem(timeline, track, id, changes) {
+  return {
+    ...timeline,
+    tracks: { ...timeline.tracks, [track]: timeline.tracks[track].map(item => (item.id === id ? { ...item, ...changes } : item)) },
+  };
+}
+
+/**
+ * Remove an item - removing a video event takes the narration, levels and
+ * graphics hung off it along
+ * @returns {object} - New timeline
+ */
+export function removeItem(timeline, track, id) {
+  const tracks = { ...timeline.tracks, [track]: timeline.tracks[track].filter(item => item.id !== id) };
+  if (track === 'video') {
+    for (const other of ['narration', 'music', 'sourceAudio']) {
+      tracks[other] = tracks[other].filter(item => item.anchor !== id);
+    }
+    // Graphics spanning several events shrink to what's left of the span
+    tracks.graphics = tracks.graphics
+      .map(bug => {
+        if (bug.anchor !== id && bug.until !== id) return bug;
+        if (bug.anchor === bug.until || bug.until == null) return null;
+        const ids = timeline.tracks.video.map(event => event.id);
+        const span = ids.slice(ids.indexOf(bug.anchor), ids.indexOf(bug.until) + 1).filter(eventId => eventId !== id);
+        return span.length > 0 ? { ...bug, anchor: span[0], until: span.at(-1) } : null;
+      })
+      .filter(Boolean);
+  }
+  return { ...timeline, tracks };
+}
+
+/**
+ * Move a video event earlier (-1) or later (+1) in the program
+ * @returns {object} - New timeline
+ */
+export function moveEvent(timeline, id, delta) {
+  const video = [...timeline.tracks.video];
+  const from = video.findIndex(event => event.id === id);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= video.length) return timeline;
+  [video[from], video[to]] = [video[to], video[from]];
+  return { ...timeline, tracks: { ...timeline.tracks, video } };
+}
@@ -0,0 +1,125 @@
+/**
+ * Timelines - Saved edit decision lists (see lib/timeline.js), kept on disk
+ *
+ * Layout: <TIMELINES_DIR>/<gamePk>/<id>.json, one file per save, with the
+ * voiced narration they point at in <TIMELINES_DIR>/<gamePk>/assets/. Saving
+ * an edited timeline makes a new one whose parentId is the timeline it came
+ * from, so every render can be traced back to the cut that made it.
+ * Timelines for clips from anywhere (custom videos) live under "custom".
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const TIMELINES_DIR = process.env.TIMELINES_DIR || path.join(process.cwd(), 'timelines');
+
+// Game and timeline ids become file names, so keep them to safe characters
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+const ASSET_NAME = /^[A-Za-z0-9_-]+\.mp3$/;
+
+function getGameDir(gamePk) {
+  const id = gamePk == null ? 'custom' : String(gamePk);
+  if (!SAFE_ID.test(id)) {
+    throw new Error(`Invalid gamePk: ${gamePk}`);
+  }
+  return path.join(TIMELINES_DIR, id);
+}
+
+function newId() {
+  return `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Keep a voiced narration line for a game's timelines
+ * @param {string} gamePk - Game ID (null for custom videos)
+ * @param {Buffer} buffer - MP3 audio
+ * @returns {Promise<string>} - Asset name, for a narration item's audio
+ */
+export async function saveTimelineAsset(gamePk, buffer) {
+  const assetDir = path.join(getGameDir(gamePk), 'assets');
+  await fs.mkdir(assetDir, { recursive: true });
+  const name = `${newId()}.mp3`;
+  await fs.writeFile(path.join(assetDir, name), buffer);
+  return name;
+}
+
+/**
+ * Path to a saved narration line
+ * @param {string} gamePk - Game ID (null for custom videos)
+ * @param {string} name - From saveTimelineAsset
+ * @returns {string}
+ */
+export function getTimelineAssetPath(gamePk, name) {
+  if (!ASSET_NAME.test(name || '')) {
+    throw new Error(`Invalid timeline asset: ${name}`);
+  }
+  return path.join(getGameDir(gamePk), 'assets', name);
+}
+
+const sameEdit = (a, b) => a.type === b.type
+  && JSON.stringify([a.tracks, a.mix, a.output]) === JSON.stringify([b.tracks, b.mix, b.output]);
+
+/**
+ * Save a timeline as the newest for its game
+ * Saving the newest timeline again unchanged returns it instead of a copy.
+ * @param {object} timeline - Validated timeline; its id, if any, becomes the parentId
+ * @returns {Promise<object>} - Saved timeline
+ */
+export async function saveTimeline(timeline) {
+  const gameDir = getGameDir(timeline.gamePk);
+  const [latest] = await listTimelines(timeline.gamePk);
+  if (latest && sameEdit(latest, timeline)) return latest;
+
+  const saved = {
+    ...timeline,
+    id: newId(),
+    parentId: timeline.id || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  await fs.mkdir(gameDir, { recursive: true });
+  const filePath = path.join(gameDir, `${saved.id}.json`);
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(saved, null, 2));
+  await fs.rename(tempPath, filePath);
+  return saved;
+}
+
+/**
+ * List a game's timelines, newest first
+ * @param {string} gamePk - Game ID (null for custom videos)
+ * @returns {Promise<Array>}
+ */
+export async function listTimelines(gamePk) {
+  const gameDir = getGameDir(gamePk);
+  let files;
+  try {
+    files = await fs.readdir(gameDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const timelines = [];
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    timelines.push(JSON.parse(await fs.readFile(path.join(gameDir, file), 'utf-8')));
+  }
+  return timelines.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+}
+
+/**
+ * Get one timeline
+ * @param {string} gamePk - Game ID (null for custom videos)
+ * @param {string} timelineId - Timeline ID
+ * @returns {Promise<object|null>}
+ */
+export async function getTimeline(gamePk, timelineId) {
+  if (!SAFE_ID.test(String(timelineId))) return null;
+  try {
+    return JSON.parse(await fs.readFile(path.join(getGameDir(gamePk), `${timelineId}.json`), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
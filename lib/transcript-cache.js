@@ -0,0 +1,94 @@
+// Browser cache for clip transcriptions, shared by the clip editors (localStorage)
+
+/**
+ * Cache key for transcriptions based on video URL
+ */
+function getTranscriptCacheKey(videoUrl) {
+  return `transcript_${videoUrl}`;
+}
+
+/**
+ * Get cached transcription from localStorage
+ */
+export function getCachedTranscript(videoUrl) {
+  if (typeof window === 'undefined') return null;
+  try {
+    const cached = localStorage.getItem(getTranscriptCacheKey(videoUrl));
+    if (cached) {
+      const data = JSON.parse(cached);
+      // Cache entries expire after 7 days
+      if (data.timestamp && Date.now() - data.timestamp < 7 * 24 * 60 * 60 * 1000) {
+        return data;
+      }
+      // Remove expired cache
+      localStorage.removeItem(getTranscriptCacheKey(videoUrl));
+    }
+  } catch (e) {
+    console.error('Error reading transcript cache:', e);
+  }
+  return null;
+}
+
+/**
+ * Save transcription to localStorage cache
+ */
+export function cacheTranscript(videoUrl, words, duration) {
+  if (typeof window === 'undefined') return;
+  try {
+    localStorage.setItem(getTranscriptCacheKey(videoUrl), JSON.stringify({
+      words,
+      duration,
+      timestamp: Date.now()
+    }));
+  } catch (e) {
+    console.error('Error saving transcript cache:', e);
+    // If localStorage is full, try to clear old transcripts
+    try {
+      const keys = Object.keys(localStorage).filter(k => k.startsWith('transcript_'));
+      if (keys.length > 50) {
+        // Remove oldest half
+        keys.slice(0, 25).forEach(k => localStorage.removeItem(k));
+      }
+    } catch (e2) {
+      // Ignore cleanup errors
+    }
+  }
+}
+
+/**
+ * Clear cached transcription for a video URL
+ */
+export function clearTranscriptCache(videoUrl) {
+  if (typeof window === 'undefined') return;
+  try {
+    localStorage.removeItem(getTranscriptCacheKey(videoUrl));
+    console.log('Cleared transcript cache for:', videoUrl.substring(0, 60));
+  } catch (e) {
+    console.error('Error clearing transcript cache:', e);
+  }
+}
+
+/**
+ * Transcribe a clip via /api/transcribe, using the cache when possible
+ * @param {string} videoUrl - Clip URL
+ * @param {string} clipId - Clip identifier for server logs
+ * @returns {Promise<{words: Array, duration: number}>}
+ */
+export async function transcribeWithCache(videoUrl, clipId) {
+  const cached = getCachedTranscript(videoUrl);
+  if (cached) return { words: cached.words, duration: cached.duration };
+
+  const response = await fetch('/api/transcribe', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ videoUrl, clipId })
+  });
+
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.details || result.error || 'Transcription failed');
+  }
+
+  cacheTranscript(videoUrl, result.words, result.duration);
+  return { words: result.words, duration: result.duration };
+}
@@ -0,0 +1,151 @@
+/**
+ * Transcript Segments - Words and timed gaps as one selectable list
+ *
+ * The transcript editor shows silence between words as "_" gaps so they can
+ * be kept or cut like words. Selections are stored as segment indices in the
+ * editor and converted back to word indices for the rest of the pipeline.
+ */
+
+export const GAP_THRESHOLD = 0.3; // Minimum gap to show indicator (seconds)
+export const GAP_UNIT = 0.3; // Each "_" represents 0.3 seconds
+
+/**
+ * Build a unified list of segments (words and gaps) from the word list
+ * Each segment has: type ('word' | 'gap'), start, end, content, originalIndex (for words)
+ * @param {Array} words - Array of word objects with start/end times
+ * @param {number} totalDuration - Total duration of the clip in seconds
+ */
+export function buildSegments(words, totalDuration = 0) {
+  if (!words || words.length === 0) return [];
+
+  const segments = [];
+
+  // Helper to add gap segments
+  const addGapSegments = (gapStart, gapEnd) => {
+    const gapDuration = gapEnd - gapStart;
+    if (gapDuration >= GAP_THRESHOLD) {
+      const underscoreCount = Math.max(1, Math.round(gapDuration / GAP_UNIT));
+      let currentStart = gapStart;
+
+      for (let i = 0; i < underscoreCount; i++) {
+        const currentEnd = Math.min(currentStart + GAP_UNIT, gapEnd);
+        segments.push({
+          type: 'gap',
+          start: currentStart,
+          end: currentEnd,
+          content: '_',
+          duration: currentEnd - currentStart,
+          segmentIndex: segments.length
+        });
+        currentStart = currentEnd;
+      }
+    }
+  };
+
+  // Check for gap at the beginning (before first word)
+  if (words.length > 0 && words[0].start >= GAP_THRESHOLD) {
+    addGapSegments(0, words[0].start);
+  }
+
+  words.forEach((word, index) => {
+    // Check for gap before this word (between words)
+    if (index > 0) {
+      const prevWord = words[index - 1];
+      addGapSegments(prevWord.end, word.start);
+    }
+
+    segments.push({
+      type: 'word',
+      start: word.start,
+      end: word.end,
+      content: word.word,
+      originalIndex: index,
+      segmentIndex: segments.length
+    });
+  });
+
+  // Check for gap at the end (after last word)
+  if (words.length > 0 && totalDuration > 0) {
+    const lastWord = words[words.length - 1];
+    if (totalDuration - lastWord.end >= GAP_THRESHOLD) {
+      addGapSegments(lastWord.end, totalDuration);
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Convert segment indices to original word indices (for backward compatibility)
+ * Also includes gap time ranges
+ */
+export function segmentIndicesToWordIndices(segments, selectedSegmentIndices) {
+  const wordIndices = [];
+  for (const segIdx of selectedSegmentIndices) {
+    const seg = segments[segIdx];
+    if (seg && seg.type === 'word') {
+      wordIndices.push(seg.originalIndex);
+    }
+  }
+  return wordIndices.sort((a, b) => a - b);
+}
+
+/**
+ * Convert original word indices to segment indices
+ */
+export function wordIndicesToSegmentIndices(segments, wordIndices) {
+  const wordIndexSet = new Set(wordIndices);
+  const segmentIndices = [];
+
+  for (let i = 0; i < segments.length; i++) {
+    const seg = segments[i];
+    if (seg.type === 'word' && wordIndexSet.has(seg.originalIndex)) {
+      segmentIndices.push(i);
+    }
+  }
+
+  return segmentIndices;
+}
+
+/**
+ * Calculate total duration of selected segments
+ */
+export function calculateSelectedDuration(segments, selectedSegmentIndices) {
+  if (!selectedSegmentIndices || selectedSegmentIndices.length === 0 || !segments.length) {
+    return 0;
+  }
+
+  const sorted = [...selectedSegmentIndices].sort((a, b) => a - b);
+  let totalDuration = 0;
+  let rangeStart = null;
+  let rangeEnd = null;
+  let prevIdx = null;
+
+  for (const idx of sorted) {
+    const seg = segments[idx];
+    if (!seg) continue;
+
+    if (rangeStart === null) {
+      rangeStart = seg.start;
+      rangeEnd = seg.end;
+      prevIdx = idx;
+    } else if (idx === prevIdx + 1) {
+      // Consecutive segment
+      rangeEnd = seg.end;
+      prevIdx = idx;
+    } else {
+      // Non-consecutive - save range and start new one
+      totalDuration += rangeEnd - rangeStart;
+      rangeStart = seg.start;
+      rangeEnd = seg.end;
+      prevIdx = idx;
+    }
+  }
+
+  // Add final range
+  if (rangeStart !== null) {
+    totalDuration += rangeEnd - rangeStart;
+  }
+
+  return totalDuration;
+}
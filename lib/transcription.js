@@ -5,12 +5,13 @@ import { spawn } from 'child_process';
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
+import { transportFetch, recordedCall, apiKeyFor } from './transport';
 
 // Check if ElevenLabs API key is available
-const hasElevenLabsKey = !!process.env.ELEVENLABS_API_KEY;
+const hasElevenLabsKey = !!apiKeyFor('ELEVENLABS_API_KEY');
 
 // Initialize Gemini as fallback
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
+const genAI = new GoogleGenerativeAI(apiKeyFor('GOOGLE_AI_API_KEY'));
 
 /**
  * Extract audio from video file using ffmpeg
@@ -80,7 +81,7 @@ export async function downloadVideo(url) {
   }
 
   // MLB URLs require proper headers (especially Origin/Referer for fastball-clips.mlb.com)
-  const response = await fetch(actualUrl, {
+  const response = await transportFetch(actualUrl, {
     headers: {
       'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:92.0) Gecko/20100101 Firefox/92.0',
       'Accept': '*/*',
@@ -106,7 +107,7 @@ export async function downloadVideo(url) {
  * @returns {Promise<{words: Array, duration: number}>}
  */
 async function transcribeWithElevenLabs(audioPath) {
-  const apiKey = process.env.ELEVENLABS_API_KEY;
+  const apiKey = apiKeyFor('ELEVENLABS_API_KEY');
   if (!apiKey) {
     throw new Error('ELEVENLABS_API_KEY not set');
   }
@@ -125,7 +126,7 @@ async function transcribeWithElevenLabs(audioPath) {
   formData.append('language_code', 'en');
 
   console.log('Transcribing with ElevenLabs Scribe...');
-  const response = await fetch('https://api.elevenlabs.io/v1/speech-to-text', {
+  const response = await transportFetch('https://api.elevenlabs.io/v1/speech-to-text', {
     method: 'POST',
     headers: {
       'xi-api-key': apiKey,
@@ -191,17 +192,18 @@ Rules:
 Return ONLY the JSON array:`;
 
   console.log('Transcribing with Gemini 3 Pro...');
-  const result = await model.generateContent([
-    prompt,
-    {
-      inlineData: {
-        mimeType: 'audio/mp3',
-        data: audioBase64
+  const responseText = await recordedCall('gemini-transcribe', [prompt, audioBuffer], async () => {
+    const result = await model.generateContent([
+      prompt,
+      {
+        inlineData: {
+          mimeType: 'audio/mp3',
+          data: audioBase64
+        }
       }
-    }
-  ]);
-
-  const responseText = result.response.text();
+    ]);
+    return result.response.text();
+  });
 
   // Parse JSON from response
   let words;
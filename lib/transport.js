@@ -0,0 +1,171 @@
+/**
+ * Transport - Record and replay every outside call for offline development
+ *
+ * TRANSPORT_MODE selects the behavior:
+ * - live (default): plain network calls
+ * - record: network calls, with each response saved to the fixtures directory
+ * - replay: responses served from the fixtures directory, no network at all
+ *
+ * HTTP responses are keyed by method, URL and request body, so the same
+ * request always finds the same recording. SDK calls that can't take a custom
+ * fetch (Gemini) are recorded one level up with recordedCall.
+ *
+ * Fixtures live in TRANSPORT_FIXTURES_DIR (default ./fixtures): one
+ * <key>.json with the request summary and status, and one <key>.body with
+ * the raw response (JSON, MP3, MP4...).
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const TRANSPORT_MODE = process.env.TRANSPORT_MODE || 'live';
+
+const FIXTURES_DIR = process.env.TRANSPORT_FIXTURES_DIR || path.join(process.cwd(), 'fixtures');
+
+/**
+ * API key for an SDK client - replays work without real keys
+ * @param {string} envVar - e.g. ANTHROPIC_API_KEY
+ * @returns {string|undefined}
+ */
+export function apiKeyFor(envVar) {
+  return process.env[envVar] || (TRANSPORT_MODE === 'replay' ? 'replay' : undefined);
+}
+
+/**
+ * Stable digest of a request body (string, URLSearchParams, FormData or binary)
+ */
+async function digestBody(body) {
+  const hash = crypto.createHash('sha256');
+  if (body == null) return '';
+
+  if (typeof body === 'string' || body instanceof URLSearchParams) {
+    hash.update(body.toString());
+  } else if (body instanceof FormData) {
+    for (const [name, value] of body.entries()) {
+      hash.update(name);
+      hash.update(typeof value === 'string' ? value : Buffer.from(await value.arrayBuffer()));
+    }
+  } else if (body instanceof ArrayBuffer) {
+    hash.update(Buffer.from(body));
+  } else if (ArrayBuffer.isView(body)) {
+    hash.update(Buffer.from(body.buffer, body.byteOffset, body.byteLength));
+  } else {
+    // Streams can't be read twice - key on the URL alone
+    return 'stream';
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Fixture key for an HTTP request
+ */
+async function getRequestKey(url, init = {}) {
+  const method = (init.method || 'GET').toUpperCase();
+  const bodyDigest = await digestBody(init.body);
+  return crypto.createHash('sha256').update(`${method} ${url} ${bodyDigest}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Paths of a fixture's metadata and body files
+ */
+function getFixturePaths(key) {
+  return {
+    metaPath: path.join(FIXTURES_DIR, `${key}.json`),
+    bodyPath: path.join(FIXTURES_DIR, `${key}.body`),
+  };
+}
+
+/**
+ * Write a fixture - metadata last, so a half-written fixture is never replayed
+ */
+async function writeFixture(key, meta, body) {
+  await fs.mkdir(FIXTURES_DIR, { recursive: true });
+  const { metaPath, bodyPath } = getFixturePaths(key);
+  await fs.writeFile(bodyPath, body);
+  await fs.writeFile(metaPath, JSON.stringify({ ...meta, recordedAt: new Date().toISOString() }, null, 2));
+}
+
+/**
+ * Read a fixture, or throw if the request was never recorded
+ */
+async function readFixture(key, description) {
+  const { metaPath, bodyPath } = getFixturePaths(key);
+  try {
+    const meta = JSON.parse(await fs.readFile(metaPath, 'utf-8'));
+    const body = await fs.readFile(bodyPath);
+    return { meta, body };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No recorded response for ${description} - run with TRANSPORT_MODE=record first`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * fetch() that records or replays responses according to TRANSPORT_MODE
+ * @param {string|URL} url - Request URL
+ * @param {object} init - fetch options
+ * @returns {Promise<Response>}
+ */
+export async function transportFetch(url, init = {}) {
+  if (TRANSPORT_MODE !== 'record' && TRANSPORT_MODE !== 'replay') {
+    return fetch(url, init);
+  }
+
+  // SDKs pass Request objects as well as URLs
+  const requestUrl = typeof url === 'string' ? url : (url.url || url.toString());
+  const method = (init.method || url.method || 'GET').toUpperCase();
+  const key = await getRequestKey(requestUrl, { ...init, method });
+
+  if (TRANSPORT_MODE === 'replay') {
+    const { meta, body } = await readFixture(key, `${method} ${requestUrl}`);
+    return new Response(meta.status === 204 || meta.status === 304 ? null : body, {
+      status: meta.status,
+      headers: meta.headers,
+    });
+  }
+
+  const response = await fetch(url, init);
+  const body = Buffer.from(await response.arrayBuffer());
+  // Bodies are stored decoded, so only the type carries over
+  const contentType = response.headers.get('content-type');
+  const headers = contentType ? { 'content-type': contentType } : {};
+
+  await writeFixture(key, { method, url: requestUrl, status: response.status, headers }, body);
+
+  return new Response(response.status === 204 || response.status === 304 ? null : body, {
+    status: response.status,
+    headers,
+  });
+}
+
+/**
+ * Record or replay an SDK call that doesn't go through transportFetch
+ * @param {string} name - Call name, for the fixture key and error messages (e.g. 'gemini-transcribe')
+ * @param {Array} keyParts - Everything that determines the result (prompt, model, input digest...)
+ * @param {Function} call - async () => JSON-serializable result
+ * @returns {Promise<any>}
+ */
+export async function recordedCall(name, keyParts, call) {
+  if (TRANSPORT_MODE !== 'record' && TRANSPORT_MODE !== 'replay') {
+    return call();
+  }
+
+  const keyHash = crypto.createHash('sha256').update(name);
+  for (const part of keyParts) {
+    keyHash.update(typeof part === 'string' || Buffer.isBuffer(part) ? part : JSON.stringify(part));
+  }
+  const key = `${name}-${keyHash.digest('hex').slice(0, 24)}`;
+
+  if (TRANSPORT_MODE === 'replay') {
+    const { body } = await readFixture(key, name);
+    return JSON.parse(body.toString('utf-8'));
+  }
+
+  const result = await call();
+  await writeFixture(key, { call: name }, JSON.stringify(result));
+  return result;
+}
@@ -3,6 +3,14 @@ import { spawn } from 'child_process';
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
+import { transportFetch } from './transport';
+import { findExportPreset, isPassthroughPreset, buildExportArgs } from './export-presets';
+import { getCaptionStyle, buildCues, buildAss, buildCaptionFilter, formatSrt, formatVtt, captionSidecarPath } from './captions';
+import { buildGraphicsFilter } from './graphics';
+import { buildSlateGraph, hasSlates, findSlateTemplate, SLATE_SECONDS } from './slates';
+import { getTeamSpotLogo } from './teams';
+import { validateTimeline, layoutTimeline, buildSourceGainExpression, eventDuration } from './timeline';
+import { getTimelineAssetPath } from './timelines';
 
 /**
  * Download a video file from URL to temp directory
@@ -28,7 +36,7 @@ export async function downloadVideo(url, filename) {
   }
 
   // MLB URLs require proper headers (especially Origin/Referer for fastball-clips.mlb.com)
-  const response = await fetch(actualUrl, {
+  const response = await transportFetch(actualUrl, {
     headers: {
       'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:92.0) Gecko/20100101 Firefox/92.0',
       'Accept': '*/*',
@@ -228,9 +236,9 @@ export async function concatenateVideos(videoPaths, outputPath, transitionFrames
 /**
  * Concatenate videos with transition-aware logic:
  * - Use hard cuts (no transition) before and after inning transition clips
- * - Use dissolve transitions between regular play clips
+ * - Use dissolve transitions between regular play clips, unless the clip asks to cut in
  *
- * @param {Array<{path: string, isTransition: boolean}>} clipInfos - Clips with transition flags
+ * @param {Array<{path: string, isTransition: boolean, cut: boolean}>} clipInfos - Clips with transition flags
  * @param {string} outputPath - Output file path
  * @returns {Promise<string>} - Path to concatenated video
  */
@@ -265,6 +273,11 @@ async function concatenateVideosWithTransitionAwareness(clipInfos, outputPath) {
       // Add transition as its own segment
       segments.push({ type: 'transition', path: clip.path });
     } else {
+      // A hard cut into a play starts a new dissolve group
+      if (clip.cut && currentGroup.length > 0) {
+        segments.push({ type: 'plays', clips: currentGroup });
+        currentGroup = [];
+      }
       currentGroup.push(clip.path);
     }
   }
@@ -314,6 +327,28 @@ async function concatenateVideosWithTransitionAwareness(clipInfos, outputPath) {
   return outputPath;
 }
 
+/**
+ * Where each clip starts once joined - dissolves overlap neighbouring plays,
+ * hard cuts (around inning transitions) don't, as in
+ * concatenateVideosWithTransitionAwareness
+ * @param {Array<{duration: number, isTransition: boolean}>} clipInfos - Clips in order
+ * @param {number} dissolve - Dissolve length in seconds (concatenateVideos' default 10 frames)
+ * @returns {number[]} - Start time of each clip in the joined video
+ */
+export function getClipStartTimes(clipInfos, dissolve = 10 / 30) {
+  const starts = [];
+  let time = 0;
+
+  clipInfos.forEach((clip, i) => {
+    const previous = clipInfos[i - 1];
+    if (previous && !previous.isTransition && !clip.isTransition) time -= dissolve;
+    starts.push(Math.max(0, time));
+    time += clip.duration;
+  });
+
+  return starts;
+}
+
 /**
  * Get video duration using ffprobe
  * @param {string} videoPath - Path to video file
@@ -348,96 +383,161 @@ async function getVideoDuration(videoPath) {
 }
 
 /**
- * Add audio track to video
- * @param {string} videoPath - Input video path
- * @param {string} audioPath - Audio file path (MP3)
- * @param {string} outputPath - Output file path
- * @returns {Promise<string>} - Path to output video
+ * Get video frame size using ffprobe
+ * @param {string} videoPath - Path to video file
+ * @returns {Promise<{width: number, height: number}>}
  */
-export async function addAudioToVideo(videoPath, audioPath, outputPath) {
-  await runFFmpeg([
-    '-i', videoPath,
-    '-i', audioPath,
-    '-c:v', 'copy',
-    '-c:a', 'aac',
-    '-map', '0:v:0',
-    '-map', '1:a:0',
-    '-shortest',
-    '-y',
-    outputPath
-  ]);
+async function getVideoDimensions(videoPath) {
+  return new Promise((resolve, reject) => {
+    const ffprobe = spawn('ffprobe', [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-show_entries', 'stream=width,height',
+      '-of', 'csv=s=x:p=0',
+      videoPath
+    ]);
 
-  return outputPath;
+    let output = '';
+    ffprobe.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+
+    ffprobe.on('close', (code) => {
+      const [width, height] = output.trim().split('x').map(Number);
+      if (code === 0 && width && height) {
+        resolve({ width, height });
+      } else {
+        reject(new Error(`ffprobe failed to read frame size (code ${code})`));
+      }
+    });
+
+    ffprobe.on('error', (err) => {
+      reject(new Error(`Failed to start ffprobe: ${err.message}`));
+    });
+  });
 }
 
 /**
- * Create a highlight package from MLB video clips
- * @param {Array} highlights - Array of highlight objects with videoUrl
- * @param {Buffer} audioBuffer - Audio narration buffer (MP3)
- * @param {string} gamePk - Game ID for naming
- * @returns {Promise<string>} - Path to final video
+ * Re-encode a finished cut with an export preset
+ * @param {string} inputPath - Finished cut
+ * @param {string} outputPath - Export path
+ * @param {object} preset - From EXPORT_PRESETS (the source preset only re-encodes to burn in captions or graphics)
+ * @param {object} options
+ * @param {Array} options.focus - Subject positions on the cut's timeline, for smart crops
+ * @param {Array} options.cues - Captions to burn in (see buildCues)
+ * @param {Array} options.graphics - Score bugs and lower thirds to draw (see placeGraphics)
+ * @returns {Promise<string>} - Path to the export
  */
-export async function createHighlightPackage(highlights, audioBuffer, gamePk) {
-  const tempDir = path.join(os.tmpdir(), 'mlb-highlights', gamePk);
-  await fs.mkdir(tempDir, { recursive: true });
+export async function exportVideo(inputPath, outputPath, preset, { focus = [], cues = [], graphics = [] } = {}) {
+  const { width, height } = await getVideoDimensions(inputPath);
+  const passthrough = isPassthroughPreset(preset);
 
-  // Download all video clips
-  const videoPaths = [];
-  for (let i = 0; i < highlights.length; i++) {
-    const highlight = highlights[i];
-    if (highlight.videoUrl) {
-      try {
-        const videoPath = await downloadVideo(
-          highlight.videoUrl,
-          `clip-${i}.mp4`
-        );
-        videoPaths.push(videoPath);
-      } catch (error) {
-        console.error(`Failed to download clip ${i}:`, error);
-      }
-    }
+  // Captions are laid out for the frame they end up in
+  let assPath = null;
+  if (cues.length > 0) {
+    assPath = `${outputPath}.ass`;
+    const frame = passthrough ? { width, height } : { width: preset.width, height: preset.height };
+    await fs.writeFile(assPath, buildAss(cues, frame, getCaptionStyle(preset)));
   }
 
-  if (videoPaths.length === 0) {
-    throw new Error('No video clips could be downloaded');
+  try {
+    if (passthrough) {
+      const filters = [
+        graphics.length > 0 && buildGraphicsFilter(graphics, { width, height }, getCaptionStyle(preset)),
+        assPath && buildCaptionFilter(assPath),
+      ];
+      await runFFmpeg([
+        '-i', inputPath,
+        '-vf', filters.filter(Boolean).join(','),
+        '-c:v', 'libx264',
+        '-preset', 'fast',
+        '-crf', '20',
+        '-c:a', 'copy',
+        '-movflags', '+faststart',
+        '-y',
+        outputPath
+      ]);
+    } else {
+      await runFFmpeg(buildExportArgs(preset, inputPath, outputPath, { width, height, focus, captions: assPath, graphics }));
+    }
+  } finally {
+    if (assPath) await fs.unlink(assPath).catch(() => {});
   }
 
-  // Concatenate all clips
-  const concatenatedPath = path.join(tempDir, 'concatenated.mp4');
-  await concatenateVideos(videoPaths, concatenatedPath);
+  return outputPath;
+}
 
-  // Save audio to file
-  const audioPath = path.join(tempDir, 'narration.mp3');
-  await fs.writeFile(audioPath, audioBuffer);
+/**
+ * Write SRT and WebVTT sidecars next to a video
+ * @param {string} videoPath - Deliverable the cues are timed to
+ * @param {Array} cues - From buildCues
+ * @param {object} style - From getCaptionStyle
+ */
+async function writeCaptionSidecars(videoPath, cues, style) {
+  await fs.writeFile(captionSidecarPath(videoPath, 'srt'), formatSrt(cues, style));
+  await fs.writeFile(captionSidecarPath(videoPath, 'vtt'), formatVtt(cues, style));
+}
 
-  // Add audio to video
-  const finalPath = path.join(tempDir, `highlight-package-${gamePk}.mp4`);
-  await addAudioToVideo(concatenatedPath, audioPath, finalPath);
+/**
+ * Team logo as a local PNG for ffmpeg - downloaded once into the temp dir
+ * @param {number} teamId - MLB team ID
+ * @returns {Promise<string|null>} - Path, or null when it can't be had (slates draw a badge instead)
+ */
+async function getLogoPath(teamId) {
+  if (!teamId) return null;
+  const logoDir = path.join(os.tmpdir(), 'mlb-highlights', 'logos');
+  const logoPath = path.join(logoDir, `${teamId}.png`);
 
-  // Clean up intermediate files
-  for (const videoPath of videoPaths) {
-    await fs.unlink(videoPath).catch(() => {});
+  try {
+    await fs.access(logoPath);
+    return logoPath;
+  } catch {
+    // Not cached yet
   }
-  await fs.unlink(concatenatedPath).catch(() => {});
-  await fs.unlink(audioPath).catch(() => {});
 
-  return finalPath;
+  try {
+    const response = await transportFetch(getTeamSpotLogo(teamId));
+    if (!response.ok) {
+      throw new Error(`Failed to download logo: ${response.status}`);
+    }
+    await fs.mkdir(logoDir, { recursive: true });
+    await fs.writeFile(logoPath, Buffer.from(await response.arrayBuffer()));
+    return logoPath;
+  } catch (error) {
+    console.error(`Failed to get logo for team ${teamId}:`, error);
+    return null;
+  }
 }
 
 /**
- * Trim video to specific duration
- * @param {string} inputPath - Input video path
+ * Render a title card or end slate as a silent clip
+ * @param {object} card - From one of the slate helpers (see gameSlates)
+ * @param {object} template - From SLATE_TEMPLATES
  * @param {string} outputPath - Output video path
- * @param {number} startTime - Start time in seconds
- * @param {number} duration - Duration in seconds
- * @returns {Promise<string>} - Path to trimmed video
+ * @param {object} frame
+ * @param {number} frame.width - Frame size - the cut's, so the slate joins it without scaling
+ * @param {number} frame.height
+ * @param {number} frame.duration - Seconds on screen
+ * @param {number} frame.keepAspect - Width/height the export keeps, when it crops
+ * @returns {Promise<string>} - Path to the slate
  */
-export async function trimVideo(inputPath, outputPath, startTime, duration) {
+export async function renderSlate(card, template, outputPath, { width, height, duration, keepAspect = null }) {
+  const logoPaths = await Promise.all((card.teams || []).map(team => getLogoPath(team.id)));
+  const graph = buildSlateGraph(card, template, { width, height, duration, keepAspect, logos: logoPaths.map(Boolean) });
+
   await runFFmpeg([
-    '-i', inputPath,
-    '-ss', startTime.toString(),
-    '-t', duration.toString(),
-    '-c', 'copy',
+    '-f', 'lavfi', '-i', `color=c=0x041E42:s=${width}x${height}:r=30:d=${duration}`,
+    '-f', 'lavfi', '-i', 'anullsrc=r=48000:cl=stereo',
+    ...logoPaths.filter(Boolean).flatMap(logoPath => ['-loop', '1', '-i', logoPath]),
+    '-filter_complex', graph,
+    '-map', '[slate]',
+    '-map', '1:a',
+    '-t', String(duration),
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '20',
+    '-c:a', 'aac',
+    '-b:a', '192k',
     '-y',
     outputPath
   ]);
@@ -445,6 +545,103 @@ export async function trimVideo(inputPath, outputPath, startTime, duration) {
   return outputPath;
 }
 
+/**
+ * Put a title card before a cut and an end slate after it, and move the
+ * cut's timeline along to match
+ * @param {string} cutPath - Finished cut (replaced by the slated cut)
+ * @param {object} slates - { template, open, close } - open and close are cards, either may be null
+ * @param {object} preset - Export preset - slates are laid out in the part it keeps
+ * @param {object} timeline - As for applyExportPreset
+ * @returns {Promise<{path: string, timeline: object}>}
+ */
+async function addSlates(cutPath, { template, open = null, close = null }, preset, { focus = [], words = [], narration = [], graphics = [] }) {
+  const { width, height } = await getVideoDimensions(cutPath);
+  const cutDuration = await getVideoDuration(cutPath);
+  const keepAspect = isPassthroughPreset(preset) ? null : preset.width / preset.height;
+  const slatePath = (name) => cutPath.replace(/\.mp4$/, `.${name}.mp4`);
+
+  const slatePaths = [];
+  if (open) slatePaths.push(await renderSlate(open, template, slatePath('open'), { width, height, duration: SLATE_SECONDS.open, keepAspect }));
+  const parts = [...slatePaths, cutPath];
+  if (close) {
+    const closePath = await renderSlate(close, template, slatePath('close'), { width, height, duration: SLATE_SECONDS.close, keepAspect });
+    slatePaths.push(closePath);
+    parts.push(closePath);
+  }
+
+  const slatedPath = slatePath('slated');
+  await concatenateVideosSimple(parts, slatedPath);
+  for (const filePath of [cutPath, ...slatePaths]) {
+    await fs.unlink(filePath).catch(() => {});
+  }
+
+  // Slates hold the crop on the middle of the frame, where they're laid out
+  const offset = open ? SLATE_SECONDS.open : 0;
+  const shift = (item) => ({ ...item, start: item.start + offset, ...(item.end != null && { end: item.end + offset }) });
+  return {
+    path: slatedPath,
+    timeline: {
+      focus: focus.length === 0 ? [] : [
+        ...(open ? [{ time: 0, x: 0.5 }, { time: offset, x: 0.5 }] : []),
+        ...focus.map(point => ({ ...point, time: point.time + offset })),
+        ...(close ? [{ time: offset + cutDuration, x: 0.5 }] : []),
+      ],
+      words: words.map(shift),
+      narration: narration.map(shift),
+      graphics: graphics.map(shift),
+    },
+  };
+}
+
+/**
+ * Last step of every package builder - add slates, then export the cut in the
+ * requested preset, caption it and draw play graphics. The cut is replaced by
+ * the export; the source preset returns it untouched unless captions are
+ * burned in or there are graphics to draw. Caption sidecars (see
+ * captionSidecarPath) are written whenever there is anything to caption.
+ * @param {string} cutPath - Finished cut
+ * @param {object} options - Builder options
+ * @param {string} options.exportPreset - EXPORT_PRESETS id (default 'source')
+ * @param {boolean} options.burnCaptions - Burn captions into the picture
+ * @param {object} options.slates - { template, open, close } - generated title card and end slate (see gameSlates)
+ * @param {Function} onProgress - Progress callback
+ * @param {object} timeline - What happens when in the cut
+ * @param {Array} timeline.focus - Subject positions, when the clips were analyzed
+ * @param {Array} timeline.words - Kept clip commentary (see mapWordsToCut)
+ * @param {Array} timeline.narration - Voiced lines as {text, start, duration}
+ * @param {Array} timeline.graphics - Play graphics (see placeGraphics) - only clips given graphics have any
+ * @returns {Promise<string>} - Path to the deliverable
+ */
+async function applyExportPreset(cutPath, { exportPreset, burnCaptions = false, slates = null } = {}, onProgress = () => {}, timeline = {}) {
+  const preset = findExportPreset(exportPreset);
+  if (!preset) {
+    throw new Error(`Unknown export preset: ${exportPreset}`);
+  }
+
+  if (hasSlates(slates?.template) && (slates.open || slates.close)) {
+    onProgress({ stage: 'slating' });
+    ({ path: cutPath, timeline } = await addSlates(cutPath, slates, preset, timeline));
+  }
+  const { focus = [], words = [], narration = [], graphics = [] } = timeline;
+
+  const style = getCaptionStyle(preset);
+  const cues = buildCues({ words, narration }, style);
+  const burn = burnCaptions && cues.length > 0;
+
+  let deliverable = cutPath;
+  if (!isPassthroughPreset(preset) || burn || graphics.length > 0) {
+    onProgress({ stage: 'exporting' });
+    deliverable = cutPath.replace(/\.mp4$/, `.${preset.id}.${preset.container || 'mp4'}`);
+    await exportVideo(cutPath, deliverable, preset, { focus, cues: burn ? cues : [], graphics });
+    await fs.unlink(cutPath).catch(() => {});
+  }
+
+  if (cues.length > 0) {
+    await writeCaptionSidecars(deliverable, cues, style);
+  }
+  return deliverable;
+}
+
 /**
  * Clean up temp files for a game
  * @param {string} gamePk - Game ID
@@ -458,183 +655,196 @@ export async function cleanupTempFiles(gamePk) {
   }
 }
 
+// Local sources a timeline can name by key (read per render, so tests can point them elsewhere)
+const getTransitionPath = (key) => path.join(process.env.INNINGS_DIR || path.join(process.cwd(), 'innings'), `${key}.mp4`);
+const getMusicPath = (file) => path.join(process.env.MUSIC_DIR || path.join(process.cwd(), 'music'), file);
+
 /**
- * Create a synced highlight package with audio ducking
- * Narration is positioned relative to action timestamps in each clip
- *
- * @param {Array} clipsWithAnalysis - Clips with Gemini timing analysis
- * @param {Array} audioSegments - Array of {audioBuffer, timing, clipId, startOffset}
- * @param {string} gamePk - Game ID for naming
- * @returns {Promise<string>} - Path to final video
+ * Render a timeline (see lib/timeline.js) - the one renderer behind the
+ * highlight, synced, custom and rundown videos, roundups, series recaps and
+ * player reels
+ * Each video event is cut from its source (downloaded once however many
+ * events use it) or drawn (title cards) and joined with its transition; the clips' own audio is then
+ * leveled and ducked under narration, narration and music are laid over it,
+ * and the result goes through applyExportPreset with the timeline's output
+ * settings. Events whose source fails are dropped, along with what hangs off
+ * them.
+ * @param {object} timeline - Validated timeline
+ * @param {Function} onProgress - Optional progress callback ({ stage, current, total })
+ * @param {string} tempId - Temp folder for the render (see cleanupTempFiles) - the gamePk unless
+ *   renders of the same game could run side by side
+ * @returns {Promise<string>} - Path to the deliverable
  */
-export async function createSyncedPackage(clipsWithAnalysis, audioSegments, gamePk) {
-  const tempDir = path.join(os.tmpdir(), 'mlb-highlights', gamePk);
+export async function renderTimeline(timeline, onProgress = () => {}, tempId = timeline.gamePk || 'custom') {
+  const problem = validateTimeline(timeline);
+  if (problem) {
+    throw new Error(`Invalid timeline: ${problem}`);
+  }
+
+  const name = timeline.gamePk || 'custom';
+  const tempDir = path.join(os.tmpdir(), 'mlb-highlights', tempId);
   await fs.mkdir(tempDir, { recursive: true });
 
-  // Step 1: Download and trim all video clips
-  const processedClips = [];
-  let totalDuration = 0;
+  const events = timeline.tracks.video;
+  const sources = new Map();
+  const cuts = [];
+  const filesToCleanup = [];
+
+  for (let i = 0; i < events.length; i++) {
+    const event = events[i];
 
-  for (let i = 0; i < clipsWithAnalysis.length; i++) {
-    const clip = clipsWithAnalysis[i];
-    if (!clip.videoUrl) continue;
+    // Title cards are drawn once the plays' frame size is known
+    if (event.kind === 'card') {
+      cuts.push({ event, isCard: true });
+      continue;
+    }
+
+    // Inning transition cards are local files, used as they are
+    if (event.kind === 'transition') {
+      const transitionPath = getTransitionPath(event.src);
+      try {
+        await fs.access(transitionPath);
+        cuts.push({ event, path: transitionPath, isTransition: true });
+      } catch {
+        console.warn(`Transition file not found: ${event.src}.mp4, skipping`);
+      }
+      continue;
+    }
 
     try {
-      // Download original clip
-      const originalPath = await downloadVideo(clip.videoUrl, `original-${i}.mp4`);
-
-      // Get trim points from analysis
-      const analysis = clip.analysis || {};
-      const clipDuration = await getVideoDuration(originalPath);
-
-      // Calculate trim: keep action with buffer
-      const actionStart = analysis.action_start_seconds || 0;
-      const actionEnd = analysis.action_end_seconds || clipDuration;
-      const buffer = 1.5; // seconds before/after action
-
-      const trimStart = Math.max(0, actionStart - buffer);
-      const trimEnd = Math.min(clipDuration, actionEnd + buffer);
-      const trimDuration = trimEnd - trimStart;
-
-      // Trim the clip
-      const trimmedPath = path.join(tempDir, `trimmed-${i}.mp4`);
-      await trimVideo(originalPath, trimmedPath, trimStart, trimDuration);
-
-      processedClips.push({
-        clipId: clip.id,
-        path: trimmedPath,
-        duration: trimDuration,
-        startInFinal: totalDuration,
-        actionPeakInClip: (analysis.action_peak_seconds || actionStart + 1) - trimStart,
-        originalPath,
-      });
-
-      totalDuration += trimDuration;
+      if (!sources.has(event.src)) {
+        onProgress({ stage: 'downloading', current: i + 1, total: events.length });
+        const sourcePath = await downloadVideo(event.src, path.join(tempId, `clip-${i}.mp4`)).catch(error => {
+          console.error(`Failed to download ${event.src}:`, error);
+          return null;
+        });
+        sources.set(event.src, sourcePath);
+        if (sourcePath) filesToCleanup.push(sourcePath);
+      }
+      const sourcePath = sources.get(event.src);
+      if (!sourcePath) continue;
+
+      // Whole clips need no trim
+      if (event.in === 0 && event.out == null) {
+        cuts.push({ event, path: sourcePath });
+        continue;
+      }
+
+      onProgress({ stage: 'trimming', current: i + 1, total: events.length });
+      const trimmedPath = path.join(tempDir, `event-${i}.mp4`);
+      const end = event.out ?? await getVideoDuration(sourcePath);
+      await trimToSegments(sourcePath, trimmedPath, [{ start: event.in, end }]);
+      cuts.push({ event, path: trimmedPath });
+      filesToCleanup.push(trimmedPath);
     } catch (error) {
-      console.error(`Failed to process clip ${i}:`, error);
+      console.error(`Failed to process ${event.id}:`, error);
     }
   }
 
-  if (processedClips.length === 0) {
+  const firstPlay = cuts.find(cut => !cut.isTransition && !cut.isCard);
+  if (!firstPlay) {
     throw new Error('No clips could be processed');
   }
 
-  // Step 2: Concatenate trimmed clips
-  const concatenatedPath = path.join(tempDir, 'concatenated.mp4');
-  await concatenateVideos(processedClips.map(c => c.path), concatenatedPath);
-
-  // Step 3: Save all audio segments as files
-  const audioFiles = [];
-  for (let i = 0; i < audioSegments.length; i++) {
-    const segment = audioSegments[i];
-    const audioPath = path.join(tempDir, `narration-${i}.mp3`);
-    await fs.writeFile(audioPath, segment.audioBuffer);
-
-    // Find the clip this audio belongs to
-    const clipInfo = processedClips.find(c => c.clipId === segment.clipId);
-    if (!clipInfo) continue;
-
-    // Calculate when to start this audio in the final video
-    let audioStartTime;
-    if (segment.timing === 'before_action') {
-      // Start before the action peak
-      audioStartTime = clipInfo.startInFinal + clipInfo.actionPeakInClip - segment.duration - 0.5;
-    } else if (segment.timing === 'during_action') {
-      // Start at action peak
-      audioStartTime = clipInfo.startInFinal + clipInfo.actionPeakInClip;
-    } else if (segment.timing === 'after_action') {
-      // Start after action peak
-      audioStartTime = clipInfo.startInFinal + clipInfo.actionPeakInClip + 1;
-    } else if (segment.timing === 'bridge') {
-      // Bridge plays at the start of the clip
-      audioStartTime = clipInfo.startInFinal;
-    } else {
-      // Default: proportional position
-      audioStartTime = clipInfo.startInFinal + (segment.startOffset || 0);
+  // Cards at the plays' frame size, laid out in the part the export keeps, so they dissolve into them
+  const cards = cuts.filter(cut => cut.isCard);
+  if (cards.length > 0) {
+    onProgress({ stage: 'slating' });
+    const frame = await getVideoDimensions(firstPlay.path);
+    const preset = findExportPreset(timeline.output.exportPreset);
+    const template = findSlateTemplate(timeline.output.slates.template);
+    for (const cut of cards) {
+      try {
+        cut.path = await renderSlate(cut.event.card, template, path.join(tempDir, `${cut.event.id}-card.mp4`), {
+          ...frame,
+          duration: eventDuration(cut.event),
+          keepAspect: isPassthroughPreset(preset) ? null : preset.width / preset.height,
+        });
+        filesToCleanup.push(cut.path);
+      } catch (error) {
+        console.error(`Failed to render card ${cut.event.id}:`, error);
+      }
     }
-
-    audioFiles.push({
-      path: audioPath,
-      startTime: Math.max(0, audioStartTime),
-      duration: segment.duration,
-    });
   }
+  const rendered = cuts.filter(cut => cut.path);
 
-  // Step 4: Build complex FFmpeg filter for audio mixing with ducking
-  const finalPath = path.join(tempDir, `synced-${gamePk}.mp4`);
-
-  if (audioFiles.length === 0) {
-    // No narration, just use video with original audio at reduced volume
-    await runFFmpeg([
-      '-i', concatenatedPath,
-      '-af', 'volume=0.7',
-      '-c:v', 'copy',
-      '-y',
-      finalPath
-    ]);
-  } else {
-    // Complex mix with ducking
-    await mixAudioWithDucking(concatenatedPath, audioFiles, finalPath, totalDuration);
+  // Lay the other tracks out on what was actually cut
+  for (const cut of rendered) {
+    cut.duration = await getVideoDuration(cut.path);
   }
+  const kept = { ...timeline, tracks: { ...timeline.tracks, video: rendered.map(cut => cut.event) } };
+  const layout = layoutTimeline(kept, rendered.map(cut => cut.duration));
 
-  // Cleanup intermediate files
-  for (const clip of processedClips) {
-    await fs.unlink(clip.originalPath).catch(() => {});
-    await fs.unlink(clip.path).catch(() => {});
-  }
-  await fs.unlink(concatenatedPath).catch(() => {});
-  for (const audio of audioFiles) {
-    await fs.unlink(audio.path).catch(() => {});
+  onProgress({ stage: 'concatenating' });
+  const cutPath = path.join(tempDir, `${timeline.type}-${name}.mp4`);
+  await concatenateVideosWithTransitionAwareness(
+    rendered.map(cut => ({ path: cut.path, isTransition: Boolean(cut.isTransition), cut: cut.event.transition === 'cut' })),
+    cutPath
+  );
+  for (const filePath of filesToCleanup) {
+    await fs.unlink(filePath).catch(() => {});
   }
 
-  return finalPath;
+  let mixedPath = cutPath;
+  const sourceGain = buildSourceGainExpression(layout, timeline.mix);
+  if (sourceGain !== '1' || timeline.mix.master !== 1 || layout.narration.length > 0 || layout.music.length > 0) {
+    onProgress({ stage: 'mixing' });
+    mixedPath = path.join(tempDir, `${timeline.type}-${name}.mixed.mp4`);
+    await mixTimelineAudio(cutPath, layout, timeline, sourceGain, mixedPath);
+    await fs.unlink(cutPath).catch(() => {});
+  }
+
+  const { exportPreset, burnCaptions, slates } = timeline.output;
+  return applyExportPreset(mixedPath, {
+    exportPreset,
+    burnCaptions,
+    slates: slates && { ...slates, template: findSlateTemplate(slates.template) },
+  }, onProgress, {
+    focus: layout.focus,
+    words: layout.words,
+    narration: layout.narration.map(line => ({ text: line.text, start: line.start, duration: line.duration })),
+    graphics: layout.graphics,
+  });
 }
 
 /**
- * Mix multiple audio segments with video, applying ducking to original audio
- * @param {string} videoPath - Path to video with original audio
- * @param {Array} audioFiles - Array of {path, startTime, duration}
+ * Mix a timeline's audio over its joined cut - the clips' own audio at the
+ * source gain expression, each narration line and music bed delayed to where
+ * it starts, then the master gain
+ * @param {string} videoPath - Joined cut
+ * @param {object} layout - From layoutTimeline
+ * @param {object} timeline - For the mix and where its narration is kept
+ * @param {string} sourceGain - From buildSourceGainExpression
  * @param {string} outputPath - Output file path
- * @param {number} totalDuration - Total video duration
  */
-async function mixAudioWithDucking(videoPath, audioFiles, outputPath, totalDuration) {
-  // Build input arguments
+async function mixTimelineAudio(videoPath, layout, timeline, sourceGain, outputPath) {
   const inputs = ['-i', videoPath];
-  for (const audio of audioFiles) {
-    inputs.push('-i', audio.path);
-  }
-
-  // Build filter complex
-  // 1. Extract video's original audio and apply base ducking
-  // 2. Delay each narration audio to its start time
-  // 3. Mix all together
-
-  const filterParts = [];
-
-  // Original audio (ducked to 20% during narration)
-  // Create a volume envelope that ducks during narration times
-  const volumeKeyframes = buildDuckingKeyframes(audioFiles, totalDuration);
-  filterParts.push(`[0:a]volume='${volumeKeyframes}':eval=frame[bg]`);
+  const filterParts = [`[0:a]volume='${sourceGain}':eval=frame[src]`];
+  const mixInputs = ['[src]'];
 
-  // Delay each narration to its position and boost volume
-  const delayedAudios = [];
-  for (let i = 0; i < audioFiles.length; i++) {
-    const delayMs = Math.round(audioFiles[i].startTime * 1000);
-    // Boost narration to 2x volume so it's prominent over stadium audio
-    filterParts.push(`[${i + 1}:a]volume=2.0,adelay=${delayMs}|${delayMs}[a${i}]`);
-    delayedAudios.push(`[a${i}]`);
+  const addInput = (inputPath, filters, start) => {
+    const n = mixInputs.length;
+    const delayMs = Math.round(start * 1000);
+    inputs.push('-i', inputPath);
+    filterParts.push(`[${n}:a]${filters},adelay=${delayMs}|${delayMs}[in${n}]`);
+    mixInputs.push(`[in${n}]`);
+  };
+  for (const line of layout.narration) {
+    addInput(getTimelineAssetPath(timeline.gamePk, line.audio), `volume=${line.gain ?? 1}`, line.start);
+  }
+  for (const bed of layout.music) {
+    addInput(getMusicPath(bed.src), `atrim=0:${bed.duration.toFixed(3)},volume=${bed.gain ?? 1}`, bed.start);
   }
 
-  // Mix all audio together with normalize=0 to prevent volume reduction
-  // Then boost the final output to compensate
-  const allInputs = ['[bg]', ...delayedAudios].join('');
-  filterParts.push(`${allInputs}amix=inputs=${audioFiles.length + 1}:duration=first:dropout_transition=2:normalize=0,volume=1.5[aout]`);
-
-  const filterComplex = filterParts.join(';');
+  // normalize=0 keeps each input at its own level
+  const master = `volume=${timeline.mix.master}`;
+  filterParts.push(mixInputs.length === 1
+    ? `[src]${master}[aout]`
+    : `${mixInputs.join('')}amix=inputs=${mixInputs.length}:duration=first:dropout_transition=2:normalize=0,${master}[aout]`);
 
   await runFFmpeg([
     ...inputs,
-    '-filter_complex', filterComplex,
+    '-filter_complex', filterParts.join(';'),
     '-map', '0:v',
     '-map', '[aout]',
     '-c:v', 'copy',
@@ -644,38 +854,6 @@ async function mixAudioWithDucking(videoPath, audioFiles, outputPath, totalDurat
   ]);
 }
 
-/**
- * Build FFmpeg volume keyframes expression for ducking
- * @param {Array} audioFiles - Narration segments with timing
- * @param {number} totalDuration - Total duration
- * @returns {string} - FFmpeg volume expression
- */
-function buildDuckingKeyframes(audioFiles, totalDuration) {
-  // Simple approach: duck to 20% whenever narration is playing
-  // For more precision, would use enable expressions
-
-  // Build a piecewise expression
-  // if(between(t,start1,end1),0.2,if(between(t,start2,end2),0.2,...,0.7))
-
-  if (audioFiles.length === 0) {
-    return '0.7'; // No ducking needed
-  }
-
-  // Sort by start time
-  const sorted = [...audioFiles].sort((a, b) => a.startTime - b.startTime);
-
-  // Build nested if expression
-  let expr = '0.7'; // Default volume when not ducking
-  for (let i = sorted.length - 1; i >= 0; i--) {
-    const seg = sorted[i];
-    const start = seg.startTime.toFixed(2);
-    const end = (seg.startTime + seg.duration + 0.5).toFixed(2); // Extra 0.5s tail
-    expr = `if(between(t,${start},${end}),0.2,${expr})`;
-  }
-
-  return expr;
-}
-
 /**
  * Get audio duration using ffprobe
  * @param {string} audioPath - Path to audio file
@@ -751,109 +929,3 @@ export async function trimToSegments(inputPath, outputPath, segments) {
 
   return outputPath;
 }
-
-/**
- * Create a highlight video from multiple clips with selected word segments
- *
- * @param {Array} clipsWithSelections - Array of {videoUrl, segments} or {isTransition, transitionPath}
- * @param {string} gamePk - Game ID for naming
- * @param {string} titleCardUrl - Optional URL to highlight video with title card intro
- * @returns {Promise<string>} - Path to final video
- */
-export async function createRundownVideo(clipsWithSelections, gamePk, titleCardUrl = null) {
-  const tempDir = path.join(os.tmpdir(), 'mlb-highlights', gamePk);
-  await fs.mkdir(tempDir, { recursive: true });
-
-  // Track clips with their transition status as we build the list
-  const clipInfos = [];
-  const filesToCleanup = [];
-
-  // If we have a title card URL, extract first 1.5 seconds
-  if (titleCardUrl) {
-    try {
-      console.log('Adding title card from highlights video...');
-      const titleCardDownload = await downloadVideo(titleCardUrl, 'title-card-source.mp4');
-      const titleCardPath = path.join(tempDir, 'title-card.mp4');
-
-      // Extract first 1.5 seconds with audio fade out
-      await runFFmpeg([
-        '-i', titleCardDownload,
-        '-t', '1.5',
-        '-c:v', 'libx264',
-        '-c:a', 'aac',
-        '-af', 'afade=t=out:st=1.2:d=0.3',
-        '-y',
-        titleCardPath
-      ]);
-
-      clipInfos.push({ path: titleCardPath, isTransition: false });
-      filesToCleanup.push(titleCardPath);
-      await fs.unlink(titleCardDownload).catch(() => {});
-    } catch (error) {
-      console.error('Failed to extract title card:', error);
-      // Continue without title card
-    }
-  }
-
-  for (let i = 0; i < clipsWithSelections.length; i++) {
-    const clip = clipsWithSelections[i];
-
-    // Handle inning transition clips (local files, no processing needed)
-    if (clip.isTransition && clip.transitionPath) {
-      try {
-        // Verify file exists
-        await fs.access(clip.transitionPath);
-        // Add the transition - mark it as a transition for hard cuts
-        clipInfos.push({ path: clip.transitionPath, isTransition: true });
-        // Don't add to cleanup - these are source files, not temp files
-        console.log(`Added transition: ${path.basename(clip.transitionPath)}`);
-      } catch (error) {
-        console.error(`Transition file not accessible: ${clip.transitionPath}`, error);
-      }
-      continue;
-    }
-
-    // Handle regular play clips with segments
-    const { videoUrl, segments } = clip;
-
-    if (!segments || segments.length === 0) continue;
-
-    try {
-      // Download video
-      const downloadedPath = await downloadVideo(videoUrl, `clip-${i}.mp4`);
-
-      // Trim to selected segments
-      const trimmedPath = path.join(tempDir, `trimmed-${i}.mp4`);
-      await trimToSegments(downloadedPath, trimmedPath, segments);
-
-      clipInfos.push({ path: trimmedPath, isTransition: false });
-      filesToCleanup.push(trimmedPath);
-
-      // Cleanup downloaded file
-      await fs.unlink(downloadedPath).catch(() => {});
-    } catch (error) {
-      console.error(`Failed to process clip ${i}:`, error);
-    }
-  }
-
-  if (clipInfos.length === 0) {
-    throw new Error('No clips could be processed');
-  }
-
-  console.log(`Processing ${clipInfos.length} clips:`, clipInfos.map(c =>
-    `${path.basename(c.path)}${c.isTransition ? ' (transition)' : ''}`
-  ).join(', '));
-
-  // Concatenate with smart transitions:
-  // - Hard cuts before/after inning transitions
-  // - Dissolves between regular play clips
-  const finalPath = path.join(tempDir, `rundown-${gamePk}.mp4`);
-  await concatenateVideosWithTransitionAwareness(clipInfos, finalPath);
-
-  // Cleanup temp files only (not transition source files)
-  for (const filePath of filesToCleanup) {
-    await fs.unlink(filePath).catch(() => {});
-  }
-
-  return finalPath;
-}
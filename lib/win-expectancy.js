@@ -0,0 +1,114 @@
+/**
+ * Win Expectancy Model
+ * Looks up win probability, run expectancy and leverage for a game state
+ *
+ * Backed by the tables in lib/data/win-expectancy.js (regenerate with
+ * scripts/build-win-expectancy.js), keyed by inning, half, outs, runners on
+ * base and score differential.
+ */
+
+import {
+  RUN_DISTRIBUTION,
+  HALF_INNING_START,
+  PA_TRANSITIONS,
+  AVERAGE_PA_SWING,
+  MAX_SCORE_DIFF,
+  EXTRA_INNING,
+} from './data/win-expectancy';
+
+// Base state bitmask: 1 = runner on first, 2 = second, 4 = third
+export const BASE_BITS = { '1B': 1, '2B': 2, '3B': 4 };
+
+// Distribution rows are printed to 5 places and sum to exactly 1 there - weighting in
+// whole units keeps float error from pushing a win probability past 0 or 1
+const RUN_UNITS = 1e5;
+const RUN_DISTRIBUTION_UNITS = RUN_DISTRIBUTION.map(row => row.map(p => Math.round(p * RUN_UNITS)));
+
+/**
+ * Home win expectancy at the start of a half-inning
+ */
+function halfInningStart(inning, isTop, scoreDiff) {
+  const row = HALF_INNING_START[Math.min(inning, EXTRA_INNING) - 1][isTop ? 0 : 1];
+  const diff = Math.max(-MAX_SCORE_DIFF, Math.min(MAX_SCORE_DIFF, scoreDiff));
+  return row[diff + MAX_SCORE_DIFF];
+}
+
+/**
+ * Home win expectancy once a half-inning is over (or the game, if it ended there)
+ */
+function halfInningEnd(inning, isTop, scoreDiff) {
+  if (isTop) {
+    // Home team leading after the top of the 9th doesn't need to bat
+    if (inning >= 9 && scoreDiff > 0) return 1;
+    return halfInningStart(inning, false, scoreDiff);
+  }
+
+  if (inning >= 9 && scoreDiff !== 0) {
+    return scoreDiff > 0 ? 1 : 0;
+  }
+  return halfInningStart(inning + 1, true, scoreDiff);
+}
+
+/**
+ * Estimate the home team's win probability for a game state
+ * @param {object} state
+ * @param {number} state.inning - Inning number
+ * @param {boolean} state.isTop - Top of the inning
+ * @param {number} state.outs - Outs (3 = half-inning over)
+ * @param {number} state.bases - Base state bitmask (1 = first, 2 = second, 4 = third)
+ * @param {number} state.homeScore
+ * @param {number} state.awayScore
+ * @returns {number} - Home win probability (0-1)
+ */
+export function estimateWinProbability({ inning = 1, isTop = true, outs = 0, bases = 0, homeScore = 0, awayScore = 0 }) {
+  const scoreDiff = homeScore - awayScore;
+
+  if (outs >= 3) {
+    return halfInningEnd(inning, isTop, scoreDiff);
+  }
+
+  // Weight each outcome of the rest of this half-inning by how likely it is
+  const runDistribution = RUN_DISTRIBUTION_UNITS[outs * 8 + (bases & 7)];
+  return runDistribution.reduce((wp, units, runs) => {
+    const diffAtEnd = isTop ? scoreDiff - runs : scoreDiff + runs;
+    return wp + units * halfInningEnd(inning, isTop, diffAtEnd);
+  }, 0) / RUN_UNITS;
+}
+
+/**
+ * Expected runs scored in the rest of the half-inning from a base/out state
+ * @param {number} outs - Outs (0-2)
+ * @param {number} bases - Base state bitmask
+ * @returns {number}
+ */
+export function getRunExpectancy(outs, bases) {
+  if (outs >= 3) return 0;
+  return RUN_DISTRIBUTION[outs * 8 + (bases & 7)].reduce((sum, p, runs) => sum + p * runs, 0);
+}
+
+/**
+ * Leverage index - how much the next plate appearance can swing the game,
+ * relative to an average plate appearance (1.0 = average, 2.0+ = high leverage)
+ * @param {object} state - Same shape as estimateWinProbability
+ * @returns {number}
+ */
+export function getLeverageIndex(state) {
+  const { inning = 1, isTop = true, outs = 0, bases = 0, homeScore = 0, awayScore = 0 } = state;
+  if (outs >= 3) return 0;
+
+  const current = estimateWinProbability(state);
+
+  const expectedSwing = PA_TRANSITIONS[outs * 8 + (bases & 7)].reduce((sum, [p, outsAfter, basesAfter, runs]) => {
+    const after = estimateWinProbability({
+      inning,
+      isTop,
+      outs: outsAfter,
+      bases: basesAfter,
+      homeScore: isTop ? homeScore : homeScore + runs,
+      awayScore: isTop ? awayScore + runs : awayScore,
+    });
+    return sum + p * Math.abs(after - current);
+  }, 0);
+
+  return expectedSwing / AVERAGE_PA_SWING;
+}
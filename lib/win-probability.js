@@ -3,112 +3,57 @@
  * Tracks win probability changes and identifies momentum swings
  */
 
-/**
- * Simple win probability estimation based on game state
- * This is a simplified model - MLB has more sophisticated calculations
- */
-function estimateWinProbability(homeScore, awayScore, inning, isTop, outs) {
-  const scoreDiff = homeScore - awayScore;
-  const inningsRemaining = Math.max(0, 9 - inning + (isTop ? 0.5 : 0));
-
-  // Base probability from score differential
-  // Each run is worth roughly 10% in expected win probability
-  let homeWinProb = 0.5 + (scoreDiff * 0.1);
-
-  // Adjust for innings remaining (advantages diminish late in game)
-  const leverageMultiplier = Math.max(0.3, inningsRemaining / 9);
-
-  // Close games have more uncertainty
-  if (Math.abs(scoreDiff) <= 2) {
-    homeWinProb = 0.5 + (scoreDiff * 0.08 * (1 - leverageMultiplier * 0.5));
-  }
-
-  // Late game with lead is more certain
-  if (inning >= 9 && scoreDiff > 0) {
-    homeWinProb = 0.5 + (scoreDiff * 0.15) + 0.1;
-  }
-
-  // Clamp between 1% and 99%
-  return Math.max(0.01, Math.min(0.99, homeWinProb));
-}
-
-/**
- * Calculate running score through the game
- */
-function calculateRunningScore(allPlays) {
-  let homeScore = 0;
-  let awayScore = 0;
-
-  return allPlays.map(play => {
-    const prevHome = homeScore;
-    const prevAway = awayScore;
-
-    // Update scores based on runs scored
-    if (play.about?.isScoringPlay) {
-      const isTopInning = play.about?.halfInning === 'top';
-      const runs = play.result?.rbi || 0;
-
-      if (isTopInning) {
-        awayScore += runs;
-      } else {
-        homeScore += runs;
-      }
-    }
-
-    return {
-      ...play,
-      scoreBefore: { home: prevHome, away: prevAway },
-      scoreAfter: { home: homeScore, away: awayScore },
-    };
-  });
-}
+import { estimateWinProbability } from './win-expectancy';
+import { trackGameState } from './game-state';
 
 /**
  * Analyze win probability swings throughout the game
+ * @param {Array} allPlays - Plays from the game feed
+ * @param {object} options
+ * @param {object} options.startState - Resume game state tracking mid-game (see getStateAfter)
+ * @param {number} options.startIndex - playIndex of the first play passed in
  */
-export function analyzeWinProbability(allPlays) {
-  const playsWithScores = calculateRunningScore(allPlays);
+export function analyzeWinProbability(allPlays, options = {}) {
+  const { startState, startIndex = 0 } = options;
+  const playsWithState = trackGameState(allPlays, startState);
 
-  let results = [];
-
-  playsWithScores.forEach((play, index) => {
+  return playsWithState.map((play, index) => {
     const inning = play.about?.inning || 1;
     const isTop = play.about?.halfInning === 'top';
-    const outs = play.count?.outs || 0;
 
-    // Calculate win prob before and after this play
-    const probBefore = estimateWinProbability(
-      play.scoreBefore.home,
-      play.scoreBefore.away,
+    const probBefore = estimateWinProbability({
       inning,
       isTop,
-      outs
-    );
+      outs: play.outsBefore,
+      bases: play.basesBefore,
+      homeScore: play.scoreBefore.home,
+      awayScore: play.scoreBefore.away,
+    });
 
-    const probAfter = estimateWinProbability(
-      play.scoreAfter.home,
-      play.scoreAfter.away,
+    const probAfter = estimateWinProbability({
       inning,
       isTop,
-      outs
-    );
+      outs: play.outsAfter,
+      bases: play.basesAfter,
+      homeScore: play.scoreAfter.home,
+      awayScore: play.scoreAfter.away,
+    });
 
-    const wpChange = Math.abs(probAfter - probBefore);
     const wpSwing = probAfter - probBefore; // Positive = good for home team
+    const wpChange = Math.abs(wpSwing);
 
-    results.push({
+    return {
       ...play,
-      playIndex: index,
+      playIndex: startIndex + index,
       winProbBefore: probBefore,
       winProbAfter: probAfter,
       wpChange,
       wpSwing,
+      wpa: isTop ? -wpSwing : wpSwing, // Win probability added for the batting team
       isMomentumShift: wpChange >= 0.15,
       isTurningPoint: wpChange >= 0.25,
-    });
+    };
   });
-
-  return results;
 }
 
 /**
@@ -128,8 +73,11 @@ export function getBiggestSwings(allPlays, limit = 5) {
       event: p.result?.event,
       description: p.result?.description,
       batter: p.matchup?.batter?.fullName,
+      winProbBefore: p.winProbBefore,
+      winProbAfter: p.winProbAfter,
       wpChange: p.wpChange,
       wpSwing: p.wpSwing,
+      wpa: p.wpa,
       isTurningPoint: p.isTurningPoint,
       scoreBefore: p.scoreBefore,
       scoreAfter: p.scoreAfter,
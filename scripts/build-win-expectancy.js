@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+
+/**
+ * Builds lib/data/win-expectancy.js - the run/win expectancy tables used by
+ * lib/win-expectancy.js
+ *
+ * Half-innings are modeled as a Markov chain of plate appearance outcomes at
+ * league-average rates, giving the distribution of runs scored from each of the
+ * 24 base/out states. Win expectancy at the start of every half-inning is then
+ * solved backwards from the end of the game (including the extra-inning
+ * runner on second), assuming evenly matched teams. Finally a typical game is
+ * played forward through the model to find the average win probability swing
+ * per plate appearance, which leverage index is measured against.
+ *
+ * Usage: node scripts/build-win-expectancy.js
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const OUTPUT_FILE = path.join(process.cwd(), 'lib', 'data', 'win-expectancy.js');
+
+// Runs scored in the rest of an inning are tracked up to this many (last bucket is "or more")
+const MAX_RUNS = 10;
+
+// Score differentials beyond this are treated as this
+const MAX_SCORE_DIFF = 10;
+
+// Regulation innings, plus one row for extra innings (all extra innings look alike)
+const EXTRA_INNING = 10;
+
+// Innings played forward when averaging swings (the rest of the mass is negligible)
+const SIMULATED_INNINGS = 20;
+
+// League-average plate appearance outcome rates
+const PA_RATES = {
+  strikeout: 0.225,
+  out: 0.455,
+  walk: 0.092,
+  single: 0.145,
+  double: 0.046,
+  triple: 0.004,
+  homeRun: 0.033,
+};
+
+// Chance a runner takes an extra base on a hit, or advances/scores on an out in play
+const ADVANCE = {
+  secondScoresOnSingle: 0.6,
+  firstToThirdOnSingle: 0.28,
+  firstScoresOnDouble: 0.42,
+  thirdScoresOnOut: 0.42,
+  secondToThirdOnOut: 0.3,
+  doublePlay: 0.16,
+};
+
+// Base state bitmask: 1 = runner on first, 2 = second, 4 = third
+const ON_FIRST = 1;
+const ON_SECOND = 2;
+const ON_THIRD = 4;
+
+const countRunners = bases => (bases & 1) + ((bases >> 1) & 1) + ((bases >> 2) & 1);
+
+/**
+ * All possible results of one plate appearance from a base/out state
+ * @returns {Array<{p: number, outs: number, bases: number, runs: number}>}
+ */
+function transitions(outs, bases) {
+  const results = [];
+  const add = (p, newOuts, newBases, runs) => {
+    if (p > 0) results.push({ p, outs: newOuts, bases: newBases, runs });
+  };
+
+  const on1 = bases & ON_FIRST;
+  const on2 = bases & ON_SECOND;
+  const on3 = bases & ON_THIRD;
+
+  add(PA_RATES.strikeout, outs + 1, bases, 0);
+
+  // Out in play - runners can double up, tag up or move over with fewer than two outs
+  if (outs < 2) {
+    let remaining = PA_RATES.out;
+    if (on1) {
+      const dp = PA_RATES.out * ADVANCE.doublePlay;
+      remaining -= dp;
+      const dpRuns = outs === 0 && on3 ? 1 : 0;
+      add(dp, outs + 2, bases & ~ON_FIRST & ~(dpRuns ? ON_THIRD : 0), dpRuns);
+    }
+
+    if (on3) {
+      const pScore = ADVANCE.thirdScoresOnOut;
+      add(remaining * pScore, outs + 1, bases & ~ON_THIRD, 1);
+      add(remaining * (1 - pScore), outs + 1, bases, 0);
+    } else if (on2) {
+      const pMove = ADVANCE.secondToThirdOnOut;
+      add(remaining * pMove, outs + 1, (bases & ~ON_SECOND) | ON_THIRD, 0);
+      add(remaining * (1 - pMove), outs + 1, bases, 0);
+    } else {
+      add(remaining, outs + 1, bases, 0);
+    }
+  } else {
+    add(PA_RATES.out, outs + 1, bases, 0);
+  }
+
+  // Walk / HBP - forced runners only
+  {
+    let newBases = bases | ON_FIRST;
+    let runs = 0;
+    if (on1) {
+      newBases |= ON_SECOND;
+      if (on2) {
+        newBases |= ON_THIRD;
+        if (on3) runs = 1;
+      }
+    }
+    add(PA_RATES.walk, outs, newBases, runs);
+  }
+
+  // Single - runner on third scores, runner on second usually scores
+  {
+    const base = on3 ? 1 : 0;
+    const secondOutcomes = on2
+      ? [[ADVANCE.secondScoresOnSingle, 1, 0], [1 - ADVANCE.secondScoresOnSingle, 0, ON_THIRD]]
+      : [[1, 0, 0]];
+
+    for (const [p2, runs2, bases2] of secondOutcomes) {
+      if (on1) {
+        const canTakeThird = !(bases2 & ON_THIRD);
+        const pThird = canTakeThird ? ADVANCE.firstToThirdOnSingle : 0;
+        add(PA_RATES.single * p2 * pThird, outs, ON_FIRST | ON_THIRD, base + runs2);
+        add(PA_RATES.single * p2 * (1 - pThird), outs, ON_FIRST | ON_SECOND | bases2, base + runs2);
+      } else {
+        add(PA_RATES.single * p2, outs, ON_FIRST | bases2, base + runs2);
+      }
+    }
+  }
+
+  // Double - runners on second and third score, runner on first often scores
+  {
+    const runs = (on2 ? 1 : 0) + (on3 ? 1 : 0);
+    if (on1) {
+      add(PA_RATES.double * ADVANCE.firstScoresOnDouble, outs, ON_SECOND, runs + 1);
+      add(PA_RATES.double * (1 - ADVANCE.firstScoresOnDouble), outs, ON_SECOND | ON_THIRD, runs);
+    } else {
+      add(PA_RATES.double, outs, ON_SECOND, runs);
+    }
+  }
+
+  add(PA_RATES.triple, outs, ON_THIRD, countRunners(bases));
+  add(PA_RATES.homeRun, outs, 0, countRunners(bases) + 1);
+
+  return results;
+}
+
+/**
+ * Distribution of runs scored in the rest of the inning from each base/out state
+ * @returns {number[][]} - [outs * 8 + bases][runs]
+ */
+function buildRunDistribution() {
+  let dist = Array.from({ length: 24 }, () => new Array(MAX_RUNS + 1).fill(0));
+
+  // Walks with the bases loaded loop back to the same state, so iterate to convergence
+  for (let iter = 0; iter < 500; iter++) {
+    const next = Array.from({ length: 24 }, () => new Array(MAX_RUNS + 1).fill(0));
+
+    for (let outs = 0; outs < 3; outs++) {
+      for (let bases = 0; bases < 8; bases++) {
+        const row = next[outs * 8 + bases];
+        for (const t of transitions(outs, bases)) {
+          if (t.outs >= 3) {
+            row[Math.min(t.runs, MAX_RUNS)] += t.p;
+            continue;
+          }
+          const from = dist[t.outs * 8 + t.bases];
+          for (let r = 0; r <= MAX_RUNS; r++) {
+            row[Math.min(r + t.runs, MAX_RUNS)] += t.p * from[r];
+          }
+        }
+      }
+    }
+
+    dist = next;
+  }
+
+  // Normalize away the small mass that hasn't terminated
+  return dist.map(row => {
+    const total = row.reduce((a, b) => a + b, 0);
+    return row.map(p => p / total);
+  });
+}
+
+const clampDiff = d => Math.max(-MAX_SCORE_DIFF, Math.min(MAX_SCORE_DIFF, d));
+
+const startOfHalf = (table, inning, half, diff) =>
+  table[Math.min(inning, EXTRA_INNING) - 1][half][clampDiff(diff) + MAX_SCORE_DIFF];
+
+/**
+ * Home win expectancy once a half-inning is over
+ */
+function endOfHalf(table, inning, half, diff) {
+  if (half === 0) {
+    if (inning >= 9 && diff > 0) return 1;
+    return startOfHalf(table, inning, 1, diff);
+  }
+  if (inning >= 9) {
+    if (diff > 0) return 1;
+    if (diff < 0) return 0;
+  }
+  return startOfHalf(table, inning + 1, 0, diff);
+}
+
+/**
+ * Home win expectancy from any base/out state
+ */
+function winExpectancy(runDist, table, inning, half, outs, bases, diff) {
+  if (outs >= 3) return endOfHalf(table, inning, half, diff);
+  return runDist[outs * 8 + bases].reduce(
+    (we, p, k) => we + p * endOfHalf(table, inning, half, half === 0 ? diff - k : diff + k),
+    0
+  );
+}
+
+/**
+ * Home win expectancy at the start of each half-inning by score differential
+ * @returns {number[][][]} - [inning - 1][0 = top, 1 = bottom][diff + MAX_SCORE_DIFF]
+ */
+function buildHalfInningStart(runDist) {
+  const emptyStart = runDist[0];
+  const extraStart = runDist[ON_SECOND];
+  const diffs = 2 * MAX_SCORE_DIFF + 1;
+
+  const table = Array.from({ length: EXTRA_INNING }, () => [
+    new Array(diffs).fill(0.5),
+    new Array(diffs).fill(0.5),
+  ]);
+
+  const end = (inning, half, diff) => endOfHalf(table, inning, half, diff);
+
+  // Extra innings refer back to themselves, so iterate until stable
+  for (let iter = 0; iter < 200; iter++) {
+    for (let inning = EXTRA_INNING; inning >= 1; inning--) {
+      const runs = inning >= EXTRA_INNING ? extraStart : emptyStart;
+      for (const half of [1, 0]) {
+        for (let diff = -MAX_SCORE_DIFF; diff <= MAX_SCORE_DIFF; diff++) {
+          let we = 0;
+          runs.forEach((p, k) => {
+            we += p * end(inning, half, half === 0 ? diff - k : diff + k);
+          });
+          table[inning - 1][half][diff + MAX_SCORE_DIFF] = we;
+        }
+      }
+    }
+  }
+
+  return table;
+}
+
+/**
+ * Average absolute win probability swing per plate appearance in a typical game
+ *
+ * Plays a game forward through the model, weighting each state's expected
+ * swing by how often that state is reached.
+ */
+function buildAveragePaSwing(runDist, table) {
+  const we = (inning, half, outs, bases, diff) => winExpectancy(runDist, table, inning, half, outs, bases, diff);
+  const gameOver = (inning, half, diff) => inning >= 9 && (half === 0 ? diff > 0 : diff !== 0);
+  const walkOff = (inning, half, diff) => half === 1 && inning >= 9 && diff > 0;
+
+  let swingTotal = 0;
+  let paTotal = 0;
+  let halfStart = new Map([[0, 1]]); // diff -> probability
+
+  for (let inning = 1; inning <= SIMULATED_INNINGS; inning++) {
+    for (const half of [0, 1]) {
+      const startBases = inning >= EXTRA_INNING ? ON_SECOND : 0;
+      let mass = new Map([...halfStart].map(([diff, p]) => [`0:${startBases}:${diff}`, p]));
+      const halfEnd = new Map();
+
+      for (let step = 0; step < 200 && mass.size > 0; step++) {
+        const next = new Map();
+
+        for (const [key, m] of mass) {
+          const [outs, bases, diff] = key.split(':').map(Number);
+          const current = we(inning, half, outs, bases, diff);
+
+          for (const t of transitions(outs, bases)) {
+            const newDiff = clampDiff(half === 0 ? diff - t.runs : diff + t.runs);
+            swingTotal += m * t.p * Math.abs(we(inning, half, t.outs, t.bases, newDiff) - current);
+
+            if (t.outs >= 3) {
+              halfEnd.set(newDiff, (halfEnd.get(newDiff) || 0) + m * t.p);
+            } else if (!walkOff(inning, half, newDiff)) {
+              const nextKey = `${t.outs}:${t.bases}:${newDiff}`;
+              next.set(nextKey, (next.get(nextKey) || 0) + m * t.p);
+            }
+          }
+          paTotal += m;
+        }
+
+        mass = new Map([...next].filter(([, m]) => m > 1e-12));
+      }
+
+      halfStart = new Map([...halfEnd].filter(([diff]) => !gameOver(inning, half, diff)));
+    }
+  }
+
+  return swingTotal / paTotal;
+}
+
+const round = (n, places) => Number(n.toFixed(places));
+
+/**
+ * Round a probability distribution so the printed row still sums to exactly 1
+ * Works in whole units of the last place; what rounding loses or gains goes to
+ * the entries whose rounding moved them furthest.
+ */
+function roundDistribution(row, places) {
+  const scale = 10 ** places;
+  const total = row.reduce((sum, p) => sum + p, 0);
+  const units = row.map(p => (p / total) * scale);
+  const rounded = units.map(Math.round);
+  let residual = scale - rounded.reduce((sum, u) => sum + u, 0);
+
+  const byError = units
+    .map((u, i) => ({ i, error: u - rounded[i] }))
+    .sort((a, b) => (residual > 0 ? b.error - a.error : a.error - b.error));
+  for (const { i } of byError) {
+    if (residual === 0) break;
+    const step = Math.sign(residual);
+    if (rounded[i] + step < 0) continue;
+    rounded[i] += step;
+    residual -= step;
+  }
+
+  return rounded.map(u => round(u / scale, places));
+}
+
+async function main() {
+  const runDist = buildRunDistribution();
+  const halfInningStart = buildHalfInningStart(runDist);
+  const averagePaSwing = buildAveragePaSwing(runDist, halfInningStart);
+
+  const runExpectancy = runDist.map(row => row.reduce((sum, p, k) => sum + p * k, 0));
+  console.log('Run expectancy (0 outs, empty):', runExpectancy[0].toFixed(3));
+  console.log('Run expectancy (0 outs, loaded):', runExpectancy[7].toFixed(3));
+  console.log('Home WE at first pitch:', halfInningStart[0][0][MAX_SCORE_DIFF].toFixed(3));
+  console.log('Average swing per PA:', averagePaSwing.toFixed(4));
+
+  const baseLabels = ['empty', '1B', '2B', '1B-2B', '3B', '1B-3B', '2B-3B', 'loaded'];
+  const distRows = runDist
+    .map((row, i) => `  // ${Math.floor(i / 8)} out, ${baseLabels[i % 8]}\n  [${roundDistribution(row, 5).join(', ')}],`)
+    .join('\n');
+
+  const transitionRows = Array.from({ length: 24 }, (_, i) => {
+    const outcomes = transitions(Math.floor(i / 8), i % 8);
+    const probabilities = roundDistribution(outcomes.map(t => t.p), 5);
+    const rows = outcomes.map((t, j) => `[${probabilities[j]}, ${t.outs}, ${t.bases}, ${t.runs}]`);
+    return `  // ${Math.floor(i / 8)} out, ${baseLabels[i % 8]}\n  [${rows.join(', ')}],`;
+  }).join('\n');
+
+  const startRows = halfInningStart
+    .map((halves, i) => {
+      const label = i + 1 === EXTRA_INNING ? 'extras' : `inning ${i + 1}`;
+      return `  // ${label}\n  [\n${halves.map(row => `    [${row.map(p => round(p, 4)).join(', ')}],`).join('\n')}\n  ],`;
+    })
+    .join('\n');
+
+  const output = `/**
+ * Run and win expectancy tables
+ *
+ * Generated by scripts/build-win-expectancy.js - do not edit by hand.
+ * Based on a Markov model of league-average plate appearances with evenly
+ * matched teams and the extra-inning runner on second.
+ */
+
+// Runs tracked per state (the last bucket means "this many or more")
+export const MAX_RUNS = ${MAX_RUNS};
+
+// Score differentials beyond this are treated as this
+export const MAX_SCORE_DIFF = ${MAX_SCORE_DIFF};
+
+// Row index used for all extra innings
+export const EXTRA_INNING = ${EXTRA_INNING};
+
+/**
+ * Probability of scoring exactly k runs in the rest of the half-inning
+ * Indexed [outs * 8 + bases][k], bases bitmask: 1 = first, 2 = second, 4 = third
+ */
+export const RUN_DISTRIBUTION = [
+${distRows}
+];
+
+/**
+ * Home team win expectancy at the start of a half-inning
+ * Indexed [inning - 1][0 = top, 1 = bottom][homeScore - awayScore + MAX_SCORE_DIFF]
+ */
+export const HALF_INNING_START = [
+${startRows}
+];
+
+/**
+ * Possible results of the next plate appearance from each base/out state
+ * Indexed [outs * 8 + bases], each entry [probability, outsAfter, basesAfter, runsScored]
+ */
+export const PA_TRANSITIONS = [
+${transitionRows}
+];
+
+// Average absolute win probability swing per plate appearance (leverage index 1.0)
+export const AVERAGE_PA_SWING = ${round(averagePaSwing, 5)};
+`;
+
+  await fs.mkdir(path.dirname(OUTPUT_FILE), { recursive: true });
+  await fs.writeFile(OUTPUT_FILE, output);
+  console.log(`Wrote ${OUTPUT_FILE}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getCaptionStyle,
+  mapWordsToCut,
+  wordsToCues,
+  narrationToCues,
+  buildCues,
+  wrapCueText,
+  formatSrt,
+  formatVtt,
+  buildAss,
+  buildCaptionFilter,
+  captionSidecarPath,
+} from '@/lib/captions';
+import { findExportPreset } from '@/lib/export-presets';
+
+const word = (text, start, end) => ({ word: text, start, end });
+
+test('mapWordsToCut keeps words inside the trim and closes the gaps between segments', () => {
+  const words = [
+    word('And', 0.2, 0.4), // Cut
+    word('Casas', 1.0, 1.4),
+    word('swings', 1.5, 1.9),
+    word('uh', 3.0, 3.2), // Cut
+    word('gone!', 5.1, 5.6),
+  ];
+
+  const mapped = mapWordsToCut(words, [{ start: 0.9, end: 2 }, { start: 5, end: 6 }], 10);
+  assert.deepEqual(mapped.map(w => w.word), ['Casas', 'swings', 'gone!']);
+  [[10.1, 10.5], [10.6, 11], [11.2, 11.7]].forEach(([start, end], i) => {
+    assert.ok(Math.abs(mapped[i].start - start) < 1e-9 && Math.abs(mapped[i].end - end) < 1e-9, `word ${i}`);
+  });
+});
+
+test('wordsToCues breaks at sentence ends, pauses and the line limit', () => {
+  const cues = wordsToCues([
+    word('Swung', 0, 0.3), word('on.', 0.3, 0.6),
+    word('Drilled', 0.7, 1), word('to', 1, 1.1), word('right.', 1.1, 1.5),
+    word('Fair', 3, 3.3), // After a pause
+    word('ball', 3.3, 3.6),
+  ], { lineChars: 6 });
+
+  assert.deepEqual(cues.map(c => c.text), ['Swung on.', 'Drilled to', 'right.', 'Fair ball']);
+  assert.deepEqual([cues[0].start, cues[0].end], [0, 0.6]);
+  assert.deepEqual([cues[3].start, cues[3].end], [3, 3.6]);
+});
+
+test('narrationToCues spreads a line over its audio by length', () => {
+  const cues = narrationToCues('Casas wins it. Red Sox walk off!', { start: 2, duration: 3 });
+
+  assert.deepEqual(cues.map(c => c.text), ['Casas wins it.', 'Red Sox walk off!']);
+  assert.equal(cues[0].start, 2);
+  assert.ok(Math.abs(cues[1].end - 5) < 1e-9);
+  assert.ok(cues[1].end - cues[1].start > cues[0].end - cues[0].start);
+  assert.deepEqual(narrationToCues('Silent.', { start: 0, duration: 0 }), []);
+});
+
+test('buildCues drops commentary under the narration', () => {
+  const cues = buildCues({
+    words: [word('Swing', 0.5, 0.8), word('and', 0.8, 0.9), word('a', 0.9, 1), word('miss!', 1, 1.2), word('Gone!', 4, 4.5)],
+    narration: [{ text: 'Judge strikes out.', start: 0, duration: 2 }],
+  });
+
+  assert.deepEqual(cues.map(c => c.text), ['Judge strikes out.', 'Gone!']);
+});
+
+test('wrapCueText balances two lines at the space nearest the middle', () => {
+  assert.deepEqual(wrapCueText('Short one', 20), ['Short one']);
+  assert.deepEqual(wrapCueText('Casas sends it over the Monster', 20), ['Casas sends it', 'over the Monster']);
+});
+
+test('formatSrt and formatVtt write numbered and headed cues', () => {
+  const cues = [{ start: 1.5, end: 3.25, text: 'Casas <wins> it' }, { start: 3661.007, end: 3662, text: 'Walk-off --> home' }];
+
+  assert.equal(formatSrt(cues),
+    '1\n00:00:01,500 --> 00:00:03,250\nCasas <wins> it\n\n2\n01:01:01,007 --> 01:01:02,000\nWalk-off --> home\n');
+  assert.equal(formatVtt(cues),
+    'WEBVTT\n\n00:00:01.500 --> 00:00:03.250\nCasas &lt;wins> it\n\n01:01:01.007 --> 01:01:02.000\nWalk-off -> home\n');
+});
+
+test('buildAss lays captions out for the preset frame', () => {
+  const cues = [{ start: 0, end: 1.234, text: 'A {bold} call over two lines' }];
+
+  const vertical = buildAss(cues, { width: 1080, height: 1920 }, getCaptionStyle(findExportPreset('vertical-1080')));
+  assert.match(vertical, /PlayResX: 1080\nPlayResY: 1920/);
+  // 3.6% of 1920 high, 24% up from the bottom, outlined
+  assert.match(vertical, /Style: Caption,Arial,69,.*,1,4,1,2,65,65,461,1/);
+  assert.match(vertical, /Dialogue: 0,0:00:00\.00,0:00:01\.23,Caption,,0,0,0,,A bold call\\Nover two lines/);
+
+  const broadcast = buildAss(cues, { width: 1920, height: 1080 }, getCaptionStyle(findExportPreset('broadcast-h264')));
+  assert.match(broadcast, /Style: Caption,Arial,49,(?:[^,]*,){12}3,/);
+});
+
+test('buildCaptionFilter escapes filter syntax in the path and sidecars sit next to the video', () => {
+  assert.equal(buildCaptionFilter("/tmp/it's:here/c.ass"), "ass=filename=/tmp/it\\'s\\:here/c.ass");
+  assert.equal(captionSidecarPath('/renders/746/1-abc.mov', 'srt'), '/renders/746/1-abc.srt');
+  assert.equal(captionSidecarPath('/tmp/v2.0/cut', 'vtt'), '/tmp/v2.0/cut.vtt');
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  EXPORT_PRESETS,
+  findExportPreset,
+  isPassthroughPreset,
+  exportContainer,
+  clipFocusPoints,
+  buildReframeExpression,
+  buildVideoFilter,
+  buildExportArgs,
+} from '@/lib/export-presets';
+
+const preset = (id) => findExportPreset(id);
+
+test('findExportPreset defaults to the source passthrough and rejects unknown ids', () => {
+  assert.equal(preset(undefined).id, 'source');
+  assert.ok(isPassthroughPreset(preset('')));
+  assert.equal(preset('cinemascope'), null);
+  assert.ok(EXPORT_PRESETS.filter(p => p.id !== 'source').every(p => !isPassthroughPreset(p)));
+  assert.equal(exportContainer('broadcast-prores'), 'mov');
+  assert.equal(exportContainer('source'), 'mp4');
+});
+
+test('clipFocusPoints moves trimmed analysis points onto the package timeline', () => {
+  const analysis = {
+    focus_points: [
+      { seconds: 1, x: 0.2 }, // Trimmed off the front
+      { seconds: 3, x: 1.4 },
+      { seconds: 6, x: 0.5 },
+      { seconds: 12, x: 0.5 }, // Past the part that was used
+      { seconds: 'late', x: 0.5 },
+    ],
+  };
+
+  assert.deepEqual(clipFocusPoints(analysis, { offset: 10, trimStart: 2, duration: 8 }), [
+    { time: 11, x: 1 },
+    { time: 14, x: 0.5 },
+  ]);
+  assert.deepEqual(clipFocusPoints({}, { offset: 10 }), []);
+});
+
+test('buildReframeExpression holds center without focus and pans between keyframes', () => {
+  const frame = { sourceWidth: 3414, cropWidth: 1080 };
+
+  assert.equal(buildReframeExpression([], frame), '1167');
+
+  const expr = buildReframeExpression([
+    { time: 2, x: 0.25 },
+    { time: 2.5, x: 0.27 }, // Inside the deadband - dropped
+    { time: 4, x: 0.8 },
+  ], frame);
+  assert.equal(expr, 'if(lt(t,2.00),314,if(lt(t,4.00),314+1877*(t-2.00)/2.00,2191))');
+  assert.ok(!expr.includes('2.50'));
+
+  // Subjects at the edges clamp the window inside the frame
+  assert.equal(buildReframeExpression([{ time: 0, x: 0 }], frame), 'if(lt(t,0.00),0,0)');
+  assert.equal(buildReframeExpression([{ time: 0, x: 1 }], frame), 'if(lt(t,0.00),2334,2334)');
+});
+
+test('buildVideoFilter pads landscape, crops vertical on the action, and interlaces broadcast', () => {
+  const source = { width: 1280, height: 720 };
+
+  assert.equal(
+    buildVideoFilter(preset('landscape-1080'), source),
+    'scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:black,setsar=1,fps=30'
+  );
+
+  const vertical = buildVideoFilter(preset('vertical-1080'), { ...source, focus: [{ time: 1, x: 0.5 }] });
+  assert.match(vertical, /^scale=3414:1920,crop=1080:1920:'if\(lt\(t,1\.00\),1167,1167\)':0,setsar=1,fps=30$/);
+
+  assert.equal(
+    buildVideoFilter(preset('square-1080'), source),
+    "scale=1920:1080,crop=1080:1080:'420':0,setsar=1,fps=30"
+  );
+
+  assert.match(buildVideoFilter(preset('broadcast-prores'), source), /fps=60000\/1001,interlace=scan=tff:lowpass=complex$/);
+
+  // Captions burn in after the reframe, so they land in the output frame
+  assert.match(
+    buildVideoFilter(preset('vertical-1080'), { ...source, captions: '/tmp/cut.ass' }),
+    /,setsar=1,ass=filename=\/tmp\/cut\.ass,fps=30$/
+  );
+
+  // Play graphics go under the captions, laid out for the preset's frame
+  const graphics = [{
+    away: { abbr: 'NYY', primary: '#003087', secondary: '#E4002C', score: 0 },
+    home: { abbr: 'BOS', primary: '#BD3039', secondary: '#0D2B56', score: 0 },
+    inning: 1, isTop: true, outs: 0, batter: null, start: 0, end: 4,
+  }];
+  assert.match(
+    buildVideoFilter(preset('square-1080'), { ...source, graphics, captions: '/tmp/cut.ass' }),
+    /,setsar=1,drawbox=x=65:y=108:.*text='0 OUTS'.*'between\(t,0\.00,4\.00\)',ass=filename=\/tmp\/cut\.ass,fps=30$/
+  );
+});
+
+test('buildExportArgs encodes ProRes with PCM and normalizes broadcast loudness', () => {
+  const args = buildExportArgs(preset('broadcast-prores'), 'cut.mp4', 'cut.broadcast-prores.mov', { width: 1920, height: 1080 });
+  const value = (flag) => args[args.indexOf(flag) + 1];
+
+  assert.equal(value('-c:v'), 'prores_ks');
+  assert.equal(value('-profile:v'), '3');
+  assert.equal(value('-c:a'), 'pcm_s24le');
+  assert.equal(value('-af'), 'loudnorm=I=-24:TP=-2:LRA=7,aresample=48000');
+  assert.ok(!args.includes('-movflags'));
+  assert.equal(args.at(-1), 'cut.broadcast-prores.mov');
+});
+
+test('buildExportArgs uses constant bitrate for broadcast H.264 and CRF for the web', () => {
+  const source = { width: 1920, height: 1080 };
+  const broadcast = buildExportArgs(preset('broadcast-h264'), 'in.mp4', 'out.mp4', source);
+  const web = buildExportArgs(preset('vertical-1080'), 'in.mp4', 'out.mp4', source);
+
+  assert.equal(broadcast[broadcast.indexOf('-minrate') + 1], '50M');
+  assert.ok(broadcast.includes('+ildct+ilme'));
+  assert.equal(web[web.indexOf('-crf') + 1], '21');
+  assert.equal(web[web.indexOf('-af') + 1], 'loudnorm=I=-14:TP=-1:LRA=11,aresample=48000');
+  assert.ok(web.includes('+faststart'));
+});
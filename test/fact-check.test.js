@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGameFacts, extractClaims, checkScript, correctScript } from '@/lib/fact-check';
+import { splitSentences } from '@/lib/script-segments';
+import { allPlays, gameFeed } from './fixtures/walk-off-game';
+
+// No keys in tests - corrections come from the offline template
+process.env.LLM_FACT_CORRECTION_PROVIDER = 'template';
+
+const facts = buildGameFacts(allPlays, gameFeed.gameData);
+
+const issuesOf = (sentence) => checkScript(sentence, facts).sentences.flatMap(s => s.issues);
+
+test('splitSentences keeps ellipses inside the sentence and tracks offsets', () => {
+  const text = 'Judge swings... GONE! Casas walks it off.\n\nWhat a night.';
+  const sentences = splitSentences(text);
+
+  assert.deepEqual(sentences.map(s => s.text), ['Judge swings... GONE!', 'Casas walks it off.', 'What a night.']);
+  for (const sentence of sentences) {
+    assert.equal(text.slice(sentence.start, sentence.end), sentence.text);
+  }
+});
+
+test('extractClaims finds players, teams, innings, RBIs and stats', () => {
+  const claims = extractClaims(
+    "The Red Sox's Casas hits a two-run homer in the bottom of the ninth, 108.9 mph and 412 feet, his 12th homer, to win it 2-1 on a 3-2 count.",
+    facts
+  );
+
+  assert.deepEqual(claims.players, ['Triston Casas']);
+  assert.deepEqual(claims.teams, ['home']);
+  assert.deepEqual(claims.teamAttributions, [{ player: 'Triston Casas', side: 'home' }]);
+  assert.equal(claims.homeRun, true);
+  assert.deepEqual(claims.innings, [9]);
+  assert.equal(claims.rbi, 2);
+  assert.deepEqual(claims.velocities, [108.9]);
+  assert.deepEqual(claims.distances, [412]);
+  assert.deepEqual(claims.seasonHomers, [12]);
+  assert.deepEqual(claims.scores, ['2-1']);
+});
+
+test('checkScript passes claims that match the feed', () => {
+  assert.deepEqual(issuesOf('Aaron Judge hits a solo shot in the 1st, 112.4 mph off the bat and 441 feet!'), []);
+  assert.deepEqual(issuesOf('Triston Casas walks it off with a two-run homer in the 9th, 2-1 Red Sox.'), []);
+  assert.deepEqual(issuesOf('Gerrit Cole dealt in the 4th.'), []);
+});
+
+test('checkScript flags a home run credited to the wrong team', () => {
+  const issues = issuesOf("The Red Sox's Aaron Judge homers in the 1st.");
+
+  assert.deepEqual(issues.map(i => i.type), ['team']);
+  assert.match(issues[0].message, /New York Yankees, not the Boston Red Sox/);
+});
+
+test('checkScript flags invented innings, RBIs, distances and scores', () => {
+  const issues = issuesOf('Aaron Judge hits a three-run homer in the 7th, 430 feet, to make it 4-1.');
+
+  assert.deepEqual(issues.map(i => i.type).sort(), ['distance', 'inning', 'rbi', 'score']);
+});
+
+test('checkScript flags a home run by a player who never homered', () => {
+  assert.deepEqual(issuesOf('Masataka Yoshida homered too.').map(i => i.type), ['homeRun']);
+  assert.deepEqual(issuesOf('The Yankees went deep twice.').map(i => i.type), []);
+});
+
+test('correctScript rewrites only the flagged sentences and re-checks', async () => {
+  const script = 'Judge swings... GONE! It was a grand slam in the 1st.\n\nTriston Casas walks it off in the 9th!';
+  const report = checkScript(script, facts);
+  assert.equal(report.issueCount, 1);
+
+  const { script: corrected, factCheck, corrections } = await correctScript(script, report, facts);
+
+  assert.equal(corrections.length, 1);
+  assert.equal(corrections[0].original, 'It was a grand slam in the 1st.');
+  assert.equal(factCheck.issueCount, 0);
+  assert.ok(corrected.startsWith('Judge swings... GONE!'));
+  assert.ok(corrected.endsWith('\n\nTriston Casas walks it off in the 9th!'));
+});
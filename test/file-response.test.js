@@ -0,0 +1,41 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { streamVideoFile } from '@/lib/file-response';
+
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-response-'));
+const filePath = path.join(workDir, 'clip.mp4');
+await fs.writeFile(filePath, '0123456789');
+
+after(() => fs.rm(workDir, { recursive: true, force: true }));
+
+const get = (range) => streamVideoFile(new Request('http://localhost/video', { headers: range ? { range } : {} }), filePath, 'clip.mp4');
+
+test('streamVideoFile serves open, closed and suffix byte ranges', async () => {
+  for (const [range, contentRange, body] of [
+    ['bytes=2-5', 'bytes 2-5/10', '2345'],
+    ['bytes=7-', 'bytes 7-9/10', '789'],
+    ['bytes=-3', 'bytes 7-9/10', '789'],
+    ['bytes=-50', 'bytes 0-9/10', '0123456789'],
+    ['bytes=8-99', 'bytes 8-9/10', '89'],
+  ]) {
+    const response = await get(range);
+    assert.equal(response.status, 206, range);
+    assert.equal(response.headers.get('content-range'), contentRange, range);
+    assert.equal(await response.text(), body, range);
+  }
+
+  const whole = await get(null);
+  assert.equal(whole.status, 200);
+  assert.equal(await whole.text(), '0123456789');
+});
+
+test('streamVideoFile answers unsatisfiable ranges with 416', async () => {
+  for (const range of ['bytes=10-', 'bytes=-0', 'bytes=6-2']) {
+    const response = await get(range);
+    assert.equal(response.status, 416, range);
+    assert.equal(response.headers.get('content-range'), 'bytes */10');
+  }
+});
@@ -0,0 +1,265 @@
+/**
+ * Fixture - Yankees @ Red Sox, decided by a two-run walk-off homer
+ *
+ * A trimmed game feed in the shape getGameFeed returns: Judge's solo homer
+ * in the 1st holds up until the bottom of the 9th, when Devers walks and
+ * Casas homers to win it 2-1. Every other half-inning goes down in order.
+ * Highlights are in the shape getHighlights returns, including a recap and
+ * an interview that must never be matched to a play.
+ */
+
+export const TEAMS = {
+  away: { id: 147, name: 'New York Yankees', abbreviation: 'NYY' },
+  home: { id: 111, name: 'Boston Red Sox', abbreviation: 'BOS' },
+};
+
+export const PLAYERS = {
+  judge: { id: 592450, fullName: 'Aaron Judge' },
+  soto: { id: 665742, fullName: 'Juan Soto' },
+  stanton: { id: 519317, fullName: 'Giancarlo Stanton' },
+  volpe: { id: 683011, fullName: 'Anthony Volpe' },
+  cole: { id: 543037, fullName: 'Gerrit Cole' },
+  holmes: { id: 605280, fullName: 'Clay Holmes' },
+  duran: { id: 680776, fullName: 'Jarren Duran' },
+  devers: { id: 646240, fullName: 'Rafael Devers' },
+  casas: { id: 671213, fullName: 'Triston Casas' },
+  yoshida: { id: 807799, fullName: 'Masataka Yoshida' },
+  bello: { id: 678394, fullName: 'Brayan Bello' },
+};
+
+const AWAY_LINEUP = [PLAYERS.volpe, PLAYERS.soto, PLAYERS.judge, PLAYERS.stanton];
+const HOME_LINEUP = [PLAYERS.duran, PLAYERS.devers, PLAYERS.casas, PLAYERS.yoshida];
+
+const OUT_EVENTS = [
+  { event: 'Groundout', eventType: 'field_out', verb: 'grounds out to shortstop' },
+  { event: 'Strikeout', eventType: 'strikeout', verb: 'strikes out swinging' },
+  { event: 'Flyout', eventType: 'field_out', verb: 'flies out to center fielder' },
+];
+
+/**
+ * One completed plate appearance in feed/live shape
+ */
+function plateAppearance({ atBatIndex, inning, halfInning, batter, pitcher, event, eventType, description, isOut, outs, score, runners, hitData }) {
+  return {
+    atBatIndex,
+    result: {
+      type: 'atBat',
+      event,
+      eventType,
+      description,
+      rbi: runners.filter(r => r.movement.end === 'score').length,
+      awayScore: score.away,
+      homeScore: score.home,
+      isOut,
+    },
+    about: {
+      atBatIndex,
+      halfInning,
+      isTopInning: halfInning === 'top',
+      inning,
+      isScoringPlay: runners.some(r => r.movement.end === 'score'),
+      isComplete: true,
+    },
+    count: { balls: 1, strikes: 2, outs },
+    matchup: { batter, pitcher, batSide: { code: 'R' }, pitchHand: { code: 'R' } },
+    runners,
+    playEvents: [
+      {
+        isPitch: true,
+        playId: `play-${atBatIndex}`,
+        count: { balls: 1, strikes: 2, outs },
+        details: { description: 'In play', type: { code: 'FF', description: 'Four-Seam Fastball' } },
+        pitchData: { startSpeed: 96.1 },
+        ...(hitData ? { hitData } : {}),
+      },
+    ],
+  };
+}
+
+/**
+ * Runner movement entry for the batter or a runner already on base
+ */
+function movement(runner, originBase, end, { isOut = false, outNumber } = {}) {
+  return {
+    movement: { originBase, start: originBase, end, isOut, ...(isOut ? { outBase: '1B', outNumber } : {}) },
+    details: { runner },
+  };
+}
+
+/**
+ * Build the play-by-play: scripted big moments plus quiet 1-2-3 innings
+ */
+function buildPlays() {
+  const plays = [];
+  const score = { away: 0, home: 0 };
+  const lineupSpot = { top: 0, bottom: 0 };
+
+  const add = (play) => plays.push(plateAppearance({ atBatIndex: plays.length, score: { ...score }, ...play }));
+
+  const out = (inning, halfInning, outs) => {
+    const lineup = halfInning === 'top' ? AWAY_LINEUP : HOME_LINEUP;
+    const batter = lineup[lineupSpot[halfInning]++ % lineup.length];
+    const { event, eventType, verb } = OUT_EVENTS[(outs - 1) % OUT_EVENTS.length];
+    add({
+      inning,
+      halfInning,
+      batter,
+      pitcher: halfInning === 'top' ? PLAYERS.bello : PLAYERS.cole,
+      event,
+      eventType,
+      description: `${batter.fullName} ${verb}.`,
+      isOut: true,
+      outs,
+      runners: [movement(batter, null, null, { isOut: true, outNumber: outs })],
+    });
+  };
+
+  const quietHalf = (inning, halfInning) => {
+    for (let outs = 1; outs <= 3; outs++) out(inning, halfInning, outs);
+  };
+
+  // Top 1st: Judge's solo shot with two outs
+  out(1, 'top', 1);
+  out(1, 'top', 2);
+  lineupSpot.top++;
+  score.away = 1;
+  add({
+    inning: 1,
+    halfInning: 'top',
+    batter: PLAYERS.judge,
+    pitcher: PLAYERS.bello,
+    event: 'Home Run',
+    eventType: 'home_run',
+    description: 'Aaron Judge homers (1) on a fly ball to left field.',
+    isOut: false,
+    outs: 2,
+    runners: [movement(PLAYERS.judge, null, 'score')],
+    hitData: { launchSpeed: 112.4, launchAngle: 27, totalDistance: 441 },
+  });
+  out(1, 'top', 3);
+  quietHalf(1, 'bottom');
+
+  for (let inning = 2; inning <= 8; inning++) {
+    quietHalf(inning, 'top');
+    quietHalf(inning, 'bottom');
+  }
+  quietHalf(9, 'top');
+
+  // Bottom 9th off the closer: strikeout, walk, walk-off homer
+  lineupSpot.bottom = 0;
+  add({
+    inning: 9,
+    halfInning: 'bottom',
+    batter: PLAYERS.duran,
+    pitcher: PLAYERS.holmes,
+    event: 'Strikeout',
+    eventType: 'strikeout',
+    description: 'Jarren Duran strikes out swinging.',
+    isOut: true,
+    outs: 1,
+    runners: [movement(PLAYERS.duran, null, null, { isOut: true, outNumber: 1 })],
+  });
+  add({
+    inning: 9,
+    halfInning: 'bottom',
+    batter: PLAYERS.devers,
+    pitcher: PLAYERS.holmes,
+    event: 'Walk',
+    eventType: 'walk',
+    description: 'Rafael Devers walks.',
+    isOut: false,
+    outs: 1,
+    runners: [movement(PLAYERS.devers, null, '1B')],
+  });
+  score.home = 2;
+  add({
+    inning: 9,
+    halfInning: 'bottom',
+    batter: PLAYERS.casas,
+    pitcher: PLAYERS.holmes,
+    event: 'Home Run',
+    eventType: 'home_run',
+    description: 'Triston Casas homers (12) on a fly ball to right field. Rafael Devers scores.',
+    isOut: false,
+    outs: 1,
+    runners: [movement(PLAYERS.casas, null, 'score'), movement(PLAYERS.devers, '1B', 'score')],
+    hitData: { launchSpeed: 108.9, launchAngle: 31, totalDistance: 412 },
+  });
+
+  return plays;
+}
+
+export const allPlays = buildPlays();
+
+export const gameFeed = {
+  gamePk: 999001,
+  gameData: {
+    game: { pk: 999001, type: 'R' },
+    datetime: { officialDate: '2025-07-04' },
+    status: { abstractGameState: 'Final', detailedState: 'Final' },
+    teams: TEAMS,
+    venue: { name: 'Fenway Park' },
+  },
+  liveData: {
+    plays: { allPlays },
+    linescore: { teams: { away: { runs: 1 }, home: { runs: 2 } } },
+  },
+};
+
+export const highlights = [
+  {
+    id: 'hl-judge-homer',
+    headline: "Judge's solo homer",
+    blurb: 'Aaron Judge goes deep in the 1st',
+    description: 'Aaron Judge crushes a solo home run to left field in the 1st inning',
+    duration: '00:00:32',
+    playerIds: [PLAYERS.judge.id, PLAYERS.bello.id],
+    playTypes: ['in-game-highlight', 'home-run'],
+    isInGameHighlight: true,
+    videoUrl: 'https://example.com/clips/judge-homer.mp4',
+  },
+  {
+    id: 'hl-cole-strikeout',
+    headline: 'Cole strikes out Casas',
+    blurb: 'Gerrit Cole gets Triston Casas swinging',
+    description: 'Gerrit Cole strikes out Triston Casas swinging in the 4th inning',
+    duration: '00:00:18',
+    playerIds: [PLAYERS.cole.id, PLAYERS.casas.id],
+    playTypes: ['in-game-highlight', 'strikeout'],
+    isInGameHighlight: true,
+    videoUrl: 'https://example.com/clips/cole-strikeout.mp4',
+  },
+  {
+    id: 'hl-casas-walkoff',
+    headline: "Casas' walk-off blast",
+    blurb: 'Triston Casas walks it off in the 9th',
+    description: 'Triston Casas hits a two-run walk-off home run to right field in the 9th inning',
+    duration: '00:00:45',
+    playerIds: [PLAYERS.casas.id, PLAYERS.holmes.id, PLAYERS.devers.id],
+    playTypes: ['in-game-highlight', 'home-run', 'walk-off'],
+    isInGameHighlight: true,
+    videoUrl: 'https://example.com/clips/casas-walkoff.mp4',
+  },
+  {
+    id: 'hl-recap',
+    headline: 'Yankees vs. Red Sox Highlights',
+    blurb: 'Judge homers, Casas walks it off',
+    description: 'Aaron Judge homered and Triston Casas hit a walk-off home run',
+    duration: '00:04:10',
+    playerIds: [PLAYERS.judge.id, PLAYERS.casas.id],
+    playTypes: ['game-recap', 'home-run'],
+    isInGameHighlight: false,
+    videoUrl: 'https://example.com/clips/recap.mp4',
+  },
+  {
+    id: 'hl-interview',
+    headline: 'Casas on his walk-off homer',
+    blurb: 'Triston Casas talks about his walk-off',
+    description: 'Triston Casas on his walk-off home run',
+    duration: '00:01:30',
+    playerIds: [PLAYERS.casas.id],
+    playTypes: ['interview'],
+    isInGameHighlight: false,
+    videoUrl: 'https://example.com/clips/interview.mp4',
+  },
+];
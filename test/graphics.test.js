@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getGraphicsByPlay, withPlayGraphics, placeGraphics, buildGraphicsFilter } from '@/lib/graphics';
+import { getCaptionStyle } from '@/lib/captions';
+import { findExportPreset } from '@/lib/export-presets';
+import { gameFeed, allPlays } from './fixtures/walk-off-game';
+
+const WALK_OFF_INDEX = allPlays.length - 1;
+const JUDGE_HOMER_INDEX = 2;
+const webStyle = getCaptionStyle(findExportPreset('landscape-1080'));
+
+test('getGraphicsByPlay shows the game as each play began, in team colors', () => {
+  const byPlay = getGraphicsByPlay(gameFeed);
+
+  // The walk-off bug still shows the Yankees up 1-0, with Devers aboard and one out
+  assert.deepEqual(byPlay.get(WALK_OFF_INDEX), {
+    away: { abbr: 'NYY', primary: '#003087', secondary: '#E4002C', score: 1 },
+    home: { abbr: 'BOS', primary: '#BD3039', secondary: '#0D2B56', score: 0 },
+    inning: 9,
+    isTop: false,
+    outs: 1,
+    batter: 'Triston Casas',
+    pitcher: 'Clay Holmes',
+  });
+  assert.equal(byPlay.get(JUDGE_HOMER_INDEX).away.score, 0);
+  assert.equal(byPlay.get(JUDGE_HOMER_INDEX + 1).away.score, 1);
+});
+
+test('withPlayGraphics attaches graphics by playIndex and leaves transitions alone', () => {
+  const clips = withPlayGraphics([
+    { videoUrl: 'a.mp4', playIndex: JUDGE_HOMER_INDEX },
+    { isTransition: true, transitionPath: 'innings/bottom-9.mp4' },
+    { videoUrl: 'b.mp4', playIndex: String(WALK_OFF_INDEX) },
+    { videoUrl: 'c.mp4', playIndex: 999 },
+    { videoUrl: 'd.mp4' },
+  ], gameFeed);
+
+  assert.equal(clips[0].graphics.batter, 'Aaron Judge');
+  assert.equal(clips[1].graphics, undefined);
+  assert.equal(clips[2].graphics.inning, 9);
+  assert.equal(clips[3].graphics, null);
+  assert.equal(clips[4].graphics, undefined);
+});
+
+test('placeGraphics puts each play on its clip and skips clips without graphics', () => {
+  const placed = placeGraphics([{ graphics: null }, { graphics: { inning: 9 } }], [0, 1.2], [1.5, 4]);
+  assert.deepEqual(placed, [{ inning: 9, start: 1.2, end: 5.2 }]);
+});
+
+test('buildGraphicsFilter draws the bug for the whole clip and the lower third early on', () => {
+  const walkOff = { ...getGraphicsByPlay(gameFeed).get(WALK_OFF_INDEX), start: 2, end: 10 };
+  const filter = buildGraphicsFilter([walkOff], { width: 1920, height: 1080 }, webStyle);
+
+  assert.match(filter, /^drawbox=x=96:y=76:w=135:h=45:color=0x003087@0\.95:t=fill:enable='between\(t,2\.00,10\.00\)'/);
+  assert.match(filter, /text='NYY'.*text='1'.*text='BOS'.*text='0'/);
+  assert.match(filter, /text='BOT 9'.*text='1 OUT':/);
+
+  // The lower third is in the batting team's colors, from half a second in for five seconds
+  assert.match(filter, /drawbox=[^,]*color=0xBD3039@0\.95:t=fill:enable='between\(t,2\.50,7\.50\)'/);
+  assert.match(filter, /text='TRISTON CASAS'.*text='vs\. Clay Holmes'/);
+});
+
+test('buildGraphicsFilter keeps names safe for drawtext and fits short clips', () => {
+  const play = {
+    away: { abbr: 'NYM', primary: '#002D72', secondary: '#FF5910', score: 3 },
+    home: { abbr: 'ATL', primary: '#CE1141', secondary: '#13274F', score: 3 },
+    inning: 10,
+    isTop: true,
+    outs: 2,
+    batter: "Travis d'Arnaud: 100%",
+    pitcher: null,
+    start: 0,
+    end: 3,
+  };
+  const filter = buildGraphicsFilter([play], { width: 1080, height: 1920 }, getCaptionStyle(findExportPreset('vertical-1080')));
+
+  assert.match(filter, /text='TRAVIS D’ARNAUD 100'/);
+  assert.match(filter, /text='TOP 10'.*text='2 OUTS'/);
+  assert.match(filter, /color=0x002D72@0\.95:t=fill:enable='between\(t,0\.50,3\.00\)'/);
+  assert.ok(!filter.includes('vs.'));
+  assert.equal(buildGraphicsFilter([], { width: 1920, height: 1080 }, webStyle), '');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchPlaysToHighlights, getPlaysWithVideos } from '@/lib/highlight-matcher';
+import { allPlays, highlights, PLAYERS } from './fixtures/walk-off-game';
+
+const findPlay = (batter, event, inning) => allPlays.find(p =>
+  p.matchup.batter.id === batter.id && p.result.event === event && p.about.inning === inning);
+
+const judgeHomer = findPlay(PLAYERS.judge, 'Home Run', 1);
+const casasStrikeout = findPlay(PLAYERS.casas, 'Strikeout', 4);
+const casasWalkOff = findPlay(PLAYERS.casas, 'Home Run', 9);
+const yoshidaOut = allPlays.find(p => p.matchup.batter.id === PLAYERS.yoshida.id && p.about.inning === 6);
+
+test('matchPlaysToHighlights links each play to its own clip', () => {
+  const matched = matchPlaysToHighlights([judgeHomer, casasStrikeout, casasWalkOff], highlights);
+
+  assert.deepEqual(matched.map(p => p.matchedHighlight?.id), [
+    'hl-judge-homer',
+    'hl-cole-strikeout',
+    'hl-casas-walkoff',
+  ]);
+  assert.ok(matched.every(p => p.matchedHighlight.matchScore >= 30));
+});
+
+test('matchPlaysToHighlights leaves plays without a clip unmatched', () => {
+  const [out] = matchPlaysToHighlights([yoshidaOut], highlights);
+
+  assert.equal(out.matchedHighlight, null);
+});
+
+test('matchPlaysToHighlights never uses recaps or interviews', () => {
+  const inGameOnly = highlights.filter(h => !h.isInGameHighlight);
+  const matched = matchPlaysToHighlights([judgeHomer, casasWalkOff], inGameOnly);
+
+  assert.ok(matched.every(p => p.matchedHighlight === null));
+});
+
+test('matchPlaysToHighlights uses each clip at most once', () => {
+  const matched = matchPlaysToHighlights(allPlays, highlights);
+  const ids = matched.map(p => p.matchedHighlight?.id).filter(Boolean);
+
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test('getPlaysWithVideos keeps only matched plays', () => {
+  const withVideos = getPlaysWithVideos([judgeHomer, yoshidaOut, casasWalkOff], highlights);
+
+  assert.deepEqual(withVideos.map(p => p.atBatIndex), [judgeHomer.atBatIndex, casasWalkOff.atBatIndex]);
+});
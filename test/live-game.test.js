@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'events';
+import { runLiveSession } from '@/lib/live-game';
+
+test('runLiveSession leaves no abort listeners behind between polls', async () => {
+  const abort = new AbortController();
+  let checks = 0;
+  const events = [];
+
+  await runLiveSession({
+    source: { next: async () => { checks++; return null; }, isExhausted: () => checks >= 15 },
+    analyzer: { update: () => ({ atBats: [], highlights: [], settledPlays: 0 }) },
+    intervalMs: 1,
+    signal: abort.signal,
+    send: (event, data) => events.push([event, data]),
+  });
+
+  assert.equal(checks, 15);
+  assert.deepEqual(events, [['end', { reason: 'replay-finished' }]]);
+  assert.equal(getEventListeners(abort.signal, 'abort').length, 0);
+});
@@ -0,0 +1,122 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// Provider settings are read from the environment - set them before the module loads
+const replies = [];
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push(JSON.parse(body));
+    const reply = replies.shift() ?? '';
+    if (reply instanceof Error) {
+      res.writeHead(500);
+      res.end(reply.message);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      choices: [{ message: { role: 'assistant', content: reply } }],
+      usage: { prompt_tokens: 100, completion_tokens: 20 },
+    }));
+  });
+});
+
+let llm;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.LLM_PROVIDER = 'openai';
+  process.env.LLM_GAME_SCRIPT_PROVIDER = 'template';
+  process.env.LLM_PLAYER_REEL_VOICEOVER_PROVIDER = 'anthropic';
+  delete process.env.ANTHROPIC_API_KEY;
+  llm = await import('@/lib/llm');
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('parseJsonResponse strips fences and surrounding chatter', async () => {
+  assert.deepEqual(llm.parseJsonResponse('```json\n[{"a": 1}]\n```'), [{ a: 1 }]);
+  assert.deepEqual(llm.parseJsonResponse('Here you go:\n{"intro": "Hi"}\nEnjoy!'), { intro: 'Hi' });
+  assert.throws(() => llm.parseJsonResponse('no json here'));
+});
+
+test('getTaskConfig applies task overrides over the global provider', async () => {
+  assert.deepEqual(llm.getTaskConfig('game-script'), {
+    task: 'game-script',
+    provider: 'template',
+    model: 'template',
+    maxTokens: 1024,
+    retries: 2,
+  });
+  assert.equal(llm.getTaskConfig('synced-script').provider, 'openai');
+  assert.throws(() => llm.getTaskConfig('not-a-task'), /Unknown LLM task/);
+});
+
+test('generateText runs the offline template with no cost', async () => {
+  const { text, usage } = await llm.generateText('game-script', 'prompt', { template: () => '  Judge homers.  ' });
+
+  assert.equal(text, 'Judge homers.');
+  assert.deepEqual(usage, {
+    task: 'game-script', provider: 'template', model: 'template', calls: 1, inputTokens: 0, outputTokens: 0, costUsd: 0,
+  });
+});
+
+test('generateText falls back to the template when the provider has no key', async () => {
+  requests.length = 0;
+  const { text, usage } = await llm.generateText('player-reel-voiceover', 'prompt', {
+    template: () => 'Offline copy.',
+    fallback: true,
+  });
+
+  assert.equal(text, 'Offline copy.');
+  assert.equal(usage.provider, 'template');
+  assert.equal(usage.fallbackReason, 'anthropic is not configured');
+  assert.equal(requests.length, 0);
+});
+
+test('generateText falls back to the template when the call fails', async () => {
+  replies.push(new Error('model overloaded'));
+  const { text, usage } = await llm.generateText('synced-script', 'prompt', {
+    template: () => 'Offline copy.',
+    fallback: true,
+  });
+
+  assert.equal(text, 'Offline copy.');
+  assert.equal(usage.provider, 'template');
+  assert.match(usage.fallbackReason, /Chat completion failed: 500/);
+});
+
+test('generateJson retries with the rejection reason until the reply validates', async () => {
+  requests.length = 0;
+  replies.push('Sure! [{"clipId": "a", "narration": ""}]', '[{"clipId": "a", "narration": "Gone!"}]');
+
+  const { data, usage } = await llm.generateJson('synced-script', 'Narrate clip a', {
+    validate: (segments) => (segments.every(s => s.narration) ? null : 'empty narration'),
+  });
+
+  assert.deepEqual(data, [{ clipId: 'a', narration: 'Gone!' }]);
+  assert.equal(usage.calls, 2);
+  assert.equal(usage.inputTokens, 200);
+  assert.equal(usage.outputTokens, 40);
+
+  const retry = requests[1].messages;
+  assert.equal(retry.length, 3);
+  assert.equal(retry[1].role, 'assistant');
+  assert.match(retry[2].content, /rejected: empty narration/);
+});
+
+test('generateJson gives up after the configured retries', async () => {
+  replies.push('nope', 'still nope', 'never');
+
+  await assert.rejects(llm.generateJson('roundup-script', 'prompt'), (error) => {
+    assert.equal(error.code, 'LLM_INVALID_OUTPUT');
+    assert.equal(error.usage.calls, 3);
+    return true;
+  });
+});
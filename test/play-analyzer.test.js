@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeGame } from '@/lib/play-analyzer';
+import { BUILT_IN_PROFILES } from '@/lib/scoring-profiles';
+import { allPlays, TEAMS } from './fixtures/walk-off-game';
+
+const teamIds = { away: TEAMS.away.id, home: TEAMS.home.id };
+const WALK_OFF_INDEX = allPlays.length - 1;
+const JUDGE_HOMER_INDEX = 2;
+
+test('analyzeGame picks both home runs as key plays', () => {
+  const keyPlays = analyzeGame(allPlays, { teamIds });
+  const indices = keyPlays.map(p => p.playIndex);
+
+  assert.ok(indices.includes(JUDGE_HOMER_INDEX));
+  assert.ok(indices.includes(WALK_OFF_INDEX));
+});
+
+test('analyzeGame ranks the walk-off highest and flags it', () => {
+  const keyPlays = analyzeGame(allPlays, { teamIds });
+  const top = [...keyPlays].sort((a, b) => b.highlightScore - a.highlightScore)[0];
+
+  assert.equal(top.playIndex, WALK_OFF_INDEX);
+  assert.equal(top.isWalkOff, true);
+  assert.deepEqual(top.scoreAfter, { away: 1, home: 2 });
+});
+
+test('analyzeGame returns key plays in game order, capped at maxPlays', () => {
+  const keyPlays = analyzeGame(allPlays, { teamIds, maxPlays: 3 });
+
+  assert.equal(keyPlays.length, 3);
+  const indices = keyPlays.map(p => p.playIndex);
+  assert.deepEqual(indices, [...indices].sort((a, b) => a - b));
+});
+
+test('analyzeGame drops plays under minScore', () => {
+  const keyPlays = analyzeGame(allPlays, { teamIds, minScore: 150 });
+
+  assert.ok(keyPlays.length > 0);
+  assert.ok(keyPlays.every(p => p.highlightScore >= 150));
+  assert.ok(keyPlays.every(p => p.result.event === 'Home Run'));
+});
+
+test('analyzeGame keeps plays scoring 25 and up with the default profile', () => {
+  const [balanced] = BUILT_IN_PROFILES;
+  // The leadoff groundout scores exactly its event score
+  const profile = { ...balanced, eventScores: { ...balanced.eventScores, Groundout: 25 } };
+  const keyPlays = analyzeGame(allPlays, { teamIds, profile, maxPlays: allPlays.length });
+
+  assert.equal(balanced.minScore, 25);
+  assert.equal(keyPlays[0].playIndex, 0);
+  assert.equal(keyPlays[0].highlightScore, 25);
+});
+
+test('analyzeGame weights plays toward the perspective team', () => {
+  const score = (perspectiveTeamId, index) => analyzeGame(allPlays, { teamIds, perspectiveTeamId, minScore: 0, maxPlays: allPlays.length })
+    .find(p => p.playIndex === index).highlightScore;
+
+  assert.ok(score(TEAMS.away.id, JUDGE_HOMER_INDEX) > score(TEAMS.home.id, JUDGE_HOMER_INDEX));
+  assert.ok(score(TEAMS.home.id, WALK_OFF_INDEX) > score(TEAMS.away.id, WALK_OFF_INDEX));
+});
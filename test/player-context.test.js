@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeGameLog, collectPlayers, describePlayerContext } from '@/lib/player-context';
+import { allPlays } from './fixtures/walk-off-game';
+
+// Game log in getPlayerGameLog shape - hits in every game, a homer every other
+const hittingLog = Array.from({ length: 20 }, (_, i) => ({
+  date: `2025-06-${String(i + 1).padStart(2, '0')}`,
+  gamePk: 700000 + i,
+  stat: { atBats: 4, hits: i === 9 ? 0 : 1, homeRuns: i % 2, rbi: i % 2 ? 2 : 0 },
+}));
+
+const pitchingLog = [
+  { date: '2025-06-01', gamePk: 1, stat: { inningsPitched: '6.0', earnedRuns: 2, strikeOuts: 48, wins: 1, losses: 0 } },
+  { date: '2025-06-06', gamePk: 2, stat: { inningsPitched: '5.1', earnedRuns: 3, strikeOuts: 49, wins: 0, losses: 1 } },
+  { date: '2025-06-11', gamePk: 3, stat: { inningsPitched: '7.2', earnedRuns: 0, strikeOuts: 9, wins: 1, losses: 0 } },
+  { date: '2025-06-16', gamePk: 4, stat: { inningsPitched: '6.0', earnedRuns: 1, strikeOuts: 7, wins: 0, losses: 0 } },
+];
+
+test('summarizeGameLog counts hitting stats through the game, not the whole log', () => {
+  const summary = summarizeGameLog(hittingLog, 'batter', { gamePk: 700019 - 4 });
+
+  assert.equal(summary.games, 16);
+  assert.equal(summary.season.homeRuns, 8);
+  assert.equal(summary.season.rbi, 16);
+  assert.equal(summary.season.avg, '.234');
+  assert.deepEqual(summary.homeRunNumbers, [8]);
+});
+
+test('summarizeGameLog tracks the hitting streak and recent form', () => {
+  const summary = summarizeGameLog(hittingLog, 'batter', { gamePk: 700019 });
+
+  // Hitless on 6/10, hits in the ten games since
+  assert.equal(summary.hittingStreak, 10);
+  assert.deepEqual(summary.recent, { games: 7, hits: 7, atBats: 28, homeRuns: 4 });
+});
+
+test('summarizeGameLog calls out round-number home runs', () => {
+  assert.deepEqual(summarizeGameLog(hittingLog, 'batter', { gamePk: 700019 }).milestones, ['10th home run of the season']);
+  assert.deepEqual(summarizeGameLog(hittingLog, 'batter', { gamePk: 700001 }).milestones, ['first home run of the season']);
+  assert.deepEqual(summarizeGameLog(hittingLog, 'batter', { gamePk: 700003 }).milestones, []);
+});
+
+test('summarizeGameLog falls back to the game date when the game is not logged', () => {
+  assert.equal(summarizeGameLog(hittingLog, 'batter', { gamePk: 1, gameDate: '2025-06-05' }).games, 5);
+  assert.equal(summarizeGameLog(hittingLog, 'batter', { gameDate: '2025-05-01' }), null);
+});
+
+test('summarizeGameLog builds a pitching line from partial innings', () => {
+  const summary = summarizeGameLog(pitchingLog, 'pitcher', { gamePk: 2 });
+
+  assert.equal(summary.season.inningsPitched, '11.1');
+  assert.equal(summary.season.era, '3.97');
+  assert.equal(summary.season.strikeOuts, 97);
+  assert.deepEqual(summary.milestones, []);
+  assert.deepEqual(summarizeGameLog(pitchingLog, 'pitcher', { gamePk: 3 }).milestones, ['100th strikeout of the season']);
+});
+
+test('collectPlayers lists each batter and pitcher once, from plays or clips', () => {
+  const fromPlays = collectPlayers(allPlays.slice(0, 3));
+  assert.deepEqual(fromPlays.map(p => [p.name, p.role]), [
+    ['Anthony Volpe', 'batter'],
+    ['Brayan Bello', 'pitcher'],
+    ['Juan Soto', 'batter'],
+    ['Aaron Judge', 'batter'],
+  ]);
+
+  const fromClips = collectPlayers([{ batterId: 1, batter: 'A', pitcherId: 2 }, { batterId: 1, batter: 'A' }]);
+  assert.deepEqual(fromClips, [
+    { id: 1, name: 'A', role: 'batter' },
+    { id: 2, name: 'Player 2', role: 'pitcher' },
+  ]);
+});
+
+test('describePlayerContext writes one prompt line per player', () => {
+  const batter = { name: 'Aaron Judge', role: 'batter', ...summarizeGameLog(hittingLog, 'batter', { gamePk: 700019 }) };
+  const text = describePlayerContext([batter]);
+
+  assert.match(text, /^- Aaron Judge \(batter\): \.237 AVG, 10 HR, 20 RBI in 20 games this season/);
+  assert.match(text, /10-game hitting streak/);
+  assert.match(text, /season HR #10/);
+  assert.match(text, /MILESTONE: 10th home run of the season/);
+  assert.equal(describePlayerContext([]), '');
+});
@@ -0,0 +1,38 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The store directory is read at import time
+const rendersDir = await fs.mkdtemp(path.join(os.tmpdir(), 'renders-'));
+process.env.RENDERS_DIR = rendersDir;
+const { getRender, deleteRender } = await import('@/lib/renders');
+
+after(() => fs.rm(rendersDir, { recursive: true, force: true }));
+
+// A render as saveRender leaves it, without going through ffprobe
+async function writeRender(gamePk, id) {
+  const gameDir = path.join(rendersDir, gamePk);
+  await fs.mkdir(gameDir, { recursive: true });
+  await fs.writeFile(path.join(gameDir, `${id}.mp4`), 'mp4');
+  await fs.writeFile(path.join(gameDir, `${id}.meta.json`), JSON.stringify({ id, gamePk, container: 'mp4' }));
+}
+
+test('getRender and deleteRender find a saved render by id', async () => {
+  await writeRender('745001', '1700000000000-abc123');
+
+  const render = await getRender('745001', '1700000000000-abc123');
+  assert.equal(render.videoPath, path.join(rendersDir, '745001', '1700000000000-abc123.mp4'));
+
+  assert.equal(await deleteRender('745001', '1700000000000-abc123'), true);
+  assert.equal(await getRender('745001', '1700000000000-abc123'), null);
+  assert.deepEqual(await fs.readdir(path.join(rendersDir, '745001')), []);
+});
+
+test('malformed render ids read as not found instead of throwing', async () => {
+  assert.equal(await getRender('745001', '../745001'), null);
+  assert.equal(await getRender('745001', 'missing'), null);
+  assert.equal(await deleteRender('745001', '../745001'), false);
+  assert.equal(await deleteRender('745001', 'missing'), false);
+});
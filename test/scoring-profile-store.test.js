@@ -0,0 +1,37 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The store directory is read at import time
+const settingsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'settings-'));
+process.env.SETTINGS_DIR = settingsDir;
+const { saveProfile, deleteProfile, listProfiles, getGameProfile, setGameProfile } = await import('@/lib/scoring-profile-store');
+
+after(() => fs.rm(settingsDir, { recursive: true, force: true }));
+
+test('concurrent profile saves and game selections all land', async () => {
+  const [first, second] = await Promise.all([
+    saveProfile({ name: 'Walk-offs only' }),
+    saveProfile({ name: 'Strikeout reel' }),
+    setGameProfile('745001', 'pitching-duel'),
+    setGameProfile('745002', 'offense-heavy'),
+  ]);
+
+  const custom = (await listProfiles()).filter(p => !p.builtIn);
+  assert.deepEqual(custom.map(p => p.id).sort(), [first.id, second.id].sort());
+  assert.equal((await getGameProfile('745001')).id, 'pitching-duel');
+  assert.equal((await getGameProfile('745002')).id, 'offense-heavy');
+  assert.deepEqual((await fs.readdir(settingsDir)).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('deleting a profile drops the games that used it back to the default', async () => {
+  const profile = await saveProfile({ name: 'Short-lived' });
+  await setGameProfile('745003', profile.id);
+
+  assert.equal(await deleteProfile(profile.id), true);
+  assert.equal(await deleteProfile(profile.id), false);
+  assert.equal((await getGameProfile('745003')).id, 'balanced');
+  await assert.rejects(saveProfile({ id: 'balanced', name: 'Mine now' }), /cannot be modified/);
+});
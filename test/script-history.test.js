@@ -0,0 +1,58 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The store directory is read at import time
+const historyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'script-history-'));
+process.env.SCRIPT_HISTORY_DIR = historyDir;
+const { saveScriptVersion, listScriptVersions, getScriptVersion, summarizePromptInputs } = await import('@/lib/script-history');
+
+after(() => fs.rm(historyDir, { recursive: true, force: true }));
+
+test('saveScriptVersion keeps every take with what produced it, newest first', async () => {
+  const first = await saveScriptVersion('745001', {
+    script: 'Casas walks it off!',
+    style: 'excited',
+    length: '30',
+    usage: { provider: 'anthropic', model: 'claude-sonnet-4-20250514', inputTokens: 900 },
+  });
+  const second = await saveScriptVersion('745001', { script: 'Casas ends it with a homer.', source: 'edited', parentId: first.id });
+
+  const versions = await listScriptVersions('745001');
+  assert.deepEqual(versions.map(v => v.id), [second.id, first.id]);
+  assert.equal(versions[1].model, 'claude-sonnet-4-20250514');
+  assert.equal(versions[1].wordCount, 4);
+  assert.equal(versions[0].source, 'edited');
+  assert.equal(versions[0].parentId, first.id);
+
+  assert.equal((await getScriptVersion('745001', first.id)).script, 'Casas walks it off!');
+  assert.equal(await getScriptVersion('745001', 'missing'), null);
+});
+
+test('listScriptVersions is empty for a game with no scripts', async () => {
+  assert.deepEqual(await listScriptVersions('745002'), []);
+});
+
+test('saves for the same game at once all land', async () => {
+  const saved = await Promise.all(['One', 'Two', 'Three'].map(script => saveScriptVersion('745003', { script })));
+
+  assert.deepEqual((await listScriptVersions('745003')).map(v => v.id).sort(), saved.map(v => v.id).sort());
+  assert.deepEqual((await fs.readdir(historyDir)).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('saveScriptVersion rejects empty scripts and unsafe game ids', async () => {
+  await assert.rejects(saveScriptVersion('745001', { script: '  ' }), /needs script text/);
+  await assert.rejects(saveScriptVersion('../etc', { script: 'x' }), /Invalid gamePk/);
+});
+
+test('summarizePromptInputs keeps play descriptions, not the feed', () => {
+  const inputs = summarizePromptInputs({
+    keyPlays: [{ about: { inning: 9, halfInning: 'bottom' }, result: { description: 'Triston Casas homers (12).' }, playEvents: [{}] }],
+    fixClaims: true,
+  });
+
+  assert.deepEqual(inputs.keyPlays, [{ inning: 9, halfInning: 'bottom', description: 'Triston Casas homers (12).' }]);
+  assert.equal(inputs.fixClaims, true);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentScript, joinSegments, keepLockedSegments } from '@/lib/script-segments';
+import { analyzeGame } from '@/lib/play-analyzer';
+import { allPlays, TEAMS } from './fixtures/walk-off-game';
+
+// 0: Judge HR (top 1st) ... 3: Casas K (bottom 8th) ... 5: Judge K ... 9: Casas walk-off HR
+const keyPlays = analyzeGame(allPlays, { teamIds: { away: TEAMS.away.id, home: TEAMS.home.id } });
+
+const script = 'Rivalry night at Fenway! Aaron Judge goes deep in the first. That ball traveled 441 feet. '
+  + 'Then in the ninth, Triston Casas walks it off with a two-run homer! Casas is mobbed at home plate. '
+  + 'Red Sox win it 2-1.';
+
+test('segmentScript splits intro, key plays and sign-off', () => {
+  const segments = segmentScript(script, keyPlays);
+
+  assert.deepEqual(segments.map(s => s.id), ['intro', 'play-0', 'play-9', 'outro']);
+  assert.equal(segments[1].text, 'Aaron Judge goes deep in the first. That ball traveled 441 feet.');
+  assert.equal(segments[2].keyPlayIndex, 9);
+  assert.equal(segments[3].text, 'Red Sox win it 2-1.');
+  assert.ok(segments.every(s => s.locked === false));
+});
+
+test('segmentScript links a batter to the at-bat the sentence describes', () => {
+  // Casas struck out in the 8th before walking it off
+  const segments = segmentScript('Casas struck out in the eighth. Judge fanned in the ninth. Casas homers to win it!', keyPlays);
+
+  assert.deepEqual(segments.map(s => s.keyPlayIndex), [3, 5, 9]);
+});
+
+test('segmentScript keeps follow-up sentences about the same batter together', () => {
+  const segments = segmentScript('Judge homers in the first. Judge is locked in tonight.', keyPlays);
+
+  assert.deepEqual(segments.map(s => s.id), ['play-0']);
+});
+
+test('joinSegments puts one segment per paragraph and drops emptied ones', () => {
+  const segments = segmentScript(script, keyPlays);
+  segments[0].text = '  ';
+
+  const joined = joinSegments(segments);
+  assert.equal(joined.split('\n\n').length, 3);
+  assert.ok(joined.startsWith('Aaron Judge goes deep'));
+});
+
+test('keepLockedSegments restores locked text after a rewrite', () => {
+  const previous = segmentScript(script, keyPlays);
+  previous[1] = { ...previous[1], text: 'Judge crushes one in the first.', locked: true };
+
+  const rewritten = segmentScript(script.replace('441 feet', '440 feet').replace('walks it off', 'ends it'), keyPlays);
+  const merged = keepLockedSegments(rewritten, previous);
+
+  assert.equal(merged[1].text, 'Judge crushes one in the first.');
+  assert.ok(merged[1].locked);
+  assert.match(merged[2].text, /ends it/);
+});
+
+test('keepLockedSegments puts back locked segments the rewrite has no match for', () => {
+  const previous = segmentScript(script, keyPlays).map(segment => ({ ...segment, locked: segment.id !== 'play-9' }));
+
+  // The fix drops Judge's name and the sign-off, so neither segment comes back on its own
+  const rewritten = segmentScript('Rivalry night at Fenway! A homer in the first. Then in the ninth, Triston Casas walks it off!', keyPlays);
+  assert.deepEqual(rewritten.map(s => s.id), ['intro', 'play-9']);
+
+  const merged = keepLockedSegments(rewritten, previous);
+  assert.deepEqual(merged.map(s => s.id), ['intro', 'play-0', 'play-9', 'outro']);
+  assert.equal(merged[1].text, previous[1].text);
+  assert.equal(merged[3].text, 'Red Sox win it 2-1.');
+  assert.match(merged[2].text, /walks it off!$/);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeTemplateScript, writeTemplateSegment } from '@/lib/script-writer';
+import { analyzeGame, getGameSummary } from '@/lib/play-analyzer';
+import { getBiggestSwings } from '@/lib/win-probability';
+import { SCRIPT_STYLES, SCRIPT_LENGTHS } from '@/lib/script-config';
+import { allPlays, gameFeed, TEAMS } from './fixtures/walk-off-game';
+
+const teamIds = { away: TEAMS.away.id, home: TEAMS.home.id };
+const keyPlays = analyzeGame(allPlays, { teamIds });
+const input = {
+  gameData: {
+    ...gameFeed.gameData,
+    teams: {
+      away: { ...TEAMS.away, score: 1 },
+      home: { ...TEAMS.home, score: 2 },
+    },
+  },
+  keyPlays,
+  biggestSwings: getBiggestSwings(allPlays),
+  gameSummary: getGameSummary(allPlays),
+};
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+test('writeTemplateScript is deterministic', () => {
+  const first = writeTemplateScript({ ...input, style: 'excited', length: '60' });
+  const second = writeTemplateScript({ ...input, style: 'excited', length: '60' });
+
+  assert.equal(first, second);
+});
+
+test('writeTemplateScript stays within every word budget', () => {
+  for (const style of SCRIPT_STYLES) {
+    for (const length of SCRIPT_LENGTHS) {
+      const script = writeTemplateScript({ ...input, style: style.id, length: length.id });
+      assert.ok(
+        countWords(script) <= length.words,
+        `${style.id}/${length.id}: ${countWords(script)} words over ${length.words}`
+      );
+    }
+  }
+});
+
+test('writeTemplateScript always covers the walk-off and the final', () => {
+  for (const style of SCRIPT_STYLES) {
+    const script = writeTemplateScript({ ...input, style: style.id, length: '30' });
+    assert.match(script, /Triston Casas/);
+    assert.match(script, /walk/i);
+    assert.match(script, /Boston Red Sox (win|take|2)/);
+  }
+});
+
+test('writeTemplateScript reads differently per style', () => {
+  const scripts = SCRIPT_STYLES.map(style => writeTemplateScript({ ...input, style: style.id, length: '60' }));
+
+  assert.equal(new Set(scripts).size, scripts.length);
+});
+
+test('writeTemplateScript closes for the perspective team', () => {
+  const neutral = writeTemplateScript({ ...input, style: 'casual', length: '60' });
+  const forWinner = writeTemplateScript({ ...input, style: 'casual', length: '60', perspectiveTeamId: TEAMS.home.id });
+  const forLoser = writeTemplateScript({ ...input, style: 'casual', length: '60', perspectiveTeamId: TEAMS.away.id });
+
+  assert.notEqual(forWinner, neutral);
+  assert.notEqual(forLoser, forWinner);
+  assert.match(forLoser, /Not our night/);
+});
+
+test('writeTemplateSegment rewrites one play, the opener or the closer', () => {
+  const walkOff = keyPlays.findIndex(play => play.isWalkOff);
+  const play = writeTemplateSegment({ ...input, kind: 'play', play: keyPlays[walkOff], position: walkOff, style: 'casual' });
+  assert.match(play, /Triston Casas/);
+
+  const closer = writeTemplateSegment({ ...input, kind: 'outro', style: 'excited' });
+  assert.match(closer, /Boston Red Sox (win|take|2)/);
+
+  const opener = writeTemplateSegment({ ...input, kind: 'intro', style: 'analytical' });
+  assert.notEqual(opener, writeTemplateSegment({ ...input, kind: 'intro', style: 'casual' }));
+});
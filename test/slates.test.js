@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findSlateTemplate,
+  hasSlates,
+  normalizeSponsorTag,
+  gameFromFeed,
+  gameSlates,
+  roundupSlates,
+  seriesSlates,
+  seriesGameCard,
+  playerSlates,
+  buildSlateGraph,
+} from '@/lib/slates';
+import { gameFeed } from './fixtures/walk-off-game';
+
+const NYY = 147;
+const BOS = 111;
+
+test('findSlateTemplate defaults to no slates and rejects unknown ids', () => {
+  assert.equal(findSlateTemplate(undefined).id, 'none');
+  assert.ok(!hasSlates(findSlateTemplate('')));
+  assert.ok(hasSlates(findSlateTemplate('split')));
+  assert.equal(findSlateTemplate('marquee'), null);
+
+  assert.equal(normalizeSponsorTag('  Presented by Acme  '), 'Presented by Acme');
+  assert.equal(normalizeSponsorTag('   '), null);
+  assert.equal(normalizeSponsorTag('x'.repeat(80)).length, 48);
+});
+
+test('gameSlates opens on the matchup and closes on the final score', () => {
+  const { open, close } = gameSlates(gameFromFeed(gameFeed), { sponsor: 'Presented by Acme' });
+
+  assert.equal(open.heading, 'NYY @ BOS');
+  assert.deepEqual(open.teams.map(team => [team.abbr, team.primary, team.score]), [['NYY', '#003087', null], ['BOS', '#BD3039', null]]);
+  assert.deepEqual(open.details, ['July 4, 2025', 'Fenway Park']);
+  assert.equal(open.sponsor, 'Presented by Acme');
+
+  assert.equal(close.heading, 'FINAL');
+  assert.deepEqual(close.teams.map(team => team.score), [1, 2]);
+
+  // Extra innings, and games that haven't finished
+  const extras = { ...gameFromFeed(gameFeed), linescore: { currentInning: 11 } };
+  assert.equal(gameSlates(extras).close.heading, 'FINAL/11');
+  assert.equal(gameSlates({ ...extras, isFinal: false, status: 'Delayed' }).close.heading, 'DELAYED');
+});
+
+test('seriesSlates close on the series result, with each game titled by number', () => {
+  const recap = {
+    startDate: '2025-07-04',
+    endDate: '2025-07-06',
+    teams: [{ id: NYY, name: 'New York Yankees' }, { id: BOS, name: 'Boston Red Sox' }],
+    games: [{}, {}, {}],
+    storylines: { wins: { [NYY]: 1, [BOS]: 2 }, seriesWinnerId: BOS, mvp: { name: 'Triston Casas' } },
+  };
+  const { open, close } = seriesSlates(recap);
+
+  assert.deepEqual(open.details, ['July 4, 2025 - July 6, 2025', '3 games']);
+  assert.equal(close.heading, 'BOS TAKE THE SERIES');
+  assert.deepEqual(close.teams.map(team => team.score), [1, 2]);
+  assert.deepEqual(close.details, ['Series MVP: Triston Casas']);
+
+  const split = seriesSlates({ ...recap, storylines: { wins: { [NYY]: 2, [BOS]: 2 }, seriesWinnerId: null } });
+  assert.equal(split.close.heading, 'SERIES SPLIT');
+
+  const card = seriesGameCard({ ...gameFromFeed(gameFeed), date: '2025-07-04', gameNumber: 2 });
+  assert.equal(card.heading, 'GAME 2');
+  assert.ok(card.teams.every(team => team.score === null));
+});
+
+test('roundup and player slates carry the date and the season line', () => {
+  const roundup = roundupSlates('2025-07-04', [{ scoreBug: 'NYY 1  BOS 2  FINAL' }]);
+  assert.deepEqual(roundup.open.details, ['July 4, 2025', '1 game']);
+  assert.deepEqual(roundup.close.details, ['NYY 1  BOS 2  FINAL']);
+
+  const player = playerSlates({ fullName: 'Triston Casas', teamId: BOS }, { startDate: '2025-07-04', endDate: '2025-07-04', statLine: '.280 AVG, 20 HR' });
+  assert.equal(player.open.heading, 'TRISTON CASAS');
+  assert.deepEqual(player.open.teams.map(team => team.abbr), ['BOS']);
+  assert.deepEqual(player.open.details, ['July 4, 2025']);
+  assert.deepEqual(player.close.details, ['.280 AVG, 20 HR']);
+});
+
+test('buildSlateGraph lays the card out inside the part a crop keeps', () => {
+  const { open } = gameSlates(gameFromFeed(gameFeed));
+  const template = findSlateTemplate('classic');
+
+  // A vertical crop of 1280x720 keeps the middle 405 pixels
+  const vertical = buildSlateGraph(open, template, { width: 1280, height: 720, duration: 2.5, keepAspect: 9 / 16, logos: [true, false] });
+  assert.match(vertical, /^\[0:v\]drawbox=x=438:y=0:w=405:h=7:color=0x003087@1/);
+  assert.match(vertical, /text='NYY @ BOS'[^,]*x=438\+\(405-text_w\)\/2/);
+
+  // The Yankees logo is overlaid; the Red Sox get a badge in their colors
+  assert.match(vertical, /\[2:v\]scale=\d+:\d+:force_original_aspect_ratio=decrease\[logo0\];\[bg0\]\[logo0\]overlay=/);
+  assert.ok(!vertical.includes('[3:v]'));
+  assert.match(vertical, /color=0xBD3039@1:t=fill,drawbox=[^,]*color=0x0D2B56@1:t=fill,drawtext=[^,]*text='BOS'/);
+  assert.match(vertical, /\[bg1\]fade=t=in:st=0:d=0\.4,fade=t=out:st=2\.10:d=0\.4,setsar=1,format=yuv420p\[slate\]$/);
+
+  // Split panels fill the frame with each team's color
+  const split = buildSlateGraph(open, findSlateTemplate('split'), { width: 1920, height: 1080, duration: 3 });
+  assert.match(split, /^\[0:v\]drawbox=x=0:y=0:w=960:h=1080:color=0x003087@1:t=fill,drawbox=x=960:y=0:w=960:h=1080:color=0xBD3039@1/);
+  assert.ok(!split.includes('overlay'));
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStandings, describeTeamStanding, describeStandingsContext } from '@/lib/standings';
+
+// Late-season American League, in getStandings shape
+const AL = 103;
+const team = (id, name, divisionId, divisionName, wins, losses, streak = null) => ({
+  id, name, leagueId: AL, divisionId, divisionName, wins, losses, streak,
+});
+
+const teams = [
+  team(147, 'New York Yankees', 201, 'AL East', 92, 60, 'W3'),
+  team(111, 'Boston Red Sox', 201, 'AL East', 88, 64, 'L1'),
+  team(139, 'Tampa Bay Rays', 201, 'AL East', 80, 72),
+  team(114, 'Cleveland Guardians', 202, 'AL Central', 85, 67),
+  team(116, 'Detroit Tigers', 202, 'AL Central', 84, 68),
+  team(142, 'Minnesota Twins', 202, 'AL Central', 70, 82),
+  team(117, 'Houston Astros', 200, 'AL West', 86, 66),
+  team(136, 'Seattle Mariners', 200, 'AL West', 83, 69),
+  team(140, 'Texas Rangers', 200, 'AL West', 75, 77),
+];
+
+test('computeStandings ranks divisions with games back and magic numbers', () => {
+  const standings = computeStandings(teams);
+  const yankees = standings.get(147);
+  const redSox = standings.get(111);
+
+  assert.equal(yankees.divisionRank, 1);
+  assert.equal(yankees.gamesBack, 0);
+  // 163 - 92 wins - 64 Boston losses
+  assert.equal(yankees.magicNumber, 7);
+  assert.equal(redSox.divisionRank, 2);
+  assert.equal(redSox.gamesBack, 4);
+  assert.equal(redSox.eliminationNumber, 7);
+});
+
+test('computeStandings seeds the wild card from non-division-winners', () => {
+  const standings = computeStandings(teams);
+
+  assert.deepEqual(
+    [111, 116, 136, 139].map(id => standings.get(id).wildCardRank),
+    [1, 2, 3, 4]
+  );
+  // Seattle holds the last spot by 3 games over Tampa Bay
+  assert.equal(standings.get(136).wildCardGamesBack, -3);
+  assert.equal(standings.get(139).wildCardGamesBack, 3);
+  assert.equal(standings.get(111).wildCardMagicNumber, 163 - 88 - 72);
+  assert.equal(standings.get(147).wildCardRank, null);
+});
+
+test('describeTeamStanding reads like a standings line', () => {
+  const standings = computeStandings(teams);
+
+  assert.equal(describeTeamStanding(standings.get(147), standings), '1st in AL East (4 up) • W3');
+  assert.equal(describeTeamStanding(standings.get(111), standings), '2nd in AL East, 4 GB • wild card #1 (+8) • L1');
+  assert.equal(describeTeamStanding(standings.get(139), standings), '3rd in AL East, 12 GB • 3 GB of the last wild card');
+});
+
+test('describeStandingsContext covers the race, the division and the season series', () => {
+  const standings = computeStandings(teams);
+  const context = {
+    away: { ...standings.get(147), summary: describeTeamStanding(standings.get(147), standings) },
+    home: { ...standings.get(111), summary: describeTeamStanding(standings.get(111), standings) },
+    sameDivision: true,
+    headToHead: { games: 12, wins: { 147: 7, 111: 5 } },
+  };
+  const text = describeStandingsContext(context);
+
+  assert.match(text, /- New York Yankees \(92-60\): 1st in AL East \(4 up\)/);
+  assert.match(text, /magic number for the AL East: 7/);
+  assert.match(text, /Division game - 4 games separate them/);
+  assert.match(text, /Season series \(including this game\): New York Yankees lead 7-5/);
+  assert.equal(describeStandingsContext(null), '');
+});
@@ -0,0 +1,63 @@
+// Synthetic media for the ffmpeg pipeline tests - lavfi test patterns, no downloads
+import { spawn, spawnSync } from 'node:child_process';
+
+export const hasFfmpeg = ['ffmpeg', 'ffprobe']
+  .every(tool => spawnSync(tool, ['-version'], { stdio: 'ignore' }).status === 0);
+
+/**
+ * Run a command, rejecting with its stderr if it fails
+ */
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', data => { stdout += data; });
+    child.stderr.on('data', data => { stderr += data; });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) resolve(stdout);
+      else reject(new Error(`${command} exited with code ${code}: ${stderr.slice(-500)}`));
+    });
+  });
+}
+
+/**
+ * Make a clip with a test-pattern video track and a sine tone audio track
+ * @param {string} outputPath - Output .mp4 path
+ * @param {object} options
+ * @param {number} options.duration - Seconds
+ * @param {number} options.frequency - Tone frequency, so clips sound different
+ * @returns {Promise<string>}
+ */
+export async function makeClip(outputPath, { duration = 2, frequency = 440 } = {}) {
+  await run('ffmpeg', [
+    '-f', 'lavfi', '-i', `testsrc=size=320x180:rate=30:duration=${duration}`,
+    '-f', 'lavfi', '-i', `sine=frequency=${frequency}:sample_rate=44100:duration=${duration}`,
+    '-c:v', 'libx264', '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac',
+    '-shortest',
+    '-y',
+    outputPath,
+  ]);
+  return outputPath;
+}
+
+/**
+ * Container duration and stream types of a media file
+ * @param {string} filePath - Media path
+ * @returns {Promise<{duration: number, streams: string[]}>} - streams like ['video', 'audio']
+ */
+export async function probe(filePath) {
+  const output = await run('ffprobe', [
+    '-v', 'error',
+    '-show_entries', 'format=duration:stream=codec_type',
+    '-of', 'json',
+    filePath,
+  ]);
+  const info = JSON.parse(output);
+  return {
+    duration: parseFloat(info.format.duration),
+    streams: info.streams.map(stream => stream.codec_type),
+  };
+}
@@ -0,0 +1,4 @@
+// Test loader setup - lets node --test import app modules written for Next's bundler
+import { register } from 'node:module';
+
+register('./resolve-hooks.js', import.meta.url);
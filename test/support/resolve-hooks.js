@@ -0,0 +1,26 @@
+// Module resolution the way Next resolves it: the '@/' alias (jsconfig.json),
+// extensionless relative and package subpath imports (e.g. 'next/server') and
+// directory imports of index.js
+import path from 'node:path';
+
+const ROOT_URL = new URL('../../', import.meta.url);
+
+const RETRYABLE = new Set(['ERR_MODULE_NOT_FOUND', 'ERR_UNSUPPORTED_DIR_IMPORT']);
+
+export async function resolve(specifier, context, nextResolve) {
+  const target = specifier.startsWith('@/')
+    ? new URL(specifier.slice(2), ROOT_URL).href
+    : specifier;
+
+  try {
+    return await nextResolve(target, context);
+  } catch (error) {
+    const isRelative = target.startsWith('.') || target.startsWith('file:');
+    const isPackageFile = !isRelative && !target.startsWith('node:') && /^(@[^/]+\/)?[^/@]+\/./.test(target);
+    if (!RETRYABLE.has(error.code) || !(isRelative || isPackageFile) || path.extname(target)) throw error;
+
+    return error.code === 'ERR_UNSUPPORTED_DIR_IMPORT'
+      ? nextResolve(`${target}/index.js`, context)
+      : nextResolve(`${target}.js`, context);
+  }
+}
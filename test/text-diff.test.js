@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffWords, countChanges } from '@/lib/text-diff';
+
+test('diffWords marks replaced words and reads back as either text', () => {
+  const before = 'Judge goes deep in the first inning.';
+  const after = 'Aaron Judge goes deep in the first.';
+  const runs = diffWords(before, after);
+
+  const read = (skip) => runs.filter(r => r.type !== skip).map(r => r.text).join('');
+  assert.equal(read('removed'), after);
+  assert.equal(read('added').replace(/\s+/g, ' ').trim(), before);
+  assert.deepEqual(countChanges(runs), { added: 2, removed: 2 });
+});
+
+test('diffWords ignores whitespace-only differences', () => {
+  const runs = diffWords('One.\n\nTwo.', 'One. Two.');
+
+  assert.deepEqual(runs.map(r => r.type), ['same']);
+});
+
+test('diffWords handles empty sides', () => {
+  assert.deepEqual(diffWords('', 'New script'), [{ type: 'added', text: 'New script' }]);
+  assert.deepEqual(diffWords('Old script', ''), [{ type: 'removed', text: 'Old script' }]);
+});
@@ -0,0 +1,240 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  rundownTimeline,
+  highlightTimeline,
+  syncedTimeline,
+  roundupTimeline,
+  seriesTimeline,
+  playerReelTimeline,
+  getTimelineRoute,
+  layoutTimeline,
+  buildSourceGainExpression,
+  validateTimeline,
+  summarizeTimeline,
+  updateItem,
+  moveEvent,
+  removeItem,
+  DISSOLVE_SECONDS,
+} from '@/lib/timeline';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+const graphics = {
+  away: { abbr: 'NYY', primary: '#003087', secondary: '#E4002C', score: 1 },
+  home: { abbr: 'BOS', primary: '#BD3039', secondary: '#0C2340', score: 1 },
+  inning: 9,
+  isTop: false,
+  outs: 0,
+};
+
+const rundown = () => rundownTimeline([
+  {
+    videoUrl: 'https://example.com/a.mp4',
+    playIndex: 3,
+    segments: [{ start: 0, end: 1 }, { start: 2, end: 3 }],
+    words: [{ word: 'Swing', start: 0.2, end: 0.5 }, { word: 'Gone!', start: 2.4, end: 2.8 }],
+    text: 'Swing Gone!',
+    graphics,
+  },
+  { isTransition: true, transitionKey: 'top-9' },
+  { videoUrl: 'https://example.com/b.mp4', playIndex: 5, segments: [{ start: 0.5, end: 1.5 }], words: [], text: '' },
+  { videoUrl: 'https://example.com/c.mp4', playIndex: 6, segments: [{ start: 0, end: 2 }], words: [], text: '' },
+], { gamePk: 999001, output: { exportPreset: 'vertical-1080' } });
+
+test('rundownTimeline makes an event per kept segment, cutting within a play', () => {
+  const timeline = rundown();
+  const { video, graphics: bugs } = timeline.tracks;
+
+  assert.equal(timeline.gamePk, '999001');
+  assert.deepEqual(video.map(e => [e.id, e.kind, e.in, e.out, e.transition]), [
+    ['v1', 'play', 0, 1, 'dissolve'],
+    ['v2', 'play', 2, 3, 'cut'],
+    ['v3', 'transition', 0, null, 'cut'],
+    ['v4', 'play', 0.5, 1.5, 'dissolve'],
+    ['v5', 'play', 0, 2, 'dissolve'],
+  ]);
+  assert.deepEqual(video[1].words.map(w => w.word), ['Gone!']);
+  assert.deepEqual(bugs, [{ id: 'g1', anchor: 'v1', until: 'v2', ...graphics }]);
+  assert.equal(validateTimeline(timeline, 'rundown-video'), null);
+});
+
+test('layoutTimeline dissolves only where asked and places words and graphics', () => {
+  // Transition cards are as long as their file, known once rendered
+  const layout = layoutTimeline(rundown(), [1, 1, 1, 1, 2]);
+
+  // Cut within the play, hard cuts around the card, then a dissolve between b and c
+  [0, 1, 2, 3, 4 - DISSOLVE_SECONDS].forEach((start, i) => close(layout.video[i].start, start));
+  close(layout.duration, 6 - DISSOLVE_SECONDS);
+
+  assert.deepEqual(layout.words.map(w => [w.word, Number(w.start.toFixed(3))]), [['Swing', 0.2], ['Gone!', 1.4]]);
+  assert.equal(layout.graphics.length, 1);
+  assert.deepEqual([layout.graphics[0].start, layout.graphics[0].end], [0, 2]);
+});
+
+test('syncedTimeline trims around the action and puts narration on the peak', () => {
+  const timeline = syncedTimeline([
+    {
+      id: 'clip-1', videoUrl: 'https://example.com/a.mp4', playIndex: 1, headline: 'Casas homers',
+      analysis: { action_start_seconds: 3, action_peak_seconds: 4, action_end_seconds: 6, total_duration_seconds: 8, focus_points: [{ seconds: 4, x: 0.7 }] },
+    },
+    { id: 'clip-2', videoUrl: 'https://example.com/b.mp4', analysis: {} },
+  ], [
+    { clipId: 'clip-1', text: 'Casas gets all of it!', audio: 'line-1.mp3', duration: 2, timing: 'during_action' },
+    { clipId: 'clip-2', text: 'And that will do it.', audio: 'line-2.mp3', duration: 1.5, timing: 'bridge' },
+    { clipId: 'missing', text: 'Nowhere to go', audio: 'line-3.mp3', duration: 1, timing: 'bridge' },
+  ], { gamePk: '999001' });
+
+  const [a, b] = timeline.tracks.video;
+  assert.deepEqual([a.in, a.out, b.in, b.out], [1.5, 7.5, 0, null]);
+  assert.deepEqual(timeline.tracks.narration.map(n => [n.anchor, n.offset, n.gain]), [['v1', 2.5, 2], ['v2', 0, 2]]);
+  assert.deepEqual(timeline.mix, { sourceGain: 0.7, duckGain: 0.2, master: 1.5 });
+
+  const layout = layoutTimeline(timeline, [6, 4]);
+  assert.deepEqual(layout.focus, [{ time: 2.5, x: 0.7 }]);
+  close(layout.narration[1].start, 6 - DISSOLVE_SECONDS);
+  assert.equal(
+    buildSourceGainExpression(layout, timeline.mix),
+    `if(between(t,2.50,5.00),0.2,if(between(t,${(6 - DISSOLVE_SECONDS).toFixed(2)},${(8 - DISSOLVE_SECONDS).toFixed(2)}),0.2,0.7))`
+  );
+});
+
+test('highlightTimeline plays whole clips under one narration with the clip audio out', () => {
+  const timeline = highlightTimeline(
+    [{ videoUrl: 'https://example.com/a.mp4', playIndex: 1, headline: 'Walk-off' }],
+    { text: 'What a finish.', audio: 'line.mp3', duration: 3 },
+    { gamePk: '999001' }
+  );
+
+  assert.deepEqual(timeline.tracks.video.map(e => [e.in, e.out]), [[0, null]]);
+  assert.deepEqual(summarizeTimeline(timeline), {
+    clips: [{ videoUrl: 'https://example.com/a.mp4', playIndex: 1, in: 0, out: null, text: 'Walk-off' }],
+    script: 'What a finish.',
+  });
+  assert.equal(buildSourceGainExpression(layoutTimeline(timeline, [10]), timeline.mix), 'if(between(t,0.00,3.50),0,0)');
+});
+
+test('roundupTimeline cuts within a game, dissolves between games and narrates each from its first clip', () => {
+  const timeline = roundupTimeline([
+    {
+      clips: [{ videoUrl: 'https://example.com/a.mp4', playIndex: 3, graphics }, { videoUrl: 'https://example.com/b.mp4', playIndex: 7 }],
+      narration: { text: 'Walk-off in Boston.', audio: 'a.mp3', duration: 3 },
+    },
+    { clips: [{ videoUrl: 'https://example.com/c.mp4', playIndex: 2, graphics }], narration: { text: 'Meanwhile...', audio: 'c.mp3', duration: 2 } },
+  ], { gamePk: 'roundup-2025-07-04' });
+  const { video, narration, graphics: bugs } = timeline.tracks;
+
+  assert.deepEqual(video.map(e => [e.id, e.in, e.out, e.transition]), [
+    ['v1', 0, null, 'dissolve'],
+    ['v2', 0, null, 'cut'],
+    ['v3', 0, null, 'dissolve'],
+  ]);
+  assert.deepEqual(narration.map(line => [line.anchor, line.offset, line.gain]), [['v1', 0.5, 2], ['v3', 0.5, 2]]);
+  assert.deepEqual(bugs.map(bug => [bug.anchor, bug.until]), [['v1', 'v1'], ['v3', 'v3']]);
+  assert.deepEqual(timeline.mix, { sourceGain: 0.7, duckGain: 0.2, master: 1.5 });
+  assert.equal(validateTimeline(timeline, 'roundup-video'), null);
+
+  const layout = layoutTimeline(timeline, [4, 4, 4]);
+  assert.deepEqual(layout.narration.map(line => Number(line.start.toFixed(3))), [0.5, Number((8 - DISSOLVE_SECONDS + 0.5).toFixed(3))]);
+  assert.equal(getTimelineRoute(timeline), '/api/roundup');
+});
+
+test('seriesTimeline opens each game on its title card, which needs a slate template', () => {
+  const card = { heading: 'GAME 1', teams: [{ id: 147, abbr: 'NYY', name: 'Yankees', primary: '#003087', secondary: '#E4002C', score: null }], details: ['July 4, 2025'] };
+  const games = [{
+    card,
+    clips: [{ isTransition: true, transitionKey: 'top-9' }, { videoUrl: 'https://example.com/a.mp4', playIndex: 3, graphics }, { videoUrl: 'https://example.com/b.mp4', playIndex: 5 }],
+    narration: { text: 'Game one.', audio: 'a.mp3', duration: 3 },
+  }];
+  const timeline = seriesTimeline(games, { gamePk: 'series-147-111-2025-07-04', output: { slates: { template: 'classic' } } });
+  const { video, narration } = timeline.tracks;
+
+  assert.deepEqual(video.map(e => [e.kind, e.transition]), [['card', 'dissolve'], ['transition', 'cut'], ['play', 'dissolve'], ['play', 'dissolve']]);
+  assert.deepEqual(video[0].card, card);
+  assert.equal(narration[0].anchor, 'v1');
+  assert.equal(validateTimeline(timeline, 'series-recap'), null);
+  assert.deepEqual(summarizeTimeline(timeline).clips.map(clip => Boolean(clip.isTransition)), [true, false, false]);
+
+  assert.match(validateTimeline({ ...timeline, output: { ...timeline.output, slates: null } }), /needs a slate template/);
+  assert.match(validateTimeline(updateItem(timeline, 'video', 'v1', { card: { ...card, teams: [{ ...card.teams[0], id: '../x' }] } })), /needs a title card/);
+  assert.match(validateTimeline({ ...timeline, output: { ...timeline.output, slates: { template: 'classic', open: { heading: 1 } } } }), /Slates need/);
+});
+
+test('playerReelTimeline puts the intro on the opening clip and ends the outro before the last', () => {
+  const clips = [
+    { videoUrl: 'https://example.com/a.mp4', segments: [{ start: 0, end: 4 }] },
+    { videoUrl: 'https://example.com/b.mp4', segments: [{ start: 1, end: 7 }] },
+  ];
+  const timeline = playerReelTimeline(clips, {
+    intro: { text: 'Intro', audio: 'i.mp3', duration: 3 },
+    outro: { text: 'Outro', audio: 'o.mp3', duration: 2 },
+  }, { gamePk: 'player-592450' });
+
+  assert.deepEqual(timeline.tracks.narration.map(line => [line.anchor, line.offset]), [['v1', 0.3], ['v2', 3.5]]);
+  assert.equal(timeline.mix.sourceGain, 0.7);
+  assert.equal(validateTimeline(timeline, 'player-reel'), null);
+  assert.equal(getTimelineRoute(timeline), '/api/player/592450/reel');
+
+  // Without a voiceover the broadcast audio plays as it is
+  const silent = playerReelTimeline(clips, null, { gamePk: 'player-592450' });
+  assert.deepEqual([silent.tracks.narration, silent.mix.sourceGain, silent.mix.master], [[], 1, 1]);
+});
+
+test('validateTimeline rejects what the renderer could not use', () => {
+  const timeline = rundown();
+  assert.match(validateTimeline(timeline, 'synced-video'), /Expected a synced-video timeline/);
+  assert.match(validateTimeline({ ...timeline, version: 2 }), /Unsupported timeline version/);
+  assert.match(validateTimeline(updateItem(timeline, 'video', 'v1', { out: 0 })), /ends before it starts/);
+  assert.match(validateTimeline(updateItem(timeline, 'video', 'v3', { src: '../etc/passwd' })), /Invalid transition/);
+  assert.match(validateTimeline(updateItem(timeline, 'video', 'v1', { transition: 'wipe' })), /Unknown transition/);
+  assert.match(validateTimeline({ ...timeline, output: { exportPreset: 'imax' } }), /Unknown export preset/);
+  assert.match(validateTimeline({ ...timeline, gamePk: '../x' }), /Invalid gamePk/);
+  assert.match(validateTimeline({ ...timeline, tracks: { ...timeline.tracks, music: [{ id: 'm1', src: '../bed.mp3' }] } }), /Invalid music file/);
+  assert.match(validateTimeline({ ...timeline, tracks: { ...timeline.tracks, video: [timeline.tracks.video[2]] } }), /at least one play/);
+});
+
+test('validateTimeline rejects values that would land raw in the filtergraph', () => {
+  const timeline = syncedTimeline(
+    [{ id: 'a', videoUrl: 'https://example.com/a.mp4', graphics }],
+    [{ clipId: 'a', text: 'First', audio: 'a.mp3', duration: 1, timing: 'bridge' }]
+  );
+  const injected = '1,amovie=/etc/passwd';
+  const withTrack = (track, item) => ({ ...timeline, tracks: { ...timeline.tracks, [track]: [item] } });
+
+  assert.equal(validateTimeline(timeline), null);
+  assert.match(validateTimeline({ ...timeline, mix: undefined }), /Timeline mix needs/);
+  assert.match(validateTimeline({ ...timeline, mix: { ...timeline.mix, master: injected } }), /Timeline mix needs/);
+  assert.match(validateTimeline({ ...timeline, mix: { ...timeline.mix, duckGain: -1 } }), /Timeline mix needs/);
+  assert.match(validateTimeline(updateItem(timeline, 'narration', 'n1', { gain: injected })), /invalid gain/);
+  assert.match(validateTimeline(updateItem(timeline, 'narration', 'n1', { offset: Infinity })), /invalid offset/);
+  assert.match(validateTimeline(withTrack('music', { id: 'm1', src: 'bed.mp3', gain: injected })), /invalid gain/);
+  assert.match(validateTimeline(withTrack('music', { id: 'm1', src: 'bed.mp3', duration: '5' })), /invalid duration/);
+  assert.match(validateTimeline(withTrack('music', { id: 'm1', src: 'bed.mp3', offset: 'x' })), /invalid offset/);
+  assert.match(validateTimeline(withTrack('sourceAudio', { id: 's1', gain: 10, duration: 1 })), /needs a gain/);
+  assert.equal(validateTimeline(withTrack('music', { id: 'm1', src: 'bed.mp3', gain: 0.3, offset: -1 })), null);
+
+  const bug = timeline.tracks.graphics[0];
+  assert.match(validateTimeline(updateItem(timeline, 'graphics', bug.id, { home: { ...bug.home, primary: "red:t=fill,drawtext=text='x'" } })), /#RRGGBB/);
+  assert.match(validateTimeline(updateItem(timeline, 'graphics', bug.id, { inning: '9:x' })), /valid inning/);
+  assert.match(validateTimeline(updateItem(timeline, 'graphics', bug.id, { outs: 4 })), /valid inning/);
+});
+
+test('editing helpers move events and take what hangs off a removed one along', () => {
+  const timeline = syncedTimeline(
+    [{ id: 'a', videoUrl: 'https://example.com/a.mp4', graphics }, { id: 'b', videoUrl: 'https://example.com/b.mp4', graphics }],
+    [{ clipId: 'a', text: 'First', audio: 'a.mp3', duration: 1, timing: 'bridge' }]
+  );
+
+  assert.deepEqual(moveEvent(timeline, 'v2', -1).tracks.video.map(e => e.id), ['v2', 'v1']);
+  assert.equal(moveEvent(timeline, 'v1', -1), timeline);
+
+  const removed = removeItem(timeline, 'video', 'v1');
+  assert.deepEqual(removed.tracks.video.map(e => e.id), ['v2']);
+  assert.deepEqual(removed.tracks.narration, []);
+  assert.deepEqual(removed.tracks.graphics.map(g => g.anchor), ['v2']);
+  assert.equal(timeline.tracks.video.length, 2);
+
+  // A bug spanning a play's segments shrinks to the ones left
+  const shrunk = removeItem(rundown(), 'video', 'v1');
+  assert.deepEqual(shrunk.tracks.graphics.map(g => [g.anchor, g.until]), [['v2', 'v2']]);
+});
@@ -0,0 +1,58 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { highlightTimeline } from '@/lib/timeline';
+
+// The store directory is read at import time
+const timelinesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'timelines-'));
+process.env.TIMELINES_DIR = timelinesDir;
+const { saveTimeline, listTimelines, getTimeline, saveTimelineAsset, getTimelineAssetPath } = await import('@/lib/timelines');
+
+after(() => fs.rm(timelinesDir, { recursive: true, force: true }));
+
+const timeline = (gamePk, audio = 'line.mp3') => highlightTimeline(
+  [{ videoUrl: 'https://example.com/a.mp4', playIndex: 1 }],
+  { text: 'What a finish.', audio, duration: 3 },
+  { gamePk }
+);
+
+test('saveTimeline keeps each edit with the timeline it came from, newest first', async () => {
+  const first = await saveTimeline(timeline('745001'));
+  const edited = { ...first, tracks: { ...first.tracks, narration: [] } };
+  const second = await saveTimeline(edited);
+
+  assert.equal(first.parentId, null);
+  assert.equal(second.parentId, first.id);
+  assert.deepEqual((await listTimelines('745001')).map(t => t.id), [second.id, first.id]);
+  assert.deepEqual((await getTimeline('745001', first.id)).tracks, first.tracks);
+  assert.equal(await getTimeline('745001', 'missing'), null);
+  assert.equal(await getTimeline('745001', '../745001'), null);
+
+  // Saving the newest again unchanged doesn't make a copy
+  assert.equal((await saveTimeline(second)).id, second.id);
+  assert.equal((await listTimelines('745001')).length, 2);
+});
+
+test('timelines without a game are kept as custom', async () => {
+  const saved = await saveTimeline(timeline(null));
+  assert.deepEqual((await listTimelines(null)).map(t => t.id), [saved.id]);
+  assert.deepEqual(await listTimelines('745002'), []);
+});
+
+test('narration assets are kept per game under safe names', async () => {
+  const name = await saveTimelineAsset('745001', Buffer.from('mp3'));
+  assert.match(name, /^[\w-]+\.mp3$/);
+  assert.equal(await fs.readFile(getTimelineAssetPath('745001', name), 'utf8'), 'mp3');
+
+  assert.throws(() => getTimelineAssetPath('745001', '../secret.mp3'), /Invalid timeline asset/);
+  await assert.rejects(saveTimeline(timeline('../etc')), /Invalid gamePk/);
+});
+
+test('timelines saved side by side all land', async () => {
+  const saved = await Promise.all(['a.mp3', 'b.mp3', 'c.mp3'].map(audio => saveTimeline(timeline('745003', audio))));
+
+  assert.deepEqual((await listTimelines('745003')).map(t => t.id).sort(), saved.map(t => t.id).sort());
+  assert.deepEqual((await fs.readdir(path.join(timelinesDir, '745003'))).filter(name => name.endsWith('.tmp')), []);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildSegments,
+  segmentIndicesToWordIndices,
+  wordIndicesToSegmentIndices,
+  calculateSelectedDuration,
+} from '@/lib/transcript-segments';
+
+// "Judge hits it ... gone" with a 0.9s pause before the last word and 0.6s of tail
+const words = [
+  { word: 'Judge', start: 0.1, end: 0.4 },
+  { word: 'hits', start: 0.45, end: 0.7 },
+  { word: 'it', start: 0.75, end: 0.9 },
+  { word: 'gone', start: 1.8, end: 2.2 },
+];
+
+test('buildSegments interleaves words with 0.3s gap units', () => {
+  const segments = buildSegments(words, 2.8);
+
+  assert.deepEqual(segments.map(s => s.content), ['Judge', 'hits', 'it', '_', '_', '_', 'gone', '_', '_']);
+  segments.forEach((segment, index) => assert.equal(segment.segmentIndex, index));
+  assert.deepEqual(segments.filter(s => s.type === 'word').map(s => s.originalIndex), [0, 1, 2, 3]);
+});
+
+test('buildSegments gaps cover the silence exactly', () => {
+  const gaps = buildSegments(words, 2.8).filter(s => s.type === 'gap');
+
+  assert.equal(gaps[0].start, 0.9);
+  assert.equal(gaps[2].end, 1.8);
+  assert.equal(gaps[4].end, 2.8);
+  for (let i = 1; i < 3; i++) assert.equal(gaps[i].start, gaps[i - 1].end);
+});
+
+test('buildSegments skips pauses shorter than the threshold', () => {
+  const segments = buildSegments(words.slice(0, 3), 1.0);
+
+  assert.ok(segments.every(s => s.type === 'word'));
+});
+
+test('buildSegments adds a leading gap and handles no words', () => {
+  const segments = buildSegments([{ word: 'Gone', start: 0.6, end: 1.0 }]);
+
+  assert.deepEqual(segments.map(s => s.type), ['gap', 'gap', 'word']);
+  assert.deepEqual(buildSegments([], 5), []);
+});
+
+test('segmentIndicesToWordIndices drops gaps and sorts', () => {
+  const segments = buildSegments(words, 2.8);
+
+  assert.deepEqual(segmentIndicesToWordIndices(segments, [6, 3, 0, 4, 1]), [0, 1, 3]);
+  assert.deepEqual(segmentIndicesToWordIndices(segments, [99]), []);
+});
+
+test('wordIndicesToSegmentIndices is the inverse for words', () => {
+  const segments = buildSegments(words, 2.8);
+  const segmentIndices = wordIndicesToSegmentIndices(segments, [0, 3]);
+
+  assert.deepEqual(segmentIndices, [0, 6]);
+  assert.deepEqual(segmentIndicesToWordIndices(segments, segmentIndices), [0, 3]);
+});
+
+test('calculateSelectedDuration sums each consecutive run', () => {
+  const segments = buildSegments(words, 2.8);
+
+  // "Judge hits it" (0.1-0.9) plus "gone" (1.8-2.2)
+  assert.ok(Math.abs(calculateSelectedDuration(segments, [0, 1, 2, 6]) - 1.2) < 1e-9);
+  // Keeping the pause joins the runs: 0.1-2.2
+  assert.ok(Math.abs(calculateSelectedDuration(segments, [0, 1, 2, 3, 4, 5, 6]) - 2.1) < 1e-9);
+  assert.equal(calculateSelectedDuration(segments, []), 0);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSelectionSegments } from '@/lib/transcription';
+
+const words = [
+  { word: 'Casas', start: 0.5, end: 0.9 },
+  { word: 'swings', start: 1.0, end: 1.3 },
+  { word: 'and', start: 1.4, end: 1.5 },
+  { word: 'drives', start: 1.6, end: 2.0 },
+  { word: 'it', start: 4.0, end: 4.1 },
+  { word: 'gone', start: 4.2, end: 4.6 },
+];
+
+const rounded = (segments) => segments.map(({ start, end }) => ({
+  start: Number(start.toFixed(3)),
+  end: Number(end.toFixed(3)),
+}));
+
+test('getSelectionSegments pads a consecutive run by the buffer', () => {
+  assert.deepEqual(rounded(getSelectionSegments(words, [0, 1, 2])), [{ start: 0.4, end: 1.6 }]);
+});
+
+test('getSelectionSegments splits runs separated by a long pause', () => {
+  assert.deepEqual(rounded(getSelectionSegments(words, [5, 0, 3])), [
+    { start: 0.4, end: 1.0 },
+    { start: 1.5, end: 2.1 },
+    { start: 4.1, end: 4.7 },
+  ]);
+});
+
+test('getSelectionSegments keeps neighboring words together across a pause', () => {
+  assert.deepEqual(rounded(getSelectionSegments(words, [3, 4])), [{ start: 1.5, end: 4.2 }]);
+});
+
+test('getSelectionSegments bridges short gaps between selected words', () => {
+  // Skipping "swings" leaves a 0.3s hole - not worth a cut
+  assert.deepEqual(rounded(getSelectionSegments(words, [0, 2])), [{ start: 0.4, end: 1.6 }]);
+});
+
+test('getSelectionSegments clamps at zero and ignores bad indices', () => {
+  assert.deepEqual(rounded(getSelectionSegments([{ word: 'Go', start: 0.05, end: 0.3 }], [0, 7], 0.2)), [
+    { start: 0, end: 0.5 },
+  ]);
+  assert.deepEqual(getSelectionSegments(words, []), []);
+});
@@ -0,0 +1,187 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  getClipStartTimes,
+  concatenateVideos,
+  trimToSegments,
+  renderTimeline,
+  cleanupTempFiles,
+} from '@/lib/video-processor';
+import { rundownTimeline } from '@/lib/timeline';
+import { captionSidecarPath } from '@/lib/captions';
+import { SLATE_SECONDS } from '@/lib/slates';
+import { hasFfmpeg, makeClip, probe } from './support/media';
+
+// Duration tolerance - encoders pad the last audio frame and round to frame boundaries
+const TOLERANCE = 0.15;
+const DISSOLVE = 10 / 30;
+
+const assertDuration = (actual, expected) => assert.ok(
+  Math.abs(actual - expected) <= TOLERANCE,
+  `expected ~${expected.toFixed(3)}s, got ${actual.toFixed(3)}s`
+);
+
+describe('getClipStartTimes', () => {
+  test('overlaps neighbouring plays by the dissolve and hard-cuts around transitions', () => {
+    const starts = getClipStartTimes([
+      { duration: 1.5, isTransition: false }, // Title card
+      { duration: 1, isTransition: false },
+      { duration: 1, isTransition: true },
+      { duration: 1, isTransition: false },
+    ]);
+
+    [0, 1.5 - DISSOLVE, 2.5 - DISSOLVE, 3.5 - DISSOLVE].forEach((expected, i) => {
+      assert.ok(Math.abs(starts[i] - expected) < 1e-9, `clip ${i}: expected ${expected}, got ${starts[i]}`);
+    });
+  });
+});
+
+describe('ffmpeg pipeline', { skip: !hasFfmpeg && 'ffmpeg/ffprobe not installed' }, () => {
+  let workDir;
+  let clips;
+
+  before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mlb-highlights-test-'));
+    clips = {
+      a: await makeClip(path.join(workDir, 'a.mp4'), { duration: 2, frequency: 440 }),
+      b: await makeClip(path.join(workDir, 'b.mp4'), { duration: 2, frequency: 660 }),
+      c: await makeClip(path.join(workDir, 'c.mp4'), { duration: 2, frequency: 880 }),
+      transition: await makeClip(path.join(workDir, 'transition.mp4'), { duration: 1, frequency: 220 }),
+    };
+  });
+
+  after(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('concatenateVideos overlaps each join by the dissolve', async () => {
+    const output = path.join(workDir, 'concat.mp4');
+    await concatenateVideos([clips.a, clips.b, clips.c], output);
+
+    const { duration, streams } = await probe(output);
+    assertDuration(duration, 6 - 2 * DISSOLVE);
+    assert.deepEqual(streams.sort(), ['audio', 'video']);
+  });
+
+  test('concatenateVideos passes a single clip through', async () => {
+    const output = path.join(workDir, 'single.mp4');
+    await concatenateVideos([clips.a], output);
+
+    assertDuration((await probe(output)).duration, 2);
+  });
+
+  test('trimToSegments cuts a single range', async () => {
+    const output = path.join(workDir, 'trim-one.mp4');
+    await trimToSegments(clips.a, output, [{ start: 0.5, end: 1.5 }]);
+
+    const { duration, streams } = await probe(output);
+    assertDuration(duration, 1);
+    assert.deepEqual(streams.sort(), ['audio', 'video']);
+  });
+
+  test('trimToSegments joins several ranges with hard cuts', async () => {
+    const output = path.join(workDir, 'trim-many.mp4');
+    await trimToSegments(clips.a, output, [{ start: 0, end: 0.5 }, { start: 1, end: 2 }]);
+
+    assertDuration((await probe(output)).duration, 1.5);
+  });
+
+  test('trimToSegments rejects an empty selection', async () => {
+    await assert.rejects(trimToSegments(clips.a, path.join(workDir, 'none.mp4'), []), /No segments/);
+  });
+
+  describe('renderTimeline', () => {
+    const gamePk = 'test-rundown';
+    let server;
+    let baseUrl;
+
+    const render = (clips, onProgress, output) => renderTimeline(rundownTimeline(clips, { gamePk, output }), onProgress);
+
+    before(async () => {
+      // Clips are downloaded like MLB clips, so serve them over HTTP
+      server = http.createServer(async (req, res) => {
+        try {
+          const body = await fs.readFile(path.join(workDir, path.basename(req.url)));
+          res.writeHead(200, { 'Content-Type': 'video/mp4' });
+          res.end(body);
+        } catch {
+          res.writeHead(404);
+          res.end();
+        }
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      // Inning transition cards are named by key, and looked up in INNINGS_DIR
+      process.env.INNINGS_DIR = workDir;
+    });
+
+    after(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await cleanupTempFiles(gamePk);
+      delete process.env.INNINGS_DIR;
+    });
+
+    test('dissolves between plays and hard cuts around transitions', async () => {
+      const progress = [];
+      const output = await render([
+        { videoUrl: `${baseUrl}/a.mp4`, segments: [{ start: 0, end: 1 }] },
+        { videoUrl: `${baseUrl}/c.mp4`, segments: [{ start: 0, end: 1 }] },
+        { isTransition: true, transitionKey: 'transition' },
+        { videoUrl: `${baseUrl}/b.mp4`, segments: [{ start: 0.5, end: 1.5 }] },
+        { videoUrl: `${baseUrl}/c.mp4`, segments: [] },
+      ], (update) => progress.push(update.stage));
+
+      // Clip a (1s) dissolves into clip c (1s), then hard cuts around the transition (1s) and clip b (1s)
+      const { duration, streams } = await probe(output);
+      assertDuration(duration, 1 + 1 - DISSOLVE + 1 + 1);
+      assert.deepEqual(streams.sort(), ['audio', 'video']);
+      assert.deepEqual([...new Set(progress)], ['downloading', 'trimming', 'concatenating']);
+    });
+
+    test('opens with a generated title card and closes with an end slate', async () => {
+      const progress = [];
+      const card = { heading: 'NYY @ BOS', teams: [], details: ['July 4, 2025'], sponsor: 'Presented by Test' };
+      const output = await render([
+        { videoUrl: `${baseUrl}/a.mp4`, segments: [{ start: 0, end: 1 }] },
+        { isTransition: true, transitionKey: 'transition' },
+        { videoUrl: `${baseUrl}/b.mp4`, segments: [{ start: 0.5, end: 1.5 }], words: [{ word: 'Gone!', start: 0.8, end: 1.2 }] },
+      ], (update) => progress.push(update.stage), {
+        slates: { template: 'classic', open: card, close: { ...card, heading: 'FINAL' } },
+      });
+
+      // Slates hard cut on either side of the cut, and its words move along with it
+      const { duration, streams } = await probe(output);
+      assertDuration(duration, SLATE_SECONDS.open + 3 + SLATE_SECONDS.close);
+      assert.deepEqual(streams.sort(), ['audio', 'video']);
+      assert.ok(progress.includes('slating'));
+      const srt = await fs.readFile(captionSidecarPath(output, 'srt'), 'utf8');
+      const [, seconds, ms] = srt.match(/^1\n00:00:(\d\d),(\d{3}) --> /);
+      assertDuration(Number(seconds) + Number(ms) / 1000, SLATE_SECONDS.open + 2.3);
+    });
+
+    test('writes caption sidecars timed to where the words land in the cut', async () => {
+      const output = await render([
+        { videoUrl: `${baseUrl}/a.mp4`, segments: [{ start: 0, end: 1 }], words: [] },
+        { isTransition: true, transitionKey: 'transition' },
+        { videoUrl: `${baseUrl}/b.mp4`, segments: [{ start: 0.5, end: 1.5 }], words: [{ word: 'Gone!', start: 0.8, end: 1.2 }] },
+      ]);
+
+      // Clip b starts after a (1s) and the transition (1s); the word is 0.3s into its trim
+      const srt = await fs.readFile(captionSidecarPath(output, 'srt'), 'utf8');
+      const [, seconds, ms] = srt.match(/^1\n00:00:(\d\d),(\d{3}) --> .*\nGone!\n$/);
+      assertDuration(Number(seconds) + Number(ms) / 1000, 2.3);
+      assert.match(await fs.readFile(captionSidecarPath(output, 'vtt'), 'utf8'), /^WEBVTT\n\n00:00:02\.\d{3} --> /);
+    });
+
+    test('fails when no clip can be processed', async () => {
+      await assert.rejects(
+        render([{ videoUrl: `${baseUrl}/missing.mp4`, segments: [{ start: 0, end: 1 }] }]),
+        /No clips could be processed/
+      );
+    });
+  });
+});
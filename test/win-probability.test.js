@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeWinProbability, getBiggestSwings } from '@/lib/win-probability';
+import { getStateAfter } from '@/lib/game-state';
+import { estimateWinProbability } from '@/lib/win-expectancy';
+import { allPlays } from './fixtures/walk-off-game';
+
+const WALK_OFF_INDEX = allPlays.length - 1;
+const JUDGE_HOMER_INDEX = 2;
+
+test('analyzeWinProbability annotates every play in order', () => {
+  const analyzed = analyzeWinProbability(allPlays);
+
+  assert.equal(analyzed.length, allPlays.length);
+  analyzed.forEach((play, index) => {
+    assert.equal(play.playIndex, index);
+    assert.ok(play.winProbBefore >= 0 && play.winProbBefore <= 1);
+    assert.ok(play.winProbAfter >= 0 && play.winProbAfter <= 1);
+    assert.equal(play.wpChange, Math.abs(play.wpSwing));
+  });
+});
+
+test('estimateWinProbability stays within [0, 1] for every state', () => {
+  for (let inning = 1; inning <= 12; inning++) {
+    for (const isTop of [true, false]) {
+      for (let outs = 0; outs <= 3; outs++) {
+        for (let bases = 0; bases < 8; bases++) {
+          for (let diff = -12; diff <= 12; diff++) {
+            const wp = estimateWinProbability({ inning, isTop, outs, bases, homeScore: Math.max(diff, 0), awayScore: Math.max(-diff, 0) });
+            assert.ok(wp >= 0 && wp <= 1, `${wp} for inning ${inning} ${isTop ? 'top' : 'bottom'}, ${outs} out, bases ${bases}, diff ${diff}`);
+          }
+        }
+      }
+    }
+  }
+});
+
+test('analyzeWinProbability credits a road homer to the batting team', () => {
+  const homer = analyzeWinProbability(allPlays)[JUDGE_HOMER_INDEX];
+
+  assert.deepEqual(homer.scoreBefore, { away: 0, home: 0 });
+  assert.deepEqual(homer.scoreAfter, { away: 1, home: 0 });
+  assert.ok(homer.wpSwing < 0, 'win probability is from the home side');
+  assert.ok(homer.wpa > 0, 'wpa is from the batting side');
+  assert.equal(homer.isGoAhead, true);
+});
+
+test('analyzeWinProbability ends a walk-off at a certain home win', () => {
+  const walkOff = analyzeWinProbability(allPlays)[WALK_OFF_INDEX];
+
+  assert.equal(walkOff.isWalkOff, true);
+  assert.equal(walkOff.isLeadChange, true);
+  assert.equal(walkOff.runsScored, 2);
+  assert.equal(walkOff.basesBefore, 1, 'runner on first');
+  assert.equal(walkOff.outsBefore, 1);
+  assert.equal(walkOff.winProbAfter, 1);
+  assert.equal(walkOff.isTurningPoint, true);
+});
+
+test('analyzeWinProbability resets outs and bases each half-inning', () => {
+  const analyzed = analyzeWinProbability(allPlays);
+  const firstOfHalves = analyzed.filter((play, index) =>
+    index === 0 || play.about.halfInning !== analyzed[index - 1].about.halfInning);
+
+  assert.equal(firstOfHalves.length, 18);
+  for (const play of firstOfHalves) {
+    assert.equal(play.outsBefore, 0);
+    assert.equal(play.basesBefore, 0);
+  }
+});
+
+test('analyzeWinProbability resumed mid-game matches a full pass', () => {
+  const full = analyzeWinProbability(allPlays);
+  const splitAt = 30;
+  const resumed = analyzeWinProbability(allPlays.slice(splitAt), {
+    startState: getStateAfter(full[splitAt - 1]),
+    startIndex: splitAt,
+  });
+
+  resumed.forEach((play, index) => {
+    const expected = full[splitAt + index];
+    assert.equal(play.playIndex, expected.playIndex);
+    assert.equal(play.wpa, expected.wpa);
+    assert.deepEqual(play.scoreAfter, expected.scoreAfter);
+  });
+});
+
+test('getBiggestSwings leads with the walk-off', () => {
+  const swings = getBiggestSwings(allPlays, 2);
+
+  assert.equal(swings.length, 2);
+  assert.equal(swings[0].playIndex, WALK_OFF_INDEX);
+});